@@ -25,33 +25,44 @@ class Processor511 {
                 expectedValue: 'if under style minimum, we will request upcharge, profit includes OH cost'
             }
         };
+        // Wastage sections, run by the shared section scanner (see SectionScanner.js)
+        // Headers are split over columns A and B ("A." | "FABRICS"), so both are matched together
         this.sectionRules = {
             fabrics: {
-                label: 'Fabrics',
-                startKeyword: 'a.', // More specific - starts with A.
-                startKeyword2: 'fabrics',
-                endKeyword: 'total fabric cost',
-                wastageColumn: 'J',
-                expectedWastage: 0.05, // 5%
-                expectedDisplay: '5%'
+                name: 'Fabrics',
+                start: { column: ['A', 'B'], marker: 'a\\..*fabrics', match: 'regex' },
+                end: { column: ['A', 'B'], marker: 'total fabric cost', match: 'contains' },
+                requireEnd: true,
+                valueColumn: 'J',
+                comparator: 'exact',
+                expected: 0.05, // 5%
+                percent: true,
+                tolerance: 0.001,
+                skipNonNumeric: true
             },
             trims: {
-                label: 'Trims',
-                startKeyword: 'b.', // More specific - starts with B.
-                startKeyword2: 'trims',
-                endKeyword: 'total trims cost',
-                wastageColumn: 'J',
-                expectedWastage: 0.03, // 3%
-                expectedDisplay: '3%'
+                name: 'Trims',
+                start: { column: ['A', 'B'], marker: 'b\\..*trims', match: 'regex' },
+                end: { column: ['A', 'B'], marker: 'total trims cost', match: 'contains' },
+                requireEnd: true,
+                valueColumn: 'J',
+                comparator: 'exact',
+                expected: 0.03, // 3%
+                percent: true,
+                tolerance: 0.001,
+                skipNonNumeric: true
             },
             packaging: {
-                label: 'Packaging',
-                startKeyword: 'c.', // More specific - starts with C.
-                startKeyword2: 'labels',
-                endKeyword: 'total packing cost',
-                wastageColumn: 'J',
-                expectedWastage: 0.03, // 3%
-                expectedDisplay: '3%'
+                name: 'Packaging',
+                start: { column: ['A', 'B'], marker: 'c\\..*labels', match: 'regex' },
+                end: { column: ['A', 'B'], marker: 'total packing cost', match: 'contains' },
+                requireEnd: true,
+                valueColumn: 'J',
+                comparator: 'exact',
+                expected: 0.03, // 3%
+                percent: true,
+                tolerance: 0.001,
+                skipNonNumeric: true
             }
         };
     }
@@ -71,6 +82,10 @@ class Processor511 {
         const obDropZone = document.getElementById('obDropZone-v16');
         if (!obDropZone) return;
 
+        const rules = this.validationRules;
+        const sections = this.sectionRules;
+        const wastage = section => window.ruleEngine.describeExpected(section);
+
         let contentHTML = `
             <div class="burton-cost-container">
                 <div class="burton-cost-header">
@@ -78,25 +93,25 @@ class Processor511 {
                 </div>
                 <div class="burton-cost-items">
                     <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong>FACTORY (D7):</strong> PT Ujump Indonesia (E7)</div>
+                        <div class="burton-item-line"><strong>FACTORY (D7):</strong> ${rules.factory.expectedValue} (E7)</div>
                     </div>
                     <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong>COO: (D8):</strong> Indonesia (E8)</div>
+                        <div class="burton-item-line"><strong>COO: (D8):</strong> ${rules.coo.expectedValue} (E8)</div>
                     </div>
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong>Remarks (E15):</strong></div>
-                        <div class="burton-item-line" style="font-size: 0.85em; color: #7a92ab;">if under style minimum, we will request upcharge, profit includes OH cost</div>
+                        <div class="burton-item-line" style="font-size: 0.85em; color: #7a92ab;">${rules.remarks.expectedValue}</div>
                     </div>
                     <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong>Fabrics Wastage% (Column J):</strong> 5%</div>
+                        <div class="burton-item-line"><strong>Fabrics Wastage% (Column J):</strong> ${wastage(sections.fabrics)}</div>
                         <div class="burton-item-line" style="font-size: 0.85em; color: #7a92ab;">Between "A. FABRICS..." and "TOTAL FABRIC COST"</div>
                     </div>
                     <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong>Trims Wastage% (Column J):</strong> 3%</div>
+                        <div class="burton-item-line"><strong>Trims Wastage% (Column J):</strong> ${wastage(sections.trims)}</div>
                         <div class="burton-item-line" style="font-size: 0.85em; color: #7a92ab;">Between "B. TRIMS..." and "TOTAL TRIMS COST"</div>
                     </div>
                     <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong>Packaging Wastage% (Column J):</strong> 3%</div>
+                        <div class="burton-item-line"><strong>Packaging Wastage% (Column J):</strong> ${wastage(sections.packaging)}</div>
                         <div class="burton-item-line" style="font-size: 0.85em; color: #7a92ab;">Between "C. LABELS..." and "TOTAL PACKING COST"</div>
                     </div>
                 </div>
@@ -106,24 +121,6 @@ class Processor511 {
         obDropZone.innerHTML = contentHTML;
     }
 
-    /**
-     * Convert column letter to index (A=0, B=1, etc.)
-     */
-    columnToIndex(column) {
-        let index = 0;
-        for (let i = 0; i < column.length; i++) {
-            index = index * 26 + column.charCodeAt(i) - 'A'.charCodeAt(0) + 1;
-        }
-        return index - 1;
-    }
-
-    /**
-     * Convert row index to cell reference (e.g., row 6, col G -> G7)
-     */
-    indicesToCell(rowIndex, colLetter) {
-        return `${colLetter}${rowIndex + 1}`;
-    }
-
     /**
      * Convert cell reference to row and column indices (e.g., "D7" -> {row: 6, col: 3})
      */
@@ -160,113 +157,21 @@ class Processor511 {
     }
 
     /**
-     * Validate wastage% in a section between start and end markers
-     * @param {Array} jsonData - Parsed Excel data
-     * @param {Object} sectionRule - Section validation rules
-     * @param {number} searchFromRow - Row to start searching from (to prevent overlap)
-     * @returns {Object} - Validation result with endRow for next section
+     * Shape a section scan like the other 511 results
+     * @param {Object} scan - Section scanner result
+     * @returns {Object} - Validation result with valid and invalid cells
      */
-    validateSectionWastage(jsonData, sectionRule, searchFromRow = 0) {
-        const wastageColIndex = this.columnToIndex(sectionRule.wastageColumn);
-        const colA = this.columnToIndex('A');
-        const colB = this.columnToIndex('B');
-
-        // Find start and end rows by scanning ONLY columns A and B for section headers
-        // Start searching from searchFromRow to prevent overlap with previous sections
-        let startRow = -1;
-        let endRow = -1;
-
-        for (let i = searchFromRow; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            if (!row) continue;
-
-            // Only check columns A and B for section markers
-            const cellA = row[colA] ? row[colA].toString().trim().toLowerCase() : '';
-            const cellB = row[colB] ? row[colB].toString().trim().toLowerCase() : '';
-            const combinedText = cellA + ' ' + cellB;
-
-            // For start marker, need both keywords (e.g., "a." AND "fabrics")
-            if (startRow === -1) {
-                if (combinedText.includes(sectionRule.startKeyword) &&
-                    combinedText.includes(sectionRule.startKeyword2)) {
-                    startRow = i;
-                }
-            }
-
-            // For end marker, just need the end keyword
-            if (startRow !== -1 && combinedText.includes(sectionRule.endKeyword)) {
-                endRow = i;
-                break;
-            }
-        }
-
-        const validCells = [];
-        const invalidCells = [];
-
-        if (startRow === -1 || endRow === -1) {
-            return {
-                label: sectionRule.label,
-                sectionFound: false,
-                validCells: validCells,
-                invalidCells: invalidCells,
-                expectedValue: sectionRule.expectedDisplay,
-                isValid: false,
-                endRow: searchFromRow // Return same row so next section can continue searching
-            };
-        }
-
-        // Check each row between start and end (exclusive of markers)
-        for (let i = startRow + 1; i < endRow; i++) {
-            const row = jsonData[i];
-            if (!row) continue;
-
-            // Get wastage column value
-            const cellValue = row[wastageColIndex];
-            if (cellValue === undefined || cellValue === null || cellValue === '') continue;
-
-            const cellRef = this.indicesToCell(i, sectionRule.wastageColumn);
-            let numericValue;
-
-            // Parse the value - could be percentage string or decimal
-            if (typeof cellValue === 'number') {
-                numericValue = cellValue;
-            } else {
-                const strValue = cellValue.toString().trim();
-                if (strValue.endsWith('%')) {
-                    numericValue = parseFloat(strValue) / 100;
-                } else {
-                    numericValue = parseFloat(strValue);
-                }
-            }
-
-            if (isNaN(numericValue)) continue;
-
-            // Compare with expected wastage (allow small tolerance)
-            const isMatch = Math.abs(numericValue - sectionRule.expectedWastage) < 0.001;
-
-            // Format actual value for display
-            let displayValue;
-            if (numericValue < 1) {
-                displayValue = (numericValue * 100).toFixed(0) + '%';
-            } else {
-                displayValue = numericValue.toFixed(0) + '%';
-            }
-
-            if (isMatch) {
-                validCells.push({ cell: cellRef, value: displayValue });
-            } else {
-                invalidCells.push({ cell: cellRef, value: displayValue });
-            }
-        }
+    toSectionResult(scan) {
+        const section = scan.section;
+        const toCell = row => ({ cell: row.cell, value: `${(row.value * 100).toFixed(0)}%` });
 
         return {
-            label: sectionRule.label,
-            sectionFound: true,
-            validCells: validCells,
-            invalidCells: invalidCells,
-            expectedValue: sectionRule.expectedDisplay,
-            isValid: invalidCells.length === 0 && validCells.length > 0,
-            endRow: endRow // Return endRow so next section starts after this one
+            label: section.name,
+            sectionFound: scan.found,
+            validCells: scan.rows.filter(row => row.isValid).map(toCell),
+            invalidCells: scan.rows.filter(row => !row.isValid).map(toCell),
+            expectedValue: window.ruleEngine.describeExpected(section),
+            isValid: scan.found && scan.isValid && scan.rows.length > 0
         };
     }
 
@@ -284,9 +189,10 @@ class Processor511 {
             // Process each BCBD file
             for (const file of bcbdFiles) {
                 const fileData = await this.parseBuyerCBDFile(file);
-                const validationResults = this.validateFile(fileData);
+                const validationResults = this.validateFile(fileData.jsonData);
                 this.bcbdResults.push({
                     fileName: file.name,
+                    sheetName: fileData.sheetName,
                     results: validationResults.cellResults,
                     sectionResults: validationResults.sectionResults
                 });
@@ -304,28 +210,14 @@ class Processor511 {
      * Parse Buyer CBD Excel file
      */
     async parseBuyerCBDFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    resolve(jsonData);
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        return { sheetName: firstSheetName, jsonData };
     }
 
     /**
@@ -387,20 +279,54 @@ class Processor511 {
             isValid: remarksValid
         });
 
-        // Validate section wastages - process in sequence to prevent overlap
-        // Each section starts searching from the end of the previous section
-        const fabricsResult = this.validateSectionWastage(jsonData, this.sectionRules.fabrics, 0);
-        sectionResults.push(fabricsResult);
+        // Validate section wastages - scanned in sequence so each section starts after the previous one ends
+        const sections = [this.sectionRules.fabrics, this.sectionRules.trims, this.sectionRules.packaging];
+        window.sectionScanner.scanInOrder(jsonData, sections).forEach(scan => {
+            sectionResults.push(this.toSectionResult(scan));
+        });
+
+        return { cellResults, sectionResults };
+    }
+
+    /**
+     * Results of the last run in the common structured schema (see StructuredResults.js)
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+
+        this.bcbdResults.forEach(fileResult => {
+            const base = { file: fileResult.fileName, sheet: fileResult.sheetName };
+
+            fileResult.results.forEach(result => {
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('511', result.label),
+                    rule: `${result.label} (${result.valueCell}) is "${result.expectedValue}"`,
+                    cell: result.valueCell,
+                    expected: result.expectedValue,
+                    actual: result.actualValue,
+                    status: result.isValid
+                }));
+            });
 
-        // Trims starts after Fabrics ends
-        const trimsResult = this.validateSectionWastage(jsonData, this.sectionRules.trims, fabricsResult.endRow + 1);
-        sectionResults.push(trimsResult);
+            fileResult.sectionResults.forEach(section => {
+                const sectionRule = {
+                    ...base,
+                    ruleId: sr.ruleId('511', 'wastage', section.label),
+                    rule: `${section.label} wastage (column J) is ${section.expectedValue}`,
+                    expected: section.expectedValue
+                };
 
-        // Packaging starts after Trims ends
-        const packagingResult = this.validateSectionWastage(jsonData, this.sectionRules.packaging, trimsResult.endRow + 1);
-        sectionResults.push(packagingResult);
+                if (!section.sectionFound) {
+                    records.push(sr.record({ ...sectionRule, actual: 'Section not found', status: 'INVALID' }));
+                } else {
+                    records.push(...sr.sectionRecords(sectionRule, section.validCells, section.invalidCells));
+                }
+            });
+        });
 
-        return { cellResults, sectionResults };
+        return records;
     }
 
     /**
@@ -611,8 +537,8 @@ class Processor511 {
             return;
         }
 
-        const config = window.pdfExporter.create511Config(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.create511Config();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 
     /**
@@ -661,17 +587,26 @@ class Processor511 {
 // Initialize the processor
 window.processor511 = new Processor511();
 
-// Auto-initialize when V16 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    const v16Tabs = document.querySelectorAll('[data-tab="v16"]');
-    v16Tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            window.processor511.initialize();
-        });
-    });
-
-    const v16TabContent = document.getElementById('tab-v16');
-    if (v16TabContent && v16TabContent.classList.contains('active')) {
-        window.processor511.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v16',
+    name: '511',
+    shortName: '511',
+    processor: window.processor511,
+    loadingMessage: '511 validation',
+    editableRules: [
+        { path: 'validationRules.factory.expectedValue', label: 'Factory (E7)', format: 'text' },
+        { path: 'validationRules.coo.expectedValue', label: 'COO (E8)', format: 'text' },
+        { path: 'validationRules.remarks.expectedValue', label: 'Remarks (E15)', format: 'text' },
+        ...window.ruleOverrides.fromRules('sectionRules', window.processor511.sectionRules, { group: 'Wastage (Column J)' })
+    ],
+    // Section wastages are typed in (see FormulaCheck.js)
+    formulaCells: [
+        { ruleId: '511.wastage', expects: 'value' }
+    ],
+    fingerprints: [
+        { cell: 'D7', text: 'FACTORY', sheet: 'first' },
+        { cell: 'D8', text: 'COO', sheet: 'first' },
+        { text: 'total packing cost', sheet: 'first' }
+    ]
 });
@@ -0,0 +1,201 @@
+/**
+ * Brand Detector
+ * Fingerprints an uploaded Buyer CBD workbook against the anchors each processor declares
+ * in its registry entry, so a file dropped on the wrong tab can be caught before it runs
+ *
+ * Anchor formats (all text comparisons are case-insensitive, whitespace-collapsed):
+ * - { sheetName: 'Blank Cost Sheet' }          → workbook has a sheet with this name
+ * - { column: 'N', text: 'PROFIT MARGIN:' }    → any row of column N contains the text
+ * - { row: 2, text: 'Wastage %' }              → any column of row 2 contains the text
+ * - { cell: 'D7', text: 'FACTORY' }            → cell D7 contains the text
+ * - { cell: 'E14', pattern: /^[A-Z]{1,2}\d/ }  → cell E14 matches the pattern
+ * - { text: 'total packing cost' }             → any cell contains the text
+ * Optional on every anchor: exact (whole-cell match), weight (default 1),
+ * sheet ('first', 'last' or a sheet name - defaults to scanning every sheet)
+ */
+
+class BrandDetector {
+    constructor(registry) {
+        this.registry = registry;
+        this.matchThreshold = 0.5;  // Minimum confidence for a brand to count as a match
+        this.maxRows = 500;         // Rows scanned per sheet - anchors sit in the header/cost blocks
+        this.detections = new WeakMap();
+    }
+
+    /**
+     * Detect the brand of a file (cached per File object)
+     * The season / costing date cell is read from the same parse (see SeasonDetector.js)
+     * @returns {Promise<Object>} - { fileName, sheetNames, matches, best, season, error }
+     */
+    detectFile(file) {
+        if (!this.detections.has(file)) {
+            const detection = window.workbookReader.read(file)
+                .then(workbook => ({
+                    fileName: file.name,
+                    sheetNames: workbook.SheetNames,
+                    ...this.detect(workbook),
+                    season: window.seasonDetector ? window.seasonDetector.detect(workbook) : null,
+                    error: null
+                }))
+                .catch(error => {
+                    // A cancelled batch is not a result - detect again next time
+                    if (window.workbookReader.isCancelError(error)) {
+                        this.detections.delete(file);
+                    } else {
+                        console.error(`Error detecting brand for ${file.name}:`, error);
+                    }
+                    return { fileName: file.name, sheetNames: [], matches: [], best: null, season: null, error: error.message };
+                });
+            this.detections.set(file, detection);
+        }
+        return this.detections.get(file);
+    }
+
+    /**
+     * Score a parsed workbook against every registered brand
+     * @returns {Object} - { matches: [{ id, name, confidence, matched, total }], best }
+     */
+    detect(workbook) {
+        const rowsCache = {};
+        const getRows = (sheetName) => {
+            if (!rowsCache[sheetName]) {
+                const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' });
+                rowsCache[sheetName] = rows.slice(0, this.maxRows);
+            }
+            return rowsCache[sheetName];
+        };
+
+        const scores = this.registry.getAll()
+            .filter(entry => Array.isArray(entry.fingerprints) && entry.fingerprints.length > 0)
+            .map(entry => {
+                let totalWeight = 0;
+                let matchedWeight = 0;
+                const matched = [];
+
+                entry.fingerprints.forEach(anchor => {
+                    const weight = anchor.weight || 1;
+                    totalWeight += weight;
+                    if (this.matchAnchor(workbook, anchor, getRows)) {
+                        matchedWeight += weight;
+                        matched.push(this.describeAnchor(anchor));
+                    }
+                });
+
+                return {
+                    id: entry.id,
+                    name: entry.name,
+                    confidence: totalWeight > 0 ? matchedWeight / totalWeight : 0,
+                    matched: matched,
+                    total: entry.fingerprints.length
+                };
+            })
+            .sort((a, b) => b.confidence - a.confidence || b.matched.length - a.matched.length);
+
+        const matches = scores.filter(score => score.confidence >= this.matchThreshold);
+
+        return {
+            matches: matches,
+            best: matches.length > 0 ? matches[0] : null
+        };
+    }
+
+    matchAnchor(workbook, anchor, getRows) {
+        if (anchor.sheetName) {
+            const target = this.normalize(anchor.sheetName);
+            return workbook.SheetNames.some(name => this.normalize(name) === target);
+        }
+
+        return this.getAnchorSheets(workbook, anchor).some(sheetName => {
+            if (anchor.cell) {
+                const cell = workbook.Sheets[sheetName][anchor.cell];
+                return !!cell && this.matchValue(cell.v, anchor);
+            }
+
+            const rows = getRows(sheetName);
+            const colIndex = anchor.column ? XLSX.utils.decode_col(anchor.column) : null;
+
+            if (anchor.row) {
+                const row = rows[anchor.row - 1] || [];
+                return colIndex !== null
+                    ? this.matchValue(row[colIndex], anchor)
+                    : row.some(value => this.matchValue(value, anchor));
+            }
+
+            return rows.some(row => colIndex !== null
+                ? this.matchValue(row[colIndex], anchor)
+                : row.some(value => this.matchValue(value, anchor)));
+        });
+    }
+
+    getAnchorSheets(workbook, anchor) {
+        const names = workbook.SheetNames;
+        if (!anchor.sheet) return names;
+        if (anchor.sheet === 'first') return names.slice(0, 1);
+        if (anchor.sheet === 'last') return names.slice(-1);
+        return names.filter(name => this.normalize(name) === this.normalize(anchor.sheet));
+    }
+
+    matchValue(value, anchor) {
+        if (value === undefined || value === null || value === '') return false;
+
+        if (anchor.pattern) {
+            return anchor.pattern.test(String(value).trim());
+        }
+
+        const cellText = this.normalize(value);
+        const anchorText = this.normalize(anchor.text);
+        return anchor.exact ? cellText === anchorText : cellText.includes(anchorText);
+    }
+
+    normalize(value) {
+        return String(value).replace(/\s+/g, ' ').trim().toUpperCase();
+    }
+
+    /**
+     * Human-readable anchor description for the mismatch warning
+     */
+    describeAnchor(anchor) {
+        if (anchor.sheetName) return `sheet "${anchor.sheetName}"`;
+
+        const what = anchor.pattern ? `pattern ${anchor.pattern}` : `"${anchor.text}"`;
+        if (anchor.cell) return `${what} in ${anchor.cell}`;
+        if (anchor.column) return `${what} in column ${anchor.column}`;
+        if (anchor.row) return `${what} in row ${anchor.row}`;
+        return what;
+    }
+
+    /**
+     * Confidence of a detection for a given brand (0 when it didn't reach the threshold)
+     */
+    getConfidence(detection, id) {
+        const match = detection.matches.find(m => m.id === id);
+        return match ? match.confidence : 0;
+    }
+
+    /**
+     * Find files that fingerprint as a different brand than the tab they were dropped on
+     * A file is only flagged when another brand scores higher than the current one
+     * @returns {Promise<Array>} - [{ file, detection, target }]
+     */
+    async findMismatches(version, files) {
+        const detections = await Promise.all(files.map(file => this.detectFile(file)));
+        const mismatches = [];
+
+        detections.forEach((detection, index) => {
+            const best = detection.best;
+            if (!best || best.id === version) return;
+            if (best.confidence <= this.getConfidence(detection, version)) return;
+
+            mismatches.push({ file: files[index], detection: detection, target: best });
+        });
+
+        return mismatches;
+    }
+
+    formatConfidence(confidence) {
+        return `${Math.round(confidence * 100)}%`;
+    }
+}
+
+// Initialize global detector instance
+window.brandDetector = new BrandDetector(window.processorRegistry);
@@ -7,6 +7,43 @@ class ExcelV2Processor {
     constructor() {
         this.burtonCostData = null;
         this.bcbdResults = [];
+
+        // Burton_CostBreakdown.csv layout (see ReferenceCSV.js)
+        this.referenceLoad = null;
+        this.referenceSchema = {
+            file: 'Burton_CostBreakdown.csv',
+            key: ['description', 'materialName'],
+            columns: [
+                { key: 'description', name: 'Description', type: 'text' },
+                { key: 'details', name: 'Details', type: 'text', optional: true },
+                { key: 'materialName', name: 'Material', type: 'text' },
+                { key: 'supplier', name: 'Supplier', type: 'text' },
+                { key: 'quantity', name: 'Qty', type: 'number', min: 0 },
+                { key: 'wastage', name: 'Wastage', type: 'number', min: 0, max: 1 },
+                { key: 'unit', name: 'Unit', type: 'text' },
+                { key: 'unitPrice', name: 'Unit Price', type: 'currency', min: 0 },
+                { key: 'totalPrice', name: 'Total', type: 'currency', min: 0 }
+            ]
+        };
+
+        // Tolerance policies of the numeric columns compared with the Buyer CBD (see TolerancePolicy.js)
+        this.tolerances = {
+            qty: { decimals: 3 },
+            wastage: { decimals: 3, warnAbsolute: 0.001 },
+            unitPrice: { decimals: 3, warnAbsolute: 0.001 },
+            total: { decimals: 3, warnAbsolute: 0.001 }
+        };
+
+        // Arithmetic of every item row (see RollupChecker.js): Total (I) = Qty (E) × Unit Price (H) × (1 + Wastage (F))
+        this.rollupLayout = {
+            labelColumn: 'A',
+            qtyColumn: 'E',
+            wastageColumn: 'F',
+            percentUnit: 'fraction',
+            priceColumn: 'H',
+            totalColumn: 'I',
+            tolerance: 0.0005
+        };
     }
 
     /**
@@ -14,17 +51,9 @@ class ExcelV2Processor {
      */
     async initialize() {
         try {
-            // Fetch the Burton_CostBreakdown.csv file from assets/data folder
-            const response = await fetch('assets/data/Burton_CostBreakdown.csv');
-            if (!response.ok) {
-                throw new Error('Failed to load Burton_CostBreakdown.csv');
-            }
-
-            const csvText = await response.text();
-            this.burtonCostData = this.parseCSV(csvText);
-
-            // Display the loaded data in the OB drop zone
-            this.displayBurtonCostData();
+            // Uploaded replacement if there is one, else assets/data/Burton_CostBreakdown.csv
+            const csvText = await window.referenceCSV.getText(this.referenceSchema);
+            this.loadReference(csvText);
 
             console.log('Burton Cost Breakdown loaded successfully:', this.burtonCostData);
         } catch (error) {
@@ -33,47 +62,21 @@ class ExcelV2Processor {
         }
     }
 
+    /**
+     * Parse reference CSV text and display it in the OB drop zone
+     */
+    loadReference(csvText) {
+        this.burtonCostData = this.parseCSV(csvText);
+        this.displayBurtonCostData();
+    }
+
     /**
      * Parse CSV text into array of objects
-     * Handles commas within the description field
+     * Rows that do not match the schema are left out and listed in the OB drop zone
      */
     parseCSV(csvText) {
-        const lines = csvText.trim().split('\n');
-        const data = [];
-
-        lines.forEach(line => {
-            // Split by comma
-            const values = line.split(',').map(val => val.trim());
-
-            // We expect 9 fields total
-            // If we have more than 9, the description contains commas
-            let description = '';
-            let startIndex = 0;
-
-            if (values.length > 9) {
-                // Combine the first (length - 8) values as description
-                const descParts = values.length - 8;
-                description = values.slice(0, descParts).join(', ');
-                startIndex = descParts;
-            } else {
-                description = values[0] || '';
-                startIndex = 1;
-            }
-
-            data.push({
-                description: description,
-                details: values[startIndex] || '',
-                materialName: values[startIndex + 1] || '',
-                supplier: values[startIndex + 2] || '',
-                quantity: values[startIndex + 3] || '',
-                wastage: values[startIndex + 4] || '',
-                unit: values[startIndex + 5] || '',
-                unitPrice: values[startIndex + 6] || '',
-                totalPrice: values[startIndex + 7] || ''
-            });
-        });
-
-        return data;
+        this.referenceLoad = window.referenceCSV.parse(csvText, this.referenceSchema);
+        return this.referenceLoad.rows;
     }
 
     /**
@@ -87,6 +90,14 @@ class ExcelV2Processor {
         let contentHTML = `
             <div class="burton-cost-container">
                 <div class="burton-cost-items">
+                    ${window.referenceCSV.getPanelHTML('v2', this.referenceLoad)}
+                    ${window.tolerancePolicy.getPanelHTML([
+                        { label: 'Qty', tolerance: this.tolerances.qty },
+                        { label: 'Wastage', tolerance: this.tolerances.wastage },
+                        { label: 'Unit Price', tolerance: this.tolerances.unitPrice },
+                        { label: 'Total', tolerance: this.tolerances.total }
+                    ])}
+                    ${window.rollupChecker.getPanelHTML(this.rollupLayout)}
         `;
 
         // Display each line from the CSV
@@ -152,11 +163,13 @@ class ExcelV2Processor {
 
             // Process each BCBD file
             for (const file of bcbdFiles) {
-                const buyerData = await this.parseBuyerCBDFile(file);
-                const comparisonResults = this.compareWithOB(buyerData);
+                const { sheetName, trimsData, rollup } = await this.parseBuyerCBDFile(file);
+                const comparisonResults = this.compareWithOB(trimsData);
                 this.bcbdResults.push({
                     fileName: file.name,
-                    results: comparisonResults
+                    sheetName: sheetName,
+                    results: comparisonResults,
+                    rollup: rollup
                 });
             }
 
@@ -172,30 +185,17 @@ class ExcelV2Processor {
      * Parse Buyer CBD Excel file
      */
     async parseBuyerCBDFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the last sheet (usually contains the latest data)
-                    const lastSheetName = workbook.SheetNames[workbook.SheetNames.length - 1];
-                    const sheet = workbook.Sheets[lastSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    // Parse the trims section
-                    const trimsData = this.extractTrimsData(jsonData);
-                    resolve(trimsData);
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Get the last sheet (usually contains the latest data)
+        const lastSheetName = workbook.SheetNames[workbook.SheetNames.length - 1];
+        const sheet = workbook.Sheets[lastSheetName];
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        // Parse the trims section
+        const trimsData = this.extractTrimsData(jsonData);
+        const rollup = window.rollupChecker.checkRows(jsonData, trimsData.map(item => item.row), this.rollupLayout, 'Items');
+        return { sheetName: lastSheetName, trimsData, rollup };
     }
 
     /**
@@ -259,7 +259,8 @@ class ExcelV2Processor {
                 wastage: row[5] ? row[5].toString().trim() : '',
                 unit: row[6] ? row[6].toString().trim() : '',
                 unitPrice: row[7] ? row[7].toString().trim() : '',
-                total: row[8] ? row[8].toString().trim() : ''
+                total: row[8] ? row[8].toString().trim() : '',
+                row: i
             });
         }
 
@@ -311,11 +312,11 @@ class ExcelV2Processor {
             const comparison = {
                 material: this.compareField(obItem.materialName, buyerItem.material),
                 supplier: this.compareField(obItem.supplier, buyerItem.supplier),
-                qty: this.compareNumericField(obItem.quantity, buyerItem.qty, false),
-                wastage: this.compareNumericField(obItem.wastage, buyerItem.wastage, true),
+                qty: this.compareNumericField(obItem.quantity, buyerItem.qty, this.tolerances.qty),
+                wastage: this.compareNumericField(obItem.wastage, buyerItem.wastage, this.tolerances.wastage),
                 unit: this.compareField(obItem.unit, buyerItem.unit),
-                unitPrice: this.compareNumericField(obItem.unitPrice, buyerItem.unitPrice, true),
-                total: this.compareNumericField(obItem.totalPrice, buyerItem.total, true)
+                unitPrice: this.compareNumericField(obItem.unitPrice, buyerItem.unitPrice, this.tolerances.unitPrice),
+                total: this.compareNumericField(obItem.totalPrice, buyerItem.total, this.tolerances.total)
             };
 
             // Debug logging
@@ -420,39 +421,18 @@ class ExcelV2Processor {
     }
 
     /**
-     * Compare numeric fields
-     * Compares values rounded to 3 decimal places
-     * Returns 'VALID', 'WARNING' (minor difference of 0.001), or 'INVALID'
+     * Compare numeric fields with a tolerance policy (see this.tolerances)
+     * Returns 'VALID', 'WARNING' (within the policy's warning band, e.g. 0.001), or 'INVALID'
      */
-    compareNumericField(obValue, buyerValue, checkMinorDifference = false) {
-        // Remove currency symbols and convert to numbers
-        const cleanOB = (obValue || '').toString().replace(/[$,\s]/g, '');
-        const cleanBuyer = (buyerValue || '').toString().replace(/[$,\s]/g, '');
-
-        const obNum = parseFloat(cleanOB);
-        const buyerNum = parseFloat(cleanBuyer);
+    compareNumericField(obValue, buyerValue, tolerance) {
+        const obNum = window.valueParser.toNumber(obValue);
+        const buyerNum = window.valueParser.toNumber(buyerValue);
 
-        if (isNaN(obNum) || isNaN(buyerNum)) {
+        if (obNum === null || buyerNum === null) {
             return 'INVALID';
         }
 
-        // Round both values to 3 decimal places before comparing
-        const obRounded = parseFloat(obNum.toFixed(3));
-        const buyerRounded = parseFloat(buyerNum.toFixed(3));
-
-        if (obRounded === buyerRounded) {
-            return 'VALID';
-        }
-
-        // Check for minor difference of exactly 0.001 if enabled
-        if (checkMinorDifference) {
-            const difference = Math.abs(obRounded - buyerRounded);
-            if (difference === 0.001) {
-                return 'WARNING';
-            }
-        }
-
-        return 'INVALID';
+        return window.tolerancePolicy.compare(buyerNum, obNum, tolerance).status;
     }
 
     /**
@@ -460,9 +440,8 @@ class ExcelV2Processor {
      */
     formatToThreeDecimals(value) {
         if (!value || value === '') return value;
-        const cleanValue = value.toString().replace(/[$,\s]/g, '');
-        const numValue = parseFloat(cleanValue);
-        if (isNaN(numValue)) return value;
+        const numValue = window.valueParser.toNumber(value);
+        if (numValue === null) return value;
         return numValue.toFixed(3);
     }
 
@@ -496,6 +475,60 @@ class ExcelV2Processor {
         }
     }
 
+    /**
+     * Results in the common structured schema (see StructuredResults.js)
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const fields = [
+            { key: 'material', label: 'Material', obKey: 'materialName', col: 'C' },
+            { key: 'supplier', label: 'Supplier', obKey: 'supplier', col: 'D' },
+            { key: 'qty', label: 'Qty', obKey: 'quantity', col: 'E' },
+            { key: 'wastage', label: 'Wastage', obKey: 'wastage', col: 'F' },
+            { key: 'unit', label: 'Unit', obKey: 'unit', col: 'G' },
+            { key: 'unitPrice', label: 'Unit Price', obKey: 'unitPrice', col: 'H' },
+            { key: 'total', label: 'Total', obKey: 'totalPrice', col: 'I' }
+        ];
+        const records = [];
+
+        this.bcbdResults.forEach(fileResult => {
+            fileResult.results.forEach(item => {
+                if (item.status !== 'FOUND') {
+                    const source = item.status === 'NOT_FOUND_IN_OB' ? 'OB file' : 'Buyer CBD file';
+                    records.push(sr.record({
+                        file: fileResult.fileName,
+                        sheet: fileResult.sheetName,
+                        ruleId: sr.ruleId('burton', item.itemName),
+                        rule: `${item.itemName} is listed in the ${source}`,
+                        expected: 'Listed',
+                        actual: 'Not found',
+                        status: 'INVALID'
+                    }));
+                    return;
+                }
+
+                fields.forEach(field => {
+                    records.push(sr.record({
+                        file: fileResult.fileName,
+                        sheet: fileResult.sheetName,
+                        ruleId: sr.ruleId('burton', item.itemName, field.key),
+                        rule: `${item.itemName} ${field.label} matches the Burton cost breakdown`,
+                        cell: sr.cellAddress(item.buyerData.row, field.col),
+                        expected: item.obData[field.obKey],
+                        tolerance: this.tolerances[field.key] ? window.tolerancePolicy.describe(this.tolerances[field.key]) : '',
+                        actual: item.buyerData[field.key],
+                        status: item.comparison[field.key]
+                    }));
+                });
+            });
+
+            const base = { file: fileResult.fileName, sheet: fileResult.sheetName };
+            records.push(...window.rollupChecker.toRecords(base, 'burton', [fileResult.rollup], this.rollupLayout));
+        });
+
+        return records;
+    }
+
     /**
      * Generate HTML for results display
      */
@@ -652,11 +685,8 @@ class ExcelV2Processor {
             return;
         }
 
-        const config = window.pdfExporter.createBurtonConfig(
-            this.bcbdResults,
-            this.formatToThreeDecimals.bind(this)
-        );
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createBurtonConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 
     /**
@@ -713,21 +743,27 @@ class ExcelV2Processor {
 // Initialize the processor
 window.excelV2Processor = new ExcelV2Processor();
 
-// Auto-load Burton Cost Breakdown when V2 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    // Add click listener to ALL elements with data-tab="v2" (both tab buttons and menu items)
-    const v2Tabs = document.querySelectorAll('[data-tab="v2"]');
-    v2Tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            if (!window.excelV2Processor.burtonCostData) {
-                window.excelV2Processor.initialize();
-            }
-        });
-    });
-
-    // If V2 tab is already active on load, initialize immediately
-    const v2TabContent = document.getElementById('tab-v2');
-    if (v2TabContent && v2TabContent.classList.contains('active')) {
-        window.excelV2Processor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v2',
+    name: 'Burton',
+    shortName: 'BT',
+    processor: window.excelV2Processor,
+    sheetStrategy: 'last',
+    obPanel: 'reference',
+    loadingMessage: 'Burton Cost Breakdown',
+    initializeOn: 'activate',
+    isInitialized: (processor) => !!processor.burtonCostData,
+    // Item totals are calculated by the template, the other columns are typed in (see FormulaCheck.js)
+    formulaCells: [
+        { ruleId: 'burton.*.total', expects: 'formula' },
+        { ruleId: 'burton.*.qty', expects: 'value' },
+        { ruleId: 'burton.*.wastage', expects: 'value' },
+        { ruleId: 'burton.*.unitprice', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'A', text: 'BURTON', sheet: 'last' },
+        { column: 'A', text: 'ARTWORK', sheet: 'last' },
+        { column: 'A', text: 'C.O.O', sheet: 'last' }
+    ]
 });
@@ -7,6 +7,47 @@ class ColumbiaProcessor {
     constructor() {
         this.columbiaCostData = null;
         this.bcbdResults = [];
+
+        // Columbia_CostBreakdown.csv layout (see ReferenceCSV.js)
+        this.referenceLoad = null;
+        this.referenceSchema = {
+            file: 'Columbia_CostBreakdown.csv',
+            key: ['description', 'partNumber'],
+            columns: [
+                { key: 'description', name: 'Description', type: 'text' },
+                { key: 'partNumber', name: 'Part #', type: 'text', optional: true },
+                { key: 'unitPrice', name: 'Unit Price', type: 'currency', min: 0 },
+                { key: 'quantity', name: 'Qty', type: 'number', min: 0 },
+                { key: 'wastage', name: 'Wastage', type: 'number', min: 0, max: 100 }
+            ],
+            variants: [
+                { column: 0, pattern: /efficiency/i, columns: [
+                    { key: 'description', name: 'Description', type: 'text' },
+                    { key: 'efficiency', name: 'Efficiency', type: 'number', min: 0, max: 100 }
+                ] },
+                { column: 0, pattern: /overhead/i, columns: [
+                    { key: 'description', name: 'Description', type: 'text' },
+                    { key: 'overhead', name: 'Overhead', type: 'range', min: 0 }
+                ] },
+                { column: 0, pattern: /profit/i, columns: [
+                    { key: 'description', name: 'Description', type: 'text' },
+                    { key: 'profit', name: 'Profit', type: 'range', min: 0 }
+                ] }
+            ]
+        };
+
+        // Tolerance policies of the compared values (see TolerancePolicy.js); percentages compare as fractions
+        this.tolerances = {
+            number: { decimals: 2 },
+            percent: { decimals: 4 }
+        };
+
+        // Unit of bare percentages: both the cost breakdown CSV and the CBD hold whole percentages (3 = 3%);
+        // CBD cells formatted as a percentage are read as fractions whatever the unit
+        this.percentUnits = { ob: 'whole', buyer: 'whole' };
+
+        // Overhead at O21 must fall in this range, whatever the CSV overhead line says (editable, see RuleOverrides.js)
+        this.overheadRule = { name: 'Overhead (O21)', comparator: 'range', min: 0.35, max: 0.36 };
     }
 
     /**
@@ -14,17 +55,9 @@ class ColumbiaProcessor {
      */
     async initialize() {
         try {
-            // Fetch the Columbia_CostBreakdown.csv file from assets/data folder
-            const response = await fetch('assets/data/Columbia_CostBreakdown.csv');
-            if (!response.ok) {
-                throw new Error('Failed to load Columbia_CostBreakdown.csv');
-            }
-
-            const csvText = await response.text();
-            this.columbiaCostData = this.parseCSV(csvText);
-
-            // Display the loaded data in the OB drop zone
-            this.displayColumbiaCostData();
+            // Uploaded replacement if there is one, else assets/data/Columbia_CostBreakdown.csv
+            const csvText = await window.referenceCSV.getText(this.referenceSchema);
+            this.loadReference(csvText);
 
             console.log('Columbia Cost Breakdown loaded successfully:', this.columbiaCostData);
         } catch (error) {
@@ -33,55 +66,22 @@ class ColumbiaProcessor {
         }
     }
 
+    /**
+     * Parse reference CSV text and display it in the OB drop zone
+     */
+    loadReference(csvText) {
+        this.columbiaCostData = this.parseCSV(csvText);
+        this.displayColumbiaCostData();
+    }
+
     /**
      * Parse CSV text into array of objects
      * Format: Description, PartNumber, UnitPrice, Quantity, Wastage
+     * Efficiency, overhead and profit lines hold one value
      */
     parseCSV(csvText) {
-        const lines = csvText.trim().split('\n');
-        const data = [];
-
-        lines.forEach(line => {
-            const values = line.split(',').map(val => val.trim());
-
-            // First line is efficiency
-            if (values[0] && values[0].toLowerCase().includes('efficiency')) {
-                data.push({
-                    description: values[0],
-                    efficiency: values[1] || ''
-                });
-                return;
-            }
-
-            // Overhead line
-            if (values[0] && values[0].toLowerCase().includes('overhead')) {
-                data.push({
-                    description: values[0],
-                    overhead: values[1] || ''
-                });
-                return;
-            }
-
-            // Profit line
-            if (values[0] && values[0].toLowerCase().includes('profit')) {
-                data.push({
-                    description: values[0],
-                    profit: values[1] || ''
-                });
-                return;
-            }
-
-            // Standard format: Description, PartNumber, UnitPrice, Quantity, Wastage
-            data.push({
-                description: values[0] || '',
-                partNumber: values[1] || '',
-                unitPrice: values[2] || '',
-                quantity: values[3] || '',
-                wastage: values[4] || ''
-            });
-        });
-
-        return data;
+        this.referenceLoad = window.referenceCSV.parse(csvText, this.referenceSchema);
+        return this.referenceLoad.rows;
     }
 
     /**
@@ -94,6 +94,14 @@ class ColumbiaProcessor {
         let contentHTML = `
             <div class="burton-cost-container">
                 <div class="burton-cost-items">
+                    ${window.referenceCSV.getPanelHTML('v3', this.referenceLoad)}
+                    ${window.tolerancePolicy.getPanelHTML([
+                        { label: 'FOB Cost / Factory Usage', tolerance: this.tolerances.number },
+                        { label: 'Efficiency / Wastage', tolerance: this.tolerances.percent, percent: true }
+                    ])}
+                    <div class="burton-cost-item">
+                        <div class="burton-item-line"><strong>Overhead (O21):</strong> ${window.ruleEngine.describeExpected(this.overheadRule, 2)}</div>
+                    </div>
         `;
 
         // Display each line from the CSV
@@ -127,6 +135,15 @@ class ColumbiaProcessor {
         obDropZone.innerHTML = contentHTML;
     }
 
+    /**
+     * Re-render the OB drop zone with the current overhead range (called by the rule editor)
+     */
+    displayValidationRules() {
+        if (this.columbiaCostData) {
+            this.displayColumbiaCostData();
+        }
+    }
+
     /**
      * Display error message in the OB drop zone
      */
@@ -153,9 +170,8 @@ class ColumbiaProcessor {
      */
     formatToThreeDecimals(value) {
         if (!value || value === '') return value;
-        const cleanValue = value.toString().replace(/[$,\s]/g, '');
-        const numValue = parseFloat(cleanValue);
-        if (isNaN(numValue)) return value;
+        const numValue = window.valueParser.toNumber(value);
+        if (numValue === null) return value;
         return numValue.toFixed(3);
     }
 
@@ -180,6 +196,7 @@ class ColumbiaProcessor {
                 const comparisonResults = this.compareWithOB(buyerData);
                 this.bcbdResults.push({
                     fileName: file.name,
+                    sheetName: buyerData.sheetName,
                     results: comparisonResults
                 });
             }
@@ -196,30 +213,17 @@ class ColumbiaProcessor {
      * Parse Buyer CBD Excel file
      */
     async parseBuyerCBDFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    // Extract data from specific cells
-                    const extractedData = this.extractColumbiaData(jsonData);
-                    resolve(extractedData);
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        // Extract data from specific cells
+        const extractedData = this.extractColumbiaData(jsonData);
+        extractedData.sheetName = firstSheetName;
+        return extractedData;
     }
 
     /**
@@ -236,6 +240,7 @@ class ColumbiaProcessor {
     extractColumbiaData(jsonData) {
         const data = {
             efficiency: '',
+            efficiencyCell: null,
             overhead: '',
             profit: '',
             items: []
@@ -244,6 +249,7 @@ class ColumbiaProcessor {
         // Efficiency% at M19 (column M = index 12, row 19 = index 18)
         if (jsonData[18] && jsonData[18][12] !== undefined) {
             data.efficiency = jsonData[18][12].toString().trim();
+            data.efficiencyCell = { v: jsonData[18][12], z: window.workbookReader.numberFormat(jsonData[18], 12) };
         }
 
         // Overhead at O21 (column O = index 14, row 21 = index 20)
@@ -287,6 +293,7 @@ class ColumbiaProcessor {
                         fobCost: fobCost,
                         factoryUsage: factoryUsage,
                         wastage: wastage,
+                        wastageCell: { v: row[24], z: window.workbookReader.numberFormat(row, 24) },
                         rowIndex: i
                     });
                 }
@@ -308,9 +315,10 @@ class ColumbiaProcessor {
         const expectedEfficiency = efficiencyItem ? efficiencyItem.efficiency : '';
 
         // Compare Efficiency
-        const efficiencyStatus = this.compareNumericField(expectedEfficiency, buyerData.efficiency);
+        const efficiencyStatus = this.compareNumericField(expectedEfficiency, buyerData.efficiencyCell, true);
         results.push({
             itemName: 'Efficiency%',
+            cell: 'M19',
             obMaterial: expectedEfficiency,
             buyerMaterial: buyerData.efficiency,
             materialStatus: efficiencyStatus,
@@ -329,10 +337,11 @@ class ColumbiaProcessor {
         const overheadItem = this.columbiaCostData.find(item => item.overhead !== undefined);
         const expectedOverhead = overheadItem ? overheadItem.overhead : '';
 
-        // Compare Overhead (0.35 to 0.36 is valid)
+        // Compare Overhead (this.overheadRule range)
         const overheadStatus = this.compareOverhead(expectedOverhead, buyerData.overhead);
         results.push({
             itemName: 'Overhead',
+            cell: 'O21',
             obMaterial: expectedOverhead,
             buyerMaterial: buyerData.overhead,
             materialStatus: overheadStatus,
@@ -355,6 +364,7 @@ class ColumbiaProcessor {
         const profitStatus = this.compareProfit(expectedProfit, buyerData.profit);
         results.push({
             itemName: 'Profit',
+            cell: 'M22',
             obMaterial: expectedProfit,
             buyerMaterial: buyerData.profit,
             materialStatus: profitStatus,
@@ -384,6 +394,7 @@ class ColumbiaProcessor {
                 // Found exact match - compare all fields
                 results.push({
                     itemName: csvItem.description,
+                    rowIndex: buyerItem.rowIndex,
                     obMaterial: csvItem.partNumber,
                     buyerMaterial: buyerItem.material,
                     materialStatus: csvItem.partNumber === buyerItem.material ? 'VALID' : 'INVALID',
@@ -395,7 +406,7 @@ class ColumbiaProcessor {
                     factoryUsageStatus: this.compareNumericField(csvItem.quantity, buyerItem.factoryUsage),
                     obWastage: csvItem.wastage,
                     buyerWastage: buyerItem.wastage,
-                    wastageStatus: this.compareNumericField(csvItem.wastage, buyerItem.wastage)
+                    wastageStatus: this.compareNumericField(csvItem.wastage, buyerItem.wastageCell, true)
                 });
             } else {
                 // Check if keyword exists with any material
@@ -407,6 +418,7 @@ class ColumbiaProcessor {
                     // Keyword found but material doesn't match
                     results.push({
                         itemName: csvItem.description,
+                        rowIndex: keywordMatch.rowIndex,
                         obMaterial: csvItem.partNumber,
                         buyerMaterial: keywordMatch.material,
                         materialStatus: 'INVALID',
@@ -418,7 +430,7 @@ class ColumbiaProcessor {
                         factoryUsageStatus: this.compareNumericField(csvItem.quantity, keywordMatch.factoryUsage),
                         obWastage: csvItem.wastage,
                         buyerWastage: keywordMatch.wastage,
-                        wastageStatus: this.compareNumericField(csvItem.wastage, keywordMatch.wastage)
+                        wastageStatus: this.compareNumericField(csvItem.wastage, keywordMatch.wastageCell, true)
                     });
                 } else {
                     // Keyword not found at all
@@ -445,46 +457,89 @@ class ColumbiaProcessor {
     }
 
     /**
-     * Compare numeric fields
+     * Results in the common structured schema (see StructuredResults.js)
+     * Efficiency, Overhead and Profit are single cells; items are checked per column
      */
-    compareNumericField(obValue, buyerValue) {
-        const cleanOB = (obValue || '').toString().replace(/[$,\s%]/g, '');
-        const cleanBuyer = (buyerValue || '').toString().replace(/[$,\s%]/g, '');
-
-        const obNum = parseFloat(cleanOB);
-        const buyerNum = parseFloat(cleanBuyer);
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const fields = [
+            { key: 'Material', label: 'Material', col: 'B' },
+            { key: 'FobCost', label: 'FOB Cost', col: 'K', tolerance: this.tolerances.number },
+            { key: 'FactoryUsage', label: 'Factory Usage', col: 'O', tolerance: this.tolerances.number },
+            { key: 'Wastage', label: 'Wastage', col: 'Y', tolerance: this.tolerances.percent, percent: true }
+        ];
+        const records = [];
+
+        this.bcbdResults.forEach(fileResult => {
+            fileResult.results.forEach(item => {
+                const base = { file: fileResult.fileName, sheet: fileResult.sheetName };
+
+                if (item.cell) {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('columbia', item.itemName),
+                        rule: `${item.itemName} matches the Columbia cost breakdown`,
+                        cell: item.cell,
+                        // Overhead is checked against its range, not the CSV line
+                        expected: item.itemName === 'Overhead' ? window.ruleEngine.describeExpected(this.overheadRule, 2) : item.obMaterial,
+                        actual: item.buyerMaterial,
+                        status: item.materialStatus
+                    }));
+                    return;
+                }
 
-        if (isNaN(obNum) || isNaN(buyerNum)) {
-            return 'INVALID';
-        }
+                fields.forEach(field => {
+                    const fieldKey = field.key.charAt(0).toLowerCase() + field.key.slice(1);
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('columbia', item.itemName, field.label),
+                        rule: `${item.itemName} ${field.label} matches the Columbia cost breakdown`,
+                        cell: item.rowIndex !== undefined ? sr.cellAddress(item.rowIndex, field.col) : '',
+                        expected: item[`ob${field.key}`],
+                        tolerance: field.tolerance ? window.tolerancePolicy.describe(field.tolerance, { percent: field.percent }) : '',
+                        actual: item[`buyer${field.key}`],
+                        status: item[`${fieldKey}Status`]
+                    }));
+                });
+            });
+        });
 
-        // Round both values to 2 decimal places for comparison
-        const obRounded = parseFloat(obNum.toFixed(2));
-        const buyerRounded = parseFloat(buyerNum.toFixed(2));
+        return records;
+    }
 
-        if (obRounded === buyerRounded) {
-            return 'VALID';
+    /**
+     * Compare numeric fields (rounded to 2 decimals)
+     * Percent fields (efficiency, wastage) compare as fractions, each side read in its unit (see this.percentUnits);
+     * buyerValue may be a { v, z } cell, so a cell formatted as a percentage holding 1 reads as 100%
+     */
+    compareNumericField(obValue, buyerValue, percent = false) {
+        const obNum = percent
+            ? window.valueParser.toPercent(obValue, undefined, this.percentUnits.ob)
+            : window.valueParser.toNumber(obValue);
+        const buyerNum = percent
+            ? window.valueParser.toPercent(buyerValue, undefined, this.percentUnits.buyer)
+            : window.valueParser.toNumber(buyerValue);
+
+        if (obNum === null || buyerNum === null) {
+            return 'INVALID';
         }
 
-        return 'INVALID';
+        const tolerance = percent ? this.tolerances.percent : this.tolerances.number;
+        return window.tolerancePolicy.compare(buyerNum, obNum, tolerance).status;
     }
 
     /**
-     * Compare Overhead field (0.35 to 0.36 is valid)
+     * Compare Overhead field (valid within this.overheadRule, inclusive)
      */
     compareOverhead(expectedValue, buyerValue) {
-        const cleanExpected = (expectedValue || '').toString().replace(/[$,\s%]/g, '');
-        const cleanBuyer = (buyerValue || '').toString().replace(/[$,\s%]/g, '');
-
-        const expectedNum = parseFloat(cleanExpected);
-        const buyerNum = parseFloat(cleanBuyer);
+        const buyerNum = window.valueParser.toNumber(buyerValue);
+        const { min, max } = this.overheadRule;
 
-        if (isNaN(expectedNum) || isNaN(buyerNum)) {
+        if (!expectedValue || buyerNum === null) {
             return 'INVALID';
         }
 
-        // Valid range: 0.35 to 0.36
-        if (buyerNum >= 0.35 && buyerNum <= 0.36) {
+        if (buyerNum >= min && buyerNum <= max) {
             return 'VALID';
         }
 
@@ -493,28 +548,17 @@ class ColumbiaProcessor {
 
     /**
      * Compare Profit field (4% to 4.99% is valid)
+     * 0.048, 4.8 and "4.8%" are all read as 4.8%
      */
     compareProfit(expectedValue, buyerValue) {
-        const cleanExpected = (expectedValue || '').toString().replace(/[$,\s%]/g, '');
-        const cleanBuyer = (buyerValue || '').toString().replace(/[$,\s%]/g, '');
+        const buyerNum = window.valueParser.toPercent(buyerValue);
 
-        let expectedNum = parseFloat(cleanExpected);
-        let buyerNum = parseFloat(cleanBuyer);
-
-        if (isNaN(expectedNum) || isNaN(buyerNum)) {
+        if (!expectedValue || buyerNum === null) {
             return 'INVALID';
         }
 
-        // Convert decimal values (0.048) to percentage (4.8)
-        if (buyerNum < 1) {
-            buyerNum = buyerNum * 100;
-        }
-        if (expectedNum < 1) {
-            expectedNum = expectedNum * 100;
-        }
-
         // Valid range: 4% to 4.99%
-        if (buyerNum >= 4 && buyerNum < 5) {
+        if (buyerNum >= 0.04 - 1e-9 && buyerNum < 0.05) {
             return 'VALID';
         }
 
@@ -532,16 +576,15 @@ class ColumbiaProcessor {
 
         // Convert decimal to percentage for Profit display
         if (itemName === 'Profit' && displayValue !== 'Empty') {
-            const cleanValue = displayValue.toString().replace(/[$,\s%]/g, '');
-            const numValue = parseFloat(cleanValue);
-            if (!isNaN(numValue) && numValue < 1) {
-                displayValue = (numValue * 100).toFixed(2) + '%';
+            const parsed = window.valueParser.parse(displayValue);
+            if (parsed.type === 'number' && parsed.value < 1) {
+                displayValue = (parsed.value * 100).toFixed(2) + '%';
             }
         }
 
         // Format Overhead expected range
         if (itemName === 'Overhead' && !isValid) {
-            expectedValue = '0.35 to 0.36';
+            expectedValue = window.ruleEngine.describeExpected(this.overheadRule, 2);
         }
 
         if (isValid) {
@@ -666,32 +709,32 @@ class ColumbiaProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createColumbiaConfig(
-            this.bcbdResults,
-            this.formatToThreeDecimals.bind(this)
-        );
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createColumbiaConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize the processor
 window.columbiaProcessor = new ColumbiaProcessor();
 
-// Auto-load Columbia Cost Breakdown when V3 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    // Add click listener to ALL elements with data-tab="v3" (both tab buttons and menu items)
-    const v3Tabs = document.querySelectorAll('[data-tab="v3"]');
-    v3Tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            if (!window.columbiaProcessor.columbiaCostData) {
-                window.columbiaProcessor.initialize();
-            }
-        });
-    });
-
-    // If V3 tab is already active on load, initialize immediately
-    const v3TabContent = document.getElementById('tab-v3');
-    if (v3TabContent && v3TabContent.classList.contains('active')) {
-        window.columbiaProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v3',
+    name: 'Columbia',
+    shortName: 'COL',
+    processor: window.columbiaProcessor,
+    obPanel: 'reference',
+    loadingMessage: 'Columbia Cost Breakdown',
+    initializeOn: 'activate',
+    isInitialized: (processor) => !!processor.columbiaCostData,
+    editableRules: window.ruleOverrides.fromRules('', { overheadRule: window.columbiaProcessor.overheadRule }),
+    formulaCells: [
+        { ruleId: 'columbia.*.factory-usage', expects: 'value' },
+        { ruleId: 'columbia.*.wastage', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'A', text: 'Hangtag Package Part', sheet: 'first' },
+        { column: 'A', text: 'Packaging 1', sheet: 'first' },
+        { column: 'A', text: 'Packaging 2', sheet: 'first' }
+    ]
 });
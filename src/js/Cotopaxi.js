@@ -28,34 +28,69 @@
 
 class CotopaxiProcessor {
     constructor() {
+        // Anchored checks, run by the shared rule engine (see RuleEngine.js)
         this.validationRules = [
             {
                 name: 'Vendor / COO',
-                markerColumn: 3, // Column D (0-indexed)
+                markerColumn: 'D',
                 marker: 'vendor / coo',
-                checkColumn: 4, // Column E
-                expected: ['PT UWU JUMP INDONESIA', 'HEADS UP'],
-                type: 'multiple'
+                match: 'contains',
+                valueColumn: 'E',
+                comparator: 'oneOf',
+                expected: ['PT UWU JUMP INDONESIA', 'HEADS UP']
             },
             {
                 name: 'Supplier Contact',
-                markerColumn: 3, // Column D
+                markerColumn: 'D',
                 marker: 'supplier contact',
-                checkColumn: 4, // Column E
-                expected: 'Madison 88',
-                type: 'exact'
+                match: 'contains',
+                valueColumn: 'E',
+                comparator: 'exact',
+                expected: 'Madison 88'
             },
             {
                 name: 'Overhead/Margin/Profit %',
-                markerColumn: 4, // Column E (0-indexed)
+                markerColumn: 'E',
                 marker: 'overhead/margin/profit %',
-                checkColumn: 6, // Column G
-                expected: '15% - 20%',
+                match: 'contains',
+                valueColumn: 'G',
+                comparator: 'range',
                 min: 0.15,
                 max: 0.20,
-                type: 'range'
+                percent: true
             }
         ];
+
+        // Column I wastage of the Fabric / Trims / General Packaging rows, per VENDOR / COO
+        this.wastageRates = {
+            uwuJump: {
+                yarnLocal: 0.0015,          // Yarn with M88 / Local in Col B
+                yarnOther: 0.005,
+                fabricFreight: 0.004,
+                trimsLocal: 0.00012,        // Trims with Local / Freight in Col B
+                trimsOther: 0.00015,
+                generalPackaging: 0.0001
+            },
+            headsUp: {
+                fabric: 0.05,
+                trims: 0.03,
+                generalPackaging: 0.03
+            }
+        };
+
+        // Tolerance policy of the column I wastage checks (see TolerancePolicy.js) - the smallest
+        // rate is 0.01%, so anything looser than a thousandth of a point would pass its neighbours
+        this.tolerances = {
+            wastage: { absolute: 0.00001 }
+        };
+        this.fileResults = [];
+    }
+
+    /**
+     * Wastage rate as shown in the rules and results (0.0015 -> '0.15%')
+     */
+    formatRate(rate) {
+        return `${parseFloat((rate * 100).toPrecision(12))}%`;
     }
 
     async initialize() {
@@ -66,6 +101,11 @@ class CotopaxiProcessor {
         const obDropZone = document.getElementById('obDropZone-v24');
         if (!obDropZone) return;
 
+        const rules = this.validationRules;
+        const uwuJump = this.wastageRates.uwuJump;
+        const headsUp = this.wastageRates.headsUp;
+        const rate = value => `<strong>${this.formatRate(value)}</strong>`;
+
         let html = `
             <div class="burton-cost-container">
                 <div class="burton-cost-items">
@@ -73,29 +113,32 @@ class CotopaxiProcessor {
                         <div class="burton-item-line"><strong>Cotopaxi Validation Rules:</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Sheet:</strong> Blank Cost Sheet</div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Rule 1 - Vendor / COO:</strong></div>
-                        <div class="burton-item-line">Column D = "VENDOR / COO" → Column E = <strong>PT UWU JUMP INDONESIA</strong> or <strong>HEADS UP</strong></div>
+                        <div class="burton-item-line">Column D = "VENDOR / COO" → Column E = ${rules[0].expected.map(value => `<strong>${value}</strong>`).join(' or ')}</div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Rule 2 - Supplier Contact:</strong></div>
-                        <div class="burton-item-line">Column D = "SUPPLIER CONTACT" → Column E = <strong>Madison 88</strong></div>
+                        <div class="burton-item-line">Column D = "SUPPLIER CONTACT" → Column E = <strong>${rules[1].expected}</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Rule 3 - Overhead/Margin/Profit %:</strong></div>
-                        <div class="burton-item-line">Column E = "Overhead/Margin/Profit %:" → Column G = <strong>15% - 20%</strong></div>
+                        <div class="burton-item-line">Column E = "Overhead/Margin/Profit %:" → Column G = <strong>${window.ruleEngine.describeExpected(rules[2])}</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.75rem; border-top: 1px solid #ccc; padding-top: 0.5rem;"><strong>Fabric Section Rules (between FABRIC and Total Fabric Yardage):</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>If VENDOR / COO = PT UWU JUMP INDONESIA:</strong></div>
-                        <div class="burton-item-line">• Yarn + (M88 or Local in Col B) → Col I = <strong>0.15%</strong></div>
-                        <div class="burton-item-line">• Yarn + (NOT M88/Local in Col B) → Col I = <strong>0.5%</strong></div>
-                        <div class="burton-item-line">• Fabric Freight → Col I = <strong>0.4%</strong></div>
+                        <div class="burton-item-line">• Yarn + (M88 or Local in Col B) → Col I = ${rate(uwuJump.yarnLocal)}</div>
+                        <div class="burton-item-line">• Yarn + (NOT M88/Local in Col B) → Col I = ${rate(uwuJump.yarnOther)}</div>
+                        <div class="burton-item-line">• Fabric Freight → Col I = ${rate(uwuJump.fabricFreight)}</div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>If VENDOR / COO = HEADS UP:</strong></div>
-                        <div class="burton-item-line">• Fabric items → Col I = <strong>5%</strong></div>
+                        <div class="burton-item-line">• Fabric items → Col I = ${rate(headsUp.fabric)}</div>
                         <div class="burton-item-line" style="margin-top: 0.75rem; border-top: 1px solid #ccc; padding-top: 0.5rem;"><strong>Trims Section Rules (between TRIMS and Total Trims Cost):</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>If VENDOR / COO = PT UWU JUMP INDONESIA:</strong></div>
-                        <div class="burton-item-line">• Col B = Local/Freight → Col I = <strong>0.012%</strong></div>
-                        <div class="burton-item-line">• Col B = Other → Col I = <strong>0.015%</strong></div>
+                        <div class="burton-item-line">• Col B = Local/Freight → Col I = ${rate(uwuJump.trimsLocal)}</div>
+                        <div class="burton-item-line">• Col B = Other → Col I = ${rate(uwuJump.trimsOther)}</div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>If VENDOR / COO = HEADS UP:</strong></div>
-                        <div class="burton-item-line">• Trims items → Col I = <strong>3%</strong></div>
+                        <div class="burton-item-line">• Trims items → Col I = ${rate(headsUp.trims)}</div>
                         <div class="burton-item-line" style="margin-top: 0.75rem; border-top: 1px solid #ccc; padding-top: 0.5rem;"><strong>General Packaging (scan Col D):</strong></div>
                         <div class="burton-item-line">• Column F = <strong>1</strong></div>
-                        <div class="burton-item-line">• If PT UWU JUMP INDONESIA → Col I = <strong>0.01%</strong></div>
-                        <div class="burton-item-line">• If HEADS UP → Col I = <strong>3%</strong></div>
+                        <div class="burton-item-line">• If PT UWU JUMP INDONESIA → Col I = ${rate(uwuJump.generalPackaging)}</div>
+                        <div class="burton-item-line">• If HEADS UP → Col I = ${rate(headsUp.generalPackaging)}</div>
                     </div>
+                    ${window.tolerancePolicy.getPanelHTML([
+                        { label: 'Wastage (Col I)', tolerance: this.tolerances.wastage, percent: true }
+                    ])}
                 </div>
             </div>
         `;
@@ -127,139 +170,82 @@ class CotopaxiProcessor {
     }
 
     async processFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Find the "Blank Cost Sheet" sheet
-                    let targetSheetName = null;
-                    console.log('Available sheets:', workbook.SheetNames);
-                    for (const sheetName of workbook.SheetNames) {
-                        if (sheetName.trim().toLowerCase() === 'blank cost sheet') {
-                            targetSheetName = sheetName;
-                            console.log('Found target sheet:', targetSheetName);
-                            break;
-                        }
-                    }
+        const workbook = await window.workbookReader.read(file);
+
+        // Find the "Blank Cost Sheet" sheet
+        let targetSheetName = null;
+        console.log('Available sheets:', workbook.SheetNames);
+        for (const sheetName of workbook.SheetNames) {
+            if (sheetName.trim().toLowerCase() === 'blank cost sheet') {
+                targetSheetName = sheetName;
+                console.log('Found target sheet:', targetSheetName);
+                break;
+            }
+        }
 
-                    if (!targetSheetName) {
-                        resolve({
-                            fileName: file.name,
-                            sheetName: 'Not Found',
-                            checks: [{
-                                name: 'Sheet Check',
-                                expected: 'Blank Cost Sheet',
-                                found: false,
-                                rowNumber: -1,
-                                actual: 'Sheet "Blank Cost Sheet" not found',
-                                isValid: false,
-                                markerColumn: '-',
-                                checkColumn: '-'
-                            }],
-                            error: null
-                        });
-                        return;
-                    }
+        // A sheet the user picked (see SheetSelection.js) is validated whatever its name
+        if (!targetSheetName && workbook.pickedSheet) {
+            targetSheetName = workbook.pickedSheet;
+        }
 
-                    const sheet = workbook.Sheets[targetSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+        if (!targetSheetName) {
+            return {
+                fileName: file.name,
+                sheetName: 'Not Found',
+                checks: [{
+                    name: 'Sheet Check',
+                    expected: 'Blank Cost Sheet',
+                    found: false,
+                    rowNumber: -1,
+                    actual: 'Sheet "Blank Cost Sheet" not found',
+                    isValid: false,
+                    markerColumn: '-',
+                    checkColumn: '-'
+                }],
+                error: null
+            };
+        }
 
-                    const checks = this.validateSheet(jsonData);
+        const sheet = workbook.Sheets[targetSheetName];
+        const jsonData = window.workbookReader.toRows(sheet);
 
-                    resolve({
-                        fileName: file.name,
-                        sheetName: targetSheetName,
-                        checks: checks,
-                        error: null
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const checks = this.validateSheet(jsonData);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        return {
+            fileName: file.name,
+            sheetName: targetSheetName,
+            checks: checks,
+            error: null
+        };
     }
 
     validateSheet(jsonData) {
         const results = [];
 
-        // First, determine the VENDOR / COO value
-        let vendorCOO = '';
-        for (let rowIndex = 0; rowIndex < jsonData.length; rowIndex++) {
-            const row = jsonData[rowIndex];
-            if (!row) continue;
-            const colD = row[3] ? String(row[3]).trim().toLowerCase() : '';
-            if (colD.includes('vendor / coo')) {
-                vendorCOO = row[4] ? String(row[4]).trim() : '';
-                break;
-            }
-        }
+        // Fabric, trims and packaging rules depend on the VENDOR / COO value
+        const vendorRule = this.validationRules.find(rule => rule.name === 'Vendor / COO');
+        const vendorCOO = window.ruleEngine.evaluate(jsonData, vendorRule).text;
 
-        // Validate each rule by scanning for the marker
         for (const rule of this.validationRules) {
+            const evaluation = window.ruleEngine.evaluate(jsonData, rule);
             const result = {
                 name: rule.name,
-                expected: Array.isArray(rule.expected) ? rule.expected.join(' or ') : rule.expected,
-                found: false,
-                rowNumber: -1,
-                actual: '',
-                isValid: false,
-                markerColumn: this.getColumnLetter(rule.markerColumn),
-                checkColumn: this.getColumnLetter(rule.checkColumn)
+                expected: window.ruleEngine.describeExpected(rule),
+                found: evaluation.found,
+                rowNumber: evaluation.rowNumber,
+                actual: evaluation.text || 'Empty',
+                isValid: evaluation.isValid,
+                markerColumn: rule.markerColumn,
+                checkColumn: rule.valueColumn
             };
 
-            // Scan all rows to find the marker
-            for (let rowIndex = 0; rowIndex < jsonData.length; rowIndex++) {
-                const row = jsonData[rowIndex];
-                if (!row) continue;
-
-                const markerCell = row[rule.markerColumn] ? String(row[rule.markerColumn]).trim() : '';
-                const markerCellLower = markerCell.toLowerCase();
-
-                // Check if this row contains the marker
-                if (markerCellLower === rule.marker.toLowerCase() || markerCellLower.includes(rule.marker.toLowerCase())) {
-                    result.found = true;
-                    result.rowNumber = rowIndex + 1; // Convert to 1-indexed
-
-                    const actualValue = row[rule.checkColumn] ? String(row[rule.checkColumn]).trim() : '';
-                    result.actual = actualValue || 'Empty';
-
-                    // Validate based on type
-                    if (rule.type === 'exact') {
-                        result.isValid = actualValue.toLowerCase() === rule.expected.toLowerCase();
-                    } else if (rule.type === 'multiple') {
-                        // Check if actual value matches any of the expected values
-                        result.isValid = rule.expected.some(exp =>
-                            actualValue.toLowerCase() === exp.toLowerCase()
-                        );
-                    } else if (rule.type === 'range') {
-                        // Parse percentage value (handle both "20%" and 0.20 formats)
-                        let numValue = parseFloat(actualValue.replace('%', ''));
-                        if (actualValue.includes('%')) {
-                            numValue = numValue / 100; // Convert 20% to 0.20
-                        }
-                        // If value is greater than 1, assume it's already a percentage (e.g., 20 means 20%)
-                        if (numValue > 1) {
-                            numValue = numValue / 100;
-                        }
-                        result.isValid = !isNaN(numValue) && numValue >= rule.min && numValue <= rule.max;
-                        // Display as percentage
-                        if (!isNaN(numValue)) {
-                            result.actual = (numValue * 100).toFixed(1) + '%';
-                        }
-                    }
-                    break; // Found the marker, stop scanning
-                }
+            // Percentages are shown as e.g. 18.0%
+            if (rule.percent && evaluation.value !== null) {
+                result.actual = (evaluation.value * 100).toFixed(1) + '%';
             }
 
-            if (!result.found) {
-                result.actual = `Marker "${rule.marker}" not found in column ${result.markerColumn}`;
+            if (!evaluation.found) {
+                result.actual = `Marker "${rule.marker}" not found in column ${rule.markerColumn}`;
             }
 
             results.push(result);
@@ -343,9 +329,9 @@ class CotopaxiProcessor {
                     if (colB.includes('m88') || colB.includes('local')) {
                         const result = this.createFabricResult(
                             'Yarn (M88/Local)',
-                            '0.15%',
+                            this.formatRate(this.wastageRates.uwuJump.yarnLocal),
                             colI,
-                            0.0015,
+                            this.wastageRates.uwuJump.yarnLocal,
                             rowIndex + 1,
                             supplierValue
                         );
@@ -354,9 +340,9 @@ class CotopaxiProcessor {
                         // Yarn without M88 or Local → Column I should be 0.5%
                         const result = this.createFabricResult(
                             'Yarn (Non-M88/Local)',
-                            '0.5%',
+                            this.formatRate(this.wastageRates.uwuJump.yarnOther),
                             colI,
-                            0.005,
+                            this.wastageRates.uwuJump.yarnOther,
                             rowIndex + 1,
                             supplierValue
                         );
@@ -369,9 +355,9 @@ class CotopaxiProcessor {
                     const supplierValue = row[1] ? String(row[1]).trim() : '';
                     const result = this.createFabricResult(
                         'Fabric Freight',
-                        '0.4%',
+                        this.formatRate(this.wastageRates.uwuJump.fabricFreight),
                         colI,
-                        0.004,
+                        this.wastageRates.uwuJump.fabricFreight,
                         rowIndex + 1,
                         supplierValue
                     );
@@ -398,9 +384,9 @@ class CotopaxiProcessor {
                     const supplierValue = row[1] ? String(row[1]).trim() : '';
                     const result = this.createFabricResult(
                         `Fabric Item (${row[0]})`,
-                        '5%',
+                        this.formatRate(this.wastageRates.headsUp.fabric),
                         colI,
-                        0.05,
+                        this.wastageRates.headsUp.fabric,
                         rowIndex + 1,
                         supplierValue
                     );
@@ -480,9 +466,9 @@ class CotopaxiProcessor {
                 if (colB.includes('local') || colB.includes('freight')) {
                     const result = this.createFabricResult(
                         `Trims: ${colA} (Local/Freight)`,
-                        '0.012%',
+                        this.formatRate(this.wastageRates.uwuJump.trimsLocal),
                         colI,
-                        0.00012,
+                        this.wastageRates.uwuJump.trimsLocal,
                         rowIndex + 1,
                         supplierValue
                     );
@@ -491,9 +477,9 @@ class CotopaxiProcessor {
                     // Column B has other value → Column I should be 0.015%
                     const result = this.createFabricResult(
                         `Trims: ${colA}`,
-                        '0.015%',
+                        this.formatRate(this.wastageRates.uwuJump.trimsOther),
                         colI,
-                        0.00015,
+                        this.wastageRates.uwuJump.trimsOther,
                         rowIndex + 1,
                         supplierValue
                     );
@@ -517,9 +503,9 @@ class CotopaxiProcessor {
 
                 const result = this.createFabricResult(
                     `Trims: ${colA}`,
-                    '3%',
+                    this.formatRate(this.wastageRates.headsUp.trims),
                     colI,
-                    0.03,
+                    this.wastageRates.headsUp.trims,
                     rowIndex + 1,
                     supplierValue
                 );
@@ -551,8 +537,7 @@ class CotopaxiProcessor {
 
                 // Check Column F = 1
                 const colFValue = colF !== undefined && colF !== null ? String(colF).trim() : '';
-                const colFNum = parseFloat(colFValue);
-                const colFIsValid = colFNum === 1;
+                const colFIsValid = window.valueParser.matches(colFValue, 1);
 
                 results.push({
                     name: 'General Packaging (Qty)',
@@ -571,11 +556,11 @@ class CotopaxiProcessor {
                 let expectedDecimal = 0;
 
                 if (vendorLower.includes('pt uwu jump indonesia')) {
-                    expectedPercent = '0.01%';
-                    expectedDecimal = 0.0001;
+                    expectedDecimal = this.wastageRates.uwuJump.generalPackaging;
+                    expectedPercent = this.formatRate(expectedDecimal);
                 } else if (vendorLower.includes('heads up')) {
-                    expectedPercent = '3%';
-                    expectedDecimal = 0.03;
+                    expectedDecimal = this.wastageRates.headsUp.generalPackaging;
+                    expectedPercent = this.formatRate(expectedDecimal);
                 }
 
                 if (expectedPercent) {
@@ -615,15 +600,13 @@ class CotopaxiProcessor {
      * Helper to create a fabric validation result
      */
     createFabricResult(name, expectedStr, actualValue, expectedDecimal, rowNumber, supplier = '') {
-        let numValue = 0;
+        let numValue = null;
         let actualStr = '';
 
         if (actualValue !== undefined && actualValue !== null && actualValue !== '') {
-            numValue = parseFloat(String(actualValue).replace('%', ''));
-            // Handle percentage string format
-            if (String(actualValue).includes('%')) {
-                numValue = numValue / 100;
-            }
+            // "0.15%" is read as 0.0015
+            const parsed = window.valueParser.toNumber(actualValue);
+            numValue = parsed !== null ? parsed : NaN;
             // If value is greater than 1, assume it needs conversion (e.g., 0.15 means 0.15%)
             // Actually for small percentages like 0.15%, the raw value would be 0.0015
             // Use more decimal places for very small percentages
@@ -639,8 +622,8 @@ class CotopaxiProcessor {
             actualStr = 'Empty';
         }
 
-        // For comparison, allow small tolerance
-        const isValid = Math.abs(numValue - expectedDecimal) < 0.0001;
+        const tolerance = this.tolerances.wastage;
+        const isValid = window.tolerancePolicy.compare(numValue, expectedDecimal, tolerance).status === 'VALID';
 
         return {
             name: name,
@@ -651,16 +634,53 @@ class CotopaxiProcessor {
             isValid: isValid,
             markerColumn: 'A',
             checkColumn: 'I',
-            supplier: supplier
+            supplier: supplier,
+            tolerance: window.tolerancePolicy.describe(tolerance, { percent: true })
         };
     }
 
-    getColumnLetter(index) {
-        const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        if (index < 26) {
-            return letters[index];
+    /**
+     * Results of the last run in the common structured schema (see StructuredResults.js)
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+
+        this.fileResults.forEach(fileResult => {
+            if (fileResult.error) {
+                records.push(sr.errorRecord(fileResult.fileName, 'cotopaxi', fileResult.error));
+                return;
+            }
+
+            fileResult.checks.forEach(check => {
+                const hasCell = check.rowNumber > 0 && /^[A-Z]+$/.test(check.checkColumn);
+
+                records.push(sr.record({
+                    file: fileResult.fileName,
+                    sheet: fileResult.sheetName !== 'Not Found' ? fileResult.sheetName : '',
+                    ruleId: sr.ruleId('cotopaxi', ...this.getRuleIdParts(check)),
+                    rule: `${check.name} is ${check.expected}`,
+                    cell: hasCell ? `${check.checkColumn}${check.rowNumber}` : '',
+                    expected: check.expected,
+                    tolerance: check.tolerance,
+                    actual: check.actual,
+                    status: check.isValid
+                }));
+            });
+        });
+
+        return records;
+    }
+
+    /**
+     * Stable rule id parts - fabric and trims check names embed the item description
+     */
+    getRuleIdParts(check) {
+        if (check.name.startsWith('Fabric Item (')) return ['Fabric Item'];
+        if (check.name.startsWith('Trims: ')) {
+            return check.name.endsWith('(Local/Freight)') ? ['Trims', 'Local/Freight'] : ['Trims', check.expected];
         }
-        return letters[Math.floor(index / 26) - 1] + letters[index % 26];
+        return [check.name];
     }
 
     generateResultsHTML(results) {
@@ -766,10 +786,53 @@ class CotopaxiProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createCotopaxiConfig(this.fileResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createCotopaxiConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize processor
 window.cotopaxiProcessor = new CotopaxiProcessor();
+
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v24',
+    name: 'Cotopaxi',
+    shortName: 'CTP',
+    processor: window.cotopaxiProcessor,
+    sheetStrategy: { name: 'Blank Cost Sheet' },
+    loadingMessage: 'Cotopaxi validation',
+    loadingSubtext: 'Checking validation fields...',
+    // Vendor / COO is not editable: the fabric, trims and packaging rules branch on those two names
+    editableRules: [
+        ...window.ruleOverrides.fromRules('validationRules', {
+            1: window.cotopaxiProcessor.validationRules[1],
+            2: window.cotopaxiProcessor.validationRules[2]
+        }),
+        ...[
+            ['yarnLocal', 'Yarn (M88/Local)'],
+            ['yarnOther', 'Yarn (Non-M88/Local)'],
+            ['fabricFreight', 'Fabric Freight'],
+            ['trimsLocal', 'Trims (Local/Freight)'],
+            ['trimsOther', 'Trims (Other)'],
+            ['generalPackaging', 'General Packaging']
+        ].map(([key, label]) => ({ path: `wastageRates.uwuJump.${key}`, label, group: 'PT UWU JUMP INDONESIA Wastage', format: 'percent' })),
+        ...[
+            ['fabric', 'Fabric Items'],
+            ['trims', 'Trims Items'],
+            ['generalPackaging', 'General Packaging']
+        ].map(([key, label]) => ({ path: `wastageRates.headsUp.${key}`, label, group: 'HEADS UP Wastage', format: 'percent' }))
+    ],
+    formulaCells: [
+        { ruleId: 'cotopaxi.fabric-item', expects: 'value' },
+        { ruleId: 'cotopaxi.trims', expects: 'value' },
+        { ruleId: 'cotopaxi.general-packaging-qty', expects: 'value' },
+        { ruleId: 'cotopaxi.general-packaging', expects: 'value' },
+        { ruleId: 'cotopaxi.overhead-margin-profit', expects: 'value' }
+    ],
+    fingerprints: [
+        { sheetName: 'Blank Cost Sheet', weight: 2 },
+        { column: 'D', text: 'VENDOR / COO' },
+        { column: 'D', text: 'SUPPLIER CONTACT' }
+    ]
+});
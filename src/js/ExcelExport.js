@@ -0,0 +1,365 @@
+/**
+ * Excel Results Export
+ * Writes a tab's structured results (see StructuredResults.js) to an .xlsx report:
+ * - Summary sheet: one row per Buyer CBD with pass/fail counts, linked to its detail sheet
+ * - One detail sheet per Buyer CBD: rule, cell address, expected (with its tolerance) vs actual and status
+ * Status rows get a conditional fill (VALID green, WARNING amber, INVALID red, WAIVED blue); formula
+ * check warnings (severity 'formula', see FormulaCheck.js) get their own violet fill. Waived rows
+ * carry their waiver (see Waivers.js).
+ *
+ * Also writes annotated copies of the uploaded Buyer CBDs: every evaluated cell is filled with
+ * its status colour and failing cells get a comment with the expected value and rule. The fills and
+ * comments are written into the upload's own package (see WorkbookAnnotator.js), so the rest of the
+ * workbook - charts, images, pivot tables, macros - is kept and the copy can go back to the vendor.
+ *
+ * SheetJS cannot write cell styles, so the report is built with ExcelJS (loaded on first use).
+ */
+
+class ExcelExporter {
+    constructor() {
+        this.excelJSLoaded = false;
+
+        this.statusFills = {
+            VALID: { fill: 'FFD1FAE5', font: 'FF065F46' },
+            WARNING: { fill: 'FFFEF3C7', font: 'FFD97706' },
+            INVALID: { fill: 'FFFEE2E2', font: 'FF991B1B' },
+            WAIVED: { fill: 'FFE0F2FE', font: 'FF075985' }
+        };
+        this.formulaFill = { fill: 'FFEDE9FE', font: 'FF5B21B6' };
+
+        this.detailColumns = [
+            { header: 'Sheet', key: 'sheet', width: 20 },
+            { header: 'Rule ID', key: 'ruleId', width: 30 },
+            { header: 'Rule', key: 'rule', width: 50 },
+            { header: 'Cell', key: 'cell', width: 10 },
+            { header: 'Expected', key: 'expected', width: 24 },
+            { header: 'Tolerance', key: 'tolerance', width: 30 },
+            { header: 'Actual', key: 'actual', width: 24 },
+            { header: 'Status', key: 'status', width: 12 },
+            { header: 'Severity', key: 'severity', width: 10 },
+            { header: 'Waiver', key: 'waiver', width: 40 }
+        ];
+    }
+
+    /**
+     * Load ExcelJS library dynamically
+     */
+    async loadExcelJS() {
+        return new Promise((resolve, reject) => {
+            if (typeof window.ExcelJS !== 'undefined') {
+                this.excelJSLoaded = true;
+                resolve();
+                return;
+            }
+
+            const script = document.createElement('script');
+            script.src = 'js/vendor/exceljs.min.js';
+            script.onload = () => {
+                console.log('ExcelJS loaded successfully');
+                this.excelJSLoaded = true;
+                resolve();
+            };
+            script.onerror = () => {
+                reject(new Error('Failed to load ExcelJS library'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Export a tab's last results to Excel
+     */
+    async exportResults(id) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry || !entry.results || entry.results.length === 0) {
+            alert('No results to export. Please generate results first.');
+            return;
+        }
+
+        try {
+            if (!this.excelJSLoaded) {
+                await this.loadExcelJS();
+            }
+
+            const workbook = this.buildWorkbook(entry);
+            const buffer = await workbook.xlsx.writeBuffer();
+
+            const timestamp = new Date().toISOString().slice(0, 10);
+            const filename = `${entry.shortName || entry.id}_Validation_Results_${timestamp}.xlsx`;
+            this.download(buffer, filename);
+
+            console.log('Excel exported successfully:', filename);
+
+        } catch (error) {
+            console.error('Error exporting Excel:', error);
+            alert('Failed to export Excel. Please try again.');
+        }
+    }
+
+    /**
+     * Download an annotated copy of each Buyer CBD of a tab's last run
+     * Only .xlsx / .xlsm workbooks can be annotated; copies keep the upload's extension
+     */
+    async exportAnnotated(id) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry || !entry.results || entry.results.length === 0) {
+            alert('No results to export. Please generate results first.');
+            return;
+        }
+
+        // Sheets validated one by one ("file.xlsx › Sheet") are annotated together in their upload
+        const uploads = new Map();      // uploaded file → records of its run files
+        (entry.files || []).forEach(file => {
+            const records = entry.results.filter(record => record.file === file.name);
+            if (records.length === 0) return;
+
+            const source = window.workbookReader.sourceOf(file);
+            uploads.set(source, (uploads.get(source) || []).concat(records));
+        });
+
+        const files = [...uploads.keys()];
+        const annotatable = files.filter(file => /\.xls[xm]$/i.test(file.name));
+        const skipped = files.filter(file => !annotatable.includes(file));
+
+        if (annotatable.length === 0) {
+            alert('Annotated copies can only be made of .xlsx or .xlsm Buyer CBD files.');
+            return;
+        }
+
+        try {
+            for (const file of annotatable) {
+                const buffer = window.workbookAnnotator.annotate(await file.arrayBuffer(), this.getAnnotations(uploads.get(file)));
+                const extension = file.name.match(/\.xls[xm]$/i)[0];
+                this.download(buffer, `${file.name.slice(0, -extension.length)}_annotated${extension}`,
+                    /\.xlsm$/i.test(extension) ? 'application/vnd.ms-excel.sheet.macroEnabled.12' : undefined);
+            }
+
+            console.log(`Exported ${annotatable.length} annotated Buyer CBD file(s)`);
+
+            if (skipped.length > 0) {
+                alert(`These files are not .xlsx/.xlsm and were not annotated:\n\n${skipped.map(file => file.name).join('\n')}`);
+            }
+
+        } catch (error) {
+            console.error('Error exporting annotated Buyer CBD:', error);
+            alert('Failed to export the annotated Buyer CBD. Please try again.');
+        }
+    }
+
+    /**
+     * Fill and comment of every evaluated cell (see WorkbookAnnotator.js)
+     * A cell checked by several rules gets the worst status and one comment line per failing rule.
+     */
+    getAnnotations(records) {
+        const cells = new Map();
+        records.forEach(record => {
+            if (!record.sheet || !/^[A-Z]{1,3}\d+$/.test(record.cell || '')) return;
+
+            const key = `${record.sheet}!${record.cell}`;
+            if (!cells.has(key)) {
+                cells.set(key, { sheet: record.sheet, cell: record.cell, records: [] });
+            }
+            cells.get(key).records.push(record);
+        });
+
+        return [...cells.values()].map(({ sheet, cell, records: cellRecords }) => {
+            const overall = window.structuredResults.getOverallStatus(cellRecords);
+            const status = overall === 'VALID' && cellRecords.some(record => record.status === 'WAIVED') ? 'WAIVED' : overall;
+
+            const failing = cellRecords.filter(record => record.status !== 'VALID');
+            const note = failing.map(record =>
+                `${record.status}: expected ${record.expected ?? '-'}${record.tolerance ? ` (${record.tolerance})` : ''}, found ${record.actual ?? '-'}\nRule: ${record.rule}` +
+                (record.waiver ? `\nWaiver: ${window.waivers.describe(record.waiver)}` : '')
+            ).join('\n\n');
+
+            return { sheet, cell, fill: this.statusFills[status].fill, note };
+        });
+    }
+
+    /**
+     * Build the report workbook - summary sheet first, then one detail sheet per file
+     */
+    buildWorkbook(entry) {
+        const sr = window.structuredResults;
+        const workbook = new window.ExcelJS.Workbook();
+        workbook.created = new Date();
+
+        const summary = sr.summarize(entry.results);
+        const usedNames = new Set(['summary']);
+        const detailSheets = summary.map(fileSummary => ({
+            fileSummary: fileSummary,
+            sheetName: this.getSheetName(fileSummary.file, usedNames)
+        }));
+
+        this.addSummarySheet(workbook, entry, detailSheets);
+
+        detailSheets.forEach(({ fileSummary, sheetName }) => {
+            const records = entry.results.filter(record => record.file === fileSummary.file);
+            this.addDetailSheet(workbook, sheetName, records);
+        });
+
+        return workbook;
+    }
+
+    addSummarySheet(workbook, entry, detailSheets) {
+        const sheet = workbook.addWorksheet('Summary');
+
+        sheet.getCell('A1').value = `${entry.name} Validation Results`;
+        sheet.getCell('A1').font = { bold: true, size: 14 };
+        sheet.getCell('A2').value = `Generated: ${new Date().toLocaleString()}`;
+        if (entry.ruleVersion) {
+            sheet.getCell('A3').value = `Rules applied: ${entry.ruleVersion.label}`;
+        }
+
+        const headerRow = 4;
+        const headers = ['File', 'Checks', 'Valid', 'Warnings', 'Invalid', 'Formula', 'Waived', 'Status'];
+        this.setRowValues(sheet.getRow(headerRow), headers);
+        this.styleHeaderRow(sheet.getRow(headerRow));
+
+        detailSheets.forEach(({ fileSummary, sheetName }, index) => {
+            const row = sheet.getRow(headerRow + 1 + index);
+            this.setRowValues(row, [
+                {
+                    text: fileSummary.file,
+                    hyperlink: `#'${sheetName.replace(/'/g, "''")}'!A1`
+                },
+                fileSummary.total,
+                fileSummary.valid,
+                fileSummary.warning,
+                fileSummary.invalid,
+                fileSummary.formula,
+                fileSummary.waived,
+                fileSummary.status
+            ]);
+            row.getCell(1).font = { color: { argb: 'FF2B4A6C' }, underline: true };
+        });
+
+        [45, 10, 10, 10, 10, 10, 10, 12].forEach((width, index) => {
+            sheet.getColumn(index + 1).width = width;
+        });
+
+        const lastRow = headerRow + detailSheets.length;
+        this.addStatusFormatting(sheet, `A${headerRow + 1}:H${lastRow}`, `$H${headerRow + 1}`);
+        sheet.views = [{ state: 'frozen', ySplit: headerRow }];
+    }
+
+    addDetailSheet(workbook, sheetName, records) {
+        const sheet = workbook.addWorksheet(sheetName);
+        sheet.columns = this.detailColumns;
+        this.styleHeaderRow(sheet.getRow(1));
+
+        records.forEach(record => {
+            sheet.addRow({
+                sheet: record.sheet,
+                ruleId: record.ruleId,
+                rule: record.rule,
+                cell: record.cell,
+                expected: record.expected,
+                tolerance: record.tolerance,
+                actual: record.actual,
+                status: record.status,
+                severity: record.severity,
+                waiver: record.waiver ? window.waivers.describe(record.waiver) : ''
+            });
+        });
+
+        sheet.getColumn('rule').alignment = { wrapText: true, vertical: 'top' };
+        sheet.getColumn('waiver').alignment = { wrapText: true, vertical: 'top' };
+
+        const lastRow = records.length + 1;
+        this.addStatusFormatting(sheet, `A2:J${lastRow}`, '$H2', '$I2');
+        sheet.autoFilter = `A1:J${lastRow}`;
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    }
+
+    setRowValues(row, values) {
+        values.forEach((value, index) => {
+            row.getCell(index + 1).value = value;
+        });
+    }
+
+    styleHeaderRow(row) {
+        row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        row.eachCell(cell => {
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2B4A6C' } };
+        });
+    }
+
+    /**
+     * Conditional fill on a range, keyed on the status cell of each row
+     * With a severity cell, formula check rows take the formula fill before their status fill
+     */
+    addStatusFormatting(sheet, ref, statusCell, severityCell) {
+        const conditions = Object.entries(this.statusFills).map(([status, colors]) => ({
+            formula: `${statusCell}="${status}"`,
+            colors: colors
+        }));
+        if (severityCell) {
+            conditions.unshift({ formula: `${severityCell}="formula"`, colors: this.formulaFill });
+        }
+
+        sheet.addConditionalFormatting({
+            ref: ref,
+            rules: conditions.map((condition, index) => ({
+                type: 'expression',
+                priority: index + 1,
+                formulae: [condition.formula],
+                style: {
+                    fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: condition.colors.fill } },
+                    font: { color: { argb: condition.colors.font } }
+                }
+            }))
+        });
+    }
+
+    /**
+     * Worksheet name from a file name - max 31 chars, no []:*?/\ and unique in the workbook
+     */
+    getSheetName(fileName, usedNames) {
+        const base = fileName
+            .replace(/\.[^/.]+$/, '')
+            .replace(/[[\]:*?/\\]/g, '_')
+            .replace(/^'+|'+$/g, '')
+            .trim() || 'File';
+
+        let name = base.slice(0, 31).trim();
+        for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+            const suffix = ` (${i})`;
+            name = base.slice(0, 31 - suffix.length).trim() + suffix;
+        }
+
+        usedNames.add(name.toLowerCase());
+        return name;
+    }
+
+    download(buffer, filename, type = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+        const blob = new Blob([buffer], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * "Export to Excel" and "Annotated CBD" buttons placed next to a tab's Export button
+     */
+    getExportButtonHTML(id) {
+        return `
+            <button onclick="window.excelExporter.exportResults('${id}')" class="export-btn excel-export-btn">
+                Export to Excel
+            </button>
+            <button onclick="window.excelExporter.exportAnnotated('${id}')" class="export-btn annotated-export-btn"
+                title="Download the uploaded Buyer CBD with checked cells highlighted">
+                Annotated CBD
+            </button>
+        `;
+    }
+}
+
+// Initialize global instance
+window.excelExporter = new ExcelExporter();
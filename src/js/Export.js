@@ -1,11 +1,32 @@
 /**
  * Unified PDF Export Module
- * Supports different templates (TNF, Burton, and future templates) with varying table formats
+ * Renders a tab's structured results (see StructuredResults.js) as a PDF report.
+ * Each template only describes its layout (title, filename, columns) in export/<brand>_export.js;
+ * rows, statuses and colours come from the processor's own result records.
  */
 
 class PDFExporter {
     constructor() {
         this.jsPDFLoaded = false;
+
+        this.statusColors = {
+            VALID: [6, 95, 70],      // #065f46
+            WARNING: [217, 119, 6],  // #d97706
+            INVALID: [153, 27, 27],  // #991b1b
+            WAIVED: [7, 89, 133]     // #075985 - accepted exceptions (see Waivers.js)
+        };
+        this.formulaColor = [91, 33, 182]; // #5b21b6 - formula check warnings (see FormulaCheck.js)
+
+        // Record fields coloured with the record's status
+        this.statusColumns = ['actual', 'status'];
+
+        this.defaultColumns = [
+            { header: 'Check', field: 'rule', width: 120 },
+            { header: 'Cell', field: 'cell', width: 20 },
+            { header: 'Expected', field: 'expected', width: 55 },
+            { header: 'Actual', field: 'actual', width: 55 },
+            { header: 'Status', field: 'status', width: 25 }
+        ];
     }
 
     /**
@@ -20,10 +41,10 @@ class PDFExporter {
             }
 
             const jsPDFScript = document.createElement('script');
-            jsPDFScript.src = 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js';
+            jsPDFScript.src = 'js/vendor/jspdf.umd.min.js';
             jsPDFScript.onload = () => {
                 const autoTableScript = document.createElement('script');
-                autoTableScript.src = 'https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.5.31/jspdf.plugin.autotable.min.js';
+                autoTableScript.src = 'js/vendor/jspdf.plugin.autotable.min.js';
                 autoTableScript.onload = () => {
                     console.log('jsPDF and autoTable loaded successfully');
                     this.jsPDFLoaded = true;
@@ -42,32 +63,26 @@ class PDFExporter {
     }
 
     /**
-     * Export to PDF with template configuration
-     * @param {Object} config - Export configuration
-     * @param {string} config.title - PDF title
-     * @param {string} config.tableId - HTML table ID to export
-     * @param {string} config.summarySelector - CSS selector for summary element
-     * @param {string} config.filenamePrefix - Prefix for the exported filename
-     * @param {Array} config.columnWidths - Array of column widths in mm
-     * @param {Object} config.colorRules - Color coding rules for cells
+     * Export a processor's structured results (see StructuredResults.js) to PDF
+     * One page section per Buyer CBD; row text and colours come straight from the records,
+     * so the PDF always shows the status the processor decided.
+     * @param {Object} layout - Layout from export/<brand>_export.js
+     * @param {string} layout.title - PDF title
+     * @param {string} layout.filenamePrefix - Prefix for the exported filename
+     * @param {Array} layout.columns - [{ header, field, width }] where field is a record key
+     * @param {number} [layout.decimals] - Fixed decimals for numeric values
+     * @param {Array} records - Structured result records
+     * @param {Object} [processor] - Processor of the records; its last run's rule version is printed and
+     *                               its registry records are used when there are any
      */
-    async exportToPDF(config) {
-        const {
-            title,
-            tableId,
-            summarySelector,
-            filenamePrefix,
-            columnWidths,
-            colorRules
-        } = config;
-
-        const table = document.getElementById(tableId);
-
-        if (!table) {
+    async exportResultsToPDF(layout, records, processor) {
+        if (!records || records.length === 0) {
             alert('No results to export. Please generate results first.');
             return;
         }
 
+        const columns = layout.columns || this.defaultColumns;
+
         try {
             // Load jsPDF if not already loaded
             if (!this.jsPDFLoaded) {
@@ -80,7 +95,7 @@ class PDFExporter {
             // Add title
             doc.setFontSize(18);
             doc.setFont(undefined, 'bold');
-            doc.text(title, 14, 15);
+            doc.text(layout.title, 14, 15);
 
             // Add timestamp
             doc.setFontSize(10);
@@ -88,143 +103,31 @@ class PDFExporter {
             const timestamp = new Date().toLocaleString();
             doc.text(`Generated: ${timestamp}`, 14, 22);
 
-            // Get summary information
-            let summaryHeight = 28;
-            if (summarySelector) {
-                const summaryDiv = document.querySelector(summarySelector);
-                if (summaryDiv) {
-                    const summaryText = summaryDiv.textContent.trim();
-                    doc.setFontSize(9);
-                    const lines = doc.splitTextToSize(summaryText, 260);
-                    doc.text(lines, 14, 28);
-                    summaryHeight = 28 + (lines.length * 4) + 5;
-                }
-            }
+            let currentY = 28;
 
-            // Prepare table data
-            const tableData = this.extractTableData(table, colorRules);
+            const entry = processor && window.processorRegistry.getAll().find(e => e.processor === processor);
+            if (entry && entry.ruleVersion) {
+                doc.text(`Rules applied: ${entry.ruleVersion.label}`, 14, 27);
+                currentY = 33;
+            }
 
-            // Calculate column widths
-            const colStyles = {};
-            if (columnWidths && columnWidths.length > 0) {
-                columnWidths.forEach((width, index) => {
-                    colStyles[index] = { cellWidth: width };
-                });
+            // The registry's records of the run also hold the formula check's (see FormulaCheck.js)
+            if (entry && entry.results && entry.results.length > 0) {
+                records = entry.results;
             }
 
-            // Add table using autoTable plugin
-            doc.autoTable({
-                head: tableData.headers,
-                body: tableData.rows,
-                startY: summaryHeight,
-                styles: {
-                    fontSize: 7,
-                    cellPadding: 2,
-                    overflow: 'linebreak',
-                    cellWidth: 'wrap'
-                },
-                headStyles: {
-                    fillColor: [43, 74, 108],
-                    textColor: [255, 255, 255],
-                    fontStyle: 'bold',
-                    halign: 'center'
-                },
-                columnStyles: colStyles,
-                alternateRowStyles: {
-                    fillColor: [245, 245, 245]
-                },
-                margin: { top: 10, right: 10, bottom: 10, left: 10 },
-                didParseCell: (data) => {
-                    if (data.section === 'body') {
-                        this.applyCellColorRules(data, colorRules, tableData.cellStatuses);
-                    }
+            const colStyles = {};
+            columns.forEach((column, index) => {
+                if (column.width) {
+                    colStyles[index] = { cellWidth: column.width };
                 }
             });
 
-            // Add page numbers
-            const pageCount = doc.internal.getNumberOfPages();
-            for (let i = 1; i <= pageCount; i++) {
-                doc.setPage(i);
-                doc.setFontSize(8);
-                doc.text(
-                    `Page ${i} of ${pageCount}`,
-                    doc.internal.pageSize.getWidth() / 2,
-                    doc.internal.pageSize.getHeight() - 10,
-                    { align: 'center' }
-                );
-            }
+            const summaries = window.structuredResults.summarize(records);
 
-            // Generate filename with date
-            const now = new Date();
-            const date = now.toISOString().slice(0, 10);
-            const filename = `${filenamePrefix}_${date}.pdf`;
-
-            // Save the PDF
-            doc.save(filename);
+            summaries.forEach((summary, fileIndex) => {
+                const fileRecords = records.filter(record => record.file === summary.file);
 
-            console.log('PDF exported successfully:', filename);
-
-        } catch (error) {
-            console.error('Error exporting PDF:', error);
-            alert('Failed to export PDF. Please try again.');
-        }
-    }
-
-    /**
-     * Export multiple file results to PDF (for templates with multiple file groups)
-     * @param {Object} config - Export configuration
-     */
-    async exportMultiFileToPDF(config) {
-        const {
-            title,
-            fileResults,
-            filenamePrefix,
-            columnWidths,
-            colorRules,
-            headers,
-            extractRowData
-        } = config;
-
-        if (!fileResults || fileResults.length === 0) {
-            alert('No results to export. Please generate results first.');
-            return;
-        }
-
-        try {
-            // Load jsPDF if not already loaded
-            if (!this.jsPDFLoaded) {
-                await this.loadJsPDF();
-            }
-
-            const { jsPDF } = window.jspdf;
-            const doc = new jsPDF('l', 'mm', 'a4');
-
-            // Add title
-            doc.setFontSize(18);
-            doc.setFont(undefined, 'bold');
-            doc.text(title, 14, 15);
-
-            // Add timestamp
-            doc.setFontSize(10);
-            doc.setFont(undefined, 'normal');
-            const timestamp = new Date().toLocaleString();
-            doc.text(`Generated: ${timestamp}`, 14, 22);
-
-            let currentY = 28;
-
-            // Calculate column widths
-            const colStyles = {};
-            if (columnWidths && columnWidths.length > 0) {
-                columnWidths.forEach((width, index) => {
-                    colStyles[index] = { cellWidth: width };
-                });
-            }
-
-            // Process each file result
-            for (let fileIndex = 0; fileIndex < fileResults.length; fileIndex++) {
-                const fileResult = fileResults[fileIndex];
-
-                // Add page break if not the first file and not enough space
                 if (fileIndex > 0) {
                     doc.addPage();
                     currentY = 15;
@@ -233,40 +136,22 @@ class PDFExporter {
                 // Add file name
                 doc.setFontSize(12);
                 doc.setFont(undefined, 'bold');
-                doc.text(`File: ${fileResult.fileName}`, 14, currentY);
+                doc.text(`File: ${summary.file}`, 14, currentY);
                 currentY += 6;
 
-                // Add summary if provided
-                if (fileResult.summary) {
-                    doc.setFontSize(10);
-                    doc.setFont(undefined, 'normal');
-                    doc.text(fileResult.summary, 14, currentY);
-                    currentY += 8;
-                }
-
-                // Extract table data using the provided function
-                const extractedData = extractRowData(fileResult);
-
-                // Handle both formats: array of rows or object with rows and cellStatuses
-                let rows, cellStatuses;
-                if (Array.isArray(extractedData)) {
-                    rows = extractedData;
-                    cellStatuses = fileResult.cellStatuses || [];
-                } else {
-                    rows = extractedData.rows || [];
-                    cellStatuses = extractedData.cellStatuses || fileResult.cellStatuses || [];
-                }
+                doc.setFontSize(10);
+                doc.setFont(undefined, 'normal');
+                doc.text(this.getSummaryText(summary), 14, currentY);
+                currentY += 8;
 
-                // Add table using autoTable plugin
                 doc.autoTable({
-                    head: [headers],
-                    body: rows,
+                    head: [columns.map(column => column.header)],
+                    body: fileRecords.map(record => columns.map(column => this.formatCell(record, column, layout))),
                     startY: currentY,
                     styles: {
                         fontSize: 8,
                         cellPadding: 3,
-                        overflow: 'linebreak',
-                        cellWidth: 'wrap'
+                        overflow: 'linebreak'
                     },
                     headStyles: {
                         fillColor: [43, 74, 108],
@@ -282,13 +167,13 @@ class PDFExporter {
                     margin: { top: 10, right: 10, bottom: 10, left: 10 },
                     didParseCell: (data) => {
                         if (data.section === 'body') {
-                            this.applyCellColorRules(data, colorRules, cellStatuses);
+                            this.applyStatusColor(data, columns[data.column.index], fileRecords[data.row.index]);
                         }
                     }
                 });
 
                 currentY = doc.lastAutoTable.finalY + 10;
-            }
+            });
 
             // Add page numbers
             const pageCount = doc.internal.getNumberOfPages();
@@ -306,7 +191,7 @@ class PDFExporter {
             // Generate filename with date
             const now = new Date();
             const date = now.toISOString().slice(0, 10);
-            const filename = `${filenamePrefix}_${date}.pdf`;
+            const filename = `${layout.filenamePrefix}_${date}.pdf`;
 
             // Save the PDF
             doc.save(filename);
@@ -319,443 +204,266 @@ class PDFExporter {
         }
     }
 
+    getSummaryText(summary) {
+        return `Summary: ${summary.valid} of ${summary.total} checks valid, ` +
+            `${summary.warning} warning(s)${summary.formula > 0 ? ` (${summary.formula} formula)` : ''}, ` +
+            `${summary.invalid} invalid${summary.waived > 0 ? `, ${summary.waived} waived` : ''}`;
+    }
+
     /**
-     * Extract table data from HTML table
-     * @param {HTMLElement} table - The table element
-     * @param {Object} colorRules - Color coding rules
-     * @returns {Object} - Headers, rows, and cell statuses
+     * Cell text for a record field; the expected value carries the rule's tolerance policy and
+     * the status of a waived record its waiver
      */
-    extractTableData(table, colorRules) {
-        const headers = [];
-        const rows = [];
-        const cellStatuses = []; // Track status for each cell [rowIndex][colIndex]
-
-        // Extract headers (skip filter row if exists)
-        const headerRows = table.querySelectorAll('thead tr');
-        if (headerRows.length > 0) {
-            const headerCells = headerRows[0].querySelectorAll('th');
-            headerCells.forEach(cell => {
-                headers.push(cell.textContent.trim());
-            });
+    formatCell(record, column, layout) {
+        const text = this.formatValue(record[column.field], layout);
+        if (column.field === 'expected' && record.tolerance) {
+            return `${text}\n(${record.tolerance})`;
         }
-
-        // Extract rows from tbody
-        const tbody = table.querySelector('tbody');
-        if (tbody) {
-            const bodyRows = tbody.querySelectorAll('tr');
-
-            bodyRows.forEach((row, rowIndex) => {
-                const rowData = [];
-                const rowStatuses = [];
-                const cells = row.querySelectorAll('td');
-
-                cells.forEach((cell, colIndex) => {
-                    const { text, status } = this.extractCellContent(cell, colIndex, colorRules);
-                    rowData.push(text);
-                    rowStatuses.push(status);
-                });
-
-                rows.push(rowData);
-                cellStatuses.push(rowStatuses);
-            });
+        if (column.field === 'status' && record.waiver) {
+            return `${text}\n${window.waivers.describe(record.waiver)}`;
         }
-
-        return {
-            headers: [headers],
-            rows: rows,
-            cellStatuses: cellStatuses
-        };
+        return text;
     }
 
     /**
-     * Extract cell content and determine its status
-     * @param {HTMLElement} cell - The cell element
-     * @param {number} colIndex - Column index
-     * @param {Object} colorRules - Color coding rules
-     * @returns {Object} - Text content and status
+     * Cell text for a record value - numbers are rounded to the layout's decimals
      */
-    extractCellContent(cell, colIndex, colorRules) {
-        let text = '';
-        let status = 'normal';
-
-        // Check for strong elements (file names, product IDs)
-        const strong = cell.querySelector('strong');
-        const divs = cell.querySelectorAll('div');
-        const spans = cell.querySelectorAll('span');
-
-        if (strong) {
-            text = strong.textContent.trim();
-            if (divs.length > 0) {
-                divs.forEach(div => {
-                    text += '\n' + div.textContent.trim();
-                });
-            }
-        } else if (spans.length > 0) {
-            // Extract status from span styles
-            const textParts = [];
-            spans.forEach(span => {
-                const spanText = span.textContent.trim();
-                const style = span.getAttribute('style') || '';
-
-                // Determine status based on color
-                if (style.includes('#065f46') || style.includes('rgb(6, 95, 70)')) {
-                    status = 'valid'; // Green
-                } else if (style.includes('#d97706') || style.includes('rgb(217, 119, 6)')) {
-                    status = 'warning'; // Yellow/Orange
-                } else if (style.includes('#991b1b') || style.includes('rgb(153, 27, 27)')) {
-                    status = 'invalid'; // Red
-                }
-
-                // Skip "Expected:" text for cleaner PDF
-                if (!spanText.includes('Expected:')) {
-                    textParts.push(spanText);
-                }
-            });
-            text = textParts.join(' ');
-
-            // Check for specific status indicators in text
-            if (cell.textContent.includes('FOUND') && cell.textContent.includes('✓')) {
-                status = 'valid';
-                text = '✓ FOUND';
-            } else if (cell.textContent.includes('NOT FOUND') && cell.textContent.includes('✗')) {
-                status = 'invalid';
-                text = '✗ NOT FOUND';
-            } else if (cell.textContent.includes('Cell Empty')) {
-                status = 'invalid';
-            } else if (cell.textContent.includes('Expected:')) {
-                // Has expected value means there's a mismatch
-                if (status === 'normal') {
-                    status = 'warning';
-                }
-            }
-        } else {
-            text = cell.textContent.trim();
+    formatValue(value, layout) {
+        if (value === null || value === undefined || value === '') return '-';
+        if (typeof value === 'number') {
+            return layout.decimals !== undefined
+                ? value.toFixed(layout.decimals)
+                : String(parseFloat(value.toFixed(6)));
         }
-
-        // Clean up extra whitespace
-        text = text.replace(/\s+/g, ' ').trim();
-
-        return { text, status };
+        return String(value);
     }
 
     /**
-     * Apply color rules to cells during PDF generation
-     * @param {Object} data - autoTable cell data
-     * @param {Object} colorRules - Color coding rules
-     * @param {Array} cellStatuses - Cell status matrix
+     * Colour the actual value and status columns with the record's status (formula warnings in violet)
      */
-    applyCellColorRules(data, colorRules, cellStatuses) {
-        const rowIndex = data.row.index;
-        const colIndex = data.column.index;
-        const cellText = data.cell.text[0] || '';
-
-        // Get status from cellStatuses if available
-        let status = 'normal';
-        if (cellStatuses && cellStatuses[rowIndex] && cellStatuses[rowIndex][colIndex]) {
-            status = cellStatuses[rowIndex][colIndex];
-        }
-
-        // Color codes
-        const GREEN = [6, 95, 70];      // #065f46 - Valid
-        const YELLOW = [217, 119, 6];   // #d97706 - Warning
-        const RED = [153, 27, 27];      // #991b1b - Invalid
-
-        // Apply colors based on status
-        if (status === 'valid') {
-            data.cell.styles.textColor = GREEN;
-            data.cell.styles.fontStyle = 'bold';
-        } else if (status === 'warning') {
-            data.cell.styles.textColor = YELLOW;
-            data.cell.styles.fontStyle = 'bold';
-        } else if (status === 'invalid') {
-            data.cell.styles.textColor = RED;
-            data.cell.styles.fontStyle = 'bold';
-        }
-
-        // Additional text-based color detection as fallback
-        if (status === 'normal') {
-            // Check for FOUND/NOT FOUND status
-            if (cellText.includes('✓ FOUND') || cellText.includes('✓FOUND')) {
-                data.cell.styles.textColor = GREEN;
-                data.cell.styles.fontStyle = 'bold';
-            } else if (cellText.includes('✗ NOT FOUND') || cellText.includes('✗NOT FOUND')) {
-                data.cell.styles.textColor = RED;
-                data.cell.styles.fontStyle = 'bold';
-            }
-            // Check for Empty or error indicators
-            else if (cellText.includes('Empty') || cellText.includes('⚠️')) {
-                data.cell.styles.textColor = RED;
-                data.cell.styles.fontStyle = 'bold';
-            }
-            // Check for Expected: indicator (mismatch)
-            else if (cellText.includes('Expected:')) {
-                data.cell.styles.textColor = YELLOW;
-                data.cell.styles.fontStyle = 'bold';
-            }
-            // Check for BCBD/OB comparison with difference
-            else if (cellText.includes('BCBD:') && cellText.includes('OB Total SMV:')) {
-                const diffMatch = cellText.match(/\([\+\-]([\d.]+)\)/);
-                if (diffMatch) {
-                    const difference = parseFloat(diffMatch[1]);
-                    if (difference <= 0.01) {
-                        data.cell.styles.textColor = YELLOW;
-                    } else {
-                        data.cell.styles.textColor = RED;
-                    }
-                    data.cell.styles.fontStyle = 'bold';
-                }
-            }
-        }
+    applyStatusColor(data, column, record) {
+        if (!column || !record || !this.statusColumns.includes(column.field)) return;
 
-        // Apply template-specific color rules if provided
-        if (colorRules && colorRules.columns && colorRules.columns[colIndex]) {
-            const colRule = colorRules.columns[colIndex];
-            if (colRule.validator) {
-                const validationResult = colRule.validator(cellText);
-                if (validationResult === 'valid') {
-                    data.cell.styles.textColor = GREEN;
-                    data.cell.styles.fontStyle = 'bold';
-                } else if (validationResult === 'warning') {
-                    data.cell.styles.textColor = YELLOW;
-                    data.cell.styles.fontStyle = 'bold';
-                } else if (validationResult === 'invalid') {
-                    data.cell.styles.textColor = RED;
-                    data.cell.styles.fontStyle = 'bold';
-                }
-            }
-        }
+        data.cell.styles.textColor = record.severity === 'formula'
+            ? this.formulaColor
+            : this.statusColors[record.status];
+        data.cell.styles.fontStyle = 'bold';
     }
 
     /**
-     * Create TNF (V1) export configuration
-     * Delegates to external configuration file
-     * @returns {Object} - Configuration object for TNF export
+     * Create TNF (V1) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for TNF export
      */
     createTNFConfig() {
         return createTNFConfig();
     }
 
     /**
-     * Create Fjall Raven (V5) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Fjall Raven processor
-     * @returns {Object} - Configuration object for Fjall Raven export
+     * Create Fjall Raven (V5) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Fjall Raven export
+     */
+    createFjallRavenConfig() {
+        return createFjallRavenConfig();
+    }
+
+    /**
+     * Create Helly Hansen (V4) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Helly Hansen export
      */
-    createFjallRavenConfig(fileResults) {
-        return createFjallRavenConfig(fileResults);
+    createHellyHansenConfig() {
+        return createHellyHansenConfig();
     }
 
     /**
-     * Create Helly Hansen (V4) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Helly Hansen processor
-     * @param {Function} formatToFourDecimals - Helper function to format decimals
-     * @returns {Object} - Configuration object for Helly Hansen export
+     * Create Columbia (V3) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Columbia export
      */
-    createHellyHansenConfig(fileResults, formatToFourDecimals) {
-        return createHellyHansenConfig(fileResults, formatToFourDecimals);
+    createColumbiaConfig() {
+        return createColumbiaConfig();
     }
 
     /**
-     * Create Columbia (V3) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Columbia processor
-     * @param {Function} formatToThreeDecimals - Helper function to format decimals
-     * @returns {Object} - Configuration object for Columbia export
+     * Create Outdoor Research (V8) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Outdoor Research export
      */
-    createColumbiaConfig(fileResults, formatToThreeDecimals) {
-        return createColumbiaConfig(fileResults, formatToThreeDecimals);
+    createOutdoorResearchConfig() {
+        return createOutdoorResearchConfig();
     }
 
     /**
-     * Create Outdoor Research (V8) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Outdoor Research processor
-     * @returns {Object} - Configuration object for Outdoor Research export
+     * Create Mammut (V7) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Mammut export
      */
-    createOutdoorResearchConfig(fileResults) {
-        return createOutdoorResearchConfig(fileResults);
+    createMammutConfig() {
+        return createMammutConfig();
     }
 
     /**
-     * Create Mammut (V7) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Mammut processor
-     * @returns {Object} - Configuration object for Mammut export
+     * Create LLBEAN (V6) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for LLBEAN export
      */
-    createMammutConfig(fileResults) {
-        return createMammutConfig(fileResults);
+    createLLBEANConfig() {
+        return createLLBEANConfig();
     }
 
     /**
-     * Create LLBEAN (V6) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from LLBEAN processor
-     * @returns {Object} - Configuration object for LLBEAN export
+     * Create Burton (V2) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Burton export
      */
-    createLLBEANConfig(fileResults) {
-        return createLLBEANConfig(fileResults);
+    createBurtonConfig() {
+        return createBurtonConfig();
     }
 
     /**
-     * Create Burton (V2) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Burton processor
-     * @param {Function} formatToThreeDecimals - Helper function to format decimals
-     * @returns {Object} - Configuration object for Burton export
+     * Create On AG (V9) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for On AG export
      */
-    createBurtonConfig(fileResults, formatToThreeDecimals) {
-        return createBurtonConfig(fileResults, formatToThreeDecimals);
+    createOnAGConfig() {
+        return createOnAGConfig();
     }
 
     /**
-     * Create On AG (V9) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from On AG processor
-     * @returns {Object} - Configuration object for On AG export
+     * Create Peak Performance (V10) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Peak Performance export
      */
-    createOnAGConfig(fileResults) {
-        return createOnAGConfig(fileResults);
+    createPeakPerformanceConfig() {
+        return createPeakPerformanceConfig();
     }
 
     /**
-     * Create Peak Performance (V10) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Peak Performance processor
-     * @returns {Object} - Configuration object for Peak Performance export
+     * Create Skida (V11) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Skida export
      */
-    createPeakPerformanceConfig(fileResults) {
-        return createPeakPerformanceConfig(fileResults);
+    createSkidaConfig() {
+        return createSkidaConfig();
     }
 
     /**
-     * Create Skida (V11) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Skida processor
-     * @returns {Object} - Configuration object for Skida export
+     * Create Vuori (V12) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Vuori export
      */
-    createSkidaConfig(fileResults) {
-        return createSkidaConfig(fileResults);
+    createVuoriConfig() {
+        return createVuoriConfig();
     }
 
     /**
-     * Create Vuori (V12) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Vuori processor
-     * @returns {Object} - Configuration object for Vuori export
+     * Create Prana (V13) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Prana export
      */
-    createVuoriConfig(fileResults) {
-        return createVuoriConfig(fileResults);
+    createPranaConfig() {
+        return createPranaConfig();
     }
 
     /**
-     * Create Prana (V13) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Prana processor
-     * @returns {Object} - Configuration object for Prana export
+     * Create Travis Matthew (V14) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Travis Matthew export
      */
-    createPranaConfig(fileResults) {
-        return createPranaConfig(fileResults);
+    createTravisMatthewConfig() {
+        return createTravisMatthewConfig();
     }
 
     /**
-     * Create Travis Matthew (V14) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Travis Matthew processor
-     * @returns {Object} - Configuration object for Travis Matthew export
+     * Create Jack Wolfskin (V15) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Jack Wolfskin export
      */
-    createTravisMatthewConfig(fileResults) {
-        return createTravisMatthewConfig(fileResults);
+    createJackWolfskinConfig() {
+        return createJackWolfskinConfig();
     }
 
     /**
-     * Create Jack Wolfskin (V15) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Jack Wolfskin processor
-     * @returns {Object} - Configuration object for Jack Wolfskin export
+     * Create 511 (V16) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for 511 export
      */
-    createJackWolfskinConfig(fileResults) {
-        return createJackWolfskinConfig(fileResults);
+    create511Config() {
+        return create511Config();
     }
 
     /**
-     * Create 511 (V16) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from 511 processor
-     * @returns {Object} - Configuration object for 511 export
+     * Create Ride Store (V17) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Ride Store export
      */
-    create511Config(fileResults) {
-        return create511Config(fileResults);
+    createRideStoreConfig() {
+        return createRideStoreConfig();
     }
 
     /**
-     * Create Ride Store (V17) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Ride Store processor
-     * @returns {Object} - Configuration object for Ride Store export
+     * Create Foot Asylum (V18) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Foot Asylum export
      */
-    createRideStoreConfig(fileResults) {
-        return createRideStoreConfig(fileResults);
+    createFootAsylumConfig() {
+        return createFootAsylumConfig();
     }
 
     /**
-     * Create Foot Asylum (V18) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Foot Asylum processor
-     * @returns {Object} - Configuration object for Foot Asylum export
+     * Create KUHL (V19) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for KUHL export
      */
-    createFootAsylumConfig(fileResults) {
-        return createFootAsylumConfig(fileResults);
+    createKuhlConfig() {
+        return createKuhlConfig();
     }
 
     /**
-     * Create KUHL (V19) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from KUHL processor
-     * @returns {Object} - Configuration object for KUHL export
+     * Create FOX (V20) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for FOX export
      */
-    createKuhlConfig(fileResults) {
-        return createKuhlConfig(fileResults);
+    createFOXConfig() {
+        return createFOXConfig();
     }
 
     /**
-     * Create FOX (V20) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from FOX processor
-     * @returns {Object} - Configuration object for FOX export
+     * Create Haglofs (V21) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Haglofs export
      */
-    createFOXConfig(fileResults) {
-        return createFOXConfig(fileResults);
+    createHaglofsConfig() {
+        return createHaglofsConfig();
     }
 
     /**
-     * Create ODLO (V22) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from ODLO processor
-     * @returns {Object} - Configuration object for ODLO export
+     * Create ODLO (V22) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for ODLO export
      */
-    createODLOConfig(fileResults) {
-        return createODLOConfig(fileResults);
+    createODLOConfig() {
+        return createODLOConfig();
     }
 
     /**
-     * Create Rossignol (V23) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Rossignol processor
-     * @returns {Object} - Configuration object for Rossignol export
+     * Create Rossignol (V23) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Rossignol export
      */
-    createRossignolConfig(fileResults) {
-        return createRossignolConfig(fileResults);
+    createRossignolConfig() {
+        return createRossignolConfig();
     }
 
     /**
-     * Create Cotopaxi (V24) export configuration
-     * Delegates to external configuration file
-     * @param {Array} fileResults - Array of file results from Cotopaxi processor
-     * @returns {Object} - Configuration object for Cotopaxi export
+     * Create Cotopaxi (V24) PDF layout
+     * Delegates to external layout file
+     * @returns {Object} - PDF layout for Cotopaxi export
      */
-    createCotopaxiConfig(fileResults) {
-        return createCotopaxiConfig(fileResults);
+    createCotopaxiConfig() {
+        return createCotopaxiConfig();
     }
 }
 
@@ -11,6 +11,7 @@
  * - Column A "FABRIC / UPPER / SHELL" -> Column E (Wastage%) should be 5% until Column H "SUBTOTAL"
  * - Column B "Sewing Thread" (within FABRIC/UPPER/SHELL section) -> D=1, E=3%, H=0.01, I=0.01, J=0%
  * - Column A "Standard Packaging" -> D=1, E=3%
+ * (defaults - the values can be edited from the rules panel, see RuleOverrides.js)
  * - Column A "LABOR COST" -> Column B should have Knitting, Sewing, Finishing
  * - Column A "OVERHEAD COST" -> Column H should be 0.40
  * - Column A "PROFIT COST" -> Column H should be 0.35-0.45
@@ -19,6 +20,64 @@
 class FOXProcessor {
     constructor() {
         this.bcbdResults = [];
+
+        // Anchored checks, run by the shared rule engine (see RuleEngine.js)
+        this.anchoredRules = {
+            vendor: { name: 'Vendor', markerColumn: 'C', marker: 'vendor', valueColumn: 'D', comparator: 'exact', expected: 'Madison 88 Ltd.' },
+            factory: { name: 'Factory', markerColumn: 'C', marker: 'factory', valueColumn: 'D', comparator: 'exact', expected: 'PT UWU Jump' },
+            coo: { name: 'COO', markerColumn: 'C', marker: 'coo', valueColumn: 'D', comparator: 'exact', expected: 'Indonesia' },
+            overhead: { name: 'OVERHEAD', markerColumn: 'K', marker: 'overhead', valueColumn: 'L', comparator: 'exact', expected: 0.40, tolerance: 0.0001 },
+            profitOthers: { name: 'PROFIT & OTHERS', markerColumn: 'K', marker: 'profit.*others', match: 'regex', valueColumn: 'L', comparator: 'range', min: 0.35, max: 0.45, tolerance: 0.0001 },
+            overheadCost: { name: 'OVERHEAD COST', markerColumn: 'A', marker: 'OVERHEAD COST', match: 'contains', valueColumn: 'H', comparator: 'exact', expected: 0.40, tolerance: 0.0001 },
+            profitCost: { name: 'PROFIT COST', markerColumn: 'A', marker: 'PROFIT COST', match: 'contains', valueColumn: 'H', comparator: 'range', min: 0.35, max: 0.45, tolerance: 0.0001 }
+        };
+
+        // FABRIC / UPPER / SHELL section, run by the shared section scanner (see SectionScanner.js)
+        // Column E wastage is 5% until SUBTOTAL in Column H; Sewing Thread rows have their own values
+        this.shellSection = {
+            name: 'FABRIC / UPPER / SHELL',
+            start: { column: 'A', marker: ['FABRIC', 'UPPER', 'SHELL'], match: 'contains' },
+            end: { column: 'H', marker: 'SUBTOTAL', match: 'contains' },
+            valueColumn: 'E',
+            comparator: 'exact',
+            expected: 0.05,
+            percent: true,
+            tolerance: 0.0001,
+            overrides: [{
+                name: 'Sewing Thread',
+                column: 'B',
+                marker: 'SEWING THREAD',
+                match: 'contains',
+                skipValue: true,
+                checks: [
+                    { name: 'Usage', valueColumn: 'D', comparator: 'exact', expected: 1, tolerance: 0.0001 },
+                    { name: 'Wastage', valueColumn: 'E', comparator: 'exact', expected: 0.03, percent: true, tolerance: 0.0001 },
+                    { name: 'COST CIF', valueColumn: 'H', comparator: 'exact', expected: 0.01, tolerance: 0.0001 },
+                    { name: 'Extended Cost', valueColumn: 'I', comparator: 'exact', expected: 0.01, tolerance: 0.0001 },
+                    { name: '% to Total', valueColumn: 'J', comparator: 'exact', expected: 0, percent: true, tolerance: 0.0001 }
+                ]
+            }]
+        };
+
+        // Standard Packaging Usage (D) and Wastage (E), checked on every Standard Packaging row
+        this.standardPackagingChecks = [
+            { name: 'Usage', valueColumn: 'D', comparator: 'exact', expected: 1, tolerance: 0.0001 },
+            { name: 'Wastage', valueColumn: 'E', comparator: 'exact', expected: 0.03, percent: true, tolerance: 0.0001 }
+        ];
+
+        // Arithmetic of the FABRIC / UPPER / SHELL lines and their SUBTOTAL (see RollupChecker.js)
+        // Extended Cost (I) = Usage (D) × COST CIF (H) × (1 + Wastage (E)), shown to the cent
+        this.rollupLayout = {
+            labelColumn: 'B',
+            qtyColumn: 'D',
+            wastageColumn: 'E',
+            percentUnit: 'fraction',
+            priceColumn: 'H',
+            totalColumn: 'I',
+            subtotalColumn: 'I',
+            subtotalLabelColumn: 'H',
+            tolerance: 0.005
+        };
     }
 
     /**
@@ -36,55 +95,47 @@ class FOXProcessor {
         const obDropZone = document.getElementById('obDropZone-v20');
         if (!obDropZone) return;
 
+        const anchoredLine = key => {
+            const rule = this.anchoredRules[key];
+            return `
+                    <div class="burton-cost-item">
+                        <div class="burton-item-line"><strong style="color: #2b4a6c;">${rule.name} (Column ${rule.markerColumn}):</strong></div>
+                        <div class="burton-item-line" style="margin-left: 1rem;">Column ${rule.valueColumn}: <strong>${window.ruleEngine.describeExpected(rule, 2)}</strong></div>
+                    </div>`;
+        };
+
         let contentHTML = `
             <div class="burton-cost-container">
                 <div class="burton-cost-header">
                 </div>
                 <div class="burton-cost-items">
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong style="color: #2b4a6c;">Vendor (Column C):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">Column D: <strong>Madison 88 Ltd</strong></div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong style="color: #2b4a6c;">Factory (Column C):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">Column D: <strong>PT UWU Jump</strong></div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong style="color: #2b4a6c;">COO (Column C):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">Column D: <strong>Indonesia</strong></div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong style="color: #2b4a6c;">OVERHEAD (Column K):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">Column L: <strong>0.40</strong></div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong style="color: #2b4a6c;">PROFIT & OTHERS (Column K):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">Column L: <strong>0.35 - 0.45</strong></div>
-                    </div>
+                    ${['vendor', 'factory', 'coo', 'overhead', 'profitOthers'].map(anchoredLine).join('')}
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong style="color: #2b4a6c;">FABRIC / UPPER / SHELL (Column A):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">Column E (Wastage %): <strong>5%</strong> until SUBTOTAL</div>
+                        <div class="burton-item-line" style="margin-left: 1rem;">Column E (Wastage %): <strong>${window.ruleEngine.describeExpected(this.shellSection)}</strong> until SUBTOTAL</div>
                     </div>
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong style="color: #2b4a6c;">Sewing Thread (Column B):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">D (Usage): <strong>1</strong>, E (Wastage): <strong>3%</strong>, H (COST CIF): <strong>0.01</strong>, I (Extended Cost): <strong>0.01</strong>, J (% to Total): <strong>0%</strong></div>
+                        <div class="burton-item-line" style="margin-left: 1rem;">${this.describeChecksHTML(this.shellSection.overrides[0].checks)}</div>
                     </div>
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong style="color: #2b4a6c;">Standard Packaging (Column A):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">D (Usage): <strong>1</strong>, E (Wastage): <strong>3%</strong></div>
+                        <div class="burton-item-line" style="margin-left: 1rem;">${this.describeChecksHTML(this.standardPackagingChecks)}</div>
                     </div>
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong style="color: #2b4a6c;">LABOR COST (Column A):</strong></div>
                         <div class="burton-item-line" style="margin-left: 1rem;">Column B: <strong>Knitting</strong>, <strong>Sewing</strong>, <strong>Finishing</strong></div>
                     </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong style="color: #2b4a6c;">OVERHEAD COST (Column A):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">Column H: <strong>0.40</strong></div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong style="color: #2b4a6c;">PROFIT COST (Column A):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">Column H: <strong>0.35 - 0.45</strong></div>
-                    </div>
+                    ${['overheadCost', 'profitCost'].map(anchoredLine).join('')}
+                    ${window.rollupChecker.getPanelHTML(this.rollupLayout, 'FABRIC / UPPER / SHELL SUBTOTAL row')}
+                    ${window.tolerancePolicy.getPanelHTML([
+                        ...['overhead', 'profitOthers', 'overheadCost', 'profitCost'].map(key => ({
+                            label: this.anchoredRules[key].name, tolerance: this.anchoredRules[key].tolerance
+                        })),
+                        { label: 'Wastage %', tolerance: this.shellSection.tolerance, percent: true },
+                        { label: 'Sewing Thread', tolerance: this.shellSection.overrides[0].checks[0].tolerance },
+                        { label: 'Standard Packaging', tolerance: this.standardPackagingChecks[0].tolerance }
+                    ])}
                 </div>
             </div>
         `;
@@ -92,6 +143,19 @@ class FOXProcessor {
         obDropZone.innerHTML = contentHTML;
     }
 
+    /**
+     * Expected values of per-row checks, with the active rule set's values: 'D=1, E=3%'
+     */
+    describeChecks(checks) {
+        return checks.map(check => `${check.valueColumn}=${window.ruleEngine.describeExpected(check)}`).join(', ');
+    }
+
+    describeChecksHTML(checks) {
+        return checks.map(check =>
+            `${check.valueColumn} (${check.name}): <strong>${window.ruleEngine.describeExpected(check)}</strong>`
+        ).join(', ');
+    }
+
     /**
      * Convert column letter to index (A=0, B=1, etc.)
      */
@@ -117,9 +181,10 @@ class FOXProcessor {
             // Process each BCBD file
             for (const file of bcbdFiles) {
                 const fileData = await this.parseBuyerCBDFile(file);
-                const validationResults = this.validateFile(fileData);
+                const validationResults = this.validateFile(fileData.jsonData);
                 this.bcbdResults.push({
                     fileName: file.name,
+                    sheetName: fileData.sheetName,
                     results: validationResults
                 });
             }
@@ -136,28 +201,14 @@ class FOXProcessor {
      * Parse Buyer CBD Excel file
      */
     async parseBuyerCBDFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    resolve(jsonData);
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        return { sheetName: firstSheetName, jsonData };
     }
 
     /**
@@ -180,232 +231,31 @@ class FOXProcessor {
 
         const colA = this.columnToIndex('A');
         const colB = this.columnToIndex('B');
-        const colC = this.columnToIndex('C');
-        const colD = this.columnToIndex('D');
-        const colE = this.columnToIndex('E');
-        const colH = this.columnToIndex('H');
-        const colI = this.columnToIndex('I');
-        const colJ = this.columnToIndex('J');
-        const colK = this.columnToIndex('K');
-        const colL = this.columnToIndex('L');
-
-        // Scan through all rows to find the labels
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            if (!row) continue;
 
-            // Check Column C for labels
-            const colCValue = row[colC] ? row[colC].toString().trim() : '';
-            const colCLower = colCValue.toLowerCase();
-
-            // Check for "Vendor" in Column C
-            if (colCLower === 'vendor' && !results.vendor) {
-                const colDValue = row[colD] ? row[colD].toString().trim() : '';
-                const expectedValue = 'Madison 88 Ltd.';
-                const isValid = colDValue.toLowerCase() === expectedValue.toLowerCase();
-
-                results.vendor = {
-                    label: 'Vendor',
-                    labelCell: `C${i + 1}`,
-                    valueCell: `D${i + 1}`,
-                    actualValue: colDValue,
-                    expectedValue: expectedValue,
-                    isValid: isValid
-                };
-            }
-
-            // Check for "Factory" in Column C
-            if (colCLower === 'factory' && !results.factory) {
-                const colDValue = row[colD] ? row[colD].toString().trim() : '';
-                const expectedValue = 'PT UWU Jump';
-                const isValid = colDValue.toLowerCase() === expectedValue.toLowerCase();
-
-                results.factory = {
-                    label: 'Factory',
-                    labelCell: `C${i + 1}`,
-                    valueCell: `D${i + 1}`,
-                    actualValue: colDValue,
-                    expectedValue: expectedValue,
-                    isValid: isValid
-                };
-            }
-
-            // Check for "COO" in Column C
-            if (colCLower === 'coo' && !results.coo) {
-                const colDValue = row[colD] ? row[colD].toString().trim() : '';
-                const expectedValue = 'Indonesia';
-                const isValid = colDValue.toLowerCase() === expectedValue.toLowerCase();
-
-                results.coo = {
-                    label: 'COO',
-                    labelCell: `C${i + 1}`,
-                    valueCell: `D${i + 1}`,
-                    actualValue: colDValue,
-                    expectedValue: expectedValue,
-                    isValid: isValid
-                };
-            }
-
-            // Check Column K for labels
-            const colKValue = row[colK] ? row[colK].toString().trim() : '';
-            const colKLower = colKValue.toLowerCase();
-
-            // Check for "OVERHEAD" in Column K
-            if (colKLower === 'overhead' && !results.overhead) {
-                const colLValue = row[colL];
-                const expectedValue = 0.40;
-                let actualNumeric = null;
-                let displayValue = '';
-
-                if (colLValue !== undefined && colLValue !== null && colLValue !== '') {
-                    if (typeof colLValue === 'number') {
-                        actualNumeric = colLValue;
-                        displayValue = colLValue.toFixed(4);
-                    } else {
-                        const parsed = parseFloat(colLValue.toString().trim());
-                        if (!isNaN(parsed)) {
-                            actualNumeric = parsed;
-                            displayValue = parsed.toFixed(4);
-                        } else {
-                            displayValue = colLValue.toString().trim();
-                        }
-                    }
-                } else {
-                    displayValue = 'Empty';
-                }
-
-                // STRICT comparison - must be exactly 0.40 (with tiny tolerance for floating point)
-                const isValid = actualNumeric !== null && Math.abs(actualNumeric - expectedValue) < 0.0001;
-
-                console.log(`OVERHEAD: value=${actualNumeric}, expected=${expectedValue}, isValid=${isValid}`);
-
-                results.overhead = {
-                    label: 'OVERHEAD',
-                    labelCell: `K${i + 1}`,
-                    valueCell: `L${i + 1}`,
-                    actualValue: displayValue,
-                    expectedValue: '0.40',
-                    isValid: isValid
-                };
-            }
-
-            // Check for "PROFIT & OTHERS" in Column K
-            if (colKLower.includes('profit') && colKLower.includes('others') && !results.profitOthers) {
-                const colLValue = row[colL];
-                const expectedMin = 0.35;
-                const expectedMax = 0.45;
-                let actualNumeric = null;
-                let displayValue = '';
-
-                if (colLValue !== undefined && colLValue !== null && colLValue !== '') {
-                    if (typeof colLValue === 'number') {
-                        actualNumeric = colLValue;
-                        displayValue = colLValue.toFixed(4);
-                    } else {
-                        const parsed = parseFloat(colLValue.toString().trim());
-                        if (!isNaN(parsed)) {
-                            actualNumeric = parsed;
-                            displayValue = parsed.toFixed(4);
-                        } else {
-                            displayValue = colLValue.toString().trim();
-                        }
-                    }
-                } else {
-                    displayValue = 'Empty';
-                }
-
-                // STRICT comparison - must be between 0.35 and 0.45 exactly
-                const isValid = actualNumeric !== null && actualNumeric >= expectedMin - 0.0001 && actualNumeric <= expectedMax + 0.0001;
-
-                console.log(`PROFIT & OTHERS: value=${actualNumeric}, min=${expectedMin}, max=${expectedMax}, isValid=${isValid}`);
-
-                results.profitOthers = {
-                    label: 'PROFIT & OTHERS',
-                    labelCell: `K${i + 1}`,
-                    valueCell: `L${i + 1}`,
-                    actualValue: displayValue,
-                    expectedValue: '0.35 - 0.45',
-                    isValid: isValid
-                };
-            }
-        }
-
-        // Validate Wastage % (Column E) for FABRIC / UPPER / SHELL section
-        results.wastagePercent = this.validateWastagePercent(jsonData, colA, colB, colE, colH);
+        // Vendor / Factory / COO (C → D), OVERHEAD / PROFIT & OTHERS (K → L),
+        // OVERHEAD COST / PROFIT COST (A → H)
+        Object.keys(this.anchoredRules).forEach(key => {
+            results[key] = this.validateAnchored(jsonData, this.anchoredRules[key]);
+        });
 
-        // Validate Sewing Thread within FABRIC / UPPER / SHELL section
-        results.sewingThread = this.validateSewingThread(jsonData, colA, colB, colD, colE, colH, colI, colJ);
+        // Validate Wastage % (Column E) and Sewing Thread rows in the FABRIC / UPPER / SHELL section
+        const shellScan = window.sectionScanner.scan(jsonData, this.shellSection);
+        results.wastagePercent = this.validateWastagePercent(jsonData, shellScan);
+        results.sewingThread = this.validateSewingThread(shellScan);
+        results.rollup = window.rollupChecker.checkSection(jsonData, shellScan, this.rollupLayout);
 
         // Validate Standard Packaging rows
-        results.standardPackaging = this.validateStandardPackaging(jsonData, colA, colD, colE);
+        results.standardPackaging = this.validateStandardPackaging(jsonData, colA);
 
         // Validate Labor Cost section
         results.laborCost = this.validateLaborCost(jsonData, colA, colB);
 
-        // Validate OVERHEAD COST (Column A) -> Column H = 0.40
-        results.overheadCost = this.validateOverheadCost(jsonData, colA, colH);
-
-        // Validate PROFIT COST (Column A) -> Column H = 0.35-0.45
-        results.profitCost = this.validateProfitCost(jsonData, colA, colH);
-
-        // Set defaults for not found items
-        if (!results.vendor) {
-            results.vendor = {
-                label: 'Vendor',
-                labelCell: '-',
-                valueCell: '-',
-                actualValue: 'Not found',
-                expectedValue: 'Madison 88 Ltd.',
-                isValid: false
-            };
-        }
-        if (!results.factory) {
-            results.factory = {
-                label: 'Factory',
-                labelCell: '-',
-                valueCell: '-',
-                actualValue: 'Not found',
-                expectedValue: 'PT UWU Jump',
-                isValid: false
-            };
-        }
-        if (!results.coo) {
-            results.coo = {
-                label: 'COO',
-                labelCell: '-',
-                valueCell: '-',
-                actualValue: 'Not found',
-                expectedValue: 'Indonesia',
-                isValid: false
-            };
-        }
-        if (!results.overhead) {
-            results.overhead = {
-                label: 'OVERHEAD',
-                labelCell: '-',
-                valueCell: '-',
-                actualValue: 'Not found',
-                expectedValue: '0.40',
-                isValid: false
-            };
-        }
-        if (!results.profitOthers) {
-            results.profitOthers = {
-                label: 'PROFIT & OTHERS',
-                labelCell: '-',
-                valueCell: '-',
-                actualValue: 'Not found',
-                expectedValue: '0.35 - 0.45',
-                isValid: false
-            };
-        }
-
         if (!results.wastagePercent) {
             results.wastagePercent = {
                 label: 'Wastage % (FABRIC/UPPER/SHELL)',
                 labelCell: '-',
                 valueCell: '-',
-                expectedValue: '5%',
+                expectedValue: window.ruleEngine.describeExpected(this.shellSection),
                 isValid: false,
                 invalidRows: [],
                 validRows: []
@@ -417,7 +267,7 @@ class FOXProcessor {
                 label: 'Sewing Thread',
                 labelCell: '-',
                 valueCell: '-',
-                expectedValue: 'D=1, E=3%, H=0.01, I=0.01, J=0%',
+                expectedValue: this.describeChecks(this.shellSection.overrides[0].checks),
                 isValid: false,
                 notFound: true,
                 validFields: [],
@@ -430,7 +280,7 @@ class FOXProcessor {
                 label: 'Standard Packaging',
                 labelCell: '-',
                 valueCell: '-',
-                expectedValue: 'D=1, E=3%',
+                expectedValue: this.describeChecks(this.standardPackagingChecks),
                 isValid: false,
                 notFound: true,
                 validFields: [],
@@ -451,180 +301,54 @@ class FOXProcessor {
             };
         }
 
-        if (!results.overheadCost) {
-            results.overheadCost = {
-                label: 'OVERHEAD COST',
-                labelCell: '-',
-                valueCell: '-',
-                actualValue: 'Not found',
-                expectedValue: '0.40',
-                isValid: false
-            };
-        }
-
-        if (!results.profitCost) {
-            results.profitCost = {
-                label: 'PROFIT COST',
-                labelCell: '-',
-                valueCell: '-',
-                actualValue: 'Not found',
-                expectedValue: '0.35 - 0.45',
-                isValid: false
-            };
-        }
-
         return results;
     }
 
     /**
      * Validate Wastage % in Column E for FABRIC / UPPER / SHELL section
-     * Scans Column A for "FABRIC", "UPPER", or "SHELL"
-     * Then checks Column E values are 5% until Column H contains "SUBTOTAL"
-     * Skips rows that contain "Sewing Thread" in Column B (those have different rules)
+     * The section starts where Column A contains "FABRIC", "UPPER", or "SHELL"
+     * Column E values must be 5% until Column H contains "SUBTOTAL"
+     * Rows with "Sewing Thread" in Column B have different rules (see validateSewingThread)
      */
-    validateWastagePercent(jsonData, colA, colB, colE, colH) {
-        let sectionStartRow = -1;
-        let sectionHeaderText = '';
-
-        // Step 1: Find the row where Column A contains FABRIC, UPPER, or SHELL
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            if (!row) continue;
-
-            const colAValue = row[colA] ? row[colA].toString().trim().toUpperCase() : '';
-
-            if (colAValue.includes('FABRIC') || colAValue.includes('UPPER') || colAValue.includes('SHELL')) {
-                sectionStartRow = i;
-                sectionHeaderText = colAValue;
-                console.log(`Found section header "${sectionHeaderText}" at row ${i + 1}`);
-                break;
-            }
-        }
-
-        // If section not found, return not found result
-        if (sectionStartRow === -1) {
+    validateWastagePercent(jsonData, scan) {
+        if (!scan.found) {
             return null;
         }
 
-        // Step 2: Check Column E values from the row after the header until SUBTOTAL in Column H
-        const invalidRows = [];
-        const validRows = [];
-        let subtotalFound = false;
-
-        for (let i = sectionStartRow + 1; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            if (!row) continue;
-
-            // Check if Column H contains SUBTOTAL - if so, stop scanning
-            const colHValue = row[colH] ? row[colH].toString().trim().toUpperCase() : '';
-            if (colHValue.includes('SUBTOTAL')) {
-                subtotalFound = true;
-                console.log(`Found SUBTOTAL at row ${i + 1}, stopping wastage scan`);
-                break;
-            }
-
-            // Skip rows that contain "Sewing Thread" in Column B (they have different wastage rules)
-            const colBValue = row[colB] ? row[colB].toString().trim().toUpperCase() : '';
-            if (colBValue.includes('SEWING THREAD')) {
-                console.log(`Skipping Sewing Thread row ${i + 1} from 5% wastage check`);
-                continue;
-            }
-
-            // Get Column E value (Wastage %)
-            const colEValue = row[colE];
-            let numericValue = null;
-
-            if (colEValue !== undefined && colEValue !== null && colEValue !== '') {
-                if (typeof colEValue === 'number') {
-                    numericValue = colEValue;
-                } else {
-                    const parsed = parseFloat(colEValue.toString().replace('%', '').trim());
-                    if (!isNaN(parsed)) {
-                        // If value is like "5" (without decimal), treat as percentage
-                        numericValue = parsed > 1 ? parsed / 100 : parsed;
-                    }
-                }
-
-                // Check if value is 5% (0.05) with tolerance
-                const expectedValue = 0.05;
-                const isValid = numericValue !== null && Math.abs(numericValue - expectedValue) < 0.0001;
-
-                if (isValid) {
-                    validRows.push({
-                        cell: `E${i + 1}`
-                    });
-                } else {
-                    const displayValue = numericValue !== null ? (numericValue * 100).toFixed(2) + '%' : colEValue.toString();
-                    invalidRows.push({
-                        cell: `E${i + 1}`,
-                        value: displayValue
-                    });
-                    console.log(`Invalid wastage at E${i + 1}: ${displayValue} (expected 5%)`);
-                }
-            }
-        }
+        const toRow = row => ({
+            cell: row.cell,
+            value: row.value !== null ? (row.value * 100).toFixed(2) + '%' : String(row.raw)
+        });
 
-        const allValid = invalidRows.length === 0 && validRows.length > 0;
+        const validRows = scan.rows.filter(row => row.isValid).map(toRow);
+        const invalidRows = scan.rows.filter(row => !row.isValid).map(toRow);
+        invalidRows.forEach(row => console.log(`Invalid wastage at ${row.cell}: ${row.value} (expected ${window.ruleEngine.describeExpected(this.shellSection)})`));
 
         return {
             label: 'Wastage % (FABRIC/UPPER/SHELL)',
-            labelCell: `A${sectionStartRow + 1}`,
+            labelCell: `A${scan.startRow}`,
             valueCell: 'Column E',
-            expectedValue: '5%',
-            isValid: allValid,
+            expectedValue: window.ruleEngine.describeExpected(this.shellSection),
+            isValid: invalidRows.length === 0 && validRows.length > 0,
             invalidRows: invalidRows,
             validRows: validRows,
-            sectionHeader: sectionHeaderText,
-            subtotalFound: subtotalFound
+            sectionHeader: window.sectionScanner.cellText(jsonData[scan.startRowIndex], 'A').toUpperCase(),
+            subtotalFound: scan.endRowIndex !== -1
         };
     }
 
     /**
      * Validate Sewing Thread within FABRIC / UPPER / SHELL section
-     * Checks: D (Usage) = 1, E (Wastage) = 3%, H (COST CIF) = 0.01, I (Extended Cost) = 0.01, J (% to Total) = 0%
+     * Checks shellSection's Sewing Thread override: D (Usage), E (Wastage), H (COST CIF), I (Extended Cost), J (% to Total)
      * Supports multiple Sewing Thread rows in a single file
      */
-    validateSewingThread(jsonData, colA, colB, colD, colE, colH, colI, colJ) {
-        let sectionStartRow = -1;
-
-        // Step 1: Find the row where Column A contains FABRIC, UPPER, or SHELL
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            if (!row) continue;
-
-            const colAValue = row[colA] ? row[colA].toString().trim().toUpperCase() : '';
-
-            if (colAValue.includes('FABRIC') || colAValue.includes('UPPER') || colAValue.includes('SHELL')) {
-                sectionStartRow = i;
-                break;
-            }
-        }
-
+    validateSewingThread(scan) {
         // If section not found, return null
-        if (sectionStartRow === -1) {
+        if (!scan.found) {
             return null;
         }
 
-        // Step 2: Search for ALL "Sewing Thread" rows in Column B within the section
-        const sewingThreadRows = [];
-
-        for (let i = sectionStartRow + 1; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            if (!row) continue;
-
-            // Check if Column H contains SUBTOTAL - if so, stop scanning
-            const colHValue = row[colH] ? row[colH].toString().trim().toUpperCase() : '';
-            if (colHValue.includes('SUBTOTAL')) {
-                break;
-            }
-
-            // Check Column B for "Sewing Thread"
-            const colBValue = row[colB] ? row[colB].toString().trim().toUpperCase() : '';
-            if (colBValue.includes('SEWING THREAD')) {
-                sewingThreadRows.push(i);
-                console.log(`Found Sewing Thread at row ${i + 1}`);
-            }
-        }
+        const sewingThreadRows = scan.overrideRows;
 
         // If no Sewing Thread found in section
         if (sewingThreadRows.length === 0) {
@@ -632,7 +356,7 @@ class FOXProcessor {
                 label: 'Sewing Thread',
                 labelCell: '-',
                 valueCell: '-',
-                expectedValue: 'D=1, E=3%, H=0.01, I=0.01, J=0%',
+                expectedValue: this.describeChecks(this.shellSection.overrides[0].checks),
                 isValid: false,
                 notFound: true,
                 validFields: [],
@@ -640,83 +364,32 @@ class FOXProcessor {
             };
         }
 
-        // Helper function to get numeric value
-        const getNumeric = (value) => {
-            if (value === undefined || value === null || value === '') return null;
-            if (typeof value === 'number') return value;
-            const parsed = parseFloat(value.toString().replace('%', '').trim());
-            return isNaN(parsed) ? null : parsed;
-        };
-
-        // Step 3: Validate each column for ALL Sewing Thread rows
         const validFields = [];
         const invalidFields = [];
 
-        for (const sewingThreadRow of sewingThreadRows) {
-            const row = jsonData[sewingThreadRow];
-            const rowNum = sewingThreadRow + 1;
-
-            // Check Column D (Usage) = 1
-            const colDValue = getNumeric(row[colD]);
-            const colDDisplay = colDValue !== null ? colDValue.toString() : 'Empty';
-            if (colDValue !== null && Math.abs(colDValue - 1) < 0.0001) {
-                validFields.push({ cell: `D${rowNum}`, field: 'Usage', value: colDDisplay });
-            } else {
-                invalidFields.push({ cell: `D${rowNum}`, field: 'Usage', value: colDDisplay, expected: '1' });
-            }
-
-            // Check Column E (Wastage) = 3% (0.03)
-            let colEValue = getNumeric(row[colE]);
-            if (colEValue !== null && colEValue > 1) {
-                colEValue = colEValue / 100; // Convert from percentage
-            }
-            const colEDisplay = colEValue !== null ? (colEValue * 100).toFixed(2) + '%' : 'Empty';
-            if (colEValue !== null && Math.abs(colEValue - 0.03) < 0.0001) {
-                validFields.push({ cell: `E${rowNum}`, field: 'Wastage', value: colEDisplay });
-            } else {
-                invalidFields.push({ cell: `E${rowNum}`, field: 'Wastage', value: colEDisplay, expected: '3%' });
-            }
-
-            // Check Column H (COST CIF) = 0.01
-            const colHVal = getNumeric(row[colH]);
-            const colHDisplay = colHVal !== null ? colHVal.toString() : 'Empty';
-            if (colHVal !== null && Math.abs(colHVal - 0.01) < 0.0001) {
-                validFields.push({ cell: `H${rowNum}`, field: 'COST CIF', value: colHDisplay });
-            } else {
-                invalidFields.push({ cell: `H${rowNum}`, field: 'COST CIF', value: colHDisplay, expected: '0.01' });
-            }
-
-            // Check Column I (Extended Cost) = 0.01
-            const colIValue = getNumeric(row[colI]);
-            const colIDisplay = colIValue !== null ? colIValue.toString() : 'Empty';
-            if (colIValue !== null && Math.abs(colIValue - 0.01) < 0.0001) {
-                validFields.push({ cell: `I${rowNum}`, field: 'Extended Cost', value: colIDisplay });
-            } else {
-                invalidFields.push({ cell: `I${rowNum}`, field: 'Extended Cost', value: colIDisplay, expected: '0.01' });
-            }
+        sewingThreadRows.forEach(sewingThread => {
+            sewingThread.checks.forEach(check => {
+                let value = 'Empty';
+                if (check.value !== null) {
+                    value = check.rule.percent ? (check.value * 100).toFixed(2) + '%' : check.value.toString();
+                }
 
-            // Check Column J (% to Total) = 0% (0)
-            let colJValue = getNumeric(row[colJ]);
-            if (colJValue !== null && colJValue > 1) {
-                colJValue = colJValue / 100; // Convert from percentage
-            }
-            const colJDisplay = colJValue !== null ? (colJValue * 100).toFixed(2) + '%' : 'Empty';
-            if (colJValue !== null && Math.abs(colJValue) < 0.0001) {
-                validFields.push({ cell: `J${rowNum}`, field: '% to Total', value: colJDisplay });
-            } else {
-                invalidFields.push({ cell: `J${rowNum}`, field: '% to Total', value: colJDisplay, expected: '0%' });
-            }
-        }
+                if (check.isValid) {
+                    validFields.push({ cell: check.cell, field: check.name, value: value });
+                } else {
+                    invalidFields.push({ cell: check.cell, field: check.name, value: value, expected: window.ruleEngine.describeExpected(check.rule) });
+                }
+            });
+        });
 
-        const allValid = invalidFields.length === 0;
-        const rowsLabel = sewingThreadRows.map(r => r + 1).join(', ');
+        const rowsLabel = sewingThreadRows.map(r => r.rowNumber).join(', ');
 
         return {
             label: 'Sewing Thread',
-            labelCell: sewingThreadRows.map(r => `B${r + 1}`).join(', '),
+            labelCell: sewingThreadRows.map(r => `B${r.rowNumber}`).join(', '),
             valueCell: `Row${sewingThreadRows.length > 1 ? 's' : ''} ${rowsLabel}`,
-            expectedValue: 'D=1, E=3%, H=0.01, I=0.01, J=0%',
-            isValid: allValid,
+            expectedValue: this.describeChecks(this.shellSection.overrides[0].checks),
+            isValid: invalidFields.length === 0,
             notFound: false,
             validFields: validFields,
             invalidFields: invalidFields,
@@ -727,17 +400,11 @@ class FOXProcessor {
     /**
      * Validate Standard Packaging rows
      * Searches Column A for cells containing "Standard Packaging"
-     * Checks: D (Usage) = 1, E (Wastage) = 3%
+     * Checks standardPackagingChecks: D (Usage) and E (Wastage)
      * Supports multiple Standard Packaging rows
      */
-    validateStandardPackaging(jsonData, colA, colD, colE) {
-        // Helper function to get numeric value
-        const getNumeric = (value) => {
-            if (value === undefined || value === null || value === '') return null;
-            if (typeof value === 'number') return value;
-            const parsed = parseFloat(value.toString().replace('%', '').trim());
-            return isNaN(parsed) ? null : parsed;
-        };
+    validateStandardPackaging(jsonData, colA) {
+        const engine = window.ruleEngine;
 
         // Find all rows where Column A contains "Standard Packaging"
         const standardPackagingRows = [];
@@ -759,7 +426,7 @@ class FOXProcessor {
                 label: 'Standard Packaging',
                 labelCell: '-',
                 valueCell: '-',
-                expectedValue: 'D=1, E=3%',
+                expectedValue: this.describeChecks(this.standardPackagingChecks),
                 isValid: false,
                 notFound: true,
                 validFields: [],
@@ -775,26 +442,23 @@ class FOXProcessor {
             const row = jsonData[rowIndex];
             const rowNum = rowIndex + 1;
 
-            // Check Column D (Usage) = 1
-            const colDValue = getNumeric(row[colD]);
-            const colDDisplay = colDValue !== null ? colDValue.toString() : 'Empty';
-            if (colDValue !== null && Math.abs(colDValue - 1) < 0.0001) {
-                validFields.push({ cell: `D${rowNum}`, field: 'Usage', value: colDDisplay });
-            } else {
-                invalidFields.push({ cell: `D${rowNum}`, field: 'Usage', value: colDDisplay, expected: '1' });
-            }
+            this.standardPackagingChecks.forEach(check => {
+                const column = engine.toColumnIndex(check.valueColumn);
+                const result = engine.checkValue(row[column], check, window.workbookReader.numberFormat(row, column));
+                const field = { cell: `${check.valueColumn}${rowNum}`, field: check.name };
 
-            // Check Column E (Wastage) = 3% (0.03)
-            let colEValue = getNumeric(row[colE]);
-            if (colEValue !== null && colEValue > 1) {
-                colEValue = colEValue / 100; // Convert from percentage
-            }
-            const colEDisplay = colEValue !== null ? (colEValue * 100).toFixed(2) + '%' : 'Empty';
-            if (colEValue !== null && Math.abs(colEValue - 0.03) < 0.0001) {
-                validFields.push({ cell: `E${rowNum}`, field: 'Wastage', value: colEDisplay });
-            } else {
-                invalidFields.push({ cell: `E${rowNum}`, field: 'Wastage', value: colEDisplay, expected: '3%' });
-            }
+                if (result.value === null) {
+                    field.value = 'Empty';
+                } else {
+                    field.value = check.percent ? (result.value * 100).toFixed(2) + '%' : result.value.toString();
+                }
+
+                if (result.isValid) {
+                    validFields.push(field);
+                } else {
+                    invalidFields.push({ ...field, expected: engine.describeExpected(check) });
+                }
+            });
         }
 
         const allValid = invalidFields.length === 0;
@@ -804,7 +468,7 @@ class FOXProcessor {
             label: 'Standard Packaging',
             labelCell: standardPackagingRows.map(r => `A${r + 1}`).join(', '),
             valueCell: `Row${standardPackagingRows.length > 1 ? 's' : ''} ${rowsLabel}`,
-            expectedValue: 'D=1, E=3%',
+            expectedValue: this.describeChecks(this.standardPackagingChecks),
             isValid: allValid,
             notFound: false,
             validFields: validFields,
@@ -896,114 +560,155 @@ class FOXProcessor {
     }
 
     /**
-     * Validate OVERHEAD COST
-     * Searches Column A for "OVERHEAD COST"
-     * Checks Column H should be 0.40
+     * Run one anchored rule and shape the result like the other FOX checks
+     * Numeric values are shown with 4 decimals, blank cells as 'Empty'
      */
-    validateOverheadCost(jsonData, colA, colH) {
-        // Find the row where Column A contains "OVERHEAD COST"
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            if (!row) continue;
+    validateAnchored(jsonData, rule) {
+        const engine = window.ruleEngine;
+        const evaluation = engine.evaluate(jsonData, rule);
+        const expectedValue = engine.describeExpected(rule, 2);
 
-            const colAValue = row[colA] ? row[colA].toString().trim().toUpperCase() : '';
-            if (colAValue.includes('OVERHEAD COST')) {
-                console.log(`Found OVERHEAD COST at row ${i + 1}`);
-
-                const colHValue = row[colH];
-                const expectedValue = 0.40;
-                let actualNumeric = null;
-                let displayValue = '';
-
-                if (colHValue !== undefined && colHValue !== null && colHValue !== '') {
-                    if (typeof colHValue === 'number') {
-                        actualNumeric = colHValue;
-                        displayValue = colHValue.toFixed(4);
-                    } else {
-                        const parsed = parseFloat(colHValue.toString().trim());
-                        if (!isNaN(parsed)) {
-                            actualNumeric = parsed;
-                            displayValue = parsed.toFixed(4);
-                        } else {
-                            displayValue = colHValue.toString().trim();
-                        }
-                    }
-                } else {
-                    displayValue = 'Empty';
-                }
-
-                const isValid = actualNumeric !== null && Math.abs(actualNumeric - expectedValue) < 0.0001;
-
-                console.log(`OVERHEAD COST: value=${actualNumeric}, expected=${expectedValue}, isValid=${isValid}`);
+        if (!evaluation.found) {
+            return {
+                label: rule.name,
+                labelCell: '-',
+                valueCell: '-',
+                actualValue: 'Not found',
+                expectedValue: expectedValue,
+                tolerance: evaluation.tolerance,
+                isValid: false
+            };
+        }
 
-                return {
-                    label: 'OVERHEAD COST',
-                    labelCell: `A${i + 1}`,
-                    valueCell: `H${i + 1}`,
-                    actualValue: displayValue,
-                    expectedValue: '0.40',
-                    isValid: isValid
-                };
+        let actualValue = evaluation.text;
+        if (engine.isNumericRule(rule)) {
+            if (evaluation.value !== null) {
+                actualValue = evaluation.value.toFixed(4);
+            } else if (evaluation.text === '') {
+                actualValue = 'Empty';
             }
         }
 
-        return null;
+        console.log(`${rule.name}: value=${evaluation.value}, expected=${expectedValue}, isValid=${evaluation.isValid}`);
+
+        return {
+            label: rule.name,
+            labelCell: evaluation.markerCell,
+            valueCell: evaluation.cell,
+            actualValue: actualValue,
+            expectedValue: expectedValue,
+            tolerance: evaluation.tolerance,
+            isValid: evaluation.isValid
+        };
     }
 
     /**
-     * Validate PROFIT COST
-     * Searches Column A for "PROFIT COST"
-     * Checks Column H should be 0.35 to 0.45
+     * Results of the last run in the common structured schema (see StructuredResults.js)
      */
-    validateProfitCost(jsonData, colA, colH) {
-        // Find the row where Column A contains "PROFIT COST"
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            if (!row) continue;
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+        const cellChecks = ['vendor', 'factory', 'coo', 'overhead', 'profitOthers', 'overheadCost', 'profitCost'];
+        const engine = window.ruleEngine;
+        const fieldChecks = {
+            'sewing-thread': this.shellSection.overrides[0].checks,
+            'standard-packaging': this.standardPackagingChecks
+        };
 
-            const colAValue = row[colA] ? row[colA].toString().trim().toUpperCase() : '';
-            if (colAValue.includes('PROFIT COST')) {
-                console.log(`Found PROFIT COST at row ${i + 1}`);
-
-                const colHValue = row[colH];
-                const expectedMin = 0.35;
-                const expectedMax = 0.45;
-                let actualNumeric = null;
-                let displayValue = '';
-
-                if (colHValue !== undefined && colHValue !== null && colHValue !== '') {
-                    if (typeof colHValue === 'number') {
-                        actualNumeric = colHValue;
-                        displayValue = colHValue.toFixed(4);
-                    } else {
-                        const parsed = parseFloat(colHValue.toString().trim());
-                        if (!isNaN(parsed)) {
-                            actualNumeric = parsed;
-                            displayValue = parsed.toFixed(4);
-                        } else {
-                            displayValue = colHValue.toString().trim();
-                        }
-                    }
-                } else {
-                    displayValue = 'Empty';
+        this.bcbdResults.forEach(fileResult => {
+            const results = fileResult.results;
+            const base = { file: fileResult.fileName, sheet: fileResult.sheetName };
+
+            cellChecks.forEach(key => {
+                const result = results[key];
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('fox', result.label),
+                    rule: `${result.label} is ${result.expectedValue}`,
+                    cell: result.valueCell !== '-' ? result.valueCell : '',
+                    expected: result.expectedValue,
+                    tolerance: result.tolerance,
+                    actual: result.actualValue,
+                    status: result.isValid
+                }));
+            });
+
+            const wastage = results.wastagePercent;
+            const wastageRule = {
+                ...base,
+                ruleId: sr.ruleId('fox', 'wastage'),
+                rule: `Wastage % (column E) in the FABRIC / UPPER / SHELL section is ${wastage.expectedValue}, Sewing Thread rows excluded`,
+                expected: wastage.expectedValue,
+                tolerance: engine.describeTolerance(this.shellSection)
+            };
+            if (wastage.labelCell === '-') {
+                records.push(sr.record({ ...wastageRule, actual: 'Section not found', status: 'INVALID' }));
+            } else {
+                records.push(...sr.sectionRecords(wastageRule, wastage.validRows, wastage.invalidRows));
+            }
+
+            [
+                { result: results.sewingThread, id: 'sewing-thread' },
+                { result: results.standardPackaging, id: 'standard-packaging' }
+            ].forEach(({ result, id }) => {
+                if (result.notFound) {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('fox', id),
+                        rule: `${result.label} is ${result.expectedValue}`,
+                        expected: result.expectedValue,
+                        actual: 'Not found',
+                        status: 'INVALID'
+                    }));
+                    return;
                 }
 
-                const isValid = actualNumeric !== null && actualNumeric >= expectedMin - 0.0001 && actualNumeric <= expectedMax + 0.0001;
+                [
+                    ...result.validFields.map(field => ({ ...field, status: 'VALID' })),
+                    ...result.invalidFields.map(field => ({ ...field, status: 'INVALID' }))
+                ].sort((a, b) => XLSX.utils.decode_cell(a.cell).r - XLSX.utils.decode_cell(b.cell).r).forEach(field => {
+                    const check = fieldChecks[id].find(candidate => candidate.name === field.field);
+                    const expected = engine.describeExpected(check);
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('fox', id, field.field),
+                        rule: `${result.label} ${field.field} (column ${check.valueColumn}) is ${expected}`,
+                        cell: field.cell,
+                        expected: expected,
+                        tolerance: engine.describeTolerance(check),
+                        actual: field.value,
+                        status: field.status
+                    }));
+                });
+            });
 
-                console.log(`PROFIT COST: value=${actualNumeric}, min=${expectedMin}, max=${expectedMax}, isValid=${isValid}`);
+            const labor = results.laborCost;
+            labor.foundItems.forEach(found => {
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('fox', 'labor-cost', found.item),
+                    rule: `LABOR COST lists ${found.item} (column B)`,
+                    cell: found.cell,
+                    expected: found.item,
+                    actual: found.value,
+                    status: 'VALID'
+                }));
+            });
+            labor.missingItems.forEach(item => {
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('fox', 'labor-cost', item),
+                    rule: `LABOR COST lists ${item} (column B)`,
+                    expected: item,
+                    actual: labor.notFound ? 'LABOR COST not found' : 'Missing',
+                    status: 'INVALID'
+                }));
+            });
 
-                return {
-                    label: 'PROFIT COST',
-                    labelCell: `A${i + 1}`,
-                    valueCell: `H${i + 1}`,
-                    actualValue: displayValue,
-                    expectedValue: '0.35 - 0.45',
-                    isValid: isValid
-                };
-            }
-        }
+            records.push(...window.rollupChecker.toRecords(base, 'fox', [results.rollup], this.rollupLayout));
+        });
 
-        return null;
+        return records;
     }
 
     /**
@@ -1204,7 +909,7 @@ class FOXProcessor {
                 html += '<br>';
             }
             for (const row of result.invalidRows) {
-                html += `<span style="color: #991b1b; font-weight: 600;">${row.cell}: ${row.value}</span> <span style="font-size: 0.85em; color: #849bba;">(Expected: 5%)</span><br>`;
+                html += `<span style="color: #991b1b; font-weight: 600;">${row.cell}: ${row.value}</span> <span style="font-size: 0.85em; color: #849bba;">(Expected: ${result.expectedValue})</span><br>`;
             }
         }
 
@@ -1339,8 +1044,8 @@ class FOXProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createFOXConfig(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createFOXConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 
     /**
@@ -1389,17 +1094,35 @@ class FOXProcessor {
 // Initialize the processor
 window.foxProcessor = new FOXProcessor();
 
-// Auto-initialize when V20 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    const v20Tabs = document.querySelectorAll('[data-tab="v20"]');
-    v20Tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            window.foxProcessor.initialize();
-        });
-    });
-
-    const v20TabContent = document.getElementById('tab-v20');
-    if (v20TabContent && v20TabContent.classList.contains('active')) {
-        window.foxProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v20',
+    name: 'FOX',
+    shortName: 'FOX',
+    processor: window.foxProcessor,
+    loadingMessage: 'FOX validation',
+    loadingSubtext: 'Scanning for validation fields...',
+    editableRules: [
+        ...window.ruleOverrides.fromRules('anchoredRules', window.foxProcessor.anchoredRules),
+        ...window.ruleOverrides.fromRules('', { shellSection: window.foxProcessor.shellSection }, { group: 'FABRIC / UPPER / SHELL' }),
+        ...window.ruleOverrides.fromRules('shellSection.overrides.0.checks', window.foxProcessor.shellSection.overrides[0].checks, { group: 'Sewing Thread' }),
+        ...window.ruleOverrides.fromRules('standardPackagingChecks', window.foxProcessor.standardPackagingChecks, { group: 'Standard Packaging' })
+    ],
+    // Cells the template calculates vs cells the factory types in (see FormulaCheck.js)
+    formulaCells: [
+        { ruleId: 'fox.overhead-cost', expects: 'formula' },
+        { ruleId: 'fox.profit-cost', expects: 'formula' },
+        { ruleId: 'fox.sewing-thread.extended-cost', expects: 'formula' },
+        { ruleId: 'fox.sewing-thread.to-total', expects: 'formula' },
+        { ruleId: 'fox.overhead', expects: 'value' },
+        { ruleId: 'fox.profit-others', expects: 'value' },
+        { ruleId: 'fox.wastage', expects: 'value' },
+        { ruleId: 'fox.sewing-thread', expects: 'value' },
+        { ruleId: 'fox.standard-packaging', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'A', text: 'FABRIC / UPPER / SHELL', weight: 2 },
+        { column: 'K', text: 'PROFIT & OTHERS' },
+        { column: 'A', text: 'LABOR COST' }
+    ]
 });
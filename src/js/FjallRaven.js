@@ -7,6 +7,26 @@ class FjallRavenProcessor {
     constructor() {
         this.fjallRavenCostData = null;
         this.bcbdResults = [];
+
+        // FjallRaven_CostBreakdown.csv layout (see ReferenceCSV.js); '-' marks an unused cell
+        this.referenceLoad = null;
+        this.referenceSchema = {
+            file: 'FjallRaven_CostBreakdown.csv',
+            key: ['product', 'supplierMaterialCode', 'bomSection'],
+            columns: [
+                { key: 'product', name: 'Product', type: 'text' },
+                { key: 'supplierMaterialCode', name: 'Supplier Material Code', type: 'text' },
+                { key: 'bomSection', name: 'BOM Section', type: 'text' },
+                { key: 'supplier', name: 'Supplier', type: 'text' },
+                { key: 'laborCost', name: 'Labor Cost', type: 'range', min: 0, optional: true },
+                { key: 'miscellaneous', name: 'Miscellaneous', type: 'number', min: 0, optional: true },
+                { key: 'qty', name: 'Qty', type: 'number', min: 0, optional: true },
+                { key: 'firstCost', name: 'First Cost', type: 'range', min: 0, optional: true },
+                { key: 'price', name: 'Price', type: 'currency', min: 0, optional: true },
+                { key: 'freight', name: 'Freight', type: 'number', min: 0, max: 1, optional: true },
+                { key: 'waste', name: 'Waste', type: 'number', min: 0, max: 1, optional: true }
+            ]
+        };
     }
 
     /**
@@ -14,15 +34,9 @@ class FjallRavenProcessor {
      */
     async initialize() {
         try {
-            const response = await fetch('assets/data/FjallRaven_CostBreakdown.csv');
-            if (!response.ok) {
-                throw new Error('Failed to load FjallRaven_CostBreakdown.csv');
-            }
-
-            const csvText = await response.text();
-            this.fjallRavenCostData = this.parseCSV(csvText);
-
-            this.displayFjallRavenCostData();
+            // Uploaded replacement if there is one, else assets/data/FjallRaven_CostBreakdown.csv
+            const csvText = await window.referenceCSV.getText(this.referenceSchema);
+            this.loadReference(csvText);
 
             console.log('Fjall Raven Cost Breakdown loaded:', this.fjallRavenCostData);
         } catch (error) {
@@ -31,33 +45,22 @@ class FjallRavenProcessor {
         }
     }
 
+    /**
+     * Parse reference CSV text and display it in the OB drop zone
+     */
+    loadReference(csvText) {
+        this.fjallRavenCostData = this.parseCSV(csvText);
+        this.displayFjallRavenCostData();
+    }
+
     /**
      * Parse CSV text into array of objects
      * Columns: Product, Supplier Material Code, BOM section, Supplier, Labor Cost, Miscellaneous, Qty, First Cost, Price, Freight, Waste
+     * Rows that do not match the schema are left out and listed in the OB drop zone
      */
     parseCSV(csvText) {
-        const lines = csvText.trim().split('\n');
-        const data = [];
-
-        lines.forEach(line => {
-            const values = line.split(',').map(val => val.trim());
-
-            data.push({
-                product: values[0] || '',
-                supplierMaterialCode: values[1] || '',
-                bomSection: values[2] || '',
-                supplier: values[3] || '',
-                laborCost: values[4] || '',
-                miscellaneous: values[5] || '',
-                qty: values[6] || '',
-                firstCost: values[7] || '',
-                price: values[8] || '',
-                freight: values[9] || '',
-                waste: values[10] || ''
-            });
-        });
-
-        return data;
+        this.referenceLoad = window.referenceCSV.parse(csvText, this.referenceSchema);
+        return this.referenceLoad.rows;
     }
 
     /**
@@ -70,6 +73,7 @@ class FjallRavenProcessor {
         let contentHTML = `
             <div class="burton-cost-container">
                 <div class="burton-cost-items">
+                    ${window.referenceCSV.getPanelHTML('v5', this.referenceLoad)}
         `;
 
         this.fjallRavenCostData.forEach((item, index) => {
@@ -119,9 +123,8 @@ class FjallRavenProcessor {
      */
     formatToFourDecimals(value) {
         if (!value || value === '') return value;
-        const cleanValue = value.toString().replace(/[$,\s]/g, '');
-        const numValue = parseFloat(cleanValue);
-        if (isNaN(numValue)) return value;
+        const numValue = window.valueParser.toNumber(value);
+        if (numValue === null) return value;
         return numValue.toFixed(4);
     }
 
@@ -147,6 +150,7 @@ class FjallRavenProcessor {
                 const comparisonResults = this.compareWithOB(buyerData);
                 this.bcbdResults.push({
                     fileName: file.name,
+                    sheetName: buyerData.sheetName,
                     results: comparisonResults
                 });
             }
@@ -164,30 +168,17 @@ class FjallRavenProcessor {
      * TODO: Implement based on further instructions
      */
     async parseBuyerCBDFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    // TODO: Extract data from specific cells based on further instructions
-                    const extractedData = this.extractFjallRavenData(jsonData);
-                    resolve(extractedData);
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        // TODO: Extract data from specific cells based on further instructions
+        const extractedData = this.extractFjallRavenData(jsonData);
+        extractedData.sheetName = firstSheetName;
+        return extractedData;
     }
 
     /**
@@ -358,6 +349,7 @@ class FjallRavenProcessor {
 
                     results.push({
                         itemName: displayName,
+                        rowIndex: buyerItem.rowIndex,
                         isSpecialItem: true,
                         isMultiRowItem: matchingBuyerItems.length > 1, // Flag for multiple rows
                         supplierMaterialCode: { ob: '-', buyer: '-', status: 'N/A' },
@@ -453,6 +445,7 @@ class FjallRavenProcessor {
 
                 results.push({
                     itemName: displayName,
+                    rowIndex: buyerItem.rowIndex,
                     product: {
                         ob: csvItem.product,
                         buyer: buyerItem.foundText,
@@ -536,6 +529,50 @@ class FjallRavenProcessor {
         return results;
     }
 
+    /**
+     * Results in the common structured schema (see StructuredResults.js)
+     * Fields marked N/A (not checked for that item) are left out
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const fields = [
+            { key: 'product', label: 'Product', col: 'D' },
+            { key: 'supplierMaterialCode', label: 'Supplier Material Code', col: 'E' },
+            { key: 'bomSection', label: 'BOM Section', col: 'F' },
+            { key: 'supplier', label: 'Supplier', col: 'G' },
+            { key: 'laborCost', label: 'Labor Cost', col: 'H' },
+            { key: 'miscellaneous', label: 'Miscellaneous', col: 'J' },
+            { key: 'qty', label: 'Qty', col: 'K' },
+            { key: 'firstCost', label: 'First Cost', col: 'L' },
+            { key: 'price', label: 'Price', col: 'M' },
+            { key: 'freight', label: 'Freight', col: 'N' },
+            { key: 'waste', label: 'Waste', col: 'O' }
+        ];
+        const records = [];
+
+        this.bcbdResults.forEach(fileResult => {
+            fileResult.results.forEach(item => {
+                fields.forEach(field => {
+                    const check = item[field.key];
+                    if (!check || check.status === 'N/A') return;
+
+                    records.push(sr.record({
+                        file: fileResult.fileName,
+                        sheet: fileResult.sheetName,
+                        ruleId: sr.ruleId('fjallraven', item.itemName, field.label),
+                        rule: `${item.itemName} ${field.label} matches the Fjall Raven cost breakdown`,
+                        cell: item.rowIndex !== undefined ? sr.cellAddress(item.rowIndex, field.col) : '',
+                        expected: check.ob,
+                        actual: check.buyer,
+                        status: check.status
+                    }));
+                });
+            });
+        });
+
+        return records;
+    }
+
     /**
      * Compare text fields (case-insensitive, trimmed)
      */
@@ -568,8 +605,7 @@ class FjallRavenProcessor {
         if (!buyerValue || buyerValue === '' || buyerValue === 'NOT FOUND') {
             buyerNum = 0;
         } else {
-            const buyerClean = buyerValue.toString().replace(/[$,\s%]/g, '');
-            buyerNum = parseFloat(buyerClean);
+            buyerNum = window.valueParser.toNumber(buyerValue);
         }
 
         // Check if OB value is a range (e.g., "0.15 to 0.19" or "14 to 24")
@@ -577,14 +613,14 @@ class FjallRavenProcessor {
 
         if (rangeMatch) {
             // It's a range - check if buyer value falls within the range
-            const minValue = parseFloat(rangeMatch[1]);
-            const maxValue = parseFloat(rangeMatch[2]);
+            const minValue = window.valueParser.toNumber(rangeMatch[1]);
+            const maxValue = window.valueParser.toNumber(rangeMatch[2]);
 
-            if (isNaN(minValue) || isNaN(maxValue)) {
+            if (minValue === null || maxValue === null) {
                 return 'INVALID';
             }
 
-            if (isNaN(buyerNum)) {
+            if (buyerNum === null) {
                 return 'INVALID';
             }
 
@@ -600,16 +636,14 @@ class FjallRavenProcessor {
         }
 
         // Not a range - do normal comparison
-        const obClean = obString.replace(/[$,\s%]/g, '');
-        const obNum = parseFloat(obClean);
+        const obNum = window.valueParser.toNumber(obString);
 
-        if (isNaN(obNum)) {
+        if (obNum === null) {
             // If OB is not a number, compare as strings
-            const buyerClean = buyerValue ? buyerValue.toString().replace(/[$,\s%]/g, '') : '';
-            return obClean.toLowerCase() === buyerClean.toLowerCase() ? 'VALID' : 'INVALID';
+            return window.valueParser.matches(buyerValue, obString) ? 'VALID' : 'INVALID';
         }
 
-        if (isNaN(buyerNum)) {
+        if (buyerNum === null) {
             return 'INVALID';
         }
 
@@ -807,28 +841,33 @@ class FjallRavenProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createFjallRavenConfig(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createFjallRavenConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize the processor
 window.fjallRavenProcessor = new FjallRavenProcessor();
 
-// Auto-load when V5 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    // Add click listener to ALL elements with data-tab="v5" (both tab buttons and menu items)
-    const v5Tabs = document.querySelectorAll('[data-tab="v5"]');
-    v5Tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            if (!window.fjallRavenProcessor.fjallRavenCostData) {
-                window.fjallRavenProcessor.initialize();
-            }
-        });
-    });
-
-    const v5TabContent = document.getElementById('tab-v5');
-    if (v5TabContent && v5TabContent.classList.contains('active')) {
-        window.fjallRavenProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v5',
+    name: 'Fjall Raven',
+    shortName: 'FR',
+    processor: window.fjallRavenProcessor,
+    obPanel: 'reference',
+    loadingMessage: 'Fjall Raven Cost Breakdown',
+    initializeOn: 'activate',
+    isInitialized: (processor) => !!processor.fjallRavenCostData,
+    formulaCells: [
+        { ruleId: 'fjallraven.*.qty', expects: 'value' },
+        { ruleId: 'fjallraven.*.price', expects: 'value' },
+        { ruleId: 'fjallraven.*.freight', expects: 'value' },
+        { ruleId: 'fjallraven.*.waste', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'F', text: 'Fabrics', exact: true },
+        { column: 'F', text: 'Cost per minute' },
+        { column: 'F', text: 'Minutes/Product' }
+    ]
 });
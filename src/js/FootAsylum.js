@@ -133,6 +133,20 @@ class FootAsylumProcessor {
                 expectedDisplay: '3%'
             }
         };
+
+        // Tolerance policies of the numeric columns (see TolerancePolicy.js); percentages compare as fractions
+        this.tolerances = {
+            percentage: { absolute: 0.0001 },
+            number: { absolute: 0.0001 }
+        };
+    }
+
+    /**
+     * Tolerance policy of a numeric rule, undefined for the TRUE / FALSE and currency columns
+     */
+    getTolerance(rule) {
+        if (typeof rule.expectedValue !== 'number') return undefined;
+        return rule.expectedDisplay.includes('%') ? this.tolerances.percentage : this.tolerances.number;
     }
 
     /**
@@ -150,6 +164,14 @@ class FootAsylumProcessor {
         const obDropZone = document.getElementById('obDropZone-v18');
         if (!obDropZone) return;
 
+        // Main Material and Supplier Currency sit in fixed columns, the other columns are found from Row 2
+        const ruleLines = (rules) => Object.values(rules).map(rule => `
+                    <div class="burton-cost-item">
+                        <div class="burton-item-line">${rule.column === 'D' || rule.column === 'P'
+                            ? `Column ${rule.column} - ${rule.label}: ${rule.expectedDisplay}`
+                            : `${rule.label}: ${rule.expectedDisplay} (column detected from Row 2)`}</div>
+                    </div>`).join('');
+
         let contentHTML = `
             <div class="burton-cost-container">
                 <div class="burton-cost-header">
@@ -159,48 +181,19 @@ class FootAsylumProcessor {
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong>FABRICS SECTION</strong> (between "Fabrics (...)" and "Trims (")</div>
                     </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line">Column D - Main Material: TRUE</div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line">Column P - Supplier Currency: USD</div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line">Wastage %: 5% (column detected from Row 2)</div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line">Overhead Cost: 0.5 (column detected from Row 2)</div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line">Testing Cost: 0.1 (column detected from Row 2)</div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line">Profit % / Total FOB: 10% (column detected from Row 2)</div>
-                    </div>
+                    ${ruleLines(this.validationRules)}
                     <div class="burton-cost-item" style="margin-top: 12px; border-top: 1px solid #cbd5e1; padding-top: 12px;">
                         <div class="burton-item-line"><strong>TRIMS SECTION</strong> (between "Trims (...)" and "Packaging")</div>
                     </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line">Column D - Main Material: FALSE</div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line">Column P - Supplier Currency: USD</div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line">Wastage %: 3% (column detected from Row 2)</div>
-                    </div>
+                    ${ruleLines(this.trimsValidationRules)}
                     <div class="burton-cost-item" style="margin-top: 12px; border-top: 1px solid #cbd5e1; padding-top: 12px;">
                         <div class="burton-item-line"><strong>PACKAGING SECTION</strong> (between "Packaging (...)" and "Graphics")</div>
                     </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line">Column D - Main Material: FALSE</div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line">Column P - Supplier Currency: USD</div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line">Wastage %: 3% (column detected from Row 2)</div>
-                    </div>
+                    ${ruleLines(this.packagingValidationRules)}
+                    ${window.tolerancePolicy.getPanelHTML([
+                        { label: 'Wastage % / Profit %', tolerance: this.tolerances.percentage, percent: true },
+                        { label: 'Overhead / Testing Cost', tolerance: this.tolerances.number }
+                    ])}
                 </div>
             </div>
         `;
@@ -303,9 +296,10 @@ class FootAsylumProcessor {
             // Process each BCBD file
             for (const file of bcbdFiles) {
                 const fileData = await this.parseBuyerCBDFile(file);
-                const validationResults = this.validateFile(fileData);
+                const validationResults = this.validateFile(fileData.jsonData);
                 this.bcbdResults.push({
                     fileName: file.name,
+                    sheetName: fileData.sheetName,
                     results: validationResults
                 });
             }
@@ -322,28 +316,14 @@ class FootAsylumProcessor {
      * Parse Buyer CBD Excel file
      */
     async parseBuyerCBDFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    resolve(jsonData);
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        return { sheetName: firstSheetName, jsonData };
     }
 
     /**
@@ -504,47 +484,22 @@ class FootAsylumProcessor {
         }
         // Handle percentage values (5%, 10%)
         else if (rule.expectedDisplay.includes('%')) {
-            let numericValue;
-            if (typeof actualValue === 'number') {
-                numericValue = actualValue;
-            } else {
-                const strValue = actualValue.toString().trim();
-                if (strValue.endsWith('%')) {
-                    numericValue = parseFloat(strValue) / 100;
-                } else {
-                    numericValue = parseFloat(strValue);
-                }
-            }
+            // "10%", 0.1 and 10 are all read as 0.1
+            const normalizedValue = window.valueParser.toPercent(actualValue);
 
-            if (!isNaN(numericValue)) {
-                // Normalize the value: if >= 1, it's stored as percentage (e.g., 10 for 10%)
-                // Convert to decimal for comparison (divide by 100)
-                let normalizedValue = numericValue;
-                if (numericValue >= 1) {
-                    normalizedValue = numericValue / 100;
-                }
-
-                isValid = Math.abs(normalizedValue - rule.expectedValue) < 0.0001;
+            if (normalizedValue !== null) {
+                isValid = window.tolerancePolicy.compare(normalizedValue, rule.expectedValue, this.tolerances.percentage).status === 'VALID';
 
                 // Display as percentage
-                if (numericValue < 1) {
-                    displayValue = (numericValue * 100).toFixed(0) + '%';
-                } else {
-                    displayValue = numericValue.toFixed(0) + '%';
-                }
+                displayValue = (normalizedValue * 100).toFixed(0) + '%';
             }
         }
         // Handle numeric values (0.5, 0.1)
         else if (typeof rule.expectedValue === 'number') {
-            let numericValue;
-            if (typeof actualValue === 'number') {
-                numericValue = actualValue;
-            } else {
-                numericValue = parseFloat(actualValue.toString().trim());
-            }
+            const numericValue = window.valueParser.toNumber(actualValue);
 
-            if (!isNaN(numericValue)) {
-                isValid = Math.abs(numericValue - rule.expectedValue) < 0.0001;
+            if (numericValue !== null) {
+                isValid = window.tolerancePolicy.compare(numericValue, rule.expectedValue, this.tolerances.number).status === 'VALID';
                 displayValue = numericValue.toString();
             }
         }
@@ -795,6 +750,61 @@ class FootAsylumProcessor {
         return results;
     }
 
+    /**
+     * Results of the last run in the common structured schema (see StructuredResults.js)
+     * Empty cells are left out, as in the results table counts
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+        const sections = [
+            { key: 'fabrics', label: 'Fabrics' },
+            { key: 'trims', label: 'Trims' },
+            { key: 'packaging', label: 'Packaging' }
+        ];
+
+        this.bcbdResults.forEach(fileResult => {
+            const base = { file: fileResult.fileName, sheet: fileResult.sheetName };
+
+            sections.forEach(section => {
+                const sectionResult = fileResult.results[section.key];
+
+                if (!sectionResult.sectionFound) {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('footasylum', section.label, 'section'),
+                        rule: `${section.label} section is present`,
+                        expected: 'Section found',
+                        actual: 'Section not found',
+                        status: 'INVALID'
+                    }));
+                    return;
+                }
+
+                sectionResult.rows.forEach(row => {
+                    Object.entries(row.columns).forEach(([key, cellData]) => {
+                        if (cellData.isEmpty) return;
+
+                        const rule = sectionResult.activeRules[key];
+                        const tolerance = this.getTolerance(rule);
+                        records.push(sr.record({
+                            ...base,
+                            ruleId: sr.ruleId('footasylum', section.label, key),
+                            rule: `${section.label} ${rule.label} (column ${cellData.column}) is ${cellData.expected}`,
+                            cell: `${cellData.column}${row.rowNumber}`,
+                            expected: cellData.expected,
+                            tolerance: tolerance ? window.tolerancePolicy.describe(tolerance, { percent: tolerance === this.tolerances.percentage }) : '',
+                            actual: cellData.value,
+                            status: cellData.isValid
+                        }));
+                    });
+                });
+            });
+        });
+
+        return records;
+    }
+
     /**
      * Format cell value with color coding
      */
@@ -1084,8 +1094,8 @@ class FootAsylumProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createFootAsylumConfig(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createFootAsylumConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 
     /**
@@ -1134,17 +1144,36 @@ class FootAsylumProcessor {
 // Initialize the processor
 window.footAsylumProcessor = new FootAsylumProcessor();
 
-// Auto-initialize when V18 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    const v18Tabs = document.querySelectorAll('[data-tab="v18"]');
-    v18Tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            window.footAsylumProcessor.initialize();
-        });
-    });
-
-    const v18TabContent = document.getElementById('tab-v18');
-    if (v18TabContent && v18TabContent.classList.contains('active')) {
-        window.footAsylumProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v18',
+    name: 'Foot Asylum',
+    shortName: 'FA',
+    processor: window.footAsylumProcessor,
+    loadingMessage: 'Foot Asylum validation',
+    loadingSubtext: 'Scanning Fabrics section...',
+    // Expected values of each section's rules; the display text follows the value
+    editableRules: [
+        { property: 'validationRules', group: 'Fabrics' },
+        { property: 'trimsValidationRules', group: 'Trims' },
+        { property: 'packagingValidationRules', group: 'Packaging' }
+    ].flatMap(({ property, group }) => Object.entries(window.footAsylumProcessor[property]).map(([key, rule]) => ({
+        path: `${property}.${key}.expectedValue`,
+        label: rule.label,
+        group: group,
+        format: typeof rule.expectedValue === 'boolean' ? 'boolean'
+            : typeof rule.expectedValue === 'string' ? 'text'
+            : rule.expectedDisplay.includes('%') ? 'percent' : 'number',
+        display: `${property}.${key}.expectedDisplay`
+    }))),
+    formulaCells: [
+        { ruleId: 'footasylum.*.wastage', expects: 'value' },
+        { ruleId: 'footasylum.*.overheadcost', expects: 'value' },
+        { ruleId: 'footasylum.*.testingcost', expects: 'value' }
+    ],
+    fingerprints: [
+        { row: 2, text: 'Wastage %', sheet: 'first' },
+        { row: 2, text: 'Testing Cost', sheet: 'first' },
+        { row: 2, text: 'Overhead Cost', sheet: 'first' }
+    ]
 });
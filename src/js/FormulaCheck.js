@@ -0,0 +1,159 @@
+/**
+ * Formula Check
+ * Flags validated cells whose content does not match the template: a hard-coded value typed over a
+ * cell the template calculates (a factory overwriting the overhead formula with 0.40), or a formula
+ * where the template expects a typed input.
+ *
+ * sheet_to_json drops formulas, so the check runs after a processor, on the parsed workbook the
+ * batch already holds (see WorkbookReader.js), for every result record tied to a cell.
+ *
+ * Expectations are declared on the registry entry (formulaCells) by rule id pattern; '*' matches
+ * one segment and a pattern also covers the ids below it. The first matching pattern wins.
+ *   formulaCells: [
+ *       { ruleId: 'fox.overhead-cost', expects: 'formula' },
+ *       { ruleId: 'fox.wastage', expects: 'value' }
+ *   ]
+ * Line totals and subtotals of the roll-up checks (see RollupChecker.js) always expect a formula.
+ *
+ * Mismatches become WARNING records with their own severity, 'formula'.
+ */
+
+class FormulaCheck {
+    constructor() {
+        this.severity = 'formula';
+        this.defaultCells = [
+            { ruleId: '*.rollup', expects: 'formula' }
+        ];
+    }
+
+    /**
+     * Formula records for a tab's last run
+     * @param {Object} entry - registry entry with results and files of the run
+     * @returns {Promise<Array>} - WARNING records, one per mismatched cell
+     */
+    async check(entry) {
+        const specs = [...(entry.formulaCells || []), ...this.defaultCells];
+        const flagged = [];
+        const seen = new Set();
+
+        for (const file of entry.files || []) {
+            const records = (entry.results || []).filter(record =>
+                record.file === file.name && record.sheet && record.cell
+            );
+            if (records.length === 0) continue;
+
+            let workbook;
+            try {
+                workbook = await window.workbookReader.read(file);
+            } catch (error) {
+                console.error(`Error reading ${file.name} for the formula check:`, error);
+                continue;
+            }
+
+            records.forEach(record => {
+                const spec = specs.find(candidate => this.matches(record.ruleId, candidate.ruleId));
+                if (!spec) return;
+
+                const key = `${record.file}!${record.sheet}!${record.cell}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+
+                const mismatch = this.checkCell(workbook, record, spec.expects);
+                if (mismatch) flagged.push(mismatch);
+            });
+        }
+
+        return flagged;
+    }
+
+    /**
+     * Formula record for one cell, or null when the cell holds what the template expects
+     */
+    checkCell(workbook, record, expects) {
+        const sheet = workbook.Sheets[record.sheet];
+        const cell = sheet ? sheet[record.cell] : null;
+        if (!cell || (cell.v === undefined && !cell.f)) return null;
+
+        const hasFormula = !!cell.f;
+        if (hasFormula === (expects === 'formula')) return null;
+
+        const sr = window.structuredResults;
+        return sr.record({
+            file: record.file,
+            sheet: record.sheet,
+            ruleId: `${record.ruleId}.formula`,
+            rule: hasFormula
+                ? `Formula where the template expects a typed value - ${record.rule}`
+                : `Value is hard-coded where the template expects a formula - ${record.rule}`,
+            cell: record.cell,
+            expected: hasFormula ? 'Typed value' : 'Formula',
+            actual: hasFormula ? `=${cell.f}` : `Hard-coded ${cell.w !== undefined ? cell.w : cell.v}`,
+            status: 'WARNING',
+            severity: this.severity
+        });
+    }
+
+    /**
+     * Does a rule id fall under a pattern ('fox.overhead-cost', 'burton.*.total')
+     */
+    matches(ruleId, pattern) {
+        const ids = ruleId.split('.');
+        const parts = pattern.split('.');
+        if (ids.length < parts.length) return false;
+
+        return parts.every((part, index) => part === '*' || part === ids[index]);
+    }
+
+    isFormulaRecord(record) {
+        return record.severity === this.severity;
+    }
+
+    /**
+     * Results block listing the flagged cells of a run, grouped by file
+     * Empty when nothing was flagged
+     */
+    getResultsHTML(records) {
+        const flagged = records.filter(record => this.isFormulaRecord(record));
+        if (flagged.length === 0) return '';
+
+        const files = [...new Set(flagged.map(record => record.file))];
+
+        return `
+            <div class="formula-results">
+                <h3>Formula Check</h3>
+                ${files.map(file => `
+                    <div class="formula-file">
+                        <div class="formula-file-name">${this.escape(file)}</div>
+                        <table class="results-table formula-table">
+                            <thead>
+                                <tr class="header-labels-row"><th>Sheet</th><th>Cell</th><th>Check</th><th>Template</th><th>In sheet</th></tr>
+                            </thead>
+                            <tbody>
+                                ${flagged.filter(record => record.file === file).map(record => `
+                                    <tr>
+                                        <td>${this.escape(record.sheet)}</td>
+                                        <td><strong>${record.cell}</strong></td>
+                                        <td>${this.escape(record.rule)}</td>
+                                        <td>${record.expected}</td>
+                                        <td class="formula-actual">${this.escape(record.actual)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize global instance (run by the registry after each processor run)
+window.formulaCheck = new FormulaCheck();
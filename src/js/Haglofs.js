@@ -10,6 +10,43 @@
 class HaglofsProcessor {
     constructor() {
         this.bcbdResults = [];
+
+        // Anchored checks, run by the shared rule engine (see RuleEngine.js)
+        // The last matching row wins, as CBDs repeat these labels in later blocks
+        this.anchoredRules = {
+            supplier: {
+                name: 'Supplier',
+                markerColumn: 'A',
+                marker: 'supplier',
+                occurrence: 'last',
+                valueColumn: 'B',
+                comparator: 'exact',
+                expected: 'Madison 88',
+                caseSensitive: true
+            },
+            overhead: {
+                // 0.45, 45 and '45%' are all accepted
+                name: 'Overhead',
+                markerColumn: 'I',
+                marker: 'overhead',
+                occurrence: 'last',
+                valueColumn: 'L',
+                comparator: 'exact',
+                expected: 0.45,
+                percent: true
+            },
+            margin: {
+                name: 'Margin',
+                markerColumn: 'I',
+                marker: 'margin',
+                occurrence: 'last',
+                valueColumn: 'L',
+                comparator: 'range',
+                min: 0.30,
+                max: 0.90,
+                percent: true
+            }
+        };
     }
 
     /**
@@ -27,6 +64,10 @@ class HaglofsProcessor {
         const obDropZone = document.getElementById('obDropZone-v21');
         if (!obDropZone) return;
 
+        // Overhead and margin are shown as decimals (0.45), whichever format the CBD uses
+        const rules = this.anchoredRules;
+        const decimals = rule => window.ruleEngine.describeExpected({ ...rule, percent: false }, 2);
+
         let contentHTML = `
             <div class="burton-cost-container">
                 <div class="burton-cost-header">
@@ -35,7 +76,7 @@ class HaglofsProcessor {
                 <div class="burton-cost-items">
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong style="color: #2b4a6c;">Supplier (Column A):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">Column B: <strong>Madison 88</strong></div>
+                        <div class="burton-item-line" style="margin-left: 1rem;">Column B: <strong>${rules.supplier.expected}</strong></div>
                     </div>
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong style="color: #2b4a6c;">Fabric Section (Material / Description → Total Fabric Costs):</strong></div>
@@ -58,11 +99,11 @@ class HaglofsProcessor {
                     </div>
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong style="color: #2b4a6c;">Overhead (Column I):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">Column L: <strong>0.45</strong></div>
+                        <div class="burton-item-line" style="margin-left: 1rem;">Column L: <strong>${decimals(rules.overhead)}</strong></div>
                     </div>
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong style="color: #2b4a6c;">Margin (Column I):</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">Column L: <strong>0.30 - 0.90</strong></div>
+                        <div class="burton-item-line" style="margin-left: 1rem;">Column L: <strong>${decimals(rules.margin)}</strong></div>
                     </div>
                 </div>
             </div>
@@ -96,9 +137,10 @@ class HaglofsProcessor {
             // Process each BCBD file
             for (const file of bcbdFiles) {
                 const fileData = await this.parseBuyerCBDFile(file);
-                const validationResults = this.validateFile(fileData);
+                const validationResults = this.validateFile(fileData.jsonData);
                 this.bcbdResults.push({
                     fileName: file.name,
+                    sheetName: fileData.sheetName,
                     results: validationResults
                 });
             }
@@ -115,28 +157,14 @@ class HaglofsProcessor {
      * Parse Buyer CBD Excel file
      */
     async parseBuyerCBDFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    resolve(jsonData);
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        return { sheetName: firstSheetName, jsonData };
     }
 
     /**
@@ -158,8 +186,6 @@ class HaglofsProcessor {
         const colF = this.columnToIndex('F');
         const colG = this.columnToIndex('G');
         const colH = this.columnToIndex('H');
-        const colI = this.columnToIndex('I');
-        const colL = this.columnToIndex('L');
 
         let scanningSection = null; // 'fabric', 'trims', 'packaging' or null
         let materialDescCount = 0; // Track how many "Material / Description" headers we've seen
@@ -171,69 +197,6 @@ class HaglofsProcessor {
 
             const colAValue = row[colA] ? row[colA].toString().trim() : '';
             const colALower = colAValue.toLowerCase();
-            const colIValue = row[colI] ? row[colI].toString().trim() : '';
-            const colILower = colIValue.toLowerCase();
-
-            // Check for Supplier
-            if (colALower === 'supplier') {
-                const colBValue = row[colB] ? row[colB].toString().trim() : '';
-                results.supplier = {
-                    found: true,
-                    rowIndex: i + 1,
-                    expected: 'Madison 88',
-                    actual: colBValue,
-                    isValid: colBValue === 'Madison 88'
-                };
-            }
-
-            // Check for Overhead in column I
-            if (colILower === 'overhead') {
-                const colLValue = row[colL] ? row[colL].toString().trim() : '';
-                let isValid = false;
-
-                // Check if it's 0.45 in various formats
-                if (colLValue === '0.45' || colLValue === '45%' || colLValue === '45') {
-                    isValid = true;
-                } else if (!isNaN(parseFloat(colLValue))) {
-                    const numValue = parseFloat(colLValue);
-                    if (numValue === 0.45 || numValue === 45) {
-                        isValid = true;
-                    }
-                }
-
-                results.overhead = {
-                    found: true,
-                    rowIndex: i + 1,
-                    expected: '0.45',
-                    actual: colLValue,
-                    isValid: isValid
-                };
-            }
-
-            // Check for Margin in column I
-            if (colILower === 'margin') {
-                const colLValue = row[colL] ? row[colL].toString().trim() : '';
-                let isValid = false;
-                let numValue = null;
-
-                // Parse the value
-                if (!isNaN(parseFloat(colLValue))) {
-                    numValue = parseFloat(colLValue);
-
-                    // Check if it's in range 0.30 to 0.90 (decimal) or 30 to 90 (percentage)
-                    if ((numValue >= 0.30 && numValue <= 0.90) || (numValue >= 30 && numValue <= 90)) {
-                        isValid = true;
-                    }
-                }
-
-                results.margin = {
-                    found: true,
-                    rowIndex: i + 1,
-                    expected: '0.30 - 0.90',
-                    actual: colLValue,
-                    isValid: isValid
-                };
-            }
 
             // Check for Material / Description sections (header row)
             // More flexible matching: just need "material" and "description" in the text
@@ -297,15 +260,7 @@ class HaglofsProcessor {
                 const fValid = colFValue === 'pc';
                 const gValid = colGValue === '1';
 
-                let hValid = false;
-                if (colHValue === '3%' || colHValue === '0.03' || colHValue === '3') {
-                    hValid = true;
-                } else if (!isNaN(parseFloat(colHValue))) {
-                    const numValue = parseFloat(colHValue);
-                    if (numValue === 0.03 || numValue === 3) {
-                        hValid = true;
-                    }
-                }
+                const hValid = window.valueParser.matches(colHValue, '3%');
 
                 const allValid = bValid && fValid && gValid && hValid;
 
@@ -338,37 +293,16 @@ class HaglofsProcessor {
 
                 if (scanningSection === 'fabric') {
                     expected = '5%';
-                    // Check if it's 5% in various formats
-                    if (colHValue === '5%' || colHValue === '0.05' || colHValue === '5') {
-                        isValid = true;
-                    } else if (!isNaN(parseFloat(colHValue))) {
-                        const numValue = parseFloat(colHValue);
-                        if (numValue === 0.05 || numValue === 5) {
-                            isValid = true;
-                        }
-                    }
+                    // "5%", 0.05 and 5 all match
+                    isValid = window.valueParser.matches(colHValue, expected);
                 } else if (scanningSection === 'trims') {
                     expected = '3%';
-                    // Check if it's 3% in various formats
-                    if (colHValue === '3%' || colHValue === '0.03' || colHValue === '3') {
-                        isValid = true;
-                    } else if (!isNaN(parseFloat(colHValue))) {
-                        const numValue = parseFloat(colHValue);
-                        if (numValue === 0.03 || numValue === 3) {
-                            isValid = true;
-                        }
-                    }
+                    // "3%", 0.03 and 3 all match
+                    isValid = window.valueParser.matches(colHValue, expected);
                 } else if (scanningSection === 'packaging') {
                     expected = '3%';
-                    // Check if it's 3% in various formats
-                    if (colHValue === '3%' || colHValue === '0.03' || colHValue === '3') {
-                        isValid = true;
-                    } else if (!isNaN(parseFloat(colHValue))) {
-                        const numValue = parseFloat(colHValue);
-                        if (numValue === 0.03 || numValue === 3) {
-                            isValid = true;
-                        }
-                    }
+                    // "3%", 0.03 and 3 all match
+                    isValid = window.valueParser.matches(colHValue, expected);
                 }
 
                 const rowData = {
@@ -389,40 +323,102 @@ class HaglofsProcessor {
             }
         }
 
-        // Handle case where Supplier wasn't found
-        if (!results.supplier) {
-            results.supplier = {
-                found: false,
-                rowIndex: null,
-                expected: 'Madison 88',
-                actual: 'Not Found',
-                isValid: false
+        // Supplier, Overhead and Margin
+        Object.keys(this.anchoredRules).forEach(key => {
+            const rule = this.anchoredRules[key];
+            const evaluation = window.ruleEngine.evaluate(jsonData, rule);
+
+            results[key] = {
+                found: evaluation.found,
+                rowIndex: evaluation.found ? evaluation.rowNumber : null,
+                // Shown as decimals (0.45), whichever format the CBD uses
+                expected: window.ruleEngine.describeExpected({ ...rule, percent: false }, rule.percent ? 2 : undefined),
+                actual: evaluation.found ? evaluation.text : 'Not Found',
+                isValid: evaluation.isValid
             };
-        }
+        });
 
-        // Handle case where Overhead wasn't found
-        if (!results.overhead) {
-            results.overhead = {
-                found: false,
-                rowIndex: null,
-                expected: '0.45',
-                actual: 'Not Found',
-                isValid: false
-            };
-        }
+        return results;
+    }
 
-        // Handle case where Margin wasn't found
-        if (!results.margin) {
-            results.margin = {
-                found: false,
-                rowIndex: null,
-                expected: '0.30 - 0.90',
-                actual: 'Not Found',
-                isValid: false
-            };
-        }
+    /**
+     * Results of the last run in the common structured schema (see StructuredResults.js)
+     * Row numbers in Haglofs results are already 1-based
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+        const cellChecks = [
+            { key: 'supplier', label: 'Supplier', column: 'B' },
+            { key: 'overhead', label: 'Overhead', column: 'L' },
+            { key: 'margin', label: 'Margin', column: 'L' }
+        ];
+        const allowanceSections = [
+            { key: 'fabricAllowanceRows', label: 'Fabric' },
+            { key: 'trimsAllowanceRows', label: 'Trims' },
+            { key: 'packagingAllowanceRows', label: 'Packaging' }
+        ];
+        const genericPackagingColumns = ['B', 'F', 'G', 'H'];
+
+        this.bcbdResults.forEach(fileResult => {
+            const results = fileResult.results;
+            const base = { file: fileResult.fileName, sheet: fileResult.sheetName };
+
+            cellChecks.forEach(check => {
+                const result = results[check.key];
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('haglofs', check.label),
+                    rule: `${check.label} (column ${check.column}) is ${result.expected}`,
+                    cell: result.found ? `${check.column}${result.rowIndex}` : '',
+                    expected: result.expected,
+                    actual: result.actual,
+                    status: result.isValid
+                }));
+            });
 
-        return results;
+            allowanceSections.forEach(section => {
+                results[section.key].forEach(row => {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('haglofs', section.label, 'allowance'),
+                        rule: `${section.label} allowance (column H) is ${row.expected}`,
+                        cell: `H${row.rowIndex}`,
+                        expected: row.expected,
+                        actual: row.actual,
+                        status: row.isValid
+                    }));
+                });
+            });
+
+            const genericPackaging = results.genericPackaging;
+            if (!genericPackaging) {
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('haglofs', 'generic-packaging'),
+                    rule: 'Generic Packaging row is present in the packaging section',
+                    expected: 'B=m88, F=pc, G=1, H=3%',
+                    actual: 'Not found',
+                    status: 'WARNING'
+                }));
+                return;
+            }
+
+            genericPackagingColumns.forEach(column => {
+                const check = genericPackaging[`col${column}`];
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('haglofs', 'generic-packaging', column),
+                    rule: `Generic Packaging column ${column} is ${check.expected}`,
+                    cell: `${column}${genericPackaging.rowIndex}`,
+                    expected: check.expected,
+                    actual: check.actual,
+                    status: check.isValid
+                }));
+            });
+        });
+
+        return records;
     }
 
     /**
@@ -674,12 +670,12 @@ class HaglofsProcessor {
     }
 
     /**
-     * Export results to PDF
+     * Export results to PDF using the unified Export.js module
      */
     async exportToPDF() {
-        if (!window.haglofsExportConfig) {
-            console.error('Haglofs export configuration not loaded');
-            alert('Export module not available. Please refresh the page.');
+        if (!window.pdfExporter) {
+            console.error('PDF Exporter not loaded');
+            alert('PDF export module not available. Please refresh the page.');
             return;
         }
 
@@ -688,8 +684,8 @@ class HaglofsProcessor {
             return;
         }
 
-        const config = window.haglofsExportConfig.createHaglofsConfig(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createHaglofsConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 
     /**
@@ -737,3 +733,26 @@ class HaglofsProcessor {
 
 // Initialize the processor
 window.haglofsProcessor = new HaglofsProcessor();
+
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v21',
+    name: 'Haglofs',
+    shortName: 'HGF',
+    processor: window.haglofsProcessor,
+    loadingMessage: 'Haglofs validation',
+    loadingSubtext: 'Scanning for validation fields...',
+    editableRules: window.ruleOverrides.fromRules('anchoredRules', window.haglofsProcessor.anchoredRules, { format: 'number' }),
+    formulaCells: [
+        { ruleId: 'haglofs.overhead', expects: 'value' },
+        { ruleId: 'haglofs.margin', expects: 'value' },
+        { ruleId: 'haglofs.*.allowance', expects: 'value' },
+        { ruleId: 'haglofs.generic-packaging.g', expects: 'value' },
+        { ruleId: 'haglofs.generic-packaging.h', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'A', text: 'Material / Description' },
+        { column: 'A', text: 'Total Fabric Costs' },
+        { column: 'A', text: 'Supplier' }
+    ]
+});
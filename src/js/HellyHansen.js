@@ -7,6 +7,47 @@ class HellyHansenProcessor {
     constructor() {
         this.hellyHansenCostData = null;
         this.bcbdResults = [];
+
+        // HellyHansen_CostBreakdown.csv layout (see ReferenceCSV.js)
+        this.referenceLoad = null;
+        this.referenceSchema = {
+            file: 'HellyHansen_CostBreakdown.csv',
+            key: ['item'],
+            columns: [
+                { key: 'item', name: 'Item', type: 'text' },
+                { key: 'consm', name: 'CONSM', type: 'number', min: 0 },
+                { key: 'up', name: 'U/P', type: 'currency', min: 0 },
+                { key: 'amount', name: 'Amount', type: 'currency', min: 0 }
+            ],
+            variants: [
+                // Transportation, overhead and margin lines hold one rate or range
+                { column: 0, pattern: /transportation|overhead|margin|profit/i, columns: [
+                    { key: 'item', name: 'Item', type: 'text' },
+                    { key: 'consm', name: 'Rate', type: 'range', min: 0, max: 1 },
+                    { key: 'up', name: 'U/P', type: 'currency', optional: true },
+                    { key: 'amount', name: 'Amount', type: 'currency', optional: true }
+                ] }
+            ]
+        };
+
+        // Tolerance policy of the compared CSV values (see TolerancePolicy.js)
+        this.tolerance = { decimals: 4 };
+
+        // Amounts of the special rows, which do not come from the CSV (editable, see RuleOverrides.js)
+        this.specialRowRules = {
+            overheadIndo: { name: 'Financial and Overhead Cost (Indonesia)', comparator: 'exact', expected: 0.40, tolerance: this.tolerance },
+            overheadOther: { name: 'Financial and Overhead Cost (other origins)', comparator: 'exact', expected: 0.30, tolerance: this.tolerance },
+            marginProfit: { name: 'Margin / Profit', comparator: 'range', min: 0.45, max: 0.55 }
+        };
+
+        // Arithmetic of the matched item rows (see RollupChecker.js): Amount (J) = CONSM (H) × U/P (I)
+        this.rollupLayout = {
+            labelColumn: 'C',
+            qtyColumn: 'H',
+            priceColumn: 'I',
+            totalColumn: 'J',
+            tolerance: 0.0001
+        };
     }
 
     /**
@@ -14,15 +55,9 @@ class HellyHansenProcessor {
      */
     async initialize() {
         try {
-            const response = await fetch('assets/data/HellyHansen_CostBreakdown.csv');
-            if (!response.ok) {
-                throw new Error('Failed to load HellyHansen_CostBreakdown.csv');
-            }
-
-            const csvText = await response.text();
-            this.hellyHansenCostData = this.parseCSV(csvText);
-
-            this.displayHellyHansenCostData();
+            // Uploaded replacement if there is one, else assets/data/HellyHansen_CostBreakdown.csv
+            const csvText = await window.referenceCSV.getText(this.referenceSchema);
+            this.loadReference(csvText);
 
             console.log('Helly Hansen Cost Breakdown loaded:', this.hellyHansenCostData);
         } catch (error) {
@@ -31,26 +66,22 @@ class HellyHansenProcessor {
         }
     }
 
+    /**
+     * Parse reference CSV text and display it in the OB drop zone
+     */
+    loadReference(csvText) {
+        this.hellyHansenCostData = this.parseCSV(csvText);
+        this.displayHellyHansenCostData();
+    }
+
     /**
      * Parse CSV text into array of objects
      * Format: Item, CONSM, U/P, Amount
+     * Rows that do not match the schema are left out and listed in the OB drop zone
      */
     parseCSV(csvText) {
-        const lines = csvText.trim().split('\n');
-        const data = [];
-
-        lines.forEach(line => {
-            const values = line.split(',').map(val => val.trim());
-
-            data.push({
-                item: values[0] || '',
-                consm: values[1] || '',
-                up: values[2] || '',
-                amount: values[3] || ''
-            });
-        });
-
-        return data;
+        this.referenceLoad = window.referenceCSV.parse(csvText, this.referenceSchema);
+        return this.referenceLoad.rows;
     }
 
     /**
@@ -63,6 +94,16 @@ class HellyHansenProcessor {
         let contentHTML = `
             <div class="burton-cost-container">
                 <div class="burton-cost-items">
+                    ${window.referenceCSV.getPanelHTML('v4', this.referenceLoad)}
+                    ${window.tolerancePolicy.getPanelHTML([
+                        { label: 'CONSM / U/P / Amount', tolerance: this.tolerance }
+                    ])}
+                    ${window.rollupChecker.getPanelHTML(this.rollupLayout)}
+                    <div class="burton-cost-item">
+                        <div class="burton-item-line"><strong>Special Rows:</strong></div>
+                        <div class="burton-item-line">FINANCIAL AND OVERHEAD COST: <strong>${this.formatAmount(this.specialRowRules.overheadIndo.expected)}</strong> (INDO), otherwise <strong>${this.formatAmount(this.specialRowRules.overheadOther.expected)}</strong></div>
+                        <div class="burton-item-line">MARGIN / PROFIT: <strong>${this.describeMarginProfit()}</strong></div>
+                    </div>
         `;
 
         this.hellyHansenCostData.forEach((item, index) => {
@@ -84,6 +125,15 @@ class HellyHansenProcessor {
         obDropZone.innerHTML = contentHTML;
     }
 
+    /**
+     * Re-render the OB drop zone with the current expected values (called by the rule editor)
+     */
+    displayValidationRules() {
+        if (this.hellyHansenCostData) {
+            this.displayHellyHansenCostData();
+        }
+    }
+
     /**
      * Display error message
      */
@@ -105,9 +155,8 @@ class HellyHansenProcessor {
      */
     formatToFourDecimals(value) {
         if (!value || value === '') return value;
-        const cleanValue = value.toString().replace(/[$,\s]/g, '');
-        const numValue = parseFloat(cleanValue);
-        if (isNaN(numValue)) return value;
+        const numValue = window.valueParser.toNumber(value);
+        if (numValue === null) return value;
         return numValue.toFixed(4);
     }
 
@@ -132,7 +181,9 @@ class HellyHansenProcessor {
                 const comparisonResults = this.compareWithOB(buyerData);
                 this.bcbdResults.push({
                     fileName: file.name,
-                    results: comparisonResults
+                    sheetName: buyerData.sheetName,
+                    results: comparisonResults,
+                    rollup: buyerData.rollup
                 });
             }
 
@@ -148,30 +199,20 @@ class HellyHansenProcessor {
      * Parse Buyer CBD Excel file
      */
     async parseBuyerCBDFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    // Extract data from specific cells
-                    const extractedData = this.extractHellyHansenData(jsonData);
-                    resolve(extractedData);
-                } catch (error) {
-                    reject(error);
-                }
-            };
-
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        const workbook = await window.workbookReader.read(file);
+
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        // Extract data from specific cells
+        const extractedData = this.extractHellyHansenData(jsonData);
+        extractedData.sheetName = firstSheetName;
+        extractedData.rollup = window.rollupChecker.checkRows(
+            jsonData, extractedData.items.map(item => item.rowIndex), this.rollupLayout, 'Items'
+        );
+        return extractedData;
     }
 
     /**
@@ -256,12 +297,13 @@ class HellyHansenProcessor {
             if (buyerItem) {
                 // Special handling for FINANCIAL AND OVERHEAD COST
                 if (csvItem.item === 'FINANCIAL AND OVERHEAD COST') {
-                    console.log('buyerData.countryOfOrigin:', buyerData.countryOfOrigin);
-                    console.log('Comparison result:', buyerData.countryOfOrigin === 'INDO');
-                    const expectedValue = buyerData.countryOfOrigin === 'INDO' ? '0.40' : '0.30';
-                    console.log('Expected value set to:', expectedValue);
+                    const overheadRule = buyerData.countryOfOrigin === 'INDO'
+                        ? this.specialRowRules.overheadIndo
+                        : this.specialRowRules.overheadOther;
+                    const expectedValue = this.formatAmount(overheadRule.expected);
                     results.push({
                         itemName: csvItem.item,
+                        rowIndex: buyerItem.rowIndex,
                         obConsm: '-',
                         buyerConsm: '-',
                         consmStatus: 'N/A',
@@ -279,6 +321,7 @@ class HellyHansenProcessor {
                 else if (csvItem.item === 'MARGIN / PROFIT') {
                     results.push({
                         itemName: csvItem.item,
+                        rowIndex: buyerItem.rowIndex,
                         obConsm: '-',
                         buyerConsm: '-',
                         consmStatus: 'N/A',
@@ -297,6 +340,7 @@ class HellyHansenProcessor {
                     const expectedValue = csvItem.consm || '0.25';
                     results.push({
                         itemName: csvItem.item,
+                        rowIndex: buyerItem.rowIndex,
                         obConsm: '-',
                         buyerConsm: '-',
                         consmStatus: 'N/A',
@@ -313,6 +357,7 @@ class HellyHansenProcessor {
                 else {
                     results.push({
                         itemName: csvItem.item,
+                        rowIndex: buyerItem.rowIndex,
                         obConsm: csvItem.consm,
                         buyerConsm: buyerItem.consm,
                         consmStatus: this.compareNumericField(csvItem.consm, buyerItem.consm),
@@ -349,49 +394,103 @@ class HellyHansenProcessor {
     }
 
     /**
-     * Compare numeric fields
+     * Results in the common structured schema (see StructuredResults.js)
+     * Special rows (overhead, margin, local transport) only check the Amount column
      */
-    compareNumericField(obValue, buyerValue) {
-        const cleanOB = (obValue || '').toString().replace(/[$,\s%]/g, '');
-        const cleanBuyer = (buyerValue || '').toString().replace(/[$,\s%]/g, '');
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const fields = [
+            { key: 'Consm', label: 'CONSM', col: 'H' },
+            { key: 'Up', label: 'U/P', col: 'I' },
+            { key: 'Amount', label: 'Amount', col: 'J' }
+        ];
+        const records = [];
+
+        this.bcbdResults.forEach(fileResult => {
+            fileResult.results.forEach(item => {
+                fields.forEach(field => {
+                    const status = item[`${field.key.toLowerCase()}Status`];
+                    if (status === 'N/A') return;
+
+                    let expected = item[`ob${field.key}`];
+                    let rule = `${item.itemName} ${field.label} matches the Helly Hansen cost breakdown`;
+                    if (item.specialCase === 'MARGIN_PROFIT') {
+                        const margin = this.specialRowRules.marginProfit;
+                        expected = this.describeMarginProfit();
+                        rule = `${item.itemName} is between ${this.formatAmount(margin.min)} and ${this.formatAmount(margin.max)}`;
+                    } else if (item.specialCase === 'FINANCIAL_OVERHEAD') {
+                        const { overheadIndo, overheadOther } = this.specialRowRules;
+                        rule = `${item.itemName} is ${this.formatAmount(overheadIndo.expected)} for Indonesia, otherwise ${this.formatAmount(overheadOther.expected)}${item.countryOfOrigin ? ` (${item.countryOfOrigin})` : ''}`;
+                    }
 
-        const obNum = parseFloat(cleanOB);
-        const buyerNum = parseFloat(cleanBuyer);
+                    records.push(sr.record({
+                        file: fileResult.fileName,
+                        sheet: fileResult.sheetName,
+                        ruleId: sr.ruleId('hellyhansen', item.itemName, field.label),
+                        rule: rule,
+                        cell: item.rowIndex !== undefined ? sr.cellAddress(item.rowIndex, field.col) : '',
+                        expected: expected,
+                        tolerance: window.tolerancePolicy.describe(this.tolerance),
+                        actual: item[`buyer${field.key}`],
+                        status: status
+                    }));
+                });
+            });
 
-        if (isNaN(obNum) || isNaN(buyerNum)) {
-            return 'INVALID';
-        }
+            const base = { file: fileResult.fileName, sheet: fileResult.sheetName };
+            records.push(...window.rollupChecker.toRecords(base, 'hellyhansen', [fileResult.rollup], this.rollupLayout));
+        });
 
-        // Round both values to 4 decimal places for comparison
-        const obRounded = parseFloat(obNum.toFixed(4));
-        const buyerRounded = parseFloat(buyerNum.toFixed(4));
+        return records;
+    }
 
-        if (obRounded === buyerRounded) {
-            return 'VALID';
+    /**
+     * Compare numeric fields
+     */
+    compareNumericField(obValue, buyerValue) {
+        const obNum = window.valueParser.toNumber(obValue);
+        const buyerNum = window.valueParser.toNumber(buyerValue);
+
+        if (obNum === null || buyerNum === null) {
+            return 'INVALID';
         }
 
-        return 'INVALID';
+        return window.tolerancePolicy.compare(buyerNum, obNum, this.tolerance).status;
     }
 
     /**
-     * Validate MARGIN / PROFIT range (0.45 to 0.55)
+     * Validate MARGIN / PROFIT range (specialRowRules.marginProfit, inclusive)
      */
     validateMarginProfitRange(value) {
-        const cleanValue = (value || '').toString().replace(/[$,\s%]/g, '');
-        const numValue = parseFloat(cleanValue);
+        const numValue = window.valueParser.toNumber(value);
+        const { min, max } = this.specialRowRules.marginProfit;
 
-        if (isNaN(numValue)) {
+        if (numValue === null) {
             return 'INVALID';
         }
 
-        // Check if value is within the range 0.45 to 0.55 (inclusive)
-        if (numValue >= 0.45 && numValue <= 0.55) {
+        if (numValue >= min && numValue <= max) {
             return 'VALID';
         }
 
         return 'INVALID';
     }
 
+    /**
+     * Special row amount with at least 2 decimals: 0.4 → '0.40', 0.425 → '0.425'
+     */
+    formatAmount(value) {
+        return /\.\d{2,}$/.test(String(value)) ? String(value) : value.toFixed(2);
+    }
+
+    /**
+     * '0.45 to 0.55'
+     */
+    describeMarginProfit() {
+        const { min, max } = this.specialRowRules.marginProfit;
+        return `${this.formatAmount(min)} to ${this.formatAmount(max)}`;
+    }
+
     /**
      * Format field value with color coding
      */
@@ -429,7 +528,7 @@ class HellyHansenProcessor {
 
         // Special handling for MARGIN / PROFIT to always show expected range
         if (specialCase === 'MARGIN_PROFIT') {
-            const expectedText = '0.45 to 0.55';
+            const expectedText = this.describeMarginProfit();
             return `<span style="color: ${color}; font-weight: 600;">${displayValue}</span><br><span style="font-size: 0.85em; color: #849bba;">Expected: ${expectedText}</span>`;
         }
 
@@ -547,31 +646,34 @@ class HellyHansenProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createHellyHansenConfig(
-            this.bcbdResults,
-            this.formatToFourDecimals.bind(this)
-        );
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createHellyHansenConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize the processor
 window.hellyHansenProcessor = new HellyHansenProcessor();
 
-// Auto-load when V4 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    // Add click listener to ALL elements with data-tab="v4" (both tab buttons and menu items)
-    const v4Tabs = document.querySelectorAll('[data-tab="v4"]');
-    v4Tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            if (!window.hellyHansenProcessor.hellyHansenCostData) {
-                window.hellyHansenProcessor.initialize();
-            }
-        });
-    });
-
-    const v4TabContent = document.getElementById('tab-v4');
-    if (v4TabContent && v4TabContent.classList.contains('active')) {
-        window.hellyHansenProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v4',
+    name: 'Helly Hansen',
+    shortName: 'HH',
+    processor: window.hellyHansenProcessor,
+    obPanel: 'reference',
+    loadingMessage: 'Helly Hansen Cost Breakdown',
+    initializeOn: 'activate',
+    isInitialized: (processor) => !!processor.hellyHansenCostData,
+    editableRules: window.ruleOverrides.fromRules('specialRowRules', window.hellyHansenProcessor.specialRowRules, { group: 'Special Rows' }),
+    // Amount is calculated by the template, CONSM and U/P are typed in (see FormulaCheck.js)
+    formulaCells: [
+        { ruleId: 'hellyhansen.*.amount', expects: 'formula' },
+        { ruleId: 'hellyhansen.*.consm', expects: 'value' },
+        { ruleId: 'hellyhansen.*.u-p', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'C', text: 'COUNTRY OF ORIGIN' },
+        { column: 'C', text: 'FINANCIAL AND OVERHEAD COST' },
+        { column: 'C', text: 'MARGIN / PROFIT' }
+    ]
 });
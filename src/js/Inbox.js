@@ -0,0 +1,345 @@
+/**
+ * Inbox Processing Logic
+ * Single drop zone for a mixed batch of Buyer CBD files across all brands
+ *
+ * Flow:
+ * 1. Classify every file with the BrandDetector fingerprints
+ * 2. Dispatch each brand's files to that processor's existing processFiles()
+ * 3. Show a per-brand / per-file pass-fail summary, with each processor's
+ *    normal results table available as a drill-down
+ *
+ * File statuses come from each processor's structured results (StructuredResults.js);
+ * the Inbox's own structured results are those records for the whole batch.
+ * Brands run detached (see Registry.processDetached), so their own tabs keep their last results.
+ */
+
+class InboxProcessor {
+    constructor() {
+        this.batchResults = [];
+        this.unrecognisedFiles = [];
+    }
+
+    /**
+     * Process a mixed batch - OB files are only passed on to processors that require them (TNF)
+     */
+    async processFiles(obFiles, bcbdFiles) {
+        const registry = window.processorRegistry;
+        const detections = await Promise.all(bcbdFiles.map(file => window.brandDetector.detectFile(file)));
+
+        // Group files by detected brand, keeping registry order
+        const groups = new Map();
+        this.unrecognisedFiles = [];
+
+        detections.forEach((detection, index) => {
+            const file = bcbdFiles[index];
+            if (!detection.best) {
+                this.unrecognisedFiles.push({ file: file, error: detection.error });
+                return;
+            }
+            if (!groups.has(detection.best.id)) {
+                groups.set(detection.best.id, []);
+            }
+            groups.get(detection.best.id).push({ file: file, confidence: detection.best.confidence });
+        });
+
+        this.batchResults = [];
+
+        for (const entry of registry.getAll()) {
+            if (!groups.has(entry.id)) continue;
+
+            const brandFiles = groups.get(entry.id);
+            const brandResult = {
+                id: entry.id,
+                name: entry.name,
+                files: brandFiles.map(item => ({
+                    fileName: item.file.name,
+                    confidence: item.confidence,
+                    status: 'PENDING'
+                })),
+                html: '',
+                records: [],
+                error: null
+            };
+
+            if (entry.requiresOBFiles && obFiles.length === 0) {
+                brandResult.error = `${entry.name} needs OB files - add them to the OB drop zone`;
+                brandResult.files.forEach(f => f.status = 'SKIPPED');
+                this.batchResults.push(brandResult);
+                continue;
+            }
+
+            try {
+                const run = await registry.processDetached(entry.id, obFiles, brandFiles.map(item => item.file));
+                brandResult.records = run.records;
+                brandResult.html = this.tagFileGroups(run.html, brandResult);
+            } catch (error) {
+                console.error(`Error processing ${entry.name} files:`, error);
+                brandResult.error = error.message;
+                brandResult.files.forEach(f => f.status = 'ERROR');
+            }
+
+            this.batchResults.push(brandResult);
+        }
+
+        return this.generateResultsHTML();
+    }
+
+    /**
+     * Work out each file's status and tag its results in the processor's HTML
+     * Statuses come from the processor's structured records for the file; a file the processor
+     * returned no records for is an ERROR, with an error record of its own.
+     * Files are matched to their .file-result-group by the "File:" line of the summary box.
+     * Matched groups are tagged so the summary can scroll to them.
+     * The processor's export buttons are dropped: they export the brand tab's own run, and the
+     * Inbox exports the batch itself.
+     */
+    tagFileGroups(html, brandResult) {
+        const container = document.createElement('div');
+        container.innerHTML = html;
+        container.querySelectorAll('.export-btn').forEach(button => button.remove());
+
+        const fileGroups = Array.from(container.querySelectorAll('.file-result-group'));
+        const fileSummaries = window.structuredResults.summarize(brandResult.records);
+
+        brandResult.files.forEach((fileEntry, fileIndex) => {
+            const group = fileGroups.find(g => this.getGroupFileName(g) === fileEntry.fileName.toLowerCase());
+            if (group) {
+                group.id = `inbox-file-${brandResult.id}-${fileIndex}`;
+            }
+
+            const summary = fileSummaries.find(s => s.file.toLowerCase() === fileEntry.fileName.toLowerCase());
+            if (summary) {
+                fileEntry.status = summary.status;
+            } else {
+                fileEntry.status = 'ERROR';
+                brandResult.records.push(window.structuredResults.errorRecord(
+                    fileEntry.fileName, brandResult.name, 'The processor returned no results for this file'
+                ));
+            }
+        });
+
+        return container.innerHTML;
+    }
+
+    getGroupFileName(group) {
+        for (const summaryBox of group.querySelectorAll('.file-summary-box')) {
+            const lines = summaryBox.textContent.split(/\r?\n/).map(line => line.trim());
+            for (const line of lines) {
+                if (line.toLowerCase().startsWith('file:')) {
+                    return line.substring(5).trim().toLowerCase();
+                }
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Structured records of the whole batch - brand processors' records plus one record for
+     * each file that was skipped, failed or not recognised
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+
+        this.batchResults.forEach(brand => {
+            if (brand.error) {
+                brand.files.forEach(fileEntry => {
+                    records.push(sr.errorRecord(fileEntry.fileName, brand.name, brand.error));
+                });
+                return;
+            }
+            records.push(...brand.records);
+        });
+
+        this.unrecognisedFiles.forEach(item => {
+            records.push(sr.record({
+                file: item.file.name,
+                ruleId: sr.ruleId('inbox', 'brand-detection'),
+                rule: 'Workbook matches a brand template',
+                expected: 'Recognised brand template',
+                actual: item.error || 'No brand template matched',
+                status: 'INVALID'
+            }));
+        });
+
+        return records;
+    }
+
+    getStatusColor(status) {
+        switch (status) {
+            case 'VALID': return '#065f46';
+            case 'WARNING': return '#d97706';
+            case 'SKIPPED': return '#849bba';
+            default: return '#991b1b';
+        }
+    }
+
+    countStatus(files, status) {
+        return files.filter(f => f.status === status).length;
+    }
+
+    /**
+     * Open a brand's drill-down and scroll to a file's results
+     */
+    showFileDetails(brandId, fileIndex) {
+        const details = document.getElementById(`inbox-details-${brandId}`);
+        if (!details) return;
+
+        details.open = true;
+        const target = document.getElementById(`inbox-file-${brandId}-${fileIndex}`) || details;
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    generateResultsHTML() {
+        const allFiles = this.batchResults.flatMap(brand => brand.files);
+
+        if (allFiles.length === 0 && this.unrecognisedFiles.length === 0) {
+            return `
+                <div style="text-align: center; padding: 40px; color: #849bba;">
+                    <p style="font-size: 1.3em; margin-bottom: 10px;">Inbox Ready</p>
+                    <p>Upload Buyer CBD files from any brand to validate.</p>
+                </div>
+            `;
+        }
+
+        let html = `
+            <div class="export-actions" style="justify-content: flex-end; margin-bottom: 15px;">
+                ${window.excelExporter.getExportButtonHTML('inbox')}
+                ${window.structuredResults.getDownloadButtonHTML('inbox')}
+            </div>
+            <div class="file-summary-box">
+                <strong>Files:</strong> ${allFiles.length + this.unrecognisedFiles.length}
+                across ${this.batchResults.length} brand(s)<br>
+                <strong>Summary:</strong>
+                <span style="color: #065f46; font-weight: 600;">${this.countStatus(allFiles, 'VALID')} valid</span>,
+                <span style="color: #d97706; font-weight: 600;">${this.countStatus(allFiles, 'WARNING')} with warnings</span>,
+                <span style="color: #991b1b; font-weight: 600;">${this.countStatus(allFiles, 'INVALID') + this.countStatus(allFiles, 'ERROR')} invalid</span>
+                ${this.countStatus(allFiles, 'SKIPPED') > 0 ? `, <span style="color: #849bba; font-weight: 600;">${this.countStatus(allFiles, 'SKIPPED')} skipped</span>` : ''}
+                ${this.unrecognisedFiles.length > 0 ? `, <span style="color: #849bba; font-weight: 600;">${this.unrecognisedFiles.length} unrecognised</span>` : ''}
+            </div>
+        `;
+
+        // Per-brand summary table
+        html += `
+            <table class="results-table" style="table-layout: fixed; width: 100%; margin-bottom: 1.5rem;">
+                <thead>
+                    <tr class="header-labels-row">
+                        <th style="width: 40%;">Brand</th>
+                        <th style="width: 15%;">Files</th>
+                        <th style="width: 15%;">Valid</th>
+                        <th style="width: 15%;">Warnings</th>
+                        <th style="width: 15%;">Invalid</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        this.batchResults.forEach(brand => {
+            html += `
+                <tr style="border-bottom: 1px solid #e0e8f0;">
+                    <td style="padding: 0.875rem 1rem; font-weight: 600;">${brand.name}</td>
+                    <td style="padding: 0.875rem 1rem;">${brand.files.length}</td>
+                    <td style="padding: 0.875rem 1rem; color: #065f46; font-weight: 600;">${this.countStatus(brand.files, 'VALID')}</td>
+                    <td style="padding: 0.875rem 1rem; color: #d97706; font-weight: 600;">${this.countStatus(brand.files, 'WARNING')}</td>
+                    <td style="padding: 0.875rem 1rem; color: #991b1b; font-weight: 600;">${this.countStatus(brand.files, 'INVALID') + this.countStatus(brand.files, 'ERROR')}</td>
+                </tr>
+            `;
+        });
+
+        html += `
+                </tbody>
+            </table>
+        `;
+
+        // Per-brand file lists with drill-down into the processor's own results
+        this.batchResults.forEach(brand => {
+            html += `<div class="inbox-brand-group">`;
+            html += `
+                <table class="results-table" style="table-layout: fixed; width: 100%;">
+                    <thead>
+                        <tr class="header-labels-row">
+                            <th style="width: 55%;">${brand.name} File</th>
+                            <th style="width: 20%;">Match</th>
+                            <th style="width: 25%;">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
+
+            brand.files.forEach((fileEntry, fileIndex) => {
+                html += `
+                    <tr style="border-bottom: 1px solid #e0e8f0; cursor: pointer;" title="Show results for this file"
+                        onclick="window.inboxProcessor.showFileDetails('${brand.id}', ${fileIndex})">
+                        <td style="padding: 0.875rem 1rem; font-weight: 600; text-decoration: underline;">${this.escape(fileEntry.fileName)}</td>
+                        <td style="padding: 0.875rem 1rem;">${window.brandDetector.formatConfidence(fileEntry.confidence)}</td>
+                        <td style="padding: 0.875rem 1rem; color: ${this.getStatusColor(fileEntry.status)}; font-weight: 600;">${fileEntry.status}</td>
+                    </tr>
+                `;
+            });
+
+            html += `
+                    </tbody>
+                </table>
+            `;
+
+            if (brand.error) {
+                html += `
+                    <p style="color: ${brand.files[0].status === 'SKIPPED' ? '#849bba' : '#991b1b'}; font-weight: 600; margin-top: 0.75rem;">
+                        ${this.escape(brand.error)}
+                    </p>
+                `;
+            } else {
+                html += `
+                    <details id="inbox-details-${brand.id}" style="margin-top: 0.75rem;">
+                        <summary style="cursor: pointer; font-weight: 600; color: #2b4a6c;">Show ${brand.name} results</summary>
+                        <div style="margin-top: 1rem;">
+                            ${brand.html}
+                        </div>
+                    </details>
+                `;
+            }
+
+            html += `</div>`;
+        });
+
+        if (this.unrecognisedFiles.length > 0) {
+            html += `
+                <div class="inbox-brand-group">
+                    <div class="file-summary-box">
+                        <strong>Unrecognised files:</strong> no brand template matched these workbooks -
+                        drop them on the right brand tab instead<br>
+                        ${this.unrecognisedFiles.map(item =>
+                            `<span style="color: #991b1b;">${this.escape(item.file.name)}${item.error ? ` (${this.escape(item.error)})` : ''}</span>`
+                        ).join('<br>')}
+                    </div>
+                </div>
+            `;
+        }
+
+        return html;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize global instance
+window.inboxProcessor = new InboxProcessor();
+
+// Register with the processor registry - loaded before the brand processors so it is the landing tab
+window.processorRegistry.register({
+    id: 'inbox',
+    name: 'All Brands',
+    shortName: 'ALL',
+    processor: window.inboxProcessor,
+    acceptsOBFiles: true,
+    obLabel: 'OB Excel File/s (The North Face only)',
+    routesByBrand: true,
+    loadingMessage: 'brand auto-detection',
+    loadingSubtext: 'Classifying files by brand and running each template...'
+});
@@ -6,27 +6,38 @@
 class JackWolfskinProcessor {
     constructor() {
         this.bcbdResults = [];
+        // Anchored checks, run by the shared rule engine (see RuleEngine.js)
         this.validationRules = {
             supplier: {
-                label: 'Supplier',
-                searchColumn: 'B',
-                searchValue: 'Supplier',
+                name: 'Supplier',
+                markerColumn: 'B',
+                marker: 'Supplier',
+                match: 'contains',
                 valueColumn: 'C',
-                expectedValue: 'Madison88'
+                comparator: 'exact',
+                expected: 'Madison88'
             },
             overheadCost: {
-                label: 'Overhead Cost',
-                searchColumn: 'J',
-                searchValue: 'Overhead Cost',
+                name: 'Overhead Cost',
+                markerColumn: 'J',
+                marker: 'Overhead Cost',
+                match: 'contains',
                 valueColumn: 'L',
-                expectedValue: 0.35
+                comparator: 'exact',
+                expected: 0.35,
+                tolerance: 0.001
             },
             profit: {
-                label: 'Profit',
-                searchColumn: 'J',
-                searchValue: 'Profit',
+                // "Overhead Cost" rows can mention profit too, so they are skipped
+                name: 'Profit',
+                markerColumn: 'J',
+                marker: 'Profit',
+                match: 'contains',
+                exclude: ['overhead'],
                 valueColumn: 'L',
-                expectedRange: { min: 0.15, max: 0.25 }
+                comparator: 'range',
+                min: 0.15,
+                max: 0.25
             }
         };
     }
@@ -52,18 +63,12 @@ class JackWolfskinProcessor {
 
                 </div>
                 <div class="burton-cost-items">
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong>Supplier:</strong> Madison88</div>
-                        <div class="burton-item-line" style="font-size: 0.85em; color: #7a92ab;">Column B "Supplier" → Column C value</div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong>Overhead Cost:</strong> 0.35</div>
-                        <div class="burton-item-line" style="font-size: 0.85em; color: #7a92ab;">Column J "Overhead Cost" → Column L value</div>
-                    </div>
-                    <div class="burton-cost-item">
-                        <div class="burton-item-line"><strong>Profit:</strong> 0.15 - 0.25</div>
-                        <div class="burton-item-line" style="font-size: 0.85em; color: #7a92ab;">Column J "Profit" → Column L value (range)</div>
-                    </div>
+                    ${Object.values(this.validationRules).map(rule => `
+                        <div class="burton-cost-item">
+                            <div class="burton-item-line"><strong>${rule.name}:</strong> ${window.ruleEngine.describeExpected(rule)}</div>
+                            <div class="burton-item-line" style="font-size: 0.85em; color: #7a92ab;">Column ${rule.markerColumn} "${rule.marker}" → Column ${rule.valueColumn} value${rule.comparator === 'range' ? ' (range)' : ''}</div>
+                        </div>
+                    `).join('')}
                 </div>
             </div>
         `;
@@ -109,177 +114,70 @@ class JackWolfskinProcessor {
      * Parse Buyer CBD Excel file - returns array of sheets with their data
      */
     async parseBuyerCBDFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Process ALL sheets
-                    const allSheets = [];
-                    for (const sheetName of workbook.SheetNames) {
-                        const sheet = workbook.Sheets[sheetName];
-                        const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-                        allSheets.push({
-                            sheetName: sheetName,
-                            data: jsonData
-                        });
-                    }
-
-                    resolve(allSheets);
-                } catch (error) {
-                    reject(error);
-                }
-            };
-
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
-    }
-
-    /**
-     * Convert column letter to index (A=0, B=1, C=2, etc.)
-     */
-    columnToIndex(column) {
-        let index = 0;
-        for (let i = 0; i < column.length; i++) {
-            index = index * 26 + column.charCodeAt(i) - 'A'.charCodeAt(0) + 1;
+        const workbook = await window.workbookReader.read(file);
+
+        // Process ALL sheets
+        const allSheets = [];
+        for (const sheetName of workbook.SheetNames) {
+            const sheet = workbook.Sheets[sheetName];
+            const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+            allSheets.push({
+                sheetName: sheetName,
+                data: jsonData
+            });
         }
-        return index - 1;
+
+        return allSheets;
     }
 
     /**
      * Validate file against rules
+     * Supplier (B → C), Overhead Cost (J → L) and Profit (J → L, range 0.15-0.25)
      */
     validateFile(jsonData) {
-        const results = [];
-
-        // Validate Supplier (Column B → Column C)
-        const supplierResult = this.findAndValidate(
-            jsonData,
-            this.columnToIndex('B'),
-            'Supplier',
-            this.columnToIndex('C'),
-            'Madison88',
-            false
-        );
-        results.push({
-            label: 'Supplier',
-            ...supplierResult
-        });
-
-        // Validate Overhead Cost (Column J → Column L)
-        const overheadResult = this.findAndValidate(
-            jsonData,
-            this.columnToIndex('J'),
-            'Overhead Cost',
-            this.columnToIndex('L'),
-            0.35,
-            true
-        );
-        results.push({
-            label: 'Overhead Cost',
-            ...overheadResult
-        });
-
-        // Validate Profit (Column J → Column L, range 0.15-0.25)
-        const profitResult = this.findAndValidateRange(
-            jsonData,
-            this.columnToIndex('J'),
-            'Profit',
-            this.columnToIndex('L'),
-            0.15,
-            0.25
-        );
-        results.push({
-            label: 'Profit',
-            ...profitResult
+        const engine = window.ruleEngine;
+
+        return Object.values(this.validationRules).map(rule => {
+            const evaluation = engine.evaluate(jsonData, rule);
+
+            return {
+                label: rule.name,
+                found: evaluation.found,
+                row: evaluation.found ? evaluation.rowNumber : null,
+                actualValue: evaluation.found ? evaluation.text : null,
+                expectedValue: engine.describeExpected(rule),
+                isValid: evaluation.isValid,
+                isRange: rule.comparator === 'range'
+            };
         });
-
-        return results;
     }
 
     /**
-     * Find a value in a column and validate the corresponding value in another column
+     * Results in the common structured schema (see StructuredResults.js)
+     * Every sheet of a file is validated, so records carry their sheet name
      */
-    findAndValidate(jsonData, searchColIndex, searchValue, valueColIndex, expectedValue, isNumeric) {
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            const cellValue = row[searchColIndex] ? row[searchColIndex].toString().trim() : '';
-
-            // Check if the cell contains or starts with the search value
-            if (cellValue.toLowerCase().includes(searchValue.toLowerCase()) ||
-                cellValue.toLowerCase().startsWith(searchValue.toLowerCase())) {
-
-                const actualValue = row[valueColIndex] ? row[valueColIndex].toString().trim() : '';
-
-                let isValid = false;
-                if (isNumeric) {
-                    const actualNum = parseFloat(actualValue);
-                    const expectedNum = parseFloat(expectedValue);
-                    isValid = !isNaN(actualNum) && Math.abs(actualNum - expectedNum) < 0.001;
-                } else {
-                    isValid = actualValue.toLowerCase() === expectedValue.toString().toLowerCase();
-                }
-
-                return {
-                    found: true,
-                    row: i + 1,
-                    actualValue: actualValue,
-                    expectedValue: expectedValue.toString(),
-                    isValid: isValid
-                };
-            }
-        }
-
-        return {
-            found: false,
-            row: null,
-            actualValue: null,
-            expectedValue: expectedValue.toString(),
-            isValid: false
-        };
-    }
-
-    /**
-     * Find a value and validate against a range
-     */
-    findAndValidateRange(jsonData, searchColIndex, searchValue, valueColIndex, minValue, maxValue) {
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            const cellValue = row[searchColIndex] ? row[searchColIndex].toString().trim() : '';
-
-            // Check if the cell contains or equals the search value (exact match for "Profit" to avoid matching "Overhead Cost")
-            if (cellValue.toLowerCase() === searchValue.toLowerCase() ||
-                (cellValue.toLowerCase().includes(searchValue.toLowerCase()) &&
-                    !cellValue.toLowerCase().includes('overhead'))) {
-
-                const actualValue = row[valueColIndex] ? row[valueColIndex].toString().trim() : '';
-                const actualNum = parseFloat(actualValue);
-
-                const isValid = !isNaN(actualNum) && actualNum >= minValue && actualNum <= maxValue;
-
-                return {
-                    found: true,
-                    row: i + 1,
-                    actualValue: actualValue,
-                    expectedValue: `${minValue} - ${maxValue}`,
-                    isValid: isValid,
-                    isRange: true
-                };
-            }
-        }
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const rules = Object.values(this.validationRules);
+        const records = [];
+
+        this.bcbdResults.forEach(sheetResult => {
+            sheetResult.results.forEach(result => {
+                const rule = rules.find(r => r.name === result.label) || {};
+                records.push(sr.record({
+                    file: sheetResult.fileName,
+                    sheet: sheetResult.sheetName,
+                    ruleId: sr.ruleId('jackwolfskin', result.label),
+                    rule: `${result.label} (column ${rule.valueColumn}) is ${result.isRange ? `between ${result.expectedValue}` : result.expectedValue}`,
+                    cell: result.found ? `${rule.valueColumn}${result.row}` : '',
+                    expected: result.expectedValue,
+                    actual: result.found ? result.actualValue : 'Not found',
+                    status: result.isValid
+                }));
+            });
+        });
 
-        return {
-            found: false,
-            row: null,
-            actualValue: null,
-            expectedValue: `${minValue} - ${maxValue}`,
-            isValid: false,
-            isRange: true
-        };
+        return records;
     }
 
     /**
@@ -445,8 +343,8 @@ class JackWolfskinProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createJackWolfskinConfig(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createJackWolfskinConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 
     /**
@@ -495,17 +393,22 @@ class JackWolfskinProcessor {
 // Initialize the processor
 window.jackWolfskinProcessor = new JackWolfskinProcessor();
 
-// Auto-initialize when V15 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    const v15Tabs = document.querySelectorAll('[data-tab="v15"]');
-    v15Tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            window.jackWolfskinProcessor.initialize();
-        });
-    });
-
-    const v15TabContent = document.getElementById('tab-v15');
-    if (v15TabContent && v15TabContent.classList.contains('active')) {
-        window.jackWolfskinProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v15',
+    name: 'Jack Wolfskin',
+    shortName: 'JW',
+    processor: window.jackWolfskinProcessor,
+    sheetStrategy: 'all',
+    loadingMessage: 'Jack Wolfskin validation',
+    editableRules: window.ruleOverrides.fromRules('validationRules', window.jackWolfskinProcessor.validationRules),
+    formulaCells: [
+        { ruleId: 'jackwolfskin.overhead-cost', expects: 'value' },
+        { ruleId: 'jackwolfskin.profit', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'B', text: 'Supplier' },
+        { column: 'J', text: 'Overhead Cost' },
+        { column: 'J', text: 'Profit' }
+    ]
 });
@@ -12,6 +12,14 @@
 class KuhlProcessor {
     constructor() {
         this.bcbdResults = [];
+
+        // Tolerance policies of the percentage columns (see TolerancePolicy.js), compared as fractions
+        // C.I.F. vs FOB of Local suppliers is 0.012%, so it gets a band below a hundredth of a point
+        this.tolerances = {
+            consumption: { absolute: 0.0001 },
+            cifVsFob: { absolute: 0.00001 }
+        };
+
         this.validationRules = {
             consumption: {
                 column: 'K',
@@ -21,6 +29,28 @@ class KuhlProcessor {
                 expectedDisplay: '5%'
             }
         };
+
+        // Fabric/Yarn rows, run by the shared section scanner (see SectionScanner.js)
+        // A Fabric/Yarn type in Column A opens the section (that row is checked too); the rows below
+        // belong to it until Column A names another section or a total
+        this.fabricYarnSection = {
+            name: 'Fabric/Yarn',
+            start: { column: 'A', marker: 'fabric[\\s\\S]*yarn|yarn[\\s\\S]*fabric', match: 'regex' },
+            includeStart: true,
+            end: {
+                column: 'A',
+                marker: [
+                    'trim', 'trims', 'accessories', 'accessory', 'packaging',
+                    'label', 'labels', 'labelling', 'thread', 'sundries', 'total', 'subtotal',
+                    'sub-total', 'sub total', 'hardware', 'zipper', 'button'
+                ],
+                match: 'contains'
+            },
+            valueColumn: 'K',
+            comparator: 'exact',
+            expected: 0.05,
+            tolerance: this.tolerances.consumption
+        };
     }
 
     /**
@@ -46,7 +76,7 @@ class KuhlProcessor {
                 <div class="burton-cost-items">
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong style="color: #2b4a6c;">Fabric/Yarn Section:</strong></div>
-                        <div class="burton-item-line" style="margin-left: 1rem;">Column K - Consumption: <strong>5%</strong></div>
+                        <div class="burton-item-line" style="margin-left: 1rem;">Column K - Consumption: <strong>${this.fabricYarnExpected()}</strong></div>
                     </div>
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong style="color: #2b4a6c;">Trim Section:</strong></div>
@@ -64,6 +94,10 @@ class KuhlProcessor {
                         <div class="burton-item-line"><strong style="color: #2b4a6c;">Profit Margin:</strong></div>
                         <div class="burton-item-line" style="margin-left: 1rem;">Column M - Value: <strong>0.60 to 0.95</strong></div>
                     </div>
+                    ${window.tolerancePolicy.getPanelHTML([
+                        { label: 'Consumption', tolerance: this.tolerances.consumption, percent: true },
+                        { label: 'C.I.F. vs FOB %', tolerance: this.tolerances.cifVsFob, percent: true }
+                    ])}
                 </div>
             </div>
         `;
@@ -85,9 +119,10 @@ class KuhlProcessor {
             // Process each BCBD file
             for (const file of bcbdFiles) {
                 const fileData = await this.parseBuyerCBDFile(file);
-                const validationResults = this.validateFile(fileData);
+                const validationResults = this.validateFile(fileData.jsonData);
                 this.bcbdResults.push({
                     fileName: file.name,
+                    sheetName: fileData.sheetName,
                     results: validationResults
                 });
             }
@@ -104,86 +139,55 @@ class KuhlProcessor {
      * Parse Buyer CBD Excel file
      */
     async parseBuyerCBDFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    resolve(jsonData);
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        return { sheetName: firstSheetName, jsonData };
     }
 
     /**
      * Validate a percentage value against expected
      */
-    validatePercentage(actualValue, expectedValue) {
+    validatePercentage(actualValue, expectedValue, tolerance) {
         if (actualValue === undefined || actualValue === null || actualValue === '') {
             return { isValid: false, displayValue: 'Empty', isEmpty: true };
         }
 
-        let numericValue;
-        let displayValue = actualValue.toString();
-
-        if (typeof actualValue === 'number') {
-            numericValue = actualValue;
-        } else {
-            const strValue = actualValue.toString().trim();
-            if (strValue.endsWith('%')) {
-                numericValue = parseFloat(strValue) / 100;
-            } else {
-                numericValue = parseFloat(strValue);
-            }
-        }
+        // "5%", 0.05 and 5 are all read as 0.05
+        const numericValue = window.valueParser.toPercent(actualValue);
+        const displayValue = actualValue.toString();
 
-        if (isNaN(numericValue)) {
+        if (numericValue === null) {
             return { isValid: false, displayValue: displayValue, isEmpty: false };
         }
 
-        // Check if value matches expected (with tolerance)
-        const isValid = Math.abs(numericValue - expectedValue) < 0.0001;
-
-        // Display as percentage
-        if (numericValue < 1) {
-            // For small percentages like 0.012%, show more decimals
-            if (numericValue < 0.01) {
-                displayValue = (numericValue * 100).toFixed(3) + '%';
-            } else {
-                displayValue = (numericValue * 100).toFixed(0) + '%';
-            }
-        } else {
-            displayValue = numericValue.toFixed(0) + '%';
-        }
+        const isValid = window.tolerancePolicy.compare(numericValue, expectedValue, tolerance).status === 'VALID';
 
-        return { isValid, displayValue, isEmpty: false };
+        return { isValid, displayValue: this.formatPercentage(numericValue), isEmpty: false };
     }
 
     /**
-     * Validate a consumption value (5% for Fabric/Yarn)
+     * Display a numeric value as a percentage (0.05 -> 5%, small values like 0.012% keep 3 decimals)
      */
-    validateConsumption(actualValue) {
-        return this.validatePercentage(actualValue, 0.05);
+    formatPercentage(numericValue) {
+        if (numericValue < 1) {
+            if (numericValue < 0.01) {
+                return (numericValue * 100).toFixed(3) + '%';
+            }
+            return (numericValue * 100).toFixed(0) + '%';
+        }
+        return numericValue.toFixed(0) + '%';
     }
 
     /**
      * Validate a consumption value (3% for Trim)
      */
     validateTrimConsumption(actualValue) {
-        return this.validatePercentage(actualValue, 0.03);
+        return this.validatePercentage(actualValue, 0.03, this.tolerances.consumption);
     }
 
     /**
@@ -191,7 +195,7 @@ class KuhlProcessor {
      */
     validateCifVsFob(actualValue, isNominated = false) {
         const expectedValue = isNominated ? 0.15 : 0.00012; // 0.15 (15%) for Nominated, 0.012% for Local
-        return this.validatePercentage(actualValue, expectedValue);
+        return this.validatePercentage(actualValue, expectedValue, this.tolerances.cifVsFob);
     }
 
     /**
@@ -280,22 +284,11 @@ class KuhlProcessor {
             return { isValid: false, displayValue: 'Empty', isEmpty: true };
         }
 
-        let numericValue;
+        // "75%" is read as 0.75
+        const numericValue = window.valueParser.toNumber(actualValue);
         let displayValue = actualValue.toString();
 
-        if (typeof actualValue === 'number') {
-            numericValue = actualValue;
-        } else {
-            const strValue = actualValue.toString().trim();
-            // Remove % sign if present
-            if (strValue.endsWith('%')) {
-                numericValue = parseFloat(strValue) / 100;
-            } else {
-                numericValue = parseFloat(strValue);
-            }
-        }
-
-        if (isNaN(numericValue)) {
+        if (numericValue === null) {
             return { isValid: false, displayValue: displayValue, isEmpty: false };
         }
 
@@ -308,28 +301,6 @@ class KuhlProcessor {
         return { isValid, displayValue, isEmpty: false };
     }
 
-    /**
-     * Check if a value indicates a new section (ends Fabric/Yarn section)
-     */
-    isFabricYarnEndSection(value) {
-        if (!value) return false;
-
-        const normalized = value.toString().toLowerCase().trim();
-
-        // Sections that would end the Fabric/Yarn section
-        const sectionHeaders = [
-            'trim', 'trims', 'accessories', 'accessory', 'packaging',
-            'label', 'labels', 'labelling', 'thread', 'sundries', 'total', 'subtotal',
-            'sub-total', 'sub total', 'hardware', 'zipper', 'button'
-        ];
-
-        for (const header of sectionHeaders) {
-            if (normalized.includes(header)) return true;
-        }
-
-        return false;
-    }
-
     /**
      * Check if a value indicates a new section (ends Trim section)
      */
@@ -412,7 +383,9 @@ class KuhlProcessor {
 
         console.log(`Scanning ${jsonData.length} rows...`);
 
-        let inFabricYarnSection = false;
+        // Fabric/Yarn sections (Column K = 5%)
+        this.validateFabricYarnSections(jsonData, results.fabricYarn);
+
         let inTrimSection = false;
         let inLabellingSection = false;
 
@@ -423,21 +396,16 @@ class KuhlProcessor {
 
             const typeValue = row[colA] ? row[colA].toString().trim() : '';
 
-            // Check if we're entering a Fabric/Yarn section
+            // A Fabric/Yarn row ends any Trim or Labelling section (its rows are checked above)
             if (this.isFabricYarn(typeValue)) {
-                inFabricYarnSection = true;
                 inTrimSection = false;
                 inLabellingSection = false;
-                console.log(`Row ${i + 1}: Entering Fabric/Yarn section`);
-
-                this.validateFabricYarnRow(row, i, colK, results.fabricYarn);
                 continue;
             }
 
             // Check if we're entering a Trim section
             if (this.isTrim(typeValue) && !this.isFabricYarn(typeValue) && !this.isLabelling(typeValue)) {
                 inTrimSection = true;
-                inFabricYarnSection = false;
                 inLabellingSection = false;
                 console.log(`Row ${i + 1}: Entering Trim section`);
 
@@ -448,7 +416,6 @@ class KuhlProcessor {
             // Check if we're entering a Labelling section
             if (this.isLabelling(typeValue) && !this.isFabricYarn(typeValue)) {
                 inLabellingSection = true;
-                inFabricYarnSection = false;
                 inTrimSection = false;
                 console.log(`Row ${i + 1}: Entering Labelling section`);
 
@@ -456,24 +423,6 @@ class KuhlProcessor {
                 continue;
             }
 
-            // Check if we're exiting the Fabric/Yarn section
-            if (inFabricYarnSection && typeValue && this.isFabricYarnEndSection(typeValue)) {
-                inFabricYarnSection = false;
-                console.log(`Row ${i + 1}: Exiting Fabric/Yarn section (found: "${typeValue}")`);
-
-                // Check if this is also start of another section
-                if (this.isTrim(typeValue) && !this.isLabelling(typeValue)) {
-                    inTrimSection = true;
-                    console.log(`Row ${i + 1}: Entering Trim section`);
-                    this.validateTrimRow(row, i, colE, colH, colK, results.trim);
-                } else if (this.isLabelling(typeValue)) {
-                    inLabellingSection = true;
-                    console.log(`Row ${i + 1}: Entering Labelling section`);
-                    this.validateTrimRow(row, i, colE, colH, colK, results.labelling);
-                }
-                continue;
-            }
-
             // Check if we're exiting the Trim section
             if (inTrimSection && typeValue && this.isTrimEndSection(typeValue)) {
                 inTrimSection = false;
@@ -496,9 +445,6 @@ class KuhlProcessor {
             }
 
             // Validate rows in their respective sections
-            if (inFabricYarnSection) {
-                this.validateFabricYarnRow(row, i, colK, results.fabricYarn);
-            }
             if (inTrimSection) {
                 this.validateTrimRow(row, i, colE, colH, colK, results.trim);
             }
@@ -522,29 +468,37 @@ class KuhlProcessor {
     }
 
     /**
-     * Validate a Fabric/Yarn row (Column K = 5%)
+     * Expected Fabric/Yarn consumption as shown in the rules panel and results (5%)
      */
-    validateFabricYarnRow(row, rowIndex, colK, fabricYarnResults) {
-        const consumptionValue = row[colK];
+    fabricYarnExpected() {
+        return window.ruleEngine.describeExpected({ ...this.fabricYarnSection, percent: true });
+    }
 
-        if (consumptionValue === undefined || consumptionValue === null || consumptionValue === '') {
-            return;
-        }
+    /**
+     * Validate every Fabric/Yarn section (Column K = 5%)
+     */
+    validateFabricYarnSections(jsonData, fabricYarnResults) {
+        const sections = window.sectionScanner.scanAll(jsonData, this.fabricYarnSection);
 
-        const validation = this.validateConsumption(consumptionValue);
-        const cellRef = `K${rowIndex + 1}`;
+        sections.forEach(section => {
+            console.log(`Rows ${section.startRow}-${section.endRow === -1 ? jsonData.length : section.endRow - 1}: Fabric/Yarn section`);
 
-        console.log(`Fabric/Yarn ${cellRef}: Value="${consumptionValue}" -> ${validation.isValid ? 'VALID' : 'INVALID'}`);
+            section.rows.forEach(row => {
+                const displayValue = row.value !== null ? this.formatPercentage(row.value) : String(row.raw);
 
-        if (validation.isValid) {
-            fabricYarnResults.validCells.push(cellRef);
-        } else {
-            fabricYarnResults.invalidCells.push({
-                cell: cellRef,
-                value: validation.displayValue,
-                expected: '5%'
+                console.log(`Fabric/Yarn ${row.cell}: Value="${row.raw}" -> ${row.isValid ? 'VALID' : 'INVALID'}`);
+
+                if (row.isValid) {
+                    fabricYarnResults.validCells.push({ cell: row.cell, value: displayValue });
+                } else {
+                    fabricYarnResults.invalidCells.push({
+                        cell: row.cell,
+                        value: displayValue,
+                        expected: this.fabricYarnExpected()
+                    });
+                }
             });
-        }
+        });
     }
 
     /**
@@ -560,7 +514,7 @@ class KuhlProcessor {
             console.log(`Trim Consumption ${cellRef}: Value="${consumptionValue}" -> ${validation.isValid ? 'VALID' : 'INVALID'}`);
 
             if (validation.isValid) {
-                trimResults.consumption.validCells.push(cellRef);
+                trimResults.consumption.validCells.push({ cell: cellRef, value: validation.displayValue });
             } else {
                 trimResults.consumption.invalidCells.push({
                     cell: cellRef,
@@ -581,7 +535,7 @@ class KuhlProcessor {
             console.log(`Trim Supplier ${cellRef}: Value="${supplierValue}" -> ${validation.isValid ? 'VALID' : 'INVALID'} (isNominated: ${isNominated})`);
 
             if (validation.isValid) {
-                trimResults.supplier.validCells.push(cellRef);
+                trimResults.supplier.validCells.push({ cell: cellRef, value: validation.displayValue });
             } else {
                 trimResults.supplier.invalidCells.push({
                     cell: cellRef,
@@ -601,7 +555,7 @@ class KuhlProcessor {
             console.log(`Trim CIF vs FOB ${cellRef}: Value="${cifVsFobValue}" -> ${validation.isValid ? 'VALID' : 'INVALID'} (expected: ${expectedValue})`);
 
             if (validation.isValid) {
-                trimResults.cifVsFob.validCells.push(cellRef);
+                trimResults.cifVsFob.validCells.push({ cell: cellRef, value: validation.displayValue });
             } else {
                 trimResults.cifVsFob.invalidCells.push({
                     cell: cellRef,
@@ -628,7 +582,7 @@ class KuhlProcessor {
         console.log(`Profit Margin ${cellRef}: Value="${profitMarginValue}" -> ${validation.isValid ? 'VALID' : 'INVALID'}`);
 
         if (validation.isValid) {
-            profitMarginResults.validCells.push(cellRef);
+            profitMarginResults.validCells.push({ cell: cellRef, value: validation.displayValue });
         } else {
             profitMarginResults.invalidCells.push({
                 cell: cellRef,
@@ -638,6 +592,49 @@ class KuhlProcessor {
         }
     }
 
+    /**
+     * Results of the last run in the common structured schema (see StructuredResults.js)
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+        const consumption = window.tolerancePolicy.describe(this.tolerances.consumption, { percent: true });
+        const cifVsFob = window.tolerancePolicy.describe(this.tolerances.cifVsFob, { percent: true });
+        const checks = [
+            { path: ['fabricYarn'], rule: `Fabric/Yarn consumption (column K) is ${this.fabricYarnExpected()}`, expected: this.fabricYarnExpected(), tolerance: consumption },
+            { path: ['trim', 'consumption'], rule: 'Trim consumption (column K) is 3%', expected: '3%', tolerance: consumption },
+            { path: ['trim', 'supplier'], rule: 'Trim supplier (column E) contains "Local" or "Nominated"', expected: 'Contains "Local" or "Nominated"' },
+            { path: ['trim', 'cifVsFob'], rule: 'Trim C.I.F. vs FOB % (column H) is 0.012% for Local, 15% for Nominated suppliers', expected: '0.012% (Local) / 15% (Nominated)', tolerance: cifVsFob },
+            { path: ['labelling', 'consumption'], rule: 'Labelling consumption (column K) is 3%', expected: '3%', tolerance: consumption },
+            { path: ['labelling', 'supplier'], rule: 'Labelling supplier (column E) contains "Local" or "Nominated"', expected: 'Contains "Local" or "Nominated"' },
+            { path: ['labelling', 'cifVsFob'], rule: 'Labelling C.I.F. vs FOB % (column H) is 0.012% for Local, 15% for Nominated suppliers', expected: '0.012% (Local) / 15% (Nominated)', tolerance: cifVsFob },
+            { path: ['profitMargin'], rule: 'Profit margin (column M) is between 0.60 and 0.95', expected: '0.60-0.95' }
+        ];
+
+        this.bcbdResults.forEach(fileResult => {
+            checks.forEach(check => {
+                const result = check.path.reduce((node, key) => node[key], fileResult.results);
+                const base = {
+                    file: fileResult.fileName,
+                    sheet: fileResult.sheetName,
+                    ruleId: sr.ruleId('kuhl', ...check.path),
+                    rule: check.rule,
+                    expected: check.expected,
+                    tolerance: check.tolerance
+                };
+
+                // Invalid cells carry the expected value that applied to their row
+                sr.sectionRecords(base, result.validCells, result.invalidCells).forEach(record => {
+                    const invalidCell = result.invalidCells.find(c => c.cell === record.cell);
+                    if (invalidCell) record.expected = invalidCell.expected;
+                    records.push(record);
+                });
+            });
+        });
+
+        return records;
+    }
+
     /**
      * Format cells display - valid cells in green, invalid cells in red with expected value
      */
@@ -646,8 +643,8 @@ class KuhlProcessor {
 
         // Add valid cells (green) - inline comma separated
         if (validCells && validCells.length > 0) {
-            const validParts = validCells.map(cell =>
-                `<span style="color: #065f46; font-weight: 600;">${cell}</span>`
+            const validParts = validCells.map(c =>
+                `<span style="color: #065f46; font-weight: 600;">${c.cell}</span>`
             );
             html += validParts.join(', ');
         }
@@ -741,7 +738,7 @@ class KuhlProcessor {
                     <tbody>
                         <tr style="border-bottom: 1px solid #e0e8f0;">
                             <td style="padding: 0.875rem 1rem; font-weight: 600;">Fabric/Yarn</td>
-                            <td style="padding: 0.875rem 1rem;">K (Consumption = 5%)</td>
+                            <td style="padding: 0.875rem 1rem;">K (Consumption = ${this.fabricYarnExpected()})</td>
                             <td style="padding: 0.875rem 1rem;">${this.formatAllCells(fabricYarn.validCells, fabricYarn.invalidCells)}</td>
                         </tr>
                         <tr style="border-bottom: 1px solid #e0e8f0;">
@@ -814,8 +811,8 @@ class KuhlProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createKuhlConfig(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createKuhlConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 
     /**
@@ -864,17 +861,26 @@ class KuhlProcessor {
 // Initialize the processor
 window.kuhlProcessor = new KuhlProcessor();
 
-// Auto-initialize when V19 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    const v19Tabs = document.querySelectorAll('[data-tab="v19"]');
-    v19Tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            window.kuhlProcessor.initialize();
-        });
-    });
-
-    const v19TabContent = document.getElementById('tab-v19');
-    if (v19TabContent && v19TabContent.classList.contains('active')) {
-        window.kuhlProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v19',
+    name: 'KUHL',
+    shortName: 'KHL',
+    processor: window.kuhlProcessor,
+    loadingMessage: 'KUHL validation',
+    editableRules: [
+        { path: 'fabricYarnSection.expected', label: 'Fabric/Yarn Consumption (Column K)', format: 'percent' }
+    ],
+    loadingSubtext: 'Scanning for Fabric/Yarn rows...',
+    formulaCells: [
+        { ruleId: 'kuhl.fabricyarn', expects: 'value' },
+        { ruleId: 'kuhl.*.consumption', expects: 'value' },
+        { ruleId: 'kuhl.*.cifvsfob', expects: 'value' },
+        { ruleId: 'kuhl.profitmargin', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'A', text: 'Fabric/Yarn' },
+        { text: 'C.I.F' },
+        { text: 'Profit Margin' }
+    ]
 });
@@ -22,6 +22,11 @@ class LLBEANProcessor {
                 scarf: 0.40
             }
         };
+
+        // Tolerance policy of the Box and Total Financial cost amounts (see TolerancePolicy.js)
+        this.tolerances = {
+            amount: { decimals: 2 }
+        };
     }
 
     /**
@@ -62,6 +67,9 @@ class LLBEANProcessor {
                         <div class="burton-item-line"><strong>If Socks:</strong> $${this.validationRules.totalFinancialCost.socks.toFixed(2)}</div>
                         <div class="burton-item-line"><strong>If Scarf:</strong> $${this.validationRules.totalFinancialCost.scarf.toFixed(2)}</div>
                     </div>
+                    ${window.tolerancePolicy.getPanelHTML([
+                        { label: 'Consumption, prices and costs', tolerance: this.tolerances.amount }
+                    ])}
                 </div>
             </div>
         `;
@@ -101,43 +109,30 @@ class LLBEANProcessor {
      * Validate a single file
      */
     async validateFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
 
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
+        // Convert to JSON for easier processing
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
 
-                    // Convert to JSON for easier processing
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+        // Check cell B5
+        const b5Check = this.checkCellB5(sheet);
 
-                    // Check cell B5
-                    const b5Check = this.checkCellB5(sheet);
+        // Check Trims section for Box
+        const trimsBoxCheck = this.checkTrimsBox(jsonData);
 
-                    // Check Trims section for Box
-                    const trimsBoxCheck = this.checkTrimsBox(jsonData);
+        // Check Total Financial Cost based on B5 keyword
+        const totalFinancialCostCheck = this.checkTotalFinancialCost(jsonData, b5Check.foundKeywords);
 
-                    // Check Total Financial Cost based on B5 keyword
-                    const totalFinancialCostCheck = this.checkTotalFinancialCost(jsonData, b5Check.foundKeywords);
-
-                    resolve({
-                        b5Check: b5Check,
-                        trimsBoxCheck: trimsBoxCheck,
-                        totalFinancialCostCheck: totalFinancialCostCheck
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
-
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        return {
+            sheetName: firstSheetName,
+            b5Check: b5Check,
+            trimsBoxCheck: trimsBoxCheck,
+            totalFinancialCostCheck: totalFinancialCostCheck
+        };
     }
 
     /**
@@ -340,6 +335,78 @@ class LLBEANProcessor {
         };
     }
 
+    /**
+     * Results in the common structured schema (see StructuredResults.js)
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+        const amountTolerance = window.tolerancePolicy.describe(this.tolerances.amount);
+
+        this.bcbdResults.forEach(fileResult => {
+            const result = fileResult.results;
+            const base = { file: fileResult.fileName, sheet: result.sheetName };
+            const b5 = result.b5Check;
+
+            records.push(sr.record({
+                ...base,
+                ruleId: 'llbean.b5-keyword',
+                rule: `B5 contains one of: ${b5.requiredKeywords.join(', ')}`,
+                cell: 'B5',
+                expected: b5.requiredKeywords.join(' / '),
+                actual: b5.cellValue,
+                status: b5.isValid
+            }));
+
+            const box = result.trimsBoxCheck;
+            if (!box.boxFound) {
+                records.push(sr.record({
+                    ...base,
+                    ruleId: 'llbean.trims-box',
+                    rule: 'Box is listed in the Trims section (column C)',
+                    expected: 'Listed',
+                    actual: box.message,
+                    status: 'INVALID'
+                }));
+            } else {
+                const fields = [
+                    { key: 'supplier', label: 'Supplier', col: 'E', actual: box.boxData.supplier },
+                    { key: 'consumption', label: 'Consumption', col: 'F', actual: box.boxData.consumption },
+                    { key: 'unitPrice', label: 'Unit Price', col: 'G', actual: box.boxData.unitPrice },
+                    { key: 'totalCost', label: 'Total Cost', col: 'H', actual: box.boxData.totalCost }
+                ];
+                fields.forEach(field => {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('llbean', 'trims-box', field.label),
+                        rule: `Trims Box ${field.label} is ${box.expected[field.key]}`,
+                        cell: sr.cellAddress(box.boxData.rowNumber - 1, field.col),
+                        expected: box.expected[field.key],
+                        tolerance: field.key !== 'supplier' ? amountTolerance : '',
+                        actual: field.actual,
+                        status: box.validation[field.key]
+                    }));
+                });
+            }
+
+            const financial = result.totalFinancialCostCheck;
+            records.push(sr.record({
+                ...base,
+                ruleId: 'llbean.total-financial-cost',
+                rule: financial.matchedKeyword
+                    ? `Total Financial cost for ${financial.matchedKeyword} is ${financial.expectedValue}`
+                    : 'Total Financial cost matches the B5 product type',
+                cell: financial.found ? sr.cellAddress(financial.rowNumber - 1, 'H') : '',
+                expected: financial.expectedValue,
+                tolerance: amountTolerance,
+                actual: financial.found ? financial.actualValue : financial.message,
+                status: financial.found && financial.isValid
+            }));
+        });
+
+        return records;
+    }
+
     /**
      * Compare text fields (case-insensitive)
      */
@@ -350,23 +417,13 @@ class LLBEANProcessor {
     }
 
     /**
-     * Compare numeric fields
+     * Compare numeric fields with the amount tolerance policy (see this.tolerances)
      */
     compareNumericField(expected, actual) {
-        // Clean and parse values
-        const cleanActual = String(actual).replace(/[$,\s]/g, '');
-        const expNum = parseFloat(expected);
-        const actNum = parseFloat(cleanActual);
+        const expNum = window.valueParser.toNumber(expected);
+        const actNum = window.valueParser.toNumber(actual);
 
-        if (isNaN(actNum)) {
-            return 'INVALID';
-        }
-
-        // Round to 2 decimal places for comparison
-        const expRounded = parseFloat(expNum.toFixed(2));
-        const actRounded = parseFloat(actNum.toFixed(2));
-
-        return expRounded === actRounded ? 'VALID' : 'INVALID';
+        return window.tolerancePolicy.compare(actNum, expNum, this.tolerances.amount).status;
     }
 
     /**
@@ -393,8 +450,8 @@ class LLBEANProcessor {
      * Format number to 2 decimal places
      */
     formatNumber(value) {
-        const num = parseFloat(String(value).replace(/[$,\s]/g, ''));
-        if (isNaN(num)) return value;
+        const num = window.valueParser.toNumber(value);
+        if (num === null) return value;
         return num.toFixed(2);
     }
 
@@ -645,26 +702,38 @@ class LLBEANProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createLLBEANConfig(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createLLBEANConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize the processor
 window.llbeanProcessor = new LLBEANProcessor();
 
-// Initialize when V6 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    const v6Tab = document.querySelector('[data-tab="v6"]');
-    if (v6Tab) {
-        v6Tab.addEventListener('click', () => {
-            window.llbeanProcessor.initialize();
-        });
-    }
-
-    // If V6 tab is already active on load, initialize immediately
-    const v6TabContent = document.getElementById('tab-v6');
-    if (v6TabContent && v6TabContent.classList.contains('active')) {
-        window.llbeanProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v6',
+    name: 'LLBEAN',
+    shortName: 'LLB',
+    processor: window.llbeanProcessor,
+    loadingMessage: 'LLBEAN validation',
+    editableRules: [
+        { path: 'validationRules.trimsBox.supplier', label: 'Supplier', group: 'Trims - Box', format: 'text' },
+        { path: 'validationRules.trimsBox.consumption', label: 'Consumption', group: 'Trims - Box', format: 'number' },
+        { path: 'validationRules.trimsBox.unitPrice', label: 'Unit Price', group: 'Trims - Box', format: 'number' },
+        { path: 'validationRules.trimsBox.totalCost', label: 'Total Cost', group: 'Trims - Box', format: 'number' },
+        { path: 'validationRules.totalFinancialCost.beanie', label: 'Beanie', group: 'Total Financial Cost', format: 'number' },
+        { path: 'validationRules.totalFinancialCost.socks', label: 'Socks', group: 'Total Financial Cost', format: 'number' },
+        { path: 'validationRules.totalFinancialCost.scarf', label: 'Scarf', group: 'Total Financial Cost', format: 'number' }
+    ],
+    formulaCells: [
+        { ruleId: 'llbean.trims-box.total-cost', expects: 'formula' },
+        { ruleId: 'llbean.trims-box.consumption', expects: 'value' },
+        { ruleId: 'llbean.trims-box.unit-price', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'B', text: 'TOTAL FINANCIAL COST' },
+        { column: 'B', text: 'TRIMS', exact: true },
+        { column: 'C', text: 'Box', exact: true }
+    ]
 });
@@ -8,31 +8,35 @@ class MammutProcessor {
         this.bcbdFiles = [];
         this.bcbdResults = [];
         this.validationRules = {
+            // Anchored checks, run by the shared rule engine (see RuleEngine.js)
             // Column B -> Column C checks
             cellChecks: [
-                { labelCol: 'B', labelValue: 'SUPPLIER', valueCol: 'C', expectedValue: 'Madison 88' },
-                { labelCol: 'B', labelValue: 'CURRENCY', valueCol: 'C', expectedValue: 'USD' },
-                { labelCol: 'B', labelValue: 'TARGET SUC', valueCol: 'C', expectedValue: 'NA' }
+                { name: 'SUPPLIER', markerColumn: 'B', marker: 'SUPPLIER', match: 'contains', valueColumn: 'C', comparator: 'exact', expected: 'Madison 88' },
+                { name: 'CURRENCY', markerColumn: 'B', marker: 'CURRENCY', match: 'contains', valueColumn: 'C', comparator: 'exact', expected: 'USD' },
+                { name: 'TARGET SUC', markerColumn: 'B', marker: 'TARGET SUC', match: 'contains', valueColumn: 'C', comparator: 'exact', expected: 'NA' }
             ],
-            // Profit Margin check: Column N for label, Column T for value (index 19)
+            // Profit Margin check: "PROFIT MARGIN:" in Column N, value in Column T
             profitMargin: {
-                labelCol: 'N',
-                labelValue: 'PROFIT MARGIN:',
-                valueColIndex: 19, // Column T (index 19)
-                minValue: 0.30,
-                maxValue: 0.50
+                name: 'PROFIT MARGIN:',
+                markerColumn: 'N',
+                marker: 'PROFIT MARGIN',
+                match: 'contains',
+                valueColumn: 'T',
+                comparator: 'range',
+                min: 0.30,
+                max: 0.50
             },
-            // Wastage Cost check: Column Q (index 16)
+            // Wastage Cost check: Column Q, run by the shared section scanner (see SectionScanner.js)
+            // Each section runs from the previous TOTAL row to its own TOTAL row in Column B
             // Fabric section = 5%, all other sections = 3%
             wastageCost: {
-                valueColIndex: 16, // Column Q (index 16)
                 sections: [
-                    { label: 'FABRIC TOTAL', expectedValue: 0.05 },      // 5% for fabric
-                    { label: 'ZIPPER TOTAL', expectedValue: 0.03 },      // 3% for zipper
-                    { label: 'TRIMS TOTAL', expectedValue: 0.03 },       // 3% for trims
-                    { label: 'GRAPHIC TOTAL', expectedValue: 0.03 },     // 3% for graphic
-                    { label: 'PACKING TOTAL', expectedValue: 0.03 },     // 3% for packing
-                    { label: 'OTHERS TOTAL', expectedValue: 0.03 }       // 3% for others
+                    this.wastageSection('FABRIC TOTAL', 0.05),      // 5% for fabric
+                    this.wastageSection('ZIPPER TOTAL', 0.03),      // 3% for zipper
+                    this.wastageSection('TRIMS TOTAL', 0.03),       // 3% for trims
+                    this.wastageSection('GRAPHIC TOTAL', 0.03),     // 3% for graphic
+                    this.wastageSection('PACKING TOTAL', 0.03),     // 3% for packing
+                    this.wastageSection('OTHERS TOTAL', 0.03)       // 3% for others
                 ]
             },
             // CMT (Cut, Make, Trim) checks - found after OTHERS TOTAL
@@ -44,6 +48,7 @@ class MammutProcessor {
                 currencyColIndex: 11, // Column L (index 11)
                 expectedExRate: 1.00,
                 expectedCurrency: 'USD',
+                tolerance: 0.001,    // price and exchange rate policy (see TolerancePolicy.js)
                 items: [
                     { label: 'KNITTING', expectedPrice: 0.05 },
                     { label: 'LABELLING', expectedPrice: 0.05 },
@@ -55,6 +60,21 @@ class MammutProcessor {
         };
     }
 
+    /**
+     * Wastage section ending at a TOTAL row in Column B; Column Q values are compared to 2 decimals
+     */
+    wastageSection(totalLabel, expected) {
+        return {
+            name: totalLabel,
+            end: { column: 'B', marker: totalLabel, match: 'contains' },
+            valueColumn: 'Q',
+            comparator: 'exact',
+            expected: expected,
+            tolerance: 0.005,
+            skipNonNumeric: true
+        };
+    }
+
     /**
      * Initialize V7 - Display validation rules in the OB drop zone
      */
@@ -79,18 +99,18 @@ class MammutProcessor {
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong>Cell Value Checks (Column B -> C)</strong></div>
                         ${this.validationRules.cellChecks.map(check =>
-                            `<div class="burton-item-line"><strong>${check.labelValue}:</strong> ${check.expectedValue}</div>`
+                            `<div class="burton-item-line"><strong>${check.name}:</strong> ${check.expected}</div>`
                         ).join('')}
                     </div>
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong>Profit Margin Check (Column N -> T)</strong></div>
-                        <div class="burton-item-line"><strong>Label:</strong> ${pm.labelValue}</div>
-                        <div class="burton-item-line"><strong>Valid Range:</strong> ${pm.minValue.toFixed(2)} - ${pm.maxValue.toFixed(2)}</div>
+                        <div class="burton-item-line"><strong>Label:</strong> ${pm.name}</div>
+                        <div class="burton-item-line"><strong>Valid Range:</strong> ${window.ruleEngine.describeExpected(pm, 2)}</div>
                     </div>
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong>Wastage Check (Column Q)</strong></div>
                         ${wc.sections.map(section =>
-                            `<div class="burton-item-line"><strong>${section.label}:</strong> ${(section.expectedValue * 100).toFixed(0)}%</div>`
+                            `<div class="burton-item-line"><strong>${section.name}:</strong> ${(section.expected * 100).toFixed(0)}%</div>`
                         ).join('')}
                     </div>
                     <div class="burton-cost-item">
@@ -101,6 +121,11 @@ class MammutProcessor {
                             `<div class="burton-item-line"><strong>${item.label} (Col H):</strong> ${item.expectedPrice.toFixed(2)}</div>`
                         ).join('')}
                     </div>
+                    ${window.tolerancePolicy.getPanelHTML([
+                        { label: 'Profit Margin', tolerance: pm.tolerance },
+                        { label: 'Wastage', tolerance: wc.sections[0].tolerance, percent: true },
+                        { label: 'CMT Price / Exchange Rate', tolerance: this.validationRules.cmtChecks.tolerance }
+                    ])}
                 </div>
             </div>
         `;
@@ -140,82 +165,46 @@ class MammutProcessor {
      * Validate a single file
      */
     async validateFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-
-                    // Convert to JSON for easier processing
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    // Run all validations
-                    const cellChecks = this.checkCellValues(jsonData);
-                    const profitMarginCheck = this.checkProfitMargin(jsonData);
-                    const wastageCostCheck = this.checkWastageCost(jsonData);
-                    const cmtCheck = this.checkCMT(jsonData);
-
-                    resolve({
-                        cellChecks: cellChecks,
-                        profitMarginCheck: profitMarginCheck,
-                        wastageCostCheck: wastageCostCheck,
-                        cmtCheck: cmtCheck
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+
+        // Convert to JSON for easier processing
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        // Run all validations
+        const cellChecks = this.checkCellValues(jsonData);
+        const profitMarginCheck = this.checkProfitMargin(jsonData);
+        const wastageCostCheck = this.checkWastageCost(jsonData);
+        const cmtCheck = this.checkCMT(jsonData);
+
+        return {
+            sheetName: firstSheetName,
+            cellChecks: cellChecks,
+            profitMarginCheck: profitMarginCheck,
+            wastageCostCheck: wastageCostCheck,
+            cmtCheck: cmtCheck
+        };
     }
 
     /**
      * Check cell values (Supplier, Currency, Target SUC)
      */
     checkCellValues(jsonData) {
-        const results = [];
+        return this.validationRules.cellChecks.map(check => {
+            const evaluation = window.ruleEngine.evaluate(jsonData, check);
 
-        for (const check of this.validationRules.cellChecks) {
-            let found = false;
-            let actualValue = '';
-            let rowNumber = -1;
-
-            // Search for the label in column B (index 1)
-            for (let i = 0; i < jsonData.length; i++) {
-                const row = jsonData[i];
-                const colB = row[1] ? String(row[1]).trim().toUpperCase() : '';
-
-                if (colB === check.labelValue.toUpperCase() || colB.includes(check.labelValue.toUpperCase())) {
-                    found = true;
-                    rowNumber = i + 1;
-                    // Get value from column C (index 2)
-                    actualValue = row[2] ? String(row[2]).trim() : '';
-                    console.log(`Found "${check.labelValue}" at row ${rowNumber}, Column C value: "${actualValue}"`);
-                    break;
-                }
-            }
-
-            const isValid = found && this.compareField(check.expectedValue, actualValue);
-
-            results.push({
-                label: check.labelValue,
-                expectedValue: check.expectedValue,
-                actualValue: actualValue,
-                rowNumber: rowNumber,
-                found: found,
-                isValid: isValid
-            });
-        }
-
-        return results;
+            return {
+                label: check.name,
+                expectedValue: check.expected,
+                actualValue: evaluation.text,
+                rowNumber: evaluation.rowNumber,
+                found: evaluation.found,
+                isValid: evaluation.isValid
+            };
+        });
     }
 
     /**
@@ -224,52 +213,23 @@ class MammutProcessor {
      */
     checkProfitMargin(jsonData) {
         const pm = this.validationRules.profitMargin;
-        let found = false;
-        let actualValue = null;
-        let rowNumber = -1;
+        const evaluation = window.ruleEngine.evaluate(jsonData, pm);
 
-        // Search for PROFIT MARGIN in column N (index 13)
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            const colN = row[13] ? String(row[13]).trim().toUpperCase() : '';
-
-            if (colN.includes('PROFIT MARGIN') || colN.includes('PROFIT MARGIN:')) {
-                found = true;
-                rowNumber = i + 1;
-                // Get value from column T (index 19)
-                actualValue = row[pm.valueColIndex];
-                console.log(`Found "PROFIT MARGIN" at row ${rowNumber}, Value (col T): ${actualValue}`);
-                break;
-            }
-        }
-
-        if (!found) {
+        if (!evaluation.found) {
             return {
                 found: false,
                 message: 'PROFIT MARGIN not found in column N'
             };
         }
 
-        // Parse the actual value
-        let numericValue = null;
-        if (actualValue !== null && actualValue !== undefined && actualValue !== '') {
-            // Handle percentage format (e.g., "10%" or 0.10)
-            const cleanValue = String(actualValue).replace(/[%,\s]/g, '');
-            numericValue = parseFloat(cleanValue);
-        }
-
-        const isValid = numericValue !== null &&
-                        numericValue >= pm.minValue &&
-                        numericValue <= pm.maxValue;
-
         return {
             found: true,
-            rowNumber: rowNumber,
-            actualValue: actualValue,
-            numericValue: numericValue,
-            minValue: pm.minValue,
-            maxValue: pm.maxValue,
-            isValid: isValid
+            rowNumber: evaluation.rowNumber,
+            actualValue: evaluation.raw,
+            numericValue: evaluation.value,
+            minValue: pm.min,
+            maxValue: pm.max,
+            isValid: evaluation.isValid
         };
     }
 
@@ -280,102 +240,44 @@ class MammutProcessor {
      * - Zipper, Trims, Graphic, Packing, Others sections: 3%
      */
     checkWastageCost(jsonData) {
-        const wc = this.validationRules.wastageCost;
-        const colIndex = wc.valueColIndex; // Column Q (index 16)
-        const sections = wc.sections;
-
-        // Find all section TOTAL row indices
-        const sectionRows = [];
-        for (const section of sections) {
-            for (let i = 0; i < jsonData.length; i++) {
-                const row = jsonData[i];
-                const colB = row[1] ? String(row[1]).trim().toUpperCase() : '';
+        const scanner = window.sectionScanner;
 
-                if (colB.includes(section.label.toUpperCase())) {
-                    sectionRows.push({
-                        label: section.label,
-                        expectedValue: section.expectedValue,
-                        rowIndex: i
-                    });
-                    console.log(`Found "${section.label}" at row ${i + 1}`);
-                    break;
-                }
-            }
-        }
+        // Find all section TOTAL rows, then scan them in sheet order
+        const sections = this.validationRules.wastageCost.sections
+            .map(section => ({ section: section, scan: scanner.scan(jsonData, section) }))
+            .filter(item => item.scan.found)
+            .sort((a, b) => a.scan.endRowIndex - b.scan.endRowIndex)
+            .map(item => item.section);
 
-        if (sectionRows.length === 0) {
+        if (sections.length === 0) {
             return {
                 found: false,
                 message: 'No section TOTAL rows found in column B'
             };
         }
 
-        // Sort sections by row index to process in order
-        sectionRows.sort((a, b) => a.rowIndex - b.rowIndex);
+        const sectionResults = scanner.scanInOrder(jsonData, sections).map(scan => {
+            console.log(`Found "${scan.section.name}" at row ${scan.endRow}`);
 
-        // Process each section
-        const sectionResults = [];
-        let startRow = 0;
-
-        for (const section of sectionRows) {
-            const endRow = section.rowIndex; // exclusive
-            const expectedValue = section.expectedValue;
-            let invalidCells = [];
-            let validCells = [];
-
-            // Check all rows in this section
-            for (let i = startRow; i < endRow; i++) {
-                const row = jsonData[i];
-                const cellValue = row[colIndex];
-
-                // Skip empty cells
-                if (cellValue === null || cellValue === undefined || cellValue === '') {
-                    continue;
-                }
-
-                // Parse the value
-                let numericValue = null;
-                const cleanValue = String(cellValue).replace(/[%,\s]/g, '');
-                numericValue = parseFloat(cleanValue);
-
-                if (isNaN(numericValue)) {
-                    continue;
-                }
-
-                // Round to 2 decimal places for comparison
-                const roundedValue = Math.round(numericValue * 100) / 100;
-                const roundedExpected = Math.round(expectedValue * 100) / 100;
+            const toCell = row => ({
+                rowNumber: row.rowNumber,
+                cellAddress: row.cell,
+                value: row.raw,
+                numericValue: row.value
+            });
 
-                if (roundedValue === roundedExpected) {
-                    validCells.push({
-                        rowNumber: i + 1,
-                        cellAddress: `Q${i + 1}`,
-                        value: cellValue,
-                        numericValue: numericValue
-                    });
-                } else {
-                    invalidCells.push({
-                        rowNumber: i + 1,
-                        cellAddress: `Q${i + 1}`,
-                        value: cellValue,
-                        numericValue: numericValue,
-                        expectedValue: expectedValue
-                    });
-                }
-            }
+            const invalidCells = scan.rows.filter(row => !row.isValid)
+                .map(row => ({ ...toCell(row), expectedValue: scan.section.expected }));
 
-            sectionResults.push({
-                label: section.label,
-                totalRowNumber: section.rowIndex + 1,
-                expectedValue: expectedValue,
-                validCells: validCells,
+            return {
+                label: scan.section.name,
+                totalRowNumber: scan.endRow,
+                expectedValue: scan.section.expected,
+                validCells: scan.rows.filter(row => row.isValid).map(toCell),
                 invalidCells: invalidCells,
                 isValid: invalidCells.length === 0
-            });
-
-            // Next section starts after this TOTAL row
-            startRow = section.rowIndex + 1;
-        }
+            };
+        });
 
         const allValid = sectionResults.every(s => s.isValid);
         const totalValid = sectionResults.reduce((sum, s) => sum + s.validCells.length, 0);
@@ -450,18 +352,17 @@ class MammutProcessor {
             let numericExRate = null;
 
             if (actualPrice !== null && actualPrice !== undefined && actualPrice !== '') {
-                const cleanPrice = String(actualPrice).replace(/[$,\s]/g, '');
-                numericPrice = parseFloat(cleanPrice);
+                numericPrice = window.valueParser.toNumber(actualPrice);
             }
 
             if (actualExRate !== null && actualExRate !== undefined && actualExRate !== '') {
-                const cleanExRate = String(actualExRate).replace(/[$,\s]/g, '');
-                numericExRate = parseFloat(cleanExRate);
+                numericExRate = window.valueParser.toNumber(actualExRate);
             }
 
             // Validate
-            const priceValid = numericPrice !== null && Math.abs(numericPrice - item.expectedPrice) < 0.001;
-            const exRateValid = numericExRate !== null && Math.abs(numericExRate - cmt.expectedExRate) < 0.001;
+            const policy = window.tolerancePolicy;
+            const priceValid = policy.compare(numericPrice, item.expectedPrice, cmt.tolerance).status === 'VALID';
+            const exRateValid = policy.compare(numericExRate, cmt.expectedExRate, cmt.tolerance).status === 'VALID';
             const currencyValid = actualCurrency === cmt.expectedCurrency;
 
             results.push({
@@ -493,20 +394,108 @@ class MammutProcessor {
     }
 
     /**
-     * Compare text fields (case-insensitive)
+     * Results in the common structured schema (see StructuredResults.js)
+     * Wastage is reported per checked cell in column Q
      */
-    compareField(expected, actual) {
-        const exp = String(expected).toLowerCase().trim();
-        const act = String(actual).toLowerCase().trim();
-        return exp === act;
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+
+        this.bcbdResults.forEach(fileResult => {
+            const result = fileResult.results;
+            const base = { file: fileResult.fileName, sheet: result.sheetName };
+
+            result.cellChecks.forEach(check => {
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('mammut', check.label),
+                    rule: `${check.label} (column C) is ${check.expectedValue}`,
+                    cell: check.found ? sr.cellAddress(check.rowNumber - 1, 'C') : '',
+                    expected: check.expectedValue,
+                    actual: check.found ? check.actualValue : 'Not found',
+                    status: check.isValid
+                }));
+            });
+
+            const pm = result.profitMarginCheck;
+            const pmRule = this.validationRules.profitMargin;
+            records.push(sr.record({
+                ...base,
+                ruleId: 'mammut.profit-margin',
+                rule: `Profit Margin (column ${pmRule.valueColumn}) is between ${pmRule.min} and ${pmRule.max}`,
+                cell: pm.found ? sr.cellAddress(pm.rowNumber - 1, pmRule.valueColumn) : '',
+                expected: `${pmRule.min} to ${pmRule.max}`,
+                tolerance: window.ruleEngine.describeTolerance(pmRule),
+                actual: pm.found ? pm.actualValue : pm.message,
+                status: pm.found && pm.isValid
+            }));
+
+            const wastage = result.wastageCostCheck;
+            if (!wastage.found) {
+                records.push(sr.record({
+                    ...base,
+                    ruleId: 'mammut.wastage',
+                    rule: 'Wastage sections are present',
+                    expected: 'Section TOTAL rows in column B',
+                    actual: wastage.message,
+                    status: 'INVALID'
+                }));
+            } else {
+                wastage.sections.forEach(section => {
+                    records.push(...sr.sectionRecords({
+                        ...base,
+                        ruleId: sr.ruleId('mammut', 'wastage', section.label),
+                        rule: `Wastage above ${section.label} is ${section.expectedValue * 100}%`,
+                        expected: section.expectedValue,
+                        tolerance: window.ruleEngine.describeTolerance(this.wastageSection(section.label, section.expectedValue))
+                    }, section.validCells, section.invalidCells));
+                });
+            }
+
+            const cmt = result.cmtCheck;
+            if (!cmt.found) {
+                records.push(sr.record({
+                    ...base,
+                    ruleId: 'mammut.cmt',
+                    rule: 'CMT section is present after OTHERS TOTAL',
+                    expected: 'CMT items',
+                    actual: cmt.message,
+                    status: 'INVALID'
+                }));
+            } else {
+                const cmtRule = this.validationRules.cmtChecks;
+                const cmtTolerance = window.tolerancePolicy.describe(cmtRule.tolerance);
+                cmt.items.forEach(item => {
+                    const checks = [
+                        { key: 'price', label: 'Price', col: cmtRule.priceColIndex, expected: item.expectedPrice, actual: item.actualPrice, isValid: item.priceValid, tolerance: cmtTolerance },
+                        { key: 'ex-rate', label: 'Ex Rate', col: cmtRule.exRateColIndex, expected: item.expectedExRate, actual: item.actualExRate, isValid: item.exRateValid, tolerance: cmtTolerance },
+                        { key: 'currency', label: 'Currency', col: cmtRule.currencyColIndex, expected: item.expectedCurrency, actual: item.actualCurrency, isValid: item.currencyValid }
+                    ];
+                    checks.forEach(check => {
+                        records.push(sr.record({
+                            ...base,
+                            ruleId: sr.ruleId('mammut', 'cmt', item.label, check.key),
+                            rule: `CMT ${item.label} ${check.label} is ${check.expected}`,
+                            cell: item.found ? sr.cellAddress(item.rowNumber - 1, check.col) : '',
+                            expected: check.expected,
+                            tolerance: check.tolerance,
+                            actual: item.found ? check.actual : 'Not found',
+                            status: item.found && check.isValid
+                        }));
+                    });
+                });
+            }
+        });
+
+        return records;
     }
 
     /**
      * Format number to 2 decimal places
      */
     formatNumber(value) {
-        const num = parseFloat(String(value).replace(/[$,\s%]/g, ''));
-        if (isNaN(num)) return value;
+        const num = window.valueParser.toNumber(value);
+        if (num === null) return value;
         return num.toFixed(2);
     }
 
@@ -824,26 +813,41 @@ class MammutProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createMammutConfig(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createMammutConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize the processor
 window.mammutProcessor = new MammutProcessor();
 
-// Initialize when V7 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    const v7Tab = document.querySelector('[data-tab="v7"]');
-    if (v7Tab) {
-        v7Tab.addEventListener('click', () => {
-            window.mammutProcessor.initialize();
-        });
-    }
-
-    // If V7 tab is already active on load, initialize immediately
-    const v7TabContent = document.getElementById('tab-v7');
-    if (v7TabContent && v7TabContent.classList.contains('active')) {
-        window.mammutProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v7',
+    name: 'Mammut',
+    shortName: 'MMT',
+    processor: window.mammutProcessor,
+    loadingMessage: 'Mammut validation',
+    editableRules: [
+        ...window.ruleOverrides.fromRules('validationRules.cellChecks', window.mammutProcessor.validationRules.cellChecks, { group: 'Cell Value Checks' }),
+        ...window.ruleOverrides.fromRules('validationRules', { profitMargin: window.mammutProcessor.validationRules.profitMargin }, { group: 'Profit Margin' }),
+        ...window.ruleOverrides.fromRules('validationRules.wastageCost.sections', window.mammutProcessor.validationRules.wastageCost.sections, { group: 'Wastage', format: 'percent' }),
+        { path: 'validationRules.cmtChecks.expectedExRate', label: 'Exchange Rate', group: 'CMT', format: 'number', tolerance: window.mammutProcessor.validationRules.cmtChecks.tolerance },
+        { path: 'validationRules.cmtChecks.expectedCurrency', label: 'Currency', group: 'CMT', format: 'text' },
+        ...window.mammutProcessor.validationRules.cmtChecks.items.map((item, index) => ({
+            path: `validationRules.cmtChecks.items.${index}.expectedPrice`, label: item.label, group: 'CMT', format: 'number',
+            tolerance: window.mammutProcessor.validationRules.cmtChecks.tolerance
+        }))
+    ],
+    // Wastage and CMT inputs are typed in (see FormulaCheck.js)
+    formulaCells: [
+        { ruleId: 'mammut.wastage', expects: 'value' },
+        { ruleId: 'mammut.cmt.*.price', expects: 'value' },
+        { ruleId: 'mammut.cmt.*.ex-rate', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'N', text: 'PROFIT MARGIN:', weight: 2 },
+        { column: 'B', text: 'SUPPLIER' },
+        { column: 'B', text: 'TARGET SUC' }
+    ]
 });
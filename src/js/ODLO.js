@@ -18,24 +18,23 @@
 
 class ODLOProcessor {
     constructor() {
+        // Anchored checks, run by the shared rule engine (see RuleEngine.js)
         this.validationRules = [
-            {
-                name: 'Category',
-                markerColumn: 0, // Column A
-                marker: 'category',
-                checkColumn: 1, // Column B
-                expected: 'Accessories',
-                exactMatch: false // Case-insensitive comparison
-            },
-            {
-                name: 'Garment Maker',
-                markerColumn: 0, // Column A
-                marker: 'garment maker',
-                checkColumn: 1, // Column B
-                expected: 'Madison 88 (USD)',
-                exactMatch: false // Case-insensitive comparison
-            }
+            { name: 'Category', markerColumn: 'A', marker: 'category', valueColumn: 'B', comparator: 'exact', expected: 'Accessories' },
+            { name: 'Garment Maker', markerColumn: 'A', marker: 'garment maker', valueColumn: 'B', comparator: 'exact', expected: 'Madison 88 (USD)' }
+        ];
+
+        // Column B label → Column G value
+        this.columnBRules = [
+            { name: 'Labour Sewing minutes', markerColumn: 'B', marker: 'labour sewing minutes', valueColumn: 'G', comparator: 'exact', expected: 0.1 },
+            { name: 'Labour Heat transfer pressing', markerColumn: 'B', marker: 'labour heat transfer pressing', valueColumn: 'G', comparator: 'exact', expected: 0 },
+            { name: 'Labour Seam sealing', markerColumn: 'B', marker: 'labour seam sealing', valueColumn: 'G', comparator: 'exact', expected: 0.4 },
+            { name: 'Knitting minutes', markerColumn: 'B', marker: 'knitting minutes', valueColumn: 'G', comparator: 'exact', expected: 0.05 },
+            { name: 'Linking minutes', markerColumn: 'B', marker: 'linking minutes', valueColumn: 'G', comparator: 'exact', expected: 0.15 },
+            { name: 'Overhead in %', markerColumn: 'B', marker: 'overhead in %', valueColumn: 'G', comparator: 'range', min: 0.10, max: 0.15, percent: true },
+            { name: 'Profit in %', markerColumn: 'B', marker: 'profit in %', valueColumn: 'G', comparator: 'range', min: 0.04, max: 0.08, percent: true }
         ];
+        this.fileResults = [];
     }
 
     async initialize() {
@@ -52,20 +51,16 @@ class ODLOProcessor {
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong>ODLO Validation Rules:</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Rule 1 - Category Check:</strong></div>
-                        <div class="burton-item-line">• Find "Category" in Column A → Column B = <strong>Accessories</strong></div>
+                        <div class="burton-item-line">• Find "Category" in Column A → Column B = <strong>${this.validationRules[0].expected}</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Rule 2 - Garment Maker Check:</strong></div>
-                        <div class="burton-item-line">• Find "Garment Maker" in Column A → Column B = <strong>Madison 88 (USD)</strong></div>
+                        <div class="burton-item-line">• Find "Garment Maker" in Column A → Column B = <strong>${this.validationRules[1].expected}</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Rule 3 - Trims Check:</strong></div>
                         <div class="burton-item-line">• Find "TRIMS" in Column A, then find "THD-10005" rows</div>
                         <div class="burton-item-line">• Validate: Col B, E, F, G values</div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Rule 4 - Column B → G Checks:</strong></div>
-                        <div class="burton-item-line">• Labour Sewing minutes → <strong>0.1</strong></div>
-                        <div class="burton-item-line">• Labour Heat transfer pressing → <strong>0</strong></div>
-                        <div class="burton-item-line">• Labour Seam sealing → <strong>0.4</strong></div>
-                        <div class="burton-item-line">• Knitting minutes → <strong>0.05</strong></div>
-                        <div class="burton-item-line">• Linking minutes → <strong>0.15</strong></div>
-                        <div class="burton-item-line">• Overhead in % → <strong>10% - 15%</strong></div>
-                        <div class="burton-item-line">• Profit in % → <strong>4% - 8%</strong></div>
+                        ${this.columnBRules.map(rule =>
+                            `<div class="burton-item-line">• ${rule.name} → <strong>${window.ruleEngine.describeExpected(rule)}</strong></div>`
+                        ).join('')}
                     </div>
                 </div>
             </div>
@@ -98,79 +93,39 @@ class ODLOProcessor {
     }
 
     async processFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Process first sheet (or we can process all sheets)
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-
-                    const checks = this.validateSheet(jsonData);
-
-                    resolve({
-                        fileName: file.name,
-                        sheetName: firstSheetName,
-                        checks: checks,
-                        error: null
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Process first sheet (or we can process all sheets)
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+        const jsonData = window.workbookReader.toRows(sheet);
+
+        const checks = this.validateSheet(jsonData);
+
+        return {
+            fileName: file.name,
+            sheetName: firstSheetName,
+            checks: checks,
+            error: null
+        };
     }
 
     validateSheet(jsonData) {
         const results = [];
 
         for (const rule of this.validationRules) {
-            const result = {
+            const evaluation = window.ruleEngine.evaluate(jsonData, rule);
+
+            results.push({
                 name: rule.name,
                 expected: rule.expected,
-                found: false,
-                rowNumber: -1,
-                actual: '',
-                isValid: false,
-                markerColumn: this.getColumnLetter(rule.markerColumn),
-                checkColumn: this.getColumnLetter(rule.checkColumn)
-            };
-
-            // Scan through all rows looking for the marker
-            for (let i = 0; i < jsonData.length; i++) {
-                const row = jsonData[i];
-                const markerCell = row[rule.markerColumn] ? String(row[rule.markerColumn]).trim() : '';
-                const markerCellLower = markerCell.toLowerCase();
-
-                // Check if this row contains the marker
-                if (markerCellLower === rule.marker.toLowerCase()) {
-                    result.found = true;
-                    result.rowNumber = i + 1; // 1-indexed for display
-
-                    // Get the value in the check column
-                    const actualValue = row[rule.checkColumn] ? String(row[rule.checkColumn]).trim() : '';
-                    result.actual = actualValue || 'Empty';
-
-                    // Validate the value
-                    if (rule.exactMatch) {
-                        result.isValid = actualValue === rule.expected;
-                    } else {
-                        result.isValid = actualValue.toLowerCase() === rule.expected.toLowerCase();
-                    }
-
-                    break; // Found the first occurrence, stop searching
-                }
-            }
-
-            results.push(result);
+                found: evaluation.found,
+                rowNumber: evaluation.rowNumber,
+                actual: evaluation.found ? (evaluation.text || 'Empty') : '',
+                isValid: evaluation.isValid,
+                markerColumn: rule.markerColumn,
+                checkColumn: rule.valueColumn
+            });
         }
 
         // Add Trims validation (can return multiple results)
@@ -189,75 +144,29 @@ class ODLOProcessor {
     }
 
     validateColumnBRules(jsonData) {
-        const rules = [
-            { name: 'Labour Sewing minutes', marker: 'labour sewing minutes', expected: '0.1', type: 'exact' },
-            { name: 'Labour Heat transfer pressing', marker: 'labour heat transfer pressing', expected: '0', type: 'exact' },
-            { name: 'Labour Seam sealing', marker: 'labour seam sealing', expected: '0.4', type: 'exact' },
-            { name: 'Knitting minutes', marker: 'knitting minutes', expected: '0.05', type: 'exact' },
-            { name: 'Linking minutes', marker: 'linking minutes', expected: '0.15', type: 'exact' },
-            { name: 'Overhead in %', marker: 'overhead in %', expected: '10% - 15%', type: 'range', min: 0.10, max: 0.15 },
-            { name: 'Profit in %', marker: 'profit in %', expected: '4% - 8%', type: 'range', min: 0.04, max: 0.08 }
-        ];
-
-        const results = [];
+        return this.columnBRules.map(rule => {
+            const evaluation = window.ruleEngine.evaluate(jsonData, rule);
+
+            let actual = '';
+            if (evaluation.found) {
+                // Percentages are shown as e.g. 12.00%
+                actual = rule.percent && evaluation.value !== null
+                    ? (evaluation.value * 100).toFixed(2) + '%'
+                    : evaluation.text || 'Empty';
+            }
 
-        for (const rule of rules) {
-            const result = {
+            return {
                 name: rule.name,
-                expected: rule.expected,
-                found: false,
-                rowNumber: -1,
-                actual: '',
-                isValid: false,
-                markerColumn: 'B',
-                checkColumn: 'G',
+                expected: window.ruleEngine.describeExpected(rule),
+                found: evaluation.found,
+                rowNumber: evaluation.rowNumber,
+                actual: actual,
+                isValid: evaluation.isValid,
+                markerColumn: rule.markerColumn,
+                checkColumn: rule.valueColumn,
                 isColumnBRule: true // Flag to identify these rules for table display
             };
-
-            // Scan column B for the marker
-            for (let i = 0; i < jsonData.length; i++) {
-                const row = jsonData[i];
-                const cellB = row[1] ? String(row[1]).trim().toLowerCase() : '';
-
-                if (cellB === rule.marker) {
-                    result.found = true;
-                    result.rowNumber = i + 1;
-
-                    // Get column G value
-                    const cellG = row[6] !== undefined && row[6] !== null ? String(row[6]).trim() : '';
-
-                    // Validate based on type
-                    if (rule.type === 'exact') {
-                        result.actual = cellG || 'Empty';
-                        result.isValid = cellG === rule.expected;
-                    } else if (rule.type === 'range') {
-                        // Parse the value as a number (handle percentage format)
-                        let numValue = parseFloat(cellG);
-                        if (isNaN(numValue)) {
-                            result.actual = cellG || 'Empty';
-                            result.isValid = false;
-                        } else {
-                            // If value is <= 1, it's a decimal (e.g., 0.10 for 10%)
-                            // Multiply by 100 for display as percentage
-                            if (numValue <= 1) {
-                                result.actual = (numValue * 100).toFixed(2) + '%';
-                                result.isValid = numValue >= rule.min && numValue <= rule.max;
-                            } else {
-                                // Already a percentage (e.g., 10 for 10%)
-                                result.actual = numValue.toFixed(2) + '%';
-                                result.isValid = (numValue / 100) >= rule.min && (numValue / 100) <= rule.max;
-                            }
-                        }
-                    }
-
-                    break;
-                }
-            }
-
-            results.push(result);
-        }
-
-        return results;
+        });
     }
 
     validateTrimsSection(jsonData) {
@@ -354,13 +263,51 @@ class ODLOProcessor {
         return results;
     }
 
-    getColumnLetter(index) {
-        const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        if (index < 26) {
-            return letters[index];
-        }
-        // Handle columns beyond Z (AA, AB, etc.)
-        return letters[Math.floor(index / 26) - 1] + letters[index % 26];
+    /**
+     * Results of the last run in the common structured schema (see StructuredResults.js)
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+        const trimsColumns = ['A', 'B', 'E', 'F', 'G'];
+
+        this.fileResults.forEach(fileResult => {
+            if (fileResult.error) {
+                records.push(sr.errorRecord(fileResult.fileName, 'odlo', fileResult.error));
+                return;
+            }
+
+            const base = { file: fileResult.fileName, sheet: fileResult.sheetName };
+
+            fileResult.checks.forEach(check => {
+                if (check.cellValidations) {
+                    check.cellValidations.forEach((cellValidation, index) => {
+                        records.push(sr.record({
+                            ...base,
+                            ruleId: sr.ruleId('odlo', 'trims', trimsColumns[index]),
+                            rule: `Sewing thread (THD-10005) row in TRIMS has column ${trimsColumns[index]} = ${cellValidation.expected}`,
+                            cell: `${trimsColumns[index]}${check.rowNumber}`,
+                            expected: cellValidation.expected,
+                            actual: cellValidation.value,
+                            status: cellValidation.isValid
+                        }));
+                    });
+                    return;
+                }
+
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('odlo', check.name),
+                    rule: `${check.name} (column ${check.markerColumn}) has column ${check.checkColumn} = ${check.expected}`,
+                    cell: check.found ? `${check.checkColumn}${check.rowNumber}` : '',
+                    expected: check.expected,
+                    actual: check.actual,
+                    status: check.isValid
+                }));
+            });
+        });
+
+        return records;
     }
 
     generateResultsHTML(results) {
@@ -481,10 +428,40 @@ class ODLOProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createODLOConfig(this.fileResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createODLOConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize processor
 window.odloProcessor = new ODLOProcessor();
+
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v22',
+    name: 'ODLO',
+    shortName: 'ODL',
+    processor: window.odloProcessor,
+    loadingMessage: 'ODLO validation',
+    editableRules: [
+        ...window.ruleOverrides.fromRules('validationRules', window.odloProcessor.validationRules),
+        ...window.ruleOverrides.fromRules('columnBRules', window.odloProcessor.columnBRules, { group: 'Column B → G' })
+    ],
+    loadingSubtext: 'Checking Category and Garment Maker fields...',
+    formulaCells: [
+        { ruleId: 'odlo.labour-sewing-minutes', expects: 'value' },
+        { ruleId: 'odlo.labour-heat-transfer-pressing', expects: 'value' },
+        { ruleId: 'odlo.labour-seam-sealing', expects: 'value' },
+        { ruleId: 'odlo.knitting-minutes', expects: 'value' },
+        { ruleId: 'odlo.linking-minutes', expects: 'value' },
+        { ruleId: 'odlo.overhead-in', expects: 'value' },
+        { ruleId: 'odlo.profit-in', expects: 'value' },
+        { ruleId: 'odlo.trims.f', expects: 'value' },
+        { ruleId: 'odlo.trims.g', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'A', text: 'Garment Maker', weight: 2 },
+        { column: 'A', text: 'Category' },
+        { column: 'B', text: 'Labour Sewing minutes' }
+    ]
+});
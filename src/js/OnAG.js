@@ -7,25 +7,37 @@ class OnAGProcessor {
     constructor() {
         this.bcbdFiles = [];
         this.bcbdResults = [];
+
+        // Tolerance policy of the Process & Cost values (see TolerancePolicy.js), compared at the
+        // 2 decimals the CBD shows; the Coats Thread checks declare their own
+        this.tolerances = {
+            processCost: { decimals: 2 }
+        };
+
         this.validationRules = {
-            // Wastage sections - similar to Mammut pattern
-            // Column A = section keyword, Column J = wastage %, Column I = "Total" marks end
+            // Wastage sections, run by the shared section scanner (see SectionScanner.js)
+            // Column A = section keyword, Column J = wastage %, "Total" in Column I marks the end
+            // Wastage is entered as whole percentages (5.00), read as fractions (0.05)
             wastageSections: [
-                { keyword: 'MATERIAL', wastageCol: 9, wastageExpected: 5.00, label: 'Material', stopCol: 8 },   // Col J (index 9), Col I (index 8)
-                { keyword: 'TRIMS', wastageCol: 9, wastageExpected: 2.00, label: 'Trims', stopCol: 8 },
-                { keyword: 'PACKAGING', wastageCol: 9, wastageExpected: 2.00, label: 'Packaging', stopCol: 8 }
+                this.wastageSection('Material', 'MATERIAL', 0.05, [
+                    // Coats Thread within Material has its own values instead of the 5% wastage
+                    // Column B = "Coats Thread", Column I = PX/Unit (0.001), Column J = Wastage (2.00), Column L = Freight (0.0002)
+                    {
+                        name: 'Coats Thread',
+                        column: 'B',
+                        marker: 'COATS THREAD',
+                        match: 'contains',
+                        skipValue: true,
+                        checks: [
+                            { name: 'PX/Unit', valueColumn: 'I', comparator: 'exact', expected: 0.001, tolerance: 0.00001 },
+                            { name: 'Wastage', valueColumn: 'J', comparator: 'exact', expected: 0.02, percent: true, tolerance: 0.0000001 },
+                            { name: 'Freight', valueColumn: 'L', comparator: 'exact', expected: 0.0002, tolerance: 0.00001 }
+                        ]
+                    }
+                ]),
+                this.wastageSection('Trims', 'TRIMS', 0.02),
+                this.wastageSection('Packaging', 'PACKAGING', 0.02)
             ],
-            // Special rule: Coats Thread within Material section has different values
-            // Column B = "Coats Thread", Column I = PX/Unit (0.001), Column J = Wastage (2.00), Column L = Freight (0.0002)
-            coatsThread: {
-                keyword: 'COATS THREAD',
-                searchCol: 1,           // Column B (index 1)
-                checks: [
-                    { colIndex: 8, colName: 'I', expectedValue: 0.001, label: 'PX/Unit', isNumeric: true },
-                    { colIndex: 9, colName: 'J', expectedValue: 2.00, label: 'Wastage', isNumeric: true },
-                    { colIndex: 11, colName: 'L', expectedValue: 0.0002, label: 'Freight', isNumeric: true }
-                ]
-            },
             // Process and Cost checks - Column A keyword, Column I value
             processCosts: [
                 { keyword: 'KNITTING', expectedValue: 0.06, label: 'Knitting' },
@@ -41,6 +53,24 @@ class OnAGProcessor {
         };
     }
 
+    /**
+     * Wastage section definition: keyword in Column A, wastage in Column J, ends at "Total" in Column I
+     */
+    wastageSection(label, keyword, expected, overrides) {
+        return {
+            name: label,
+            label: label,
+            start: { column: 'A', marker: keyword, match: 'contains' },
+            end: { column: 'I', marker: 'TOTAL', match: 'contains' },
+            valueColumn: 'J',
+            comparator: 'exact',
+            expected: expected,
+            percent: true,
+            skipNonNumeric: true,
+            overrides: overrides || []
+        };
+    }
+
     /**
      * Initialize V9 - Display validation rules in the OB drop zone
      */
@@ -67,14 +97,14 @@ class OnAGProcessor {
                     </div>
                     ${this.validationRules.wastageSections.map(section => `
                         <div class="burton-cost-item" style="margin-top: 0.5rem;">
-                            <div class="burton-item-line"><strong>${section.label} Wastage:</strong> ${section.wastageExpected}%</div>
+                            <div class="burton-item-line"><strong>${section.label} Wastage:</strong> ${window.ruleEngine.describeExpected(section)}</div>
                         </div>
                     `).join('')}
                     <div class="burton-cost-item" style="margin-top: 0.5rem;">
                         <div class="burton-item-line"><strong>Coats Thread (in Material):</strong></div>
-                        <div class="burton-item-line">PX/Unit (Col I): 0.001</div>
-                        <div class="burton-item-line">Wastage (Col J): 2.00%</div>
-                        <div class="burton-item-line">Freight (Col L): 0.0002</div>
+                        ${this.validationRules.wastageSections[0].overrides[0].checks.map(check =>
+                            `<div class="burton-item-line">${check.name} (Col ${check.valueColumn}): ${window.ruleEngine.describeExpected(check)}</div>`
+                        ).join('')}
                     </div>
                     <div class="burton-cost-item" style="margin-top: 0.5rem;">
                         <div class="burton-item-line"><strong>Process & Cost Checks (Col A -> Col I):</strong></div>
@@ -82,6 +112,12 @@ class OnAGProcessor {
                             `<div class="burton-item-line">${item.label}: ${item.expectedValue}</div>`
                         ).join('')}
                     </div>
+                    ${window.tolerancePolicy.getPanelHTML([
+                        ...this.validationRules.wastageSections[0].overrides[0].checks.map(check => ({
+                            label: `Coats Thread ${check.name}`, tolerance: check.tolerance, percent: check.percent
+                        })),
+                        { label: 'Process & Cost', tolerance: this.tolerances.processCost }
+                    ])}
                 </div>
             </div>
         `;
@@ -121,43 +157,30 @@ class OnAGProcessor {
      * Validate a single file
      */
     async validateFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
 
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
+        // Convert to JSON for easier processing
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
 
-                    // Convert to JSON for easier processing
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+        // Run wastage validations for each section
+        const wastageResults = this.checkAllWastageSections(jsonData);
 
-                    // Run wastage validations for each section
-                    const wastageResults = this.checkAllWastageSections(jsonData);
+        // Check for Coats Thread special rule within Material section
+        const coatsThreadCheck = this.checkCoatsThread(jsonData);
 
-                    // Check for Coats Thread special rule within Material section
-                    const coatsThreadCheck = this.checkCoatsThread(jsonData);
+        // Check process and cost items (Knitting, Sewing, etc.)
+        const processCostsCheck = this.checkProcessCosts(jsonData);
 
-                    // Check process and cost items (Knitting, Sewing, etc.)
-                    const processCostsCheck = this.checkProcessCosts(jsonData);
-
-                    resolve({
-                        wastageResults: wastageResults,
-                        coatsThreadCheck: coatsThreadCheck,
-                        processCostsCheck: processCostsCheck
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
-
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        return {
+            sheetName: firstSheetName,
+            wastageResults: wastageResults,
+            coatsThreadCheck: coatsThreadCheck,
+            processCostsCheck: processCostsCheck
+        };
     }
 
     /**
@@ -177,94 +200,13 @@ class OnAGProcessor {
     /**
      * Check wastage for a specific section
      * Finds keyword in Column A, checks Column J for wastage %, stops at "Total" in Column I
+     * Values are reported as whole percentages, as they are entered in the CBD
      */
     checkWastageSection(jsonData, section) {
-        const searchCol = 0;  // Column A (index 0)
-        const wastageCol = section.wastageCol;  // Column J (index 9)
-        const stopCol = section.stopCol;  // Column I (index 8)
-        const expectedWastage = section.wastageExpected;
-
-        let sectionFound = false;
-        let startRow = -1;
-        let endRow = -1;
-        let validCells = [];
-        let invalidCells = [];
-
-        // First, find the section keyword in Column A
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            const colA = row[searchCol] ? String(row[searchCol]).trim().toUpperCase() : '';
-
-            if (colA.includes(section.keyword)) {
-                sectionFound = true;
-                startRow = i;
-                console.log(`Found "${section.label}" at row ${i + 1}`);
-
-                // Now scan from this row until we find "Total" in Column I
-                for (let j = i + 1; j < jsonData.length; j++) {
-                    const checkRow = jsonData[j];
-                    const colI = checkRow[stopCol] ? String(checkRow[stopCol]).trim().toUpperCase() : '';
-
-                    // Check if we've hit the "Total" marker
-                    if (colI.includes('TOTAL')) {
-                        endRow = j;
-                        console.log(`Found "Total" at row ${j + 1} for ${section.label}`);
-                        break;
-                    }
-
-                    // Skip Coats Thread row in Material section - it has its own special rule
-                    if (section.keyword === 'MATERIAL') {
-                        const colB = checkRow[1] ? String(checkRow[1]).trim().toUpperCase() : '';
-                        if (colB.includes('COATS THREAD')) {
-                            console.log(`Skipping Coats Thread row ${j + 1} in Material wastage check`);
-                            continue;
-                        }
-                    }
-
-                    // Check the wastage value in Column J
-                    const wastageValue = checkRow[wastageCol];
-
-                    // Skip empty cells
-                    if (wastageValue === '' || wastageValue === null || wastageValue === undefined) {
-                        continue;
-                    }
-
-                    // Parse the wastage value
-                    let numericWastage = parseFloat(wastageValue);
+        const scan = window.sectionScanner.scan(jsonData, section);
+        const expectedWastage = section.expected * 100;
 
-                    // Handle percentage format (e.g., "5%" or "5.00%")
-                    if (typeof wastageValue === 'string' && wastageValue.includes('%')) {
-                        numericWastage = parseFloat(wastageValue.replace('%', ''));
-                    }
-
-                    if (!isNaN(numericWastage)) {
-                        const cellAddress = `J${j + 1}`;
-                        const isValid = numericWastage === expectedWastage;
-
-                        if (isValid) {
-                            validCells.push({
-                                rowNumber: j + 1,
-                                cellAddress: cellAddress,
-                                value: wastageValue,
-                                numericValue: numericWastage
-                            });
-                        } else {
-                            invalidCells.push({
-                                rowNumber: j + 1,
-                                cellAddress: cellAddress,
-                                value: wastageValue,
-                                numericValue: numericWastage,
-                                expectedValue: expectedWastage
-                            });
-                        }
-                    }
-                }
-
-                break;
-            }
-        }
-
-        if (!sectionFound) {
+        if (!scan.found) {
             return {
                 section: section.label,
                 found: false,
@@ -272,11 +214,24 @@ class OnAGProcessor {
             };
         }
 
+        console.log(`Found "${section.label}" at row ${scan.startRow}`);
+
+        const toCell = row => ({
+            rowNumber: row.rowNumber,
+            cellAddress: row.cell,
+            value: row.raw,
+            numericValue: row.value * 100
+        });
+
+        const validCells = scan.rows.filter(row => row.isValid).map(toCell);
+        const invalidCells = scan.rows.filter(row => !row.isValid)
+            .map(row => ({ ...toCell(row), expectedValue: expectedWastage }));
+
         return {
             section: section.label,
             found: true,
-            startRow: startRow + 1,
-            endRow: endRow + 1,
+            startRow: scan.startRow,
+            endRow: scan.endRowIndex + 1,
             expectedWastage: expectedWastage,
             validCells: validCells,
             invalidCells: invalidCells,
@@ -290,96 +245,46 @@ class OnAGProcessor {
      * Checks: Column I = 0.001, Column J = 2.00, Column L = 0.0002
      */
     checkCoatsThread(jsonData) {
-        const ct = this.validationRules.coatsThread;
-        const searchCol = ct.searchCol;  // Column B (index 1)
-        const keyword = ct.keyword;
-
-        // First find Material section boundaries
-        let materialStartRow = -1;
-        let materialEndRow = -1;
+        const material = this.validationRules.wastageSections.find(section => section.label === 'Material');
+        const scan = window.sectionScanner.scan(jsonData, material);
 
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            const colA = row[0] ? String(row[0]).trim().toUpperCase() : '';
-
-            if (colA.includes('MATERIAL')) {
-                materialStartRow = i;
-
-                // Find the Total marker in Column I
-                for (let j = i + 1; j < jsonData.length; j++) {
-                    const checkRow = jsonData[j];
-                    const colI = checkRow[8] ? String(checkRow[8]).trim().toUpperCase() : '';
-
-                    if (colI.includes('TOTAL')) {
-                        materialEndRow = j;
-                        break;
-                    }
-                }
-                break;
-            }
-        }
-
-        if (materialStartRow === -1) {
+        if (!scan.found) {
             return {
                 found: false,
                 message: 'Material section not found'
             };
         }
 
-        // Now search for Coats Thread within Material section
-        let coatsThreadFound = false;
-        let rowNumber = -1;
-        let checkResults = [];
-
-        for (let i = materialStartRow; i < (materialEndRow !== -1 ? materialEndRow : jsonData.length); i++) {
-            const row = jsonData[i];
-            const colB = row[searchCol] ? String(row[searchCol]).trim().toUpperCase() : '';
-
-            if (colB.includes(keyword)) {
-                coatsThreadFound = true;
-                rowNumber = i + 1;
-                console.log(`Found "Coats Thread" at row ${rowNumber}`);
-
-                // Check all required columns on this row
-                for (const check of ct.checks) {
-                    const actualValue = row[check.colIndex];
-                    let numericActual = parseFloat(actualValue);
-                    let isValid = false;
-
-                    if (!isNaN(numericActual)) {
-                        // Use tolerance for floating point comparison
-                        isValid = Math.abs(numericActual - check.expectedValue) < 0.00001;
-                    }
-
-                    checkResults.push({
-                        label: check.label,
-                        column: check.colName,
-                        expectedValue: check.expectedValue,
-                        actualValue: actualValue,
-                        numericValue: numericActual,
-                        isValid: isValid,
-                        cellAddress: `${check.colName}${rowNumber}`
-                    });
-                }
-
-                break;
-            }
-        }
-
-        if (!coatsThreadFound) {
+        const coatsThread = scan.overrideRows[0];
+        if (!coatsThread) {
             return {
                 found: false,
                 message: 'Coats Thread not found in Material section'
             };
         }
 
-        const allValid = checkResults.every(r => r.isValid);
+        console.log(`Found "Coats Thread" at row ${coatsThread.rowNumber}`);
+
+        const checkResults = coatsThread.checks.map(check => {
+            // Percentages are shown as entered (2.00), not as fractions
+            const scale = check.rule.percent ? 100 : 1;
+            return {
+                label: check.name,
+                column: check.rule.valueColumn,
+                expectedValue: check.rule.expected * scale,
+                actualValue: check.raw,
+                numericValue: check.value !== null ? check.value * scale : null,
+                isValid: check.isValid,
+                cellAddress: check.cell,
+                tolerance: window.tolerancePolicy.describe(check.rule.tolerance, { percent: check.rule.percent })
+            };
+        });
 
         return {
             found: true,
-            rowNumber: rowNumber,
+            rowNumber: coatsThread.rowNumber,
             checks: checkResults,
-            isValid: allValid
+            isValid: coatsThread.isValid
         };
     }
 
@@ -411,20 +316,18 @@ class OnAGProcessor {
                     actualValue = row[8];  // Column I (index 8)
 
                     // Parse the value
-                    numericValue = parseFloat(actualValue);
-
-                    // Handle percentage format - if string contains %, parse the number directly
-                    if (typeof actualValue === 'string' && actualValue.includes('%')) {
-                        numericValue = parseFloat(actualValue.replace('%', ''));
-                    } else if (!isNaN(numericValue) && numericValue < 1 && item.expectedValue >= 1) {
-                        // If the value is a decimal (like 0.06) but expected is percentage (like 6),
-                        // multiply by 100 to convert to percentage
-                        numericValue = numericValue * 100;
+                    const parsed = window.valueParser.parse(actualValue);
+                    numericValue = typeof parsed.value === 'number' ? parsed.value : null;
+
+                    // Expected values of 1 and above are whole percentages (6 for 6%), so read "6%" and
+                    // the decimal 0.06 as 6
+                    if (numericValue !== null && item.expectedValue >= 1 &&
+                        (parsed.type === 'percent' || numericValue < 1)) {
+                        numericValue = parseFloat((numericValue * 100).toPrecision(12));
                     }
 
-                    if (!isNaN(numericValue)) {
-                        // Use tolerance for floating point comparison
-                        isValid = Math.abs(numericValue - item.expectedValue) < 0.01;
+                    if (numericValue !== null) {
+                        isValid = window.tolerancePolicy.compare(numericValue, item.expectedValue, this.tolerances.processCost).status === 'VALID';
                     }
 
                     console.log(`Found "${item.label}" at row ${rowNumber}, value: ${actualValue}, parsed: ${numericValue}`);
@@ -455,6 +358,81 @@ class OnAGProcessor {
         };
     }
 
+    /**
+     * Results in the common structured schema (see StructuredResults.js)
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+
+        this.bcbdResults.forEach(fileResult => {
+            const result = fileResult.results;
+            const base = { file: fileResult.fileName, sheet: result.sheetName };
+
+            result.wastageResults.forEach(section => {
+                const ruleId = sr.ruleId('onag', 'wastage', section.section);
+                if (!section.found) {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: ruleId,
+                        rule: `${section.section} section is present in column A`,
+                        expected: 'Present',
+                        actual: section.message,
+                        status: 'INVALID'
+                    }));
+                    return;
+                }
+
+                records.push(...sr.sectionRecords({
+                    ...base,
+                    ruleId: ruleId,
+                    rule: `${section.section} wastage (column J) is ${section.expectedWastage.toFixed(2)}`,
+                    expected: section.expectedWastage
+                }, section.validCells, section.invalidCells));
+            });
+
+            const coats = result.coatsThreadCheck;
+            if (!coats.found) {
+                records.push(sr.record({
+                    ...base,
+                    ruleId: 'onag.coats-thread',
+                    rule: 'Coats Thread is listed in the Material section',
+                    expected: 'Listed',
+                    actual: coats.message,
+                    status: 'INVALID'
+                }));
+            } else {
+                coats.checks.forEach(check => {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('onag', 'coats-thread', check.label),
+                        rule: `Coats Thread ${check.label} (column ${check.column}) is ${check.expectedValue}`,
+                        cell: check.cellAddress,
+                        expected: check.expectedValue,
+                        tolerance: check.tolerance,
+                        actual: check.actualValue,
+                        status: check.isValid
+                    }));
+                });
+            }
+
+            result.processCostsCheck.items.forEach(item => {
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('onag', item.label),
+                    rule: `${item.label} (column I) is ${item.expectedValue}`,
+                    cell: item.cellAddress,
+                    expected: item.expectedValue,
+                    tolerance: window.tolerancePolicy.describe(this.tolerances.processCost),
+                    actual: item.found ? item.actualValue : 'Not found',
+                    status: item.isValid
+                }));
+            });
+        });
+
+        return records;
+    }
+
     /**
      * Generate HTML for results display
      */
@@ -580,7 +558,7 @@ class OnAGProcessor {
             // Display Coats Thread check - show values with labels
             if (coatsThreadCheck && coatsThreadCheck.found && coatsThreadCheck.checks) {
                 const checkDetails = coatsThreadCheck.checks.map(check => {
-                    const displayValue = !isNaN(check.numericValue) ? check.numericValue : check.actualValue;
+                    const displayValue = check.numericValue !== null ? check.numericValue : check.actualValue;
                     if (check.isValid) {
                         return `<span style="color: #065f46; font-weight: 600;">${check.label}: ${displayValue}</span>`;
                     } else {
@@ -620,7 +598,7 @@ class OnAGProcessor {
                             </tr>
                         `;
                     } else {
-                        const displayValue = !isNaN(item.numericValue) ? item.numericValue : item.actualValue;
+                        const displayValue = item.numericValue !== null ? item.numericValue : item.actualValue;
                         let cellDisplay;
                         if (item.isValid) {
                             cellDisplay = `<span style="color: #065f46; font-weight: 600;">${displayValue}</span>`;
@@ -725,27 +703,45 @@ class OnAGProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createOnAGConfig(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createOnAGConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize the processor
 window.onAGProcessor = new OnAGProcessor();
 
-// Initialize when V9 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    // Add click listener to ALL elements with data-tab="v9" (both tab buttons and menu items)
-    const v9Tabs = document.querySelectorAll('[data-tab="v9"]');
-    v9Tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            window.onAGProcessor.initialize();
-        });
-    });
-
-    // If V9 tab is already active on load, initialize immediately
-    const v9TabContent = document.getElementById('tab-v9');
-    if (v9TabContent && v9TabContent.classList.contains('active')) {
-        window.onAGProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v9',
+    name: 'On AG',
+    shortName: 'OAG',
+    processor: window.onAGProcessor,
+    loadingMessage: 'On AG validation',
+    editableRules: [
+        ...window.ruleOverrides.fromRules('validationRules.wastageSections', window.onAGProcessor.validationRules.wastageSections, { group: 'Wastage' }),
+        ...window.ruleOverrides.fromRules('validationRules.wastageSections.0.overrides.0.checks', window.onAGProcessor.validationRules.wastageSections[0].overrides[0].checks, { group: 'Coats Thread' }),
+        ...window.onAGProcessor.validationRules.processCosts.map((item, index) => ({
+            path: `validationRules.processCosts.${index}.expectedValue`, label: item.label, group: 'Process & Cost', format: 'number'
+        }))
+    ],
+    formulaCells: [
+        { ruleId: 'onag.wastage', expects: 'value' },
+        { ruleId: 'onag.coats-thread', expects: 'value' },
+        { ruleId: 'onag.knitting', expects: 'value' },
+        { ruleId: 'onag.sewing', expects: 'value' },
+        { ruleId: 'onag.labeling', expects: 'value' },
+        { ruleId: 'onag.finishing-steam-pack', expects: 'value' },
+        { ruleId: 'onag.overhead-in', expects: 'value' },
+        { ruleId: 'onag.profit-in', expects: 'value' },
+        { ruleId: 'onag.finance-cost-in', expects: 'value' },
+        { ruleId: 'onag.additional-freight-in', expects: 'value' },
+        { ruleId: 'onag.logistics-trans-docs-in', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'A', text: 'OVERHEAD IN %' },
+        { column: 'A', text: 'FINANCE COST IN %' },
+        { column: 'A', text: 'LOGISTICS (TRANS & DOCS) IN %' },
+        { column: 'B', text: 'COATS THREAD' }
+    ]
 });
@@ -7,28 +7,34 @@ class OutdoorResearchProcessor {
     constructor() {
         this.bcbdFiles = [];
         this.bcbdResults = [];
+        // Anchored checks, run by the shared rule engine (see RuleEngine.js)
+        // Each check shares its group's marker and is evaluated on the same row
         this.validationRules = {
             // General Packaging check
             // Find "General Packaging" in Column D, then verify same row values
             generalPackaging: {
-                searchCol: 3,           // Column D (index 3) - search for "General Packaging"
-                searchValue: 'GENERAL PACKAGING',
+                name: 'General Packaging',
+                markerColumn: 'D',
+                marker: 'GENERAL PACKAGING',
+                match: 'contains',
                 checks: [
-                    { colIndex: 2, colName: 'C', expectedValue: 'PACKING', label: 'Packing' },
-                    { colIndex: 4, colName: 'E', expectedValue: 'FACTORY SUPPLIED', label: 'Factory Supplied' },
-                    { colIndex: 6, colName: 'G', expectedValue: 1, label: 'Quantity', isNumeric: true },
-                    { colIndex: 7, colName: 'H', expectedValue: 'PC', label: 'Unit' }
+                    { name: 'Packing', valueColumn: 'C', comparator: 'exact', expected: 'PACKING' },
+                    { name: 'Factory Supplied', valueColumn: 'E', comparator: 'exact', expected: 'FACTORY SUPPLIED' },
+                    { name: 'Quantity', valueColumn: 'G', comparator: 'exact', expected: 1 },
+                    { name: 'Unit', valueColumn: 'H', comparator: 'exact', expected: 'PC' }
                 ]
             },
             // Other Charges check
             // Find "Other Charges" in Column D, then verify same row values
             otherCharges: {
-                searchCol: 3,           // Column D (index 3) - search for "Other Charges"
-                searchValue: 'OTHER CHARGES',
+                name: 'Other Charges',
+                markerColumn: 'D',
+                marker: 'OTHER CHARGES',
+                match: 'contains',
                 checks: [
-                    { colIndex: 5, colName: 'F', expectedValue: 'OVERHEAD/PROFIT', label: 'Overhead/Profit' },
-                    { colIndex: 6, colName: 'G', expectedValue: 1, label: 'Quantity', isNumeric: true },
-                    { colIndex: 8, colName: 'I', expectedValue: 0.5, label: 'Value', isNumeric: true }
+                    { name: 'Overhead/Profit', valueColumn: 'F', comparator: 'exact', expected: 'OVERHEAD/PROFIT' },
+                    { name: 'Quantity', valueColumn: 'G', comparator: 'exact', expected: 1 },
+                    { name: 'Value', valueColumn: 'I', comparator: 'exact', expected: 0.5 }
                 ]
             }
         };
@@ -57,16 +63,16 @@ class OutdoorResearchProcessor {
                 <div class="burton-cost-items">
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong>General Packaging Check</strong></div>
-                        <div class="burton-item-line"><strong>Search:</strong> Column D = "${gp.searchValue}"</div>
+                        <div class="burton-item-line"><strong>Search:</strong> Column ${gp.markerColumn} = "${gp.marker}"</div>
                         ${gp.checks.map(check =>
-                            `<div class="burton-item-line"><strong>Column ${check.colName}:</strong> ${check.expectedValue}</div>`
+                            `<div class="burton-item-line"><strong>Column ${check.valueColumn}:</strong> ${check.expected}</div>`
                         ).join('')}
                     </div>
                     <div class="burton-cost-item" style="margin-top: 1rem;">
                         <div class="burton-item-line"><strong>Other Charges Check</strong></div>
-                        <div class="burton-item-line"><strong>Search:</strong> Column D = "${oc.searchValue}"</div>
+                        <div class="burton-item-line"><strong>Search:</strong> Column ${oc.markerColumn} = "${oc.marker}"</div>
                         ${oc.checks.map(check =>
-                            `<div class="burton-item-line"><strong>Column ${check.colName}:</strong> ${check.expectedValue}</div>`
+                            `<div class="burton-item-line"><strong>Column ${check.valueColumn}:</strong> ${check.expected}</div>`
                         ).join('')}
                     </div>
                 </div>
@@ -108,106 +114,68 @@ class OutdoorResearchProcessor {
      * Validate a single file
      */
     async validateFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-
-                    // Convert to JSON for easier processing
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    // Run all validations
-                    const generalPackagingCheck = this.checkGeneralPackaging(jsonData);
-                    const otherChargesCheck = this.checkOtherCharges(jsonData);
-
-                    resolve({
-                        generalPackagingCheck: generalPackagingCheck,
-                        otherChargesCheck: otherChargesCheck
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+
+        // Convert to JSON for easier processing
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        // Run all validations
+        const generalPackagingCheck = this.checkGeneralPackaging(jsonData);
+        const otherChargesCheck = this.checkOtherCharges(jsonData);
+
+        return {
+            sheetName: firstSheetName,
+            generalPackagingCheck: generalPackagingCheck,
+            otherChargesCheck: otherChargesCheck
+        };
     }
 
     /**
      * Generic row validation check
      * Finds a search value in a column, then verifies values in other columns on the same row
      */
-    checkRowValidation(jsonData, rule, ruleName) {
-        const searchCol = rule.searchCol;
-        const searchValue = rule.searchValue;
-
-        let found = false;
-        let rowNumber = -1;
-        let checkResults = [];
-
-        // Search for the value in the specified column
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            const cellValue = row[searchCol] ? String(row[searchCol]).trim().toUpperCase() : '';
-
-            if (cellValue.includes(searchValue)) {
-                found = true;
-                rowNumber = i + 1;
-                console.log(`Found "${ruleName}" at row ${rowNumber}`);
-
-                // Now check all the required columns on this row
-                for (const check of rule.checks) {
-                    const actualValue = row[check.colIndex];
-                    let isValid = false;
-                    let displayValue = actualValue;
-
-                    if (check.isNumeric) {
-                        // Numeric comparison
-                        const numericActual = parseFloat(actualValue);
-                        isValid = !isNaN(numericActual) && numericActual === check.expectedValue;
-                        displayValue = isNaN(numericActual) ? actualValue : numericActual;
-                    } else {
-                        // String comparison (case-insensitive)
-                        const actualStr = actualValue ? String(actualValue).trim().toUpperCase() : '';
-                        isValid = actualStr === check.expectedValue.toUpperCase();
-                        displayValue = actualValue ? String(actualValue).trim() : '';
-                    }
-
-                    checkResults.push({
-                        label: check.label,
-                        column: check.colName,
-                        expectedValue: check.expectedValue,
-                        actualValue: displayValue,
-                        isValid: isValid
-                    });
-                }
-
-                break;
-            }
-        }
-
-        if (!found) {
+    checkRowValidation(jsonData, group) {
+        const engine = window.ruleEngine;
+        const evaluations = group.checks.map(check => engine.evaluate(jsonData, {
+            ...check,
+            markerColumn: group.markerColumn,
+            marker: group.marker,
+            match: group.match
+        }));
+
+        if (!evaluations[0].found) {
             return {
                 found: false,
-                message: `${ruleName} not found in Column D`
+                message: `${group.name} not found in Column ${group.markerColumn}`
             };
         }
 
-        const allValid = checkResults.every(r => r.isValid);
+        const rowNumber = evaluations[0].rowNumber;
+        console.log(`Found "${group.name}" at row ${rowNumber}`);
+
+        const checkResults = evaluations.map((evaluation, index) => {
+            const check = group.checks[index];
+            const isNumeric = engine.isNumericRule(check);
+            const numericDisplay = evaluation.value !== null ? evaluation.value : evaluation.raw;
+
+            return {
+                label: check.name,
+                column: check.valueColumn,
+                expectedValue: check.expected,
+                actualValue: isNumeric ? numericDisplay : evaluation.text,
+                isValid: evaluation.isValid
+            };
+        });
 
         return {
             found: true,
             rowNumber: rowNumber,
             checks: checkResults,
-            isValid: allValid
+            isValid: checkResults.every(r => r.isValid)
         };
     }
 
@@ -215,14 +183,59 @@ class OutdoorResearchProcessor {
      * Check General Packaging row
      */
     checkGeneralPackaging(jsonData) {
-        return this.checkRowValidation(jsonData, this.validationRules.generalPackaging, 'General Packaging');
+        return this.checkRowValidation(jsonData, this.validationRules.generalPackaging);
     }
 
     /**
      * Check Other Charges row
      */
     checkOtherCharges(jsonData) {
-        return this.checkRowValidation(jsonData, this.validationRules.otherCharges, 'Other Charges');
+        return this.checkRowValidation(jsonData, this.validationRules.otherCharges);
+    }
+
+    /**
+     * Results in the common structured schema (see StructuredResults.js)
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const rows = [
+            { key: 'generalPackagingCheck', name: 'General Packaging' },
+            { key: 'otherChargesCheck', name: 'Other Charges' }
+        ];
+        const records = [];
+
+        this.bcbdResults.forEach(fileResult => {
+            const base = { file: fileResult.fileName, sheet: fileResult.results.sheetName };
+
+            rows.forEach(row => {
+                const rowCheck = fileResult.results[row.key];
+                if (!rowCheck.found) {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('outdoor', row.name),
+                        rule: `${row.name} row is present in column D`,
+                        expected: 'Present',
+                        actual: rowCheck.message,
+                        status: 'INVALID'
+                    }));
+                    return;
+                }
+
+                rowCheck.checks.forEach(check => {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('outdoor', row.name, check.label),
+                        rule: `${row.name} ${check.label} (column ${check.column}) is ${check.expectedValue}`,
+                        cell: `${check.column}${rowCheck.rowNumber}`,
+                        expected: check.expectedValue,
+                        actual: check.actualValue,
+                        status: check.isValid
+                    }));
+                });
+            });
+        });
+
+        return records;
     }
 
     /**
@@ -427,26 +440,32 @@ class OutdoorResearchProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createOutdoorResearchConfig(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createOutdoorResearchConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize the processor
 window.outdoorResearchProcessor = new OutdoorResearchProcessor();
 
-// Initialize when V8 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    const v8Tab = document.querySelector('[data-tab="v8"]');
-    if (v8Tab) {
-        v8Tab.addEventListener('click', () => {
-            window.outdoorResearchProcessor.initialize();
-        });
-    }
-
-    // If V8 tab is already active on load, initialize immediately
-    const v8TabContent = document.getElementById('tab-v8');
-    if (v8TabContent && v8TabContent.classList.contains('active')) {
-        window.outdoorResearchProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v8',
+    name: 'Outdoor Research',
+    shortName: 'OR',
+    processor: window.outdoorResearchProcessor,
+    loadingMessage: 'Outdoor Research validation',
+    editableRules: [
+        ...window.ruleOverrides.fromRules('validationRules.generalPackaging.checks', window.outdoorResearchProcessor.validationRules.generalPackaging.checks, { group: 'General Packaging' }),
+        ...window.ruleOverrides.fromRules('validationRules.otherCharges.checks', window.outdoorResearchProcessor.validationRules.otherCharges.checks, { group: 'Other Charges' })
+    ],
+    formulaCells: [
+        { ruleId: 'outdoor.*.quantity', expects: 'value' },
+        { ruleId: 'outdoor.other-charges.value', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'D', text: 'GENERAL PACKAGING' },
+        { column: 'D', text: 'OTHER CHARGES' },
+        { column: 'F', text: 'OVERHEAD/PROFIT' }
+    ]
 });
@@ -14,6 +14,25 @@ class PeakPerformanceProcessor {
         this.bcbdResults = [];
         this.standardItems = []; // Loaded from CSV
         this.csvLoaded = false;
+
+        // PeakPerformance.csv layout (see ReferenceCSV.js); '-' marks an unused cell
+        this.referenceLoad = null;
+        this.referenceSchema = {
+            file: 'PeakPerformance.csv',
+            key: ['supplierItem', 'materialDesc'],
+            header: true,
+            columns: [
+                { key: 'supplier', name: 'Supplier', type: 'text' },
+                { key: 'supplierItem', name: 'Supplier Item #', type: 'text' },
+                { key: 'garmentPart', name: 'Garment Part', type: 'text' },
+                { key: 'materialDesc', name: 'Material Description', type: 'text' },
+                { key: 'yield', name: 'Yield', type: 'number', min: 0, optional: true },
+                { key: 'wastage', name: 'Handling/Wastage', type: 'percent', min: 0, max: 1, optional: true },
+                { key: 'fobUnitCost', name: 'FOB Unit Cost', type: 'number', min: 0, optional: true },
+                { key: 'cifUnitCost', name: 'CIF Unit Cost', type: 'number', min: 0, optional: true }
+            ]
+        };
+
         this.validationRules = {
             // Fabric/Yarn wastage section
             fabricWastage: {
@@ -36,6 +55,14 @@ class PeakPerformanceProcessor {
                 cifUnitCost: 11        // Column L
             }
         };
+
+        // Tolerance policies of the checks (see TolerancePolicy.js); wastage compares as fractions
+        this.tolerances = {
+            fabricWastage: { absolute: 0.00001 },
+            yield: { absolute: 0.01 },
+            wastage: { absolute: 0.005 },
+            cost: { absolute: 0.001 }
+        };
     }
 
     /**
@@ -52,8 +79,8 @@ class PeakPerformanceProcessor {
      */
     async loadCSVData() {
         try {
-            const response = await fetch('assets/data/PeakPerformance.csv');
-            const csvText = await response.text();
+            // Uploaded replacement if there is one, else assets/data/PeakPerformance.csv
+            const csvText = await window.referenceCSV.getText(this.referenceSchema);
             this.parseCSV(csvText);
             this.csvLoaded = true;
             console.log('Peak Performance CSV loaded:', this.standardItems.length, 'items');
@@ -64,58 +91,30 @@ class PeakPerformanceProcessor {
     }
 
     /**
-     * Parse CSV text into standard items array
+     * Parse reference CSV text and display it in the OB drop zone
      */
-    parseCSV(csvText) {
-        const lines = csvText.trim().split('\n');
-        this.standardItems = [];
-
-        // Skip header row (first line)
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-
-            // Parse CSV line (handle commas in quoted fields)
-            const values = this.parseCSVLine(line);
-
-            if (values.length >= 8) {
-                this.standardItems.push({
-                    supplier: values[0] || '-',
-                    supplierItem: values[1] || '-',
-                    garmentPart: values[2] || '-',
-                    materialDesc: values[3] || '-',
-                    yield: values[4] || '-',
-                    wastage: values[5] || '-',
-                    fobUnitCost: values[6] || '-',
-                    cifUnitCost: values[7] || '-'
-                });
-            }
-        }
+    loadReference(csvText) {
+        this.parseCSV(csvText);
+        this.csvLoaded = true;
+        this.displayValidationRules();
     }
 
     /**
-     * Parse a single CSV line handling quoted fields
+     * Parse CSV text into standard items array
+     * Rows that do not match the schema are left out and listed in the OB drop zone
      */
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        result.push(current.trim());
-
-        return result;
+    parseCSV(csvText) {
+        this.referenceLoad = window.referenceCSV.parse(csvText, this.referenceSchema);
+        this.standardItems = this.referenceLoad.rows.map(row => ({
+            supplier: row.supplier || '-',
+            supplierItem: row.supplierItem || '-',
+            garmentPart: row.garmentPart || '-',
+            materialDesc: row.materialDesc || '-',
+            yield: row.yield || '-',
+            wastage: row.wastage || '-',
+            fobUnitCost: row.fobUnitCost || '-',
+            cifUnitCost: row.cifUnitCost || '-'
+        }));
     }
 
     /**
@@ -130,6 +129,13 @@ class PeakPerformanceProcessor {
         let html = `
             <div class="burton-cost-container">
                 <div class="burton-cost-items">
+                    ${window.referenceCSV.getPanelHTML('v10', this.referenceLoad)}
+                    ${window.tolerancePolicy.getPanelHTML([
+                        { label: 'Fabric/Yarn Wastage', tolerance: this.tolerances.fabricWastage, percent: true },
+                        { label: 'Yield', tolerance: this.tolerances.yield },
+                        { label: 'Wastage', tolerance: this.tolerances.wastage, percent: true },
+                        { label: 'FOB / CIF Unit Cost', tolerance: this.tolerances.cost }
+                    ])}
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong>Fabric/Yarn Wastage Check</strong></div>
                         <div class="burton-item-line"><strong>Start:</strong> Find "${fw.startKeyword}" in Column A</div>
@@ -185,37 +191,24 @@ class PeakPerformanceProcessor {
      * Validate a single file
      */
     async validateFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-
-                    // Convert to JSON for easier processing
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    // Run all validations
-                    const fabricWastageCheck = this.checkFabricWastage(jsonData);
-                    const standardItemsCheck = this.checkStandardItems(jsonData);
-
-                    resolve({
-                        fabricWastageCheck: fabricWastageCheck,
-                        standardItemsCheck: standardItemsCheck
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Get the first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+
+        // Convert to JSON for easier processing
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        // Run all validations
+        const fabricWastageCheck = this.checkFabricWastage(jsonData);
+        const standardItemsCheck = this.checkStandardItems(jsonData);
+
+        return {
+            sheetName: firstSheetName,
+            fabricWastageCheck: fabricWastageCheck,
+            standardItemsCheck: standardItemsCheck
+        };
     }
 
     /**
@@ -286,8 +279,8 @@ class PeakPerformanceProcessor {
             const cellAddress = `J${i + 1}`;
             const cellValueStr = String(cellValue).trim();
 
-            // Check if the value contains "5%" or equals 5% or 0.05
-            const isValid = this.isValidWastage(cellValue, 5);
+            // "5%", 5 and 0.05 are all 5%
+            const isValid = this.isValidWastage(cellValue, fw.expectedValue);
 
             if (isValid) {
                 validCells.push({
@@ -424,15 +417,15 @@ class PeakPerformanceProcessor {
         if (stdItem.yield !== '-') {
             const actual = row[colMap.yield];
             const actualStr = actual !== null && actual !== undefined ? String(actual).trim() : '';
-            const expectedNum = parseFloat(stdItem.yield);
-            const actualNum = parseFloat(actualStr);
+            const expectedNum = window.valueParser.toNumber(stdItem.yield);
+            const actualNum = window.valueParser.toNumber(actualStr);
             checks.push({
                 column: 'I',
                 label: 'Yield',
                 expected: stdItem.yield,
                 actual: actualStr,
                 cellAddress: `I${rowNum}`,
-                isValid: !isNaN(expectedNum) && !isNaN(actualNum) && Math.abs(expectedNum - actualNum) < 0.01
+                isValid: window.tolerancePolicy.compare(actualNum, expectedNum, this.tolerances.yield).status === 'VALID'
             });
         }
 
@@ -482,24 +475,15 @@ class PeakPerformanceProcessor {
     }
 
     /**
-     * Compare wastage values (handles % format)
+     * Compare wastage values as percentages ("3%", 3 and 0.03), within half a percentage point
      */
     compareWastage(expected, actual) {
         if (!expected || !actual) return false;
 
-        // Parse expected
-        let expectedNum = parseFloat(String(expected).replace(/[%,\s]/g, ''));
-        // Parse actual
-        let actualNum = parseFloat(String(actual).replace(/[%,\s]/g, ''));
+        const expectedNum = window.valueParser.toPercent(expected);
+        const actualNum = window.valueParser.toPercent(actual);
 
-        if (isNaN(expectedNum) || isNaN(actualNum)) return false;
-
-        // If actual is decimal (0.03) and expected is percentage (3), convert
-        if (actualNum < 1 && expectedNum >= 1) {
-            actualNum = actualNum * 100;
-        }
-
-        return Math.abs(expectedNum - actualNum) < 0.5;
+        return window.tolerancePolicy.compare(actualNum, expectedNum, this.tolerances.wastage).status === 'VALID';
     }
 
     /**
@@ -508,42 +492,89 @@ class PeakPerformanceProcessor {
     compareCost(expected, actual) {
         if (!expected || !actual) return false;
 
-        // Parse expected
-        let expectedNum = parseFloat(String(expected).replace(/[$,\s]/g, ''));
-        // Parse actual
-        let actualNum = parseFloat(String(actual).replace(/[$,\s]/g, ''));
+        const expectedNum = window.valueParser.toNumber(expected);
+        const actualNum = window.valueParser.toNumber(actual);
 
-        if (isNaN(expectedNum) || isNaN(actualNum)) return false;
-
-        return Math.abs(expectedNum - actualNum) < 0.001;
+        return window.tolerancePolicy.compare(actualNum, expectedNum, this.tolerances.cost).status === 'VALID';
     }
 
     /**
-     * Check if a value represents valid wastage percentage
+     * Check if a value represents the expected wastage percentage ('5%' accepts "5%", 5 and 0.05)
      */
-    isValidWastage(value, expectedPercent) {
-        if (value === null || value === undefined || value === '') {
-            return false;
-        }
+    isValidWastage(value, expected) {
+        const expectedPercent = window.valueParser.toPercent(expected);
+        const actualPercent = window.valueParser.toPercent(value);
+        return window.tolerancePolicy.compare(actualPercent, expectedPercent, this.tolerances.fabricWastage).status === 'VALID';
+    }
 
-        const strValue = String(value).trim().toUpperCase();
+    /**
+     * Results in the common structured schema (see StructuredResults.js)
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const fw = this.validationRules.fabricWastage;
+        const policy = window.tolerancePolicy;
+        const checkTolerances = {
+            'Yield': this.tolerances.yield,
+            'Wastage': this.tolerances.wastage,
+            'FOB Unit Cost': this.tolerances.cost,
+            'CIF Unit Cost': this.tolerances.cost
+        };
+        const records = [];
+
+        this.bcbdResults.forEach(fileResult => {
+            const result = fileResult.results;
+            const base = { file: fileResult.fileName, sheet: result.sheetName };
+
+            const wastage = result.fabricWastageCheck;
+            const wastageRule = {
+                ...base,
+                ruleId: 'peakperformance.fabric-wastage',
+                rule: `${fw.label} (column J) is ${fw.expectedValue}`,
+                expected: fw.expectedValue,
+                tolerance: policy.describe(this.tolerances.fabricWastage, { percent: true })
+            };
+            if (!wastage.found) {
+                records.push(sr.record({ ...wastageRule, actual: wastage.message, status: 'INVALID' }));
+            } else {
+                records.push(...sr.sectionRecords(wastageRule, wastage.validCells, wastage.invalidCells));
+            }
 
-        // Check for percentage string
-        if (strValue === `${expectedPercent}%` || strValue.includes(`${expectedPercent}%`)) {
-            return true;
-        }
+            const standardItems = result.standardItemsCheck;
+            if (!standardItems.found) return;
+
+            standardItems.items.forEach(item => {
+                const itemName = item.standardItem.materialDesc;
+                if (!item.found) {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('peakperformance', itemName),
+                        rule: `${itemName} is listed (column D)`,
+                        expected: 'Listed',
+                        actual: 'Not found',
+                        status: 'INVALID'
+                    }));
+                    return;
+                }
 
-        // Check for numeric value
-        const numValue = parseFloat(strValue.replace(/[%,\s]/g, ''));
-        if (!isNaN(numValue)) {
-            // Accept both 5 and 0.05 for 5%
-            const decimalValue = expectedPercent / 100;
-            if (Math.abs(numValue - expectedPercent) < 0.001 || Math.abs(numValue - decimalValue) < 0.001) {
-                return true;
-            }
-        }
+                item.checks.forEach(check => {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('peakperformance', itemName, check.label),
+                        rule: `${itemName} ${check.label} (column ${check.column}) matches the standard items`,
+                        cell: check.cellAddress,
+                        expected: check.expected,
+                        tolerance: checkTolerances[check.label]
+                            ? policy.describe(checkTolerances[check.label], { percent: check.label === 'Wastage' })
+                            : '',
+                        actual: check.actual,
+                        status: check.isValid
+                    }));
+                });
+            });
+        });
 
-        return false;
+        return records;
     }
 
     /**
@@ -817,26 +848,32 @@ class PeakPerformanceProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createPeakPerformanceConfig(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createPeakPerformanceConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize the processor
 window.peakPerformanceProcessor = new PeakPerformanceProcessor();
 
-// Initialize when V10 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    const v10Tab = document.querySelector('[data-tab="v10"]');
-    if (v10Tab) {
-        v10Tab.addEventListener('click', () => {
-            window.peakPerformanceProcessor.initialize();
-        });
-    }
-
-    // If V10 tab is already active on load, initialize immediately
-    const v10TabContent = document.getElementById('tab-v10');
-    if (v10TabContent && v10TabContent.classList.contains('active')) {
-        window.peakPerformanceProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v10',
+    name: 'Peak Performance',
+    shortName: 'PP',
+    processor: window.peakPerformanceProcessor,
+    loadingMessage: 'Peak Performance validation',
+    editableRules: [
+        { path: 'validationRules.fabricWastage.expectedValue', label: 'Fabric/Yarn Wastage (Column J)', format: 'text', tolerance: window.peakPerformanceProcessor.tolerances.fabricWastage }
+    ],
+    formulaCells: [
+        { ruleId: 'peakperformance.fabric-wastage', expects: 'value' },
+        { ruleId: 'peakperformance.*.yield', expects: 'value' },
+        { ruleId: 'peakperformance.*.wastage', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'A', text: 'FABRIC/YARN' },
+        { column: 'A', text: 'FABRIC SUBTOTAL' },
+        { column: 'A', text: 'PP - ' }
+    ]
 });
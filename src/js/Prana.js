@@ -35,101 +35,51 @@
 
 class PranaProcessor {
     constructor() {
+        // Wastage sections, run by the shared section scanner (see SectionScanner.js)
+        // Column G wastage is compared as a whole percentage (4.6% counts as 5%)
+        const wastageSection = (name, startMarker, endMarker, expected, overrides) => ({
+            name: name,
+            start: { column: 'A', marker: startMarker },
+            end: { column: 'A', marker: endMarker },
+            valueColumn: 'G',
+            comparator: 'exact',
+            expected: expected,
+            percent: true,
+            tolerance: 0.005,
+            skipBlank: 'row',
+            overrides: overrides || []
+        });
+
         this.sections = [
-            {
-                name: 'Fabrics',
-                startMarker: 'fabrics',
-                endMarker: 'fabric subtotal',
-                expectedWastage: '5%'
-            },
-            {
-                name: 'Trims, Insulation',
-                startMarker: 'trims, insulation',
-                endMarker: 'trim, fills subtotal',
-                expectedWastage: '3%'
-            },
-            {
-                name: 'Thread',
-                startMarker: 'thread',
-                endMarker: 'thread subtotal',
-                expectedWastage: '3%',
-                specialItems: [
-                    {
-                        name: 'sewing thread',
-                        checks: [
-                            { column: 8, columnLetter: 'I', label: 'Total Yield', expected: '1.00' },
-                            { column: 9, columnLetter: 'J', label: 'Unit Price', expected: '0.00949' }
-                        ]
-                    }
-                ]
-            },
-            {
-                name: 'Labels / Garment Packaging',
-                startMarker: 'labels / garment packaging',
-                endMarker: 'labels/garment packaging subtotal',
-                expectedWastage: '3%',
-                useColumnB: true, // Check Column B for item names instead of Column A
-                specialItems: [
-                    {
-                        name: 'beanie packaging',
-                        checks: [
-                            { column: 8, columnLetter: 'I', label: 'Total Yield', expected: '1.00' },
-                            { column: 9, columnLetter: 'J', label: 'Unit Price', expected: '0.055' }
-                        ]
-                    },
-                    {
-                        name: '25mm interior tear away label',
-                        checks: [
-                            { column: 8, columnLetter: 'I', label: 'Total Yield', expected: '1.00' },
-                            { column: 9, columnLetter: 'J', label: 'Unit Price', expected: '0.05' }
-                        ]
-                    },
-                    {
-                        name: 'upc sticker small',
-                        checks: [
-                            { column: 8, columnLetter: 'I', label: 'Total Yield', expected: '1.00' },
-                            { column: 9, columnLetter: 'J', label: 'Unit Price', expected: '0.008' }
-                        ]
-                    },
-                    {
-                        name: 'upc sticker small with msrp',
-                        checks: [
-                            { column: 8, columnLetter: 'I', label: 'Total Yield', expected: '1.00' },
-                            { column: 9, columnLetter: 'J', label: 'Unit Price', expected: '0.054' }
-                        ]
-                    },
-                    {
-                        name: 'glassine tissue bag',
-                        checks: [
-                            { column: 8, columnLetter: 'I', label: 'Total Yield', expected: '1.00' },
-                            { column: 9, columnLetter: 'J', label: 'Unit Price', expected: '0.066' }
-                        ]
-                    },
-                    {
-                        name: 'care label',
-                        checks: [
-                            { column: 8, columnLetter: 'I', label: 'Total Yield', expected: '1.00' },
-                            { column: 9, columnLetter: 'J', label: 'Unit Price', expected: '0.03' }
-                        ]
-                    },
-                    {
-                        name: 'po label',
-                        checks: [
-                            { column: 8, columnLetter: 'I', label: 'Total Yield', expected: '1.00' },
-                            { column: 9, columnLetter: 'J', label: 'Unit Price', expected: '0.01' }
-                        ]
-                    },
-                    {
-                        name: 'main tag upc sticker',
-                        checks: [
-                            { column: 8, columnLetter: 'I', label: 'Total Yield', expected: '1.00' },
-                            { column: 9, columnLetter: 'J', label: 'Unit Price', expected: '0.006' }
-                        ]
-                    }
-                ]
-            }
+            wastageSection('Fabrics', 'fabrics', 'fabric subtotal', 0.05),
+            wastageSection('Trims, Insulation', 'trims, insulation', 'trim, fills subtotal', 0.03),
+            wastageSection('Thread', 'thread', 'thread subtotal', 0.03, [
+                this.specialItem('A', 'sewing thread', '1.00', '0.00949')
+            ]),
+            // Special items are named in Column B in this section
+            wastageSection('Labels / Garment Packaging', 'labels / garment packaging', 'labels/garment packaging subtotal', 0.03, [
+                this.specialItem('B', 'beanie packaging', '1.00', '0.055'),
+                this.specialItem('B', '25mm interior tear away label', '1.00', '0.05'),
+                this.specialItem('B', 'upc sticker small', '1.00', '0.008'),
+                this.specialItem('B', 'upc sticker small with msrp', '1.00', '0.054'),
+                this.specialItem('B', 'glassine tissue bag', '1.00', '0.066'),
+                this.specialItem('B', 'care label', '1.00', '0.03'),
+                this.specialItem('B', 'po label', '1.00', '0.01'),
+                this.specialItem('B', 'main tag upc sticker', '1.00', '0.006')
+            ])
         ];
 
+        // Arithmetic of each section's lines and subtotal row (see RollupChecker.js)
+        // Total Yield (Column I) already includes the wastage, so Column K = I × J
+        this.rollupLayout = {
+            labelColumn: ['A', 'B'],
+            qtyColumn: 'I',
+            priceColumn: 'J',
+            totalColumn: 'K',
+            subtotalLabelColumn: 'A',
+            tolerance: 0.005
+        };
+
         // Global row checks - scan Column A for keywords and validate values
         this.globalRowChecks = [
             {
@@ -164,6 +114,31 @@ class PranaProcessor {
         ];
     }
 
+    /**
+     * Section override for an item with a fixed Total Yield (Column I) and Unit Price (Column J)
+     * Values match when they round to the expected figure ('0.00949' is checked to 5 decimals)
+     */
+    specialItem(column, name, totalYield, unitPrice) {
+        const roundedCheck = (valueColumn, label, expected) => ({
+            name: label,
+            valueColumn: valueColumn,
+            comparator: 'exact',
+            expected: window.valueParser.toNumber(expected),
+            tolerance: 0.5 * Math.pow(10, -(expected.split('.')[1] || '').length),
+            display: expected
+        });
+
+        return {
+            name: name,
+            column: column,
+            marker: name,
+            checks: [
+                roundedCheck('I', 'Total Yield', totalYield),
+                roundedCheck('J', 'Unit Price', unitPrice)
+            ]
+        };
+    }
+
     async initialize() {
         this.displayValidationRules();
     }
@@ -172,6 +147,8 @@ class PranaProcessor {
         const obDropZone = document.getElementById('obDropZone-v13');
         if (!obDropZone) return;
 
+        const wastage = index => window.ruleEngine.describeExpected(this.sections[index]);
+
         let html = `
             <div class="burton-cost-container">
                 <div class="burton-cost-items">
@@ -179,25 +156,31 @@ class PranaProcessor {
                         <div class="burton-item-line"><strong>Validation Rules:</strong></div>
                         <div class="burton-item-line">Scans ALL sheets in the Excel file</div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Section 1 - Fabrics:</strong></div>
-                        <div class="burton-item-line">• Column G Wastage: <strong>5%</strong></div>
+                        <div class="burton-item-line">• Column G Wastage: <strong>${wastage(0)}</strong></div>
                         <div class="burton-item-line">• Stops at "Fabric Subtotal"</div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Section 2 - Trims, Insulation:</strong></div>
-                        <div class="burton-item-line">• Column G Wastage: <strong>3%</strong></div>
+                        <div class="burton-item-line">• Column G Wastage: <strong>${wastage(1)}</strong></div>
                         <div class="burton-item-line">• Stops at "Trim, Fills Subtotal"</div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Section 3 - Thread:</strong></div>
-                        <div class="burton-item-line">• Column G Wastage: <strong>3%</strong></div>
+                        <div class="burton-item-line">• Column G Wastage: <strong>${wastage(2)}</strong></div>
                         <div class="burton-item-line">• Stops at "Thread Subtotal"</div>
-                        <div class="burton-item-line">• <em>Sewing Thread:</em> Col I = <strong>1.00</strong>, Col J = <strong>0.00949</strong></div>
+                        ${this.sections[2].overrides.map(item => `
+                            <div class="burton-item-line">• <em>${item.name.replace(/\b\w/g, c => c.toUpperCase())}:</em> ${item.checks.map(check =>
+                                `Col ${check.valueColumn} = <strong>${check.display}</strong>`
+                            ).join(', ')}</div>
+                        `).join('')}
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Section 4 - Labels / Garment Packaging:</strong></div>
-                        <div class="burton-item-line">• Column G Wastage: <strong>3%</strong></div>
+                        <div class="burton-item-line">• Column G Wastage: <strong>${wastage(3)}</strong></div>
                         <div class="burton-item-line">• Stops at "Labels/Garment Packaging Subtotal"</div>
                         <div class="burton-item-line">• <em>Special Items (Col B):</em> Col I = <strong>1.00</strong>, Col J = <strong>Unit Price</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Global Checks (Column A):</strong></div>
-                        <div class="burton-item-line">• Overhead: Col K = <strong>0.30049</strong></div>
-                        <div class="burton-item-line">• Profit: Col K = <strong>≤ 0.30</strong></div>
-                        <div class="burton-item-line">• Transit/Transportation: Col K = <strong>0.200499</strong></div>
-                        <div class="burton-item-line">• Finance: Col J = <strong>0</strong>, Col K = <strong>0.15049999</strong></div>
+                        ${this.globalRowChecks.map(rowCheck => `
+                            <div class="burton-item-line">• ${rowCheck.name}: ${rowCheck.checks.map(check =>
+                                `Col ${check.columnLetter} = <strong>${check.expected}</strong>`
+                            ).join(', ')}</div>
+                        `).join('')}
                     </div>
+                    ${window.rollupChecker.getPanelHTML(this.rollupLayout, 'section Subtotal rows')}
                 </div>
             </div>
         `;
@@ -229,41 +212,27 @@ class PranaProcessor {
     }
 
     async processFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Process ALL sheets in the workbook
-                    const sheetResults = [];
+        const workbook = await window.workbookReader.read(file);
 
-                    for (const sheetName of workbook.SheetNames) {
-                        const sheet = workbook.Sheets[sheetName];
-                        const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+        // Process ALL sheets in the workbook
+        const sheetResults = [];
 
-                        const sheetValidation = this.validateSheet(jsonData, sheetName);
-                        if (sheetValidation.anySectionFound) {
-                            sheetResults.push(sheetValidation);
-                        }
-                    }
+        for (const sheetName of workbook.SheetNames) {
+            const sheet = workbook.Sheets[sheetName];
+            const jsonData = window.workbookReader.toRows(sheet);
 
-                    resolve({
-                        fileName: file.name,
-                        sheets: sheetResults,
-                        totalSheets: workbook.SheetNames.length,
-                        error: null
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
+            const sheetValidation = this.validateSheet(jsonData, sheetName);
+            if (sheetValidation.anySectionFound) {
+                sheetResults.push(sheetValidation);
+            }
+        }
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        return {
+            fileName: file.name,
+            sheets: sheetResults,
+            totalSheets: workbook.SheetNames.length,
+            error: null
+        };
     }
 
     validateSheet(jsonData, sheetName) {
@@ -330,8 +299,9 @@ class PranaProcessor {
         let actualNum = NaN;
 
         if (actual !== undefined && actual !== null && actual !== '') {
-            actualNum = parseFloat(actual);
-            if (!isNaN(actualNum)) {
+            const parsed = window.valueParser.toNumber(actual);
+            if (parsed !== null) {
+                actualNum = parsed;
                 // Format to match expected precision (but handle ≤ prefix)
                 const expectedClean = expected.replace(/[≤<>=]/g, '').trim();
                 const expectedDecimals = (expectedClean.split('.')[1] || '').length;
@@ -350,11 +320,12 @@ class PranaProcessor {
         if (maxValue !== undefined) {
             isValid = !isNaN(actualNum) && actualNum <= maxValue;
         } else {
-            // Otherwise check exact match or allowedValues
-            isValid = actualStr === expected;
-            if (!isValid && allowedValues) {
-                isValid = allowedValues.includes(actualStr);
-            }
+            // Otherwise the expected value or one of allowedValues, rounded to the expected figure
+            // ('0.30049' is checked to 5 decimals)
+            const decimals = (expected.split('.')[1] || '').length;
+            const tolerance = 0.5 * Math.pow(10, -decimals);
+            isValid = actualStr !== 'Empty' &&
+                [expected, ...(allowedValues || [])].some(value => window.valueParser.matches(actual, value, tolerance));
         }
 
         return {
@@ -367,165 +338,137 @@ class PranaProcessor {
     }
 
     validateSection(jsonData, sectionConfig) {
-        const result = {
-            name: sectionConfig.name,
-            found: false,
-            rowStart: -1,
-            rowEnd: -1,
-            expectedWastage: sectionConfig.expectedWastage,
-            items: [],
-            specialItemResults: [],
-            allValid: true
-        };
-
-        let inSection = false;
-
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            const cellA = row[0] ? String(row[0]).trim() : '';
-            const cellALower = cellA.toLowerCase();
-
-            // Check for section start marker
-            if (!inSection && cellALower === sectionConfig.startMarker) {
-                inSection = true;
-                result.found = true;
-                result.rowStart = i + 1; // 1-indexed for display
-                continue;
-            }
-
-            // Check for section end marker
-            if (inSection && cellALower === sectionConfig.endMarker) {
-                result.rowEnd = i + 1; // 1-indexed for display
-                break;
-            }
-
-            // If we're in the section, check Column G
-            if (inSection) {
-                const cellG = row[6]; // Column G (index 6)
-                const rowNum = i + 1; // 1-indexed for display
-
-                // Skip empty rows
-                if (!cellA && !cellG) continue;
-
-                const itemResult = this.validateWastage(cellG, rowNum, cellA, sectionConfig.expectedWastage);
-                result.items.push(itemResult);
+        const scan = window.sectionScanner.scan(jsonData, sectionConfig);
+        const expectedWastage = window.ruleEngine.describeExpected(sectionConfig);
 
-                if (!itemResult.isValid) {
-                    result.allValid = false;
-                }
-
-                // Check for special items (like "sewing thread" in Thread section)
-                if (sectionConfig.specialItems) {
-                    // Use Column B if specified, otherwise Column A
-                    const itemNameColumn = sectionConfig.useColumnB ? 1 : 0;
-                    const cellForMatching = row[itemNameColumn] ? String(row[itemNameColumn]).trim() : '';
-                    const cellForMatchingLower = cellForMatching.toLowerCase();
-
-                    for (const specialItem of sectionConfig.specialItems) {
-                        if (cellForMatchingLower === specialItem.name.toLowerCase()) {
-                            // Get Column A value for display
-                            const columnAValue = row[0] ? String(row[0]).trim() : '';
-
-                            const specialResult = {
-                                name: cellForMatching,
-                                columnA: columnAValue,
-                                rowNumber: rowNum,
-                                checks: []
-                            };
-
-                            for (const check of specialItem.checks) {
-                                const actualValue = row[check.column];
-                                const checkResult = this.validateSpecialValue(actualValue, check.expected, check.label, rowNum, check.columnLetter);
-                                specialResult.checks.push(checkResult);
-
-                                if (!checkResult.isValid) {
-                                    result.allValid = false;
-                                }
-                            }
-
-                            result.specialItemResults.push(specialResult);
-                        }
-                    }
-                }
-            }
-        }
+        const items = scan.rows.map(row => ({
+            rowNumber: row.rowNumber,
+            itemName: row.label || `Row ${row.rowNumber}`,
+            expected: expectedWastage,
+            actual: this.formatWastage(row.raw),
+            isValid: row.isValid,
+            cellAddress: row.cell
+        }));
+
+        const specialItemResults = scan.overrideRows.map(item => ({
+            name: item.label,
+            columnA: window.sectionScanner.cellText(jsonData[item.rowIndex], 'A'),
+            rowNumber: item.rowNumber,
+            checks: item.checks.map(check => this.formatSpecialCheck(check))
+        }));
 
-        return result;
+        return {
+            name: sectionConfig.name,
+            found: scan.found,
+            rowStart: scan.startRow,
+            rowEnd: scan.endRow,
+            expectedWastage: expectedWastage,
+            items: items,
+            specialItemResults: specialItemResults,
+            rollup: window.rollupChecker.checkSection(jsonData, scan, this.rollupLayout),
+            allValid: scan.isValid
+        };
     }
 
-    validateSpecialValue(actual, expected, label, rowNum, colLetter) {
-        let actualStr = '';
-
-        if (actual !== undefined && actual !== null && actual !== '') {
-            const actualNum = parseFloat(actual);
-            if (!isNaN(actualNum)) {
-                // Format to match expected precision
-                const expectedDecimals = (expected.split('.')[1] || '').length;
-                actualStr = actualNum.toFixed(expectedDecimals);
-            } else {
-                actualStr = String(actual).trim();
-            }
-        } else {
-            actualStr = 'Empty';
+    /**
+     * Special item check shown with the expected figure's precision
+     */
+    formatSpecialCheck(check) {
+        const expected = check.rule.display;
+        let actual = 'Empty';
+
+        if (check.text !== '') {
+            actual = check.value !== null
+                ? check.value.toFixed((expected.split('.')[1] || '').length)
+                : check.text;
         }
 
-        const isValid = actualStr === expected;
-
         return {
-            label: label,
+            label: check.name,
             expected: expected,
-            actual: actualStr,
-            isValid: isValid,
-            cellAddress: `${colLetter}${rowNum}`
+            actual: actual,
+            isValid: check.isValid,
+            cellAddress: check.cell
         };
     }
 
-    validateWastage(actual, rowNum, itemName, expectedWastage) {
-        // Handle the actual value
-        let actualStr = '';
+    /**
+     * Wastage cell as a whole percentage (0.05 and 5 both show as 5%)
+     */
+    formatWastage(actual) {
+        if (actual === undefined || actual === null || actual === '') return 'Empty';
 
-        if (actual !== undefined && actual !== null && actual !== '') {
-            // Check if it's a number (Excel might store 5% as 0.05)
-            const actualNum = parseFloat(actual);
-            if (!isNaN(actualNum)) {
-                if (actualNum < 1) {
-                    // Convert decimal to percentage (0.05 -> 5%)
-                    actualStr = (actualNum * 100).toFixed(0) + '%';
-                } else {
-                    actualStr = actualNum.toFixed(0) + '%';
-                }
-            } else {
-                actualStr = String(actual).trim();
-            }
-        } else {
-            actualStr = 'Empty';
-        }
+        const fraction = window.valueParser.toPercent(actual);
+        if (fraction === null) return String(actual).trim();
+
+        return (fraction * 100).toFixed(0) + '%';
+    }
 
-        // Normalize for comparison
-        const normalizeValue = (val) => {
-            if (!val || val === 'Empty') return '';
-            // Remove % and whitespace, get number
-            let normalized = String(val).replace(/%/g, '').trim();
-            const num = parseFloat(normalized);
-            if (!isNaN(num)) {
-                return num.toString();
+    /**
+     * Results in the common structured schema (see StructuredResults.js)
+     * Every sheet with a recognised section contributes its own records
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+
+        (this.fileResults || []).forEach(fileResult => {
+            if (fileResult.error) {
+                records.push(sr.errorRecord(fileResult.fileName, 'prana', fileResult.error));
+                return;
             }
-            return normalized.toLowerCase();
-        };
 
-        const normalizedActual = normalizeValue(actualStr);
-        const normalizedExpected = normalizeValue(expectedWastage);
+            fileResult.sheets.forEach(sheetResult => {
+                const base = { file: fileResult.fileName, sheet: sheetResult.sheetName };
+
+                sheetResult.sections.forEach(section => {
+                    section.items.forEach(item => {
+                        records.push(sr.record({
+                            ...base,
+                            ruleId: sr.ruleId('prana', 'wastage', section.name),
+                            rule: `${section.name} wastage (column G) is ${section.expectedWastage} - ${item.itemName}`,
+                            cell: item.cellAddress,
+                            expected: item.expected,
+                            actual: item.actual,
+                            status: item.isValid
+                        }));
+                    });
 
-        const isValid = normalizedActual === normalizedExpected;
+                    section.specialItemResults.forEach(special => {
+                        special.checks.forEach(check => {
+                            records.push(sr.record({
+                                ...base,
+                                ruleId: sr.ruleId('prana', section.name, special.name, check.label),
+                                rule: `${special.name} ${check.label} is ${check.expected}`,
+                                cell: check.cellAddress,
+                                expected: check.expected,
+                                actual: check.actual,
+                                status: check.isValid
+                            }));
+                        });
+                    });
+                });
 
-        return {
-            rowNumber: rowNum,
-            itemName: itemName || `Row ${rowNum}`,
-            expected: expectedWastage,
-            actual: actualStr,
-            isValid: isValid,
-            cellAddress: `G${rowNum}`
-        };
+                const rollups = sheetResult.sections.map(section => section.rollup);
+                records.push(...window.rollupChecker.toRecords(base, 'prana', rollups, this.rollupLayout));
+
+                sheetResult.globalChecks.forEach(globalCheck => {
+                    globalCheck.checks.forEach(check => {
+                        records.push(sr.record({
+                            ...base,
+                            ruleId: sr.ruleId('prana', globalCheck.name, check.label),
+                            rule: `${globalCheck.name} ${check.label} is ${check.expected}`,
+                            cell: check.cellAddress,
+                            expected: check.expected,
+                            actual: check.actual,
+                            status: check.isValid
+                        }));
+                    });
+                });
+            });
+        });
+
+        return records;
     }
 
     generateResultsHTML(results) {
@@ -748,10 +691,57 @@ class PranaProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createPranaConfig(this.fileResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createPranaConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize processor
 window.pranaProcessor = new PranaProcessor();
+
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v13',
+    name: 'Prana',
+    shortName: 'PRA',
+    processor: window.pranaProcessor,
+    sheetStrategy: 'all',
+    loadingMessage: 'Prana validation',
+    loadingSubtext: 'Scanning all sheets for Fabrics section...',
+    // Global row values are compared as text at the expected number of decimals, so they are edited as text
+    editableRules: [
+        ...window.ruleOverrides.fromRules('sections', window.pranaProcessor.sections, { group: 'Wastage (Column G)' }),
+        { path: 'globalRowChecks.0.checks.0.expected', label: 'Overhead (Col K)', group: 'Global Checks', format: 'text' },
+        {
+            path: 'globalRowChecks.1.checks.0.maxValue', label: 'Profit maximum (Col K)', group: 'Global Checks', format: 'number',
+            display: 'globalRowChecks.1.checks.0.expected', describe: value => `≤ ${value.toFixed(2)}`
+        },
+        { path: 'globalRowChecks.2.checks.0.expected', label: 'Transit/Transportation (Col K)', group: 'Global Checks', format: 'text' },
+        { path: 'globalRowChecks.3.checks.1.expected', label: 'Finance (Col K)', group: 'Global Checks', format: 'text' },
+        // Special item Total Yield / Unit Price (section overrides)
+        ...window.pranaProcessor.sections.flatMap((section, s) => (section.overrides || []).flatMap((item, i) =>
+            item.checks.map((check, c) => ({
+                path: `sections.${s}.overrides.${i}.checks.${c}.expected`,
+                label: `${item.name} - ${check.name}`,
+                group: 'Special Items',
+                format: 'number',
+                display: `sections.${s}.overrides.${i}.checks.${c}.display`,
+                describe: value => String(value)
+            }))
+        ))
+    ],
+    // Total Yield and the Overhead / Transit / Finance values are calculated by the template (see FormulaCheck.js)
+    formulaCells: [
+        { ruleId: 'prana.wastage', expects: 'value' },
+        { ruleId: 'prana.*.*.total-yield', expects: 'formula' },
+        { ruleId: 'prana.*.*.unit-price', expects: 'value' },
+        { ruleId: 'prana.overhead.value', expects: 'formula' },
+        { ruleId: 'prana.transit-transportation.value', expects: 'formula' },
+        { ruleId: 'prana.finance.value', expects: 'formula' }
+    ],
+    fingerprints: [
+        { column: 'A', text: 'Fabric Subtotal' },
+        { column: 'A', text: 'Trim, Fills Subtotal' },
+        { column: 'A', text: 'LABELS / GARMENT PACKAGING' }
+    ]
+});
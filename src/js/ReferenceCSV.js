@@ -0,0 +1,538 @@
+/**
+ * Reference CSV Loader
+ * Shared loader for the reference CSVs in assets/data (Burton, Columbia, Helly Hansen, Fjall Raven,
+ * Peak Performance, Skida, Travis Matthew, Vuori). Parses RFC 4180 CSV (quoted fields, "" escapes,
+ * CRLF / LF, line breaks inside quotes) and checks every row against the brand's schema, so a bad
+ * row is reported in the OB drop zone and left out instead of becoming a wrong expectation.
+ *
+ * Schema (declared by each processor):
+ * {
+ *   file: 'FjallRaven_CostBreakdown.csv',
+ *   header: false,                         // first row holds column names (checked, not loaded)
+ *   key: ['product', 'bomSection'],        // columns that identify a row in upload diffs (default: first)
+ *   columns: [
+ *     { key: 'product', name: 'Product', type: 'text' },
+ *     { key: 'waste', name: 'Waste', type: 'number', min: 0, max: 1, optional: true }
+ *   ],
+ *   variants: [{ column: 0, pattern: /efficiency/i, columns: [...] }]   // rows laid out differently
+ * }
+ *
+ * Types: text | number | currency ($0.020) | percent (3%, checked as 0.03) |
+ *        range (a single figure, '0.15 to 0.19' or '0.30 or 0.40')
+ * optional: the value may be empty or '-'. min / max apply to every figure of the value.
+ * Fields are trimmed (spaces and tabs), trailing empty fields are ignored.
+ *
+ * A replacement CSV / XLSX can be dropped on (or uploaded from) the OB drop zone: it is diffed
+ * row by row against the loaded reference, kept in localStorage once applied and can be reverted
+ * to the bundled file. Processors implement loadReference(csvText) to parse and display it.
+ */
+
+class ReferenceCSVLoader {
+    constructor() {
+        this.numberPattern = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+        this.storagePrefix = 'referenceData-';  // + file name: uploaded replacement { fileName, uploaded, text }
+        this.texts = {};                        // file name -> CSV text currently loaded
+        this.pending = {};                      // processor id -> upload waiting to be applied
+    }
+
+    /**
+     * Parse CSV text and check it against a schema
+     * @param {string} [fileName] - Name shown in warnings (the uploaded file's, or the schema's)
+     * @returns {Object} - { file, rows: [{ rowNumber, ...values }], warnings: [{ rowNumber, message }], skipped }
+     */
+    parse(text, schema, fileName = schema.file) {
+        const records = this.parseRecords(text);
+        const rows = [];
+        const warnings = [];
+        let skipped = 0;
+
+        records.forEach((record, index) => {
+            const fields = this.trimTrailing(record.fields.map(field => field.replace(/^[\s\t]+|[\s\t]+$/g, '')));
+            if (fields.length === 0) return;
+
+            if (schema.header && index === 0) {
+                this.checkHeader(fields, schema.columns, record.line, warnings);
+                return;
+            }
+
+            const columns = this.getColumns(fields, schema);
+            const problems = this.checkRow(fields, columns, record);
+
+            if (problems.length > 0) {
+                problems.forEach(message => warnings.push({ rowNumber: record.line, message }));
+                skipped++;
+                return;
+            }
+
+            const row = { rowNumber: record.line };
+            columns.forEach((column, columnIndex) => {
+                row[column.key] = fields[columnIndex] || '';
+            });
+            rows.push(row);
+        });
+
+        return { file: fileName, rows, warnings, skipped };
+    }
+
+    /**
+     * CSV text of a reference: the uploaded replacement kept in localStorage, else the bundled file
+     */
+    async getText(schema) {
+        const stored = this.getStored(schema.file);
+        if (stored) {
+            this.texts[schema.file] = stored.text;
+            return stored.text;
+        }
+
+        const response = await fetch(`assets/data/${schema.file}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${schema.file}`);
+        }
+        const text = await response.text();
+        this.texts[schema.file] = text;
+        return text;
+    }
+
+    /**
+     * Uploaded replacement of a reference file
+     * @returns {Object|null} - { fileName, uploaded, text }
+     */
+    getStored(file) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storagePrefix + file));
+            return stored && typeof stored.text === 'string' ? stored : null;
+        } catch (error) {
+            console.error(`Error reading the stored replacement of ${file}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * RFC 4180 records with the line each one starts on
+     * @returns {Array} - [{ line, fields, unterminated }]
+     */
+    parseRecords(text) {
+        const records = [];
+        let fields = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endRecord = () => {
+            fields.push(field);
+            records.push({ line: recordLine, fields });
+            fields = [];
+            field = '';
+        };
+
+        const source = text.replace(/^\uFEFF/, '');
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"' && field.trim() === '') {
+                field = '';
+                inQuotes = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            fields.push(field);
+            records.push({ line: recordLine, fields, unterminated: true });
+        } else if (field !== '' || fields.length > 0) {
+            endRecord();
+        }
+
+        return records;
+    }
+
+    trimTrailing(fields) {
+        const result = fields.slice();
+        while (result.length > 0 && result[result.length - 1] === '') {
+            result.pop();
+        }
+        return result;
+    }
+
+    /**
+     * Columns of a row: the first variant whose marker matches, else the schema's columns
+     */
+    getColumns(fields, schema) {
+        const variant = (schema.variants || []).find(v => v.pattern.test(fields[v.column] || ''));
+        return variant ? variant.columns : schema.columns;
+    }
+
+    checkHeader(fields, columns, line, warnings) {
+        columns.forEach((column, index) => {
+            const name = fields[index] || '';
+            if (name.toLowerCase() !== column.name.toLowerCase()) {
+                warnings.push({ rowNumber: line, message: `Header column ${index + 1} is "${name}", expected "${column.name}"` });
+            }
+        });
+    }
+
+    /**
+     * Problems of one row (empty when it loads)
+     */
+    checkRow(fields, columns, record) {
+        if (record.unterminated) {
+            return ['Quoted field is never closed'];
+        }
+
+        if (fields.length > columns.length) {
+            return [`${fields.length} fields, expected ${columns.length} - quote values that contain commas`];
+        }
+
+        const problems = [];
+        columns.forEach((column, index) => {
+            const problem = this.checkValue(fields[index] || '', column);
+            if (problem) problems.push(problem);
+        });
+        return problems;
+    }
+
+    /**
+     * Check one value against its column
+     * @returns {string|null} - problem, or null when the value is fine
+     */
+    checkValue(value, column) {
+        if (value === '' || value === '-') {
+            return column.optional || (value === '-' && column.type === 'text') ? null : `${column.name} is empty`;
+        }
+
+        if (value.includes('\t')) {
+            return `${column.name} "${value}" contains a tab - tab-separated values are not supported`;
+        }
+
+        if (column.type === 'text' || !column.type) return null;
+
+        const figures = column.type === 'range'
+            ? value.split(/\s+(?:to|or)\s+/i)
+            : [value];
+
+        for (const figure of figures) {
+            const number = this.toNumber(figure, column.type);
+            if (number === null) {
+                return `${column.name} "${value}" is not ${this.describeType(column.type)}`;
+            }
+            if (column.min !== undefined && number < column.min) {
+                return `${column.name} "${value}" is below ${column.min}`;
+            }
+            if (column.max !== undefined && number > column.max) {
+                return `${column.name} "${value}" is above ${column.max}`;
+            }
+        }
+
+        if (figures.length === 2 && /\s+to\s+/i.test(value) &&
+            this.toNumber(figures[0], column.type) > this.toNumber(figures[1], column.type)) {
+            return `${column.name} "${value}" runs from high to low`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Number of a figure for its type; percentages are returned as fractions
+     */
+    toNumber(figure, type) {
+        let text = figure.trim();
+        let percent = false;
+
+        if (type === 'currency') {
+            text = text.replace(/^\$\s*/, '');
+        }
+        if ((type === 'percent' || type === 'range') && text.endsWith('%')) {
+            text = text.slice(0, -1).trim();
+            percent = true;
+        } else if (type === 'percent') {
+            return null;
+        }
+
+        if (!this.numberPattern.test(text)) return null;
+        const number = parseFloat(text);
+        return percent ? number / 100 : number;
+    }
+
+    describeType(type) {
+        return {
+            number: 'a number',
+            currency: 'an amount',
+            percent: 'a percentage',
+            range: 'a number or range'
+        }[type] || type;
+    }
+
+    /**
+     * Read a dropped / selected replacement (CSV, or the first sheet of an XLSX) and diff it
+     * against the loaded reference; the report waits in the OB drop zone until applied
+     * @param {File|HTMLInputElement} input
+     */
+    async upload(id, input) {
+        const entry = window.processorRegistry.get(id);
+        const file = input instanceof File ? input : input.files && input.files[0];
+        if (!(input instanceof File)) input.value = '';
+        if (!entry || !file || !entry.processor.referenceSchema) return;
+
+        const schema = entry.processor.referenceSchema;
+
+        try {
+            let text;
+            if (/\.csv$/i.test(file.name)) {
+                text = await file.text();
+            } else {
+                const workbook = await window.workbookReader.read(file);
+                text = XLSX.utils.sheet_to_csv(workbook.Sheets[workbook.SheetNames[0]], { blankrows: false });
+            }
+
+            const result = this.parse(text, schema, file.name);
+            const current = this.parse(this.texts[schema.file] || '', schema);
+            this.pending[id] = {
+                fileName: file.name,
+                text,
+                result,
+                diff: this.diffRows(current.rows, result.rows, schema),
+                fatal: result.rows.length === 0 ? `No row of ${file.name} matches the ${schema.file} layout.` : null
+            };
+        } catch (error) {
+            console.error(`Error reading replacement for ${schema.file}:`, error);
+            alert(`Could not read ${file.name}: ${error.message}`);
+            return;
+        }
+
+        this.refresh(id);
+    }
+
+    /**
+     * Row-level diff; rows are matched on the schema's key columns (first column by default),
+     * repeated keys in file order
+     * @returns {Object} - { added, removed, changed: [{ row, label, fields: [{ name, from, to }] }], unchanged }
+     */
+    diffRows(oldRows, newRows, schema) {
+        const keys = schema.key || [schema.columns[0].key];
+        const keyOf = row => keys.map(key => String(row[key] || '').toLowerCase()).join('|');
+        const labelOf = row => keys.map(key => row[key]).filter(value => value && value !== '-').join(' / ') || `Row ${row.rowNumber}`;
+        const nameOf = key => {
+            const column = [schema.columns, ...(schema.variants || []).map(v => v.columns)]
+                .flat()
+                .find(c => c.key === key);
+            return column ? column.name : key;
+        };
+
+        const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+        const unmatched = oldRows.slice();
+
+        newRows.forEach(row => {
+            const index = unmatched.findIndex(old => keyOf(old) === keyOf(row));
+            if (index === -1) {
+                diff.added.push({ row: row.rowNumber, label: labelOf(row) });
+                return;
+            }
+
+            const old = unmatched.splice(index, 1)[0];
+            const fields = [...new Set([...Object.keys(old), ...Object.keys(row)])]
+                .filter(key => key !== 'rowNumber' && (old[key] || '') !== (row[key] || ''))
+                .map(key => ({ name: nameOf(key), from: old[key] || '', to: row[key] || '' }));
+
+            if (fields.length > 0) {
+                diff.changed.push({ row: row.rowNumber, label: labelOf(row), fields });
+            } else {
+                diff.unchanged++;
+            }
+        });
+
+        diff.removed = unmatched.map(row => ({ row: row.rowNumber, label: labelOf(row) }));
+        return diff;
+    }
+
+    /**
+     * Keep the pending upload in localStorage and load it
+     */
+    applyUpload(id) {
+        const entry = window.processorRegistry.get(id);
+        const upload = this.pending[id];
+        if (!entry || !upload || upload.fatal) return;
+
+        const schema = entry.processor.referenceSchema;
+        try {
+            localStorage.setItem(this.storagePrefix + schema.file, JSON.stringify({
+                fileName: upload.fileName,
+                uploaded: new Date().toISOString().slice(0, 10),
+                text: upload.text
+            }));
+        } catch (error) {
+            console.error(`Error saving replacement for ${schema.file}:`, error);
+            alert(`Could not save ${upload.fileName} in browser storage: ${error.message}`);
+            return;
+        }
+
+        delete this.pending[id];
+        this.texts[schema.file] = upload.text;
+        this.refresh(id);
+        console.log(`${entry.name} reference replaced by ${upload.fileName}`);
+    }
+
+    cancelUpload(id) {
+        delete this.pending[id];
+        this.refresh(id);
+    }
+
+    /**
+     * Drop the uploaded replacement and go back to the file in assets/data
+     */
+    async revert(id) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry) return;
+
+        const schema = entry.processor.referenceSchema;
+        if (!confirm(`Revert ${entry.name} to the bundled ${schema.file}?`)) return;
+
+        localStorage.removeItem(this.storagePrefix + schema.file);
+        try {
+            await this.getText(schema);
+        } catch (error) {
+            console.error(`Error loading ${schema.file}:`, error);
+            alert(error.message);
+            return;
+        }
+        this.refresh(id);
+    }
+
+    /**
+     * Reload the processor's reference from the current text and re-render its OB drop zone
+     */
+    refresh(id) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry) return;
+
+        entry.processor.loadReference(this.texts[entry.processor.referenceSchema.file] || '');
+        window.ruleOverrides.render(entry);
+    }
+
+    /**
+     * Top of a reference OB drop zone: the pending upload's diff, or the source of the reference
+     * with Upload / Revert buttons and the rows that failed the schema
+     */
+    getPanelHTML(id, result) {
+        if (this.pending[id]) {
+            return this.getUploadReportHTML(id);
+        }
+
+        const entry = window.processorRegistry.get(id);
+        const file = entry.processor.referenceSchema.file;
+        const stored = this.getStored(file);
+
+        return `
+            <div class="burton-cost-item reference-source">
+                <div class="burton-item-line">
+                    <strong>Reference:</strong>
+                    ${stored ? `${this.escape(stored.fileName)} (uploaded ${this.escape(stored.uploaded)})` : `${this.escape(file)} (bundled)`}
+                </div>
+                <div class="rule-editor-actions">
+                    <button class="rule-editor-btn" onclick="document.getElementById('referenceInput-${id}').click()">Upload Replacement</button>
+                    ${stored ? `<button class="rule-editor-btn secondary" onclick="window.referenceCSV.revert('${id}')">Revert to Bundled</button>` : ''}
+                    <input type="file" id="referenceInput-${id}" accept=".csv,.xlsx,.xls" hidden
+                        onchange="window.referenceCSV.upload('${id}', this)">
+                </div>
+            </div>
+            ${this.getWarningsHTML(result, stored ? stored.fileName : file)}
+        `;
+    }
+
+    /**
+     * Diff of a pending upload with Apply / Cancel
+     */
+    getUploadReportHTML(id) {
+        const upload = this.pending[id];
+        const diff = upload.diff;
+        const changes = diff.added.length + diff.removed.length + diff.changed.length;
+        const canApply = !upload.fatal && changes > 0;
+
+        let body;
+        if (upload.fatal) {
+            body = `<div class="burton-item-line rule-import-error">${this.escape(upload.fatal)}</div>`;
+        } else {
+            body = `
+                <div class="burton-item-line">
+                    ${upload.result.rows.length} row(s): <strong>${diff.added.length} added, ${diff.removed.length} removed,
+                    ${diff.changed.length} changed</strong>, ${diff.unchanged} unchanged
+                </div>
+                ${diff.added.map(row => `
+                    <div class="burton-item-line reference-added">+ Row ${row.row}: ${this.escape(row.label)}</div>
+                `).join('')}
+                ${diff.removed.map(row => `
+                    <div class="burton-item-line reference-removed">- ${this.escape(row.label)}</div>
+                `).join('')}
+                ${diff.changed.map(row => `
+                    <div class="burton-item-line">
+                        ~ Row ${row.row}: ${this.escape(row.label)}:
+                        ${row.fields.map(field => `${this.escape(field.name)} ${this.escape(field.from || '(empty)')} → <strong>${this.escape(field.to || '(empty)')}</strong>`).join(', ')}
+                    </div>
+                `).join('')}
+            `;
+        }
+
+        return `
+            <div class="burton-cost-item reference-source">
+                <div class="rule-editor-header">
+                    <strong>Replace with ${this.escape(upload.fileName)}</strong>
+                </div>
+                ${body}
+                <div class="rule-editor-actions">
+                    ${canApply ? `<button class="rule-editor-btn" onclick="window.referenceCSV.applyUpload('${id}')">Apply ${changes} Change(s)</button>` : ''}
+                    <button class="rule-editor-btn secondary" onclick="window.referenceCSV.cancelUpload('${id}')">${canApply ? 'Cancel' : 'Close'}</button>
+                </div>
+            </div>
+            ${this.getWarningsHTML(upload.result)}
+        `;
+    }
+
+    /**
+     * Rows that failed the schema ('' when the file loaded cleanly)
+     */
+    getWarningsHTML(result, fileName = result && result.file) {
+        if (!result || result.warnings.length === 0) return '';
+
+        return `
+            <div class="burton-cost-item reference-warnings">
+                <div class="burton-item-line">
+                    <strong>⚠ ${this.escape(fileName)}:</strong>
+                    ${result.skipped > 0 ? `${result.skipped} row(s) not loaded` : 'loaded with warnings'}
+                </div>
+                ${result.warnings.map(warning => `
+                    <div class="burton-item-line">Row ${warning.rowNumber}: ${this.escape(warning.message)}</div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize global instance (must load before the processor scripts)
+window.referenceCSV = new ReferenceCSVLoader();
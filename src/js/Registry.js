@@ -0,0 +1,249 @@
+/**
+ * Processor Registry
+ * Single list of brand processors - tabs, menu items, drop zones and dispatch are all generated from it
+ *
+ * Each processor file registers itself at the bottom, after creating its instance.
+ * Entries keep the order in which their scripts are loaded in index.html.
+ * Processors may also implement getStructuredResults() - its records are kept on entry.results,
+ * with the Buyer CBD files they were built from on entry.files. The formula check (see FormulaCheck.js)
+ * adds its records to them after each run, then current waivers (see Waivers.js) are applied.
+ */
+
+class ProcessorRegistry {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Register a brand processor
+     * @param {Object} entry - Processor declaration
+     * @param {string} entry.id - Version id used by tabs, drop zones and results (e.g. 'v2')
+     * @param {string} entry.name - Display name shown on the tab, menu and header
+     * @param {string} entry.shortName - Abbreviation shown on inactive tabs
+     * @param {Object} entry.processor - Processor instance exposing processFiles()
+     * @param {boolean} [entry.requiresOBFiles=false] - Whether OB files must be uploaded with the BCBD files
+     * @param {boolean} [entry.acceptsOBFiles=false] - OB files can be uploaded but are optional
+     * @param {string} [entry.obPanel='rules'] - OB drop zone content: 'upload', 'reference' (CSV) or 'rules'
+     * @param {string} [entry.obLabel] - Label of the 'upload' OB drop zone
+     * @param {string} [entry.loadingMessage] - Shown as "Processing N BCBD file(s) with <loadingMessage>..."
+     * @param {string} [entry.loadingSubtext] - Secondary line of the loading state
+     * @param {string} [entry.initializeOn='load'] - When initialize() runs: 'load' (page load) or 'activate' (tab opened)
+     * @param {Function} [entry.isInitialized] - For 'activate' processors, returns true once reference data is loaded
+     * @param {Array} [entry.fingerprints] - Workbook anchors BrandDetector uses to recognise this brand's CBDs
+     * @param {boolean} [entry.routesByBrand=false] - Processor dispatches files to other brands itself (Inbox),
+     *                                                so the brand mismatch check is skipped
+     * @param {Array} [entry.editableRules] - Expected values buyers can change from the rules panel (see RuleOverrides.js)
+     * @param {Array} [entry.formulaCells] - Rule ids whose cells the template calculates or expects typed in (see FormulaCheck.js)
+     * @param {string|Object} [entry.sheetStrategy='first'] - Sheet the processor validates by default: 'first', 'last',
+     *                                                      'all' or { name } - users can pick another (see SheetSelection.js)
+     */
+    register(entry) {
+        if (!entry || !entry.id || !entry.processor) {
+            console.error('Invalid processor registration:', entry);
+            return;
+        }
+
+        if (this.get(entry.id)) {
+            console.warn(`Processor ${entry.id} is already registered, replacing it`);
+            this.entries = this.entries.filter(e => e.id !== entry.id);
+        }
+
+        const stored = {
+            requiresOBFiles: false,
+            acceptsOBFiles: false,
+            obPanel: entry.requiresOBFiles || entry.acceptsOBFiles ? 'upload' : 'rules',
+            obLabel: 'OB Excel File/s',
+            routesByBrand: false,
+            loadingSubtext: 'Please wait while we scan the files...',
+            initializeOn: 'load',
+            sheetStrategy: 'first',
+            ...entry,
+            results: [],    // Structured result records of the last run (see StructuredResults.js)
+            files: []       // Buyer CBD files of the last run
+        };
+        this.entries.push(stored);
+
+        // Saved rule overrides are applied before the processor first displays or uses its rules
+        window.ruleOverrides.apply(stored);
+    }
+
+    /**
+     * Get a registered entry by version id
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Get all registered entries in load order
+     */
+    getAll() {
+        return this.entries;
+    }
+
+    /**
+     * Initialize processors that display their rules on page load,
+     * plus the processor of the tab that is active on load
+     */
+    initializeOnLoad(activeId) {
+        this.entries.forEach(entry => {
+            if (entry.initializeOn === 'load' || entry.id === activeId) {
+                this.initializeEntry(entry);
+            }
+        });
+    }
+
+    /**
+     * Called when a tab is opened - lazily initializes 'activate' processors
+     */
+    activate(id) {
+        const entry = this.get(id);
+        if (!entry || entry.initializeOn !== 'activate') return;
+
+        if (entry.isInitialized && entry.isInitialized(entry.processor)) return;
+        this.initializeEntry(entry);
+    }
+
+    /**
+     * Run a processor's initialize() if it has one, then add the rule editor to its rules panel
+     */
+    initializeEntry(entry) {
+        if (typeof entry.processor.initialize !== 'function') return;
+
+        const renderEditor = () => window.ruleOverrides.render(entry);
+
+        try {
+            const result = entry.processor.initialize();
+            if (result && typeof result.then === 'function') {
+                result
+                    .then(renderEditor)
+                    .catch(error => console.error(`Error initializing ${entry.name}:`, error));
+            } else {
+                renderEditor();
+            }
+        } catch (error) {
+            console.error(`Error initializing ${entry.name}:`, error);
+        }
+    }
+
+    /**
+     * Dispatch files to the processor registered under the given id
+     * Uploads with a picked sheet run as sheet files (see SheetSelection.js).
+     * The structured result records of the run are kept on entry.results, its files on entry.files,
+     * the rule version it ran with on entry.ruleVersion, its hidden sheets, rows and columns on
+     * entry.hygiene (with entry.scannedHiddenRows, whether its section scans met hidden rows) and its
+     * parsed workbooks, by file name, on entry.workbooks (see SheetViewer.js)
+     * @returns {Promise<string>} - Results HTML
+     */
+    async process(id, obFiles, bcbdFiles) {
+        const entry = this.get(id);
+        if (!entry) {
+            throw new Error(`No processor registered for ${id}`);
+        }
+
+        entry.results = [];
+        entry.hygiene = [];
+        entry.scannedHiddenRows = false;
+        entry.workbooks = null;
+        entry.files = await window.sheetSelection.expand(bcbdFiles);
+        entry.ruleVersion = window.ruleOverrides.describeVersion(entry);
+
+        window.workbookHygiene.beginRun();
+        const html = (entry.requiresOBFiles || entry.acceptsOBFiles)
+            ? await entry.processor.processFiles(obFiles, entry.files)
+            : await entry.processor.processFiles(entry.files);
+
+        entry.results = window.structuredResults.collect(entry);
+        entry.results.push(...await window.formulaCheck.check(entry));
+        window.waivers.apply(entry);
+        entry.scannedHiddenRows = window.workbookHygiene.scannedHiddenRows;
+        entry.hygiene = await window.workbookHygiene.inspect(entry);
+        entry.workbooks = await window.sheetViewer.collect(entry.files);
+        return html;
+    }
+
+    /**
+     * Run a processor on behalf of another tab (the Inbox) and hand back what the run produced
+     * The processor's own tab keeps its last run: the entry's results, files, workbooks, hygiene and
+     * rule version, and the processor's own state (see snapshot()), are put back once the run is done.
+     * @returns {Promise<Object>} - { html, records }
+     */
+    async processDetached(id, obFiles, bcbdFiles) {
+        const entry = this.get(id);
+        if (!entry) {
+            throw new Error(`No processor registered for ${id}`);
+        }
+
+        const keys = ['results', 'hygiene', 'scannedHiddenRows', 'workbooks', 'files', 'ruleVersion'];
+        const savedEntry = {};
+        keys.forEach(key => savedEntry[key] = entry[key]);
+        const savedProcessor = this.snapshot(entry.processor);
+
+        try {
+            const html = await this.process(id, obFiles, bcbdFiles);
+            return { html, records: entry.results };
+        } finally {
+            Object.assign(entry, savedEntry);
+            this.restore(savedProcessor);
+        }
+    }
+
+    /**
+     * Contents of the processor and of every plain object, array, Map and Set reachable from it, by object
+     * Runs fill their results in place (results.push, map.set), so a shallow copy of the processor is not
+     * enough; restoring in place also keeps the objects the rules editor points at (see RuleOverrides.js).
+     * Class instances, DOM nodes and files are kept as they are.
+     * @returns {Map} - object → [key, value] pairs
+     */
+    snapshot(processor) {
+        const contents = new Map();
+        const isContainer = value => {
+            if (!value || typeof value !== 'object' || Object.isFrozen(value)) return false;
+            const prototype = Object.getPrototypeOf(value);
+            return value === processor || Array.isArray(value) || value instanceof Map || value instanceof Set ||
+                prototype === Object.prototype || prototype === null;
+        };
+        const visit = value => {
+            if (!isContainer(value) || contents.has(value)) return;
+
+            let pairs;
+            if (value instanceof Map) {
+                pairs = [...value.entries()];
+            } else if (value instanceof Set) {
+                pairs = [...value].map(item => [item, item]);
+            } else {
+                pairs = Object.keys(value).map(key => [key, value[key]]);
+            }
+            contents.set(value, pairs);
+            pairs.forEach(([key, item]) => {
+                visit(key);
+                visit(item);
+            });
+        };
+
+        visit(processor);
+        return contents;
+    }
+
+    /**
+     * Put back the contents taken by snapshot()
+     */
+    restore(contents) {
+        contents.forEach((pairs, target) => {
+            if (target instanceof Map) {
+                target.clear();
+                pairs.forEach(([key, value]) => target.set(key, value));
+            } else if (target instanceof Set) {
+                target.clear();
+                pairs.forEach(([value]) => target.add(value));
+            } else {
+                if (Array.isArray(target)) target.length = 0;
+                Object.keys(target).forEach(key => delete target[key]);
+                pairs.forEach(([key, value]) => target[key] = value);
+            }
+        });
+    }
+}
+
+// Initialize global registry instance (must load before the processor scripts)
+window.processorRegistry = new ProcessorRegistry();
@@ -13,6 +13,49 @@ class RideStoreProcessor {
             B14: { field: 'factoryValue', expected: 'Madison 88 Ltd.' },
             B15: { field: 'countryValue', expected: 'Indonesia' }
         };
+        // Wastage sections, run by the shared section scanner (see SectionScanner.js)
+        // Each starts at its header in Column A and ends at its total in Column F; Column H is the wastage
+        this.sectionRules = {
+            fabric: {
+                name: 'FABRIC/Main Material',
+                start: { column: 'A', marker: 'FABRIC/Main Material', match: 'contains' },
+                end: { column: 'F', marker: 'TOTAL FABRIC', match: 'contains' },
+                valueColumn: 'H',
+                comparator: 'exact',
+                expected: 0.05,
+                percent: true
+            },
+            trims: {
+                name: 'TRIMS & ACCESSORIES',
+                start: { column: 'A', marker: 'TRIMS & ACCESSORIES', match: 'contains' },
+                end: { column: 'F', marker: 'TOTAL TRIMS & ACCESSORIES', match: 'contains' },
+                valueColumn: 'H',
+                comparator: 'exact',
+                expected: 0.03,
+                percent: true
+            },
+            labelsPackaging: {
+                name: 'LABELS & PACKAGING',
+                start: { column: 'A', marker: 'LABELS & PACKAGING', match: 'contains' },
+                end: { column: 'F', marker: 'TOTAL TRIMS', match: 'contains' },
+                valueColumn: 'H',
+                comparator: 'exact',
+                expected: 0.03,
+                percent: true,
+                overrides: [{
+                    // General Packaging rows also need a supplier, "Pcs" as unit and a quantity of 1
+                    name: 'General Packaging',
+                    column: 'A',
+                    marker: 'General Packaging',
+                    match: 'contains',
+                    checks: [
+                        { name: 'supplier', valueColumn: 'B', comparator: 'present' },
+                        { name: 'unit', valueColumn: 'F', comparator: 'exact', expected: 'pcs' },
+                        { name: 'quantity', valueColumn: 'G', comparator: 'exact', expected: 1 }
+                    ]
+                }]
+            }
+        };
         this.fileResults = [];
     }
 
@@ -38,9 +81,14 @@ class RideStoreProcessor {
                 <div class="burton-item-line"><strong>Cell A15:</strong> Country of origin</div>
             </div>
             <div class="burton-cost-item">
-                <div class="burton-item-line"><strong>Cell B13:</strong> Madison 88 Ltd.</div>
-                <div class="burton-item-line"><strong>Cell B14:</strong> Madison 88 Ltd.</div>
-                <div class="burton-item-line"><strong>Cell B15:</strong> Indonesia</div>
+                <div class="burton-item-line"><strong>Cell B13:</strong> ${this.validationRules.B13.expected}</div>
+                <div class="burton-item-line"><strong>Cell B14:</strong> ${this.validationRules.B14.expected}</div>
+                <div class="burton-item-line"><strong>Cell B15:</strong> ${this.validationRules.B15.expected}</div>
+            </div>
+            <div class="burton-cost-item">
+                ${Object.values(this.sectionRules).map(section =>
+                    `<div class="burton-item-line"><strong>${section.name} (Column ${section.valueColumn}):</strong> ${window.ruleEngine.describeExpected(section)}</div>`
+                ).join('')}
             </div>
         `;
 
@@ -75,32 +123,21 @@ class RideStoreProcessor {
     }
 
     async processFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-                    const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-                    const jsonData = XLSX.utils.sheet_to_json(firstSheet, { header: 1 });
-
-                    const validationResults = this.validateData(jsonData);
-
-                    resolve({
-                        fileName: file.name,
-                        cellResults: validationResults.cellResults,
-                        sectionResults: validationResults.sectionResults,
-                        error: null
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        const sheetName = workbook.SheetNames[0];
+        const firstSheet = workbook.Sheets[sheetName];
+        const jsonData = window.workbookReader.toRows(firstSheet);
+
+        const validationResults = this.validateData(jsonData);
+
+        return {
+            fileName: file.name,
+            sheetName: sheetName,
+            cellResults: validationResults.cellResults,
+            sectionResults: validationResults.sectionResults,
+            error: null
+        };
     }
 
     validateData(jsonData) {
@@ -111,11 +148,11 @@ class RideStoreProcessor {
         const a13Value = jsonData[12] && jsonData[12][0] ? jsonData[12][0].toString().trim() : '';
         const b13Value = jsonData[12] && jsonData[12][1] ? jsonData[12][1].toString().trim() : '';
         const isA13Valid = a13Value.toLowerCase() === 'supplier:';
-        const isB13Valid = b13Value === 'Madison 88 Ltd.';
+        const isB13Valid = b13Value === this.validationRules.B13.expected;
         cellResults.push({
             label: 'Supplier',
             cell: 'A13-B13',
-            expected: 'supplier: | Madison 88 Ltd.',
+            expected: `supplier: | ${this.validationRules.B13.expected}`,
             actual: `${a13Value} | ${b13Value}`,
             isValid: isA13Valid && isB13Valid
         });
@@ -124,11 +161,11 @@ class RideStoreProcessor {
         const a14Value = jsonData[13] && jsonData[13][0] ? jsonData[13][0].toString().trim() : '';
         const b14Value = jsonData[13] && jsonData[13][1] ? jsonData[13][1].toString().trim() : '';
         const isA14Valid = a14Value.toLowerCase() === 'factory:';
-        const isB14Valid = b14Value === 'Madison 88 Ltd.';
+        const isB14Valid = b14Value === this.validationRules.B14.expected;
         cellResults.push({
             label: 'Factory',
             cell: 'A14-B14',
-            expected: 'Factory: | Madison 88 Ltd.',
+            expected: `Factory: | ${this.validationRules.B14.expected}`,
             actual: `${a14Value} | ${b14Value}`,
             isValid: isA14Valid && isB14Valid
         });
@@ -137,24 +174,19 @@ class RideStoreProcessor {
         const a15Value = jsonData[14] && jsonData[14][0] ? jsonData[14][0].toString().trim() : '';
         const b15Value = jsonData[14] && jsonData[14][1] ? jsonData[14][1].toString().trim() : '';
         const isA15Valid = a15Value.toLowerCase() === 'country of origin:';
-        const isB15Valid = b15Value === 'Indonesia';
+        const isB15Valid = b15Value === this.validationRules.B15.expected;
         cellResults.push({
             label: 'Country of Origin',
             cell: 'A15-B15',
-            expected: 'Country of origin: | Indonesia',
+            expected: `Country of origin: | ${this.validationRules.B15.expected}`,
             actual: `${a15Value} | ${b15Value}`,
             isValid: isA15Valid && isB15Valid
         });
 
         // Validate sections
-        const fabricSection = this.validateSection(jsonData, 'FABRIC/Main Material', 'TOTAL FABRIC', '5%');
-        sectionResults.push(fabricSection);
-
-        const trimsSection = this.validateSection(jsonData, 'TRIMS & ACCESSORIES', 'TOTAL TRIMS & ACCESSORIES', '3%');
-        sectionResults.push(trimsSection);
-
-        const packagingResult = this.validateLabelsAndPackaging(jsonData);
-        sectionResults.push(packagingResult.section);
+        sectionResults.push(this.validateSection(jsonData, this.sectionRules.fabric));
+        sectionResults.push(this.validateSection(jsonData, this.sectionRules.trims));
+        sectionResults.push(this.validateSection(jsonData, this.sectionRules.labelsPackaging));
 
         // Validate Overhead
         const overheadResult = this.validateOverhead(jsonData);
@@ -172,144 +204,49 @@ class RideStoreProcessor {
     /**
      * Validate a section with a specific wastage percentage
      * @param {Array} jsonData - Excel data
-     * @param {string} startMarker - Text in Column A that marks the start
-     * @param {string} endMarker - Text in Column F that marks the end
-     * @param {string} expectedWastage - Expected value for Column H
-     * @returns {Object} Section result with valid and invalid cells
+     * @param {Object} sectionRule - Section definition for the section scanner
+     * @returns {Object} Section result with valid and invalid cells (General Packaging rows carry gpDetails)
      */
-    validateSection(jsonData, startMarker, endMarker, expectedWastage) {
-        let inSection = false;
-        const validCells = [];
-        const invalidCells = [];
-
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            const colA = row[0] ? row[0].toString().trim() : '';
-            const colF = row[5] ? row[5].toString().trim() : ''; // Column F (index 5)
-            const colH = row[7] ? row[7].toString().trim() : ''; // Column H (index 7)
-
-            // Check if we're starting the section
-            if (colA.includes(startMarker)) {
-                inSection = true;
-                continue; // Skip the header row itself
+    validateSection(jsonData, sectionRule) {
+        const scan = window.sectionScanner.scan(jsonData, sectionRule);
+
+        const toCell = row => {
+            const cell = { cell: row.cell, rowNumber: row.rowNumber, value: row.text };
+            const special = scan.overrideRows.find(item => item.rowIndex === row.rowIndex);
+            if (special) {
+                cell.gpDetails = this.toGeneralPackagingDetails(special);
             }
+            return cell;
+        };
 
-            // If we're in the section, validate each row
-            if (inSection) {
-                // Check if we've reached the end marker
-                if (colF.includes(endMarker)) {
-                    break; // Stop checking this section
-                }
-
-                // Skip empty rows
-                if (!colH || colH === '') continue;
-
-                // Validate Column H for this row
-                const normalizedColH = this.normalizePercentage(colH);
-                const normalizedExpected = this.normalizePercentage(expectedWastage);
-                const isValid = normalizedColH === normalizedExpected;
-
-                const cellRef = `H${i + 1}`;
-
-                if (isValid) {
-                    validCells.push({ cell: cellRef, value: colH });
-                } else {
-                    invalidCells.push({ cell: cellRef, value: colH });
-                }
-            }
-        }
+        const validCells = scan.rows.filter(row => row.isValid).map(toCell);
+        const invalidCells = scan.rows.filter(row => !row.isValid).map(toCell);
+        const cells = validCells.concat(invalidCells);
 
         return {
-            label: startMarker,
-            expectedValue: expectedWastage,
+            label: sectionRule.name,
+            expectedValue: window.ruleEngine.describeExpected(sectionRule),
             validCells: validCells,
             invalidCells: invalidCells,
-            isValid: invalidCells.length === 0 && validCells.length > 0,
-            sectionFound: validCells.length > 0 || invalidCells.length > 0
+            isValid: invalidCells.length === 0 && validCells.length > 0 &&
+                cells.every(cell => !cell.gpDetails || cell.gpDetails.allValid),
+            sectionFound: cells.length > 0
         };
     }
 
     /**
-     * Validate LABELS & PACKAGING section with special rules
-     * @returns {Object} Object containing section result with General Packaging sub-validations
+     * General Packaging checks in the shape the results table expects
      */
-    validateLabelsAndPackaging(jsonData) {
-        let inSection = false;
-        const validCells = [];
-        const invalidCells = [];
-
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            const colA = row[0] ? row[0].toString().trim() : '';
-            const colB = row[1] ? row[1].toString().trim() : ''; // Column B (index 1)
-            const colF = row[5] ? row[5].toString().trim() : ''; // Column F (index 5)
-            const colG = row[6] ? row[6].toString().trim() : ''; // Column G (index 6)
-            const colH = row[7] ? row[7].toString().trim() : ''; // Column H (index 7)
-
-            // Check if we're starting the section
-            if (colA.includes('LABELS & PACKAGING')) {
-                inSection = true;
-                continue; // Skip the header row itself
-            }
-
-            // If we're in the section, validate each row
-            if (inSection) {
-                // Check if we've reached the end marker
-                if (colF.includes('TOTAL TRIMS')) {
-                    break; // Stop checking this section
-                }
-
-                // Skip empty rows
-                if (!colH || colH === '') continue;
-
-                // Validate Column H = 3%
-                const normalizedColH = this.normalizePercentage(colH);
-                const normalizedExpected = this.normalizePercentage('3%');
-                const isValidWastage = normalizedColH === normalizedExpected;
-
-                const cellRef = `H${i + 1}`;
-                let gpDetails = null;
-
-                // Additional checks for "General Packaging" rows
-                if (colA.includes('General Packaging')) {
-                    // Column B must have a supplier (not empty)
-                    const isValidSupplier = colB !== '';
-
-                    // Column F must be "Pcs"
-                    const isValidUnit = colF.toLowerCase() === 'pcs';
-
-                    // Column G must be 1
-                    const normalizedColG = colG.toString().trim();
-                    const isValidQty = normalizedColG === '1' || normalizedColG === '1.0' || normalizedColG === '1.00' || normalizedColG === '1.000';
-
-                    gpDetails = {
-                        supplier: { value: colB || 'Empty', isValid: isValidSupplier },
-                        unit: { value: colF, isValid: isValidUnit },
-                        quantity: { value: colG, isValid: isValidQty },
-                        allValid: isValidSupplier && isValidUnit && isValidQty
-                    };
-                }
-
-                if (isValidWastage) {
-                    validCells.push({ cell: cellRef, value: colH, gpDetails });
-                } else {
-                    invalidCells.push({ cell: cellRef, value: colH, gpDetails });
-                }
-            }
-        }
-
-        return {
-            section: {
-                label: 'LABELS & PACKAGING',
-                expectedValue: '3%',
-                validCells: validCells,
-                invalidCells: invalidCells,
-                isValid: invalidCells.length === 0 && validCells.length > 0 &&
-                    validCells.every(cell => !cell.gpDetails || cell.gpDetails.allValid) &&
-                    invalidCells.every(cell => !cell.gpDetails || cell.gpDetails.allValid),
-                sectionFound: validCells.length > 0 || invalidCells.length > 0
-            }
-        };
+    toGeneralPackagingDetails(special) {
+        const details = {};
+        special.checks.forEach(check => {
+            details[check.name] = {
+                value: check.name === 'supplier' ? (check.text || 'Empty') : check.text,
+                isValid: check.isValid
+            };
+        });
+        details.allValid = special.isValid;
+        return details;
     }
 
     /**
@@ -324,8 +261,7 @@ class RideStoreProcessor {
 
             if (colA.includes('Overhead: Rent, electricity, transport etc.')) {
                 const colJ = row[9] ? row[9].toString().trim() : ''; // Column J (index 9)
-                const normalizedColJ = parseFloat(colJ);
-                const isValid = normalizedColJ === 0.60 || normalizedColJ === 0.6;
+                const isValid = window.valueParser.matches(colJ, '0.60');
 
                 return {
                     label: 'Overhead',
@@ -365,9 +301,8 @@ class RideStoreProcessor {
 
                 // Check Column H
                 const colH = row[7] ? row[7].toString().trim() : ''; // Column H (index 7)
-                const normalizedColH = this.normalizePercentage(colH);
-                const normalizedExpected = this.normalizePercentage('8.43%');
-                const isHValid = normalizedColH === normalizedExpected;
+                // "8.43%", 0.0843 and 8.43 all match
+                const isHValid = window.valueParser.matches(colH, '8.43%', 0.000001);
                 results.push({
                     label: 'Profit - Percentage',
                     cell: `H${i + 1}`,
@@ -384,32 +319,74 @@ class RideStoreProcessor {
     }
 
     /**
-     * Normalize percentage values for comparison
-     * Handles formats like "5%", "5.0%", "0.05", etc.
+     * Results of the last run in the common structured schema (see StructuredResults.js)
      */
-    normalizePercentage(value) {
-        if (!value) return '';
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+        const gpChecks = [
+            { key: 'supplier', column: 'B', rule: 'General Packaging supplier (column B) is filled in', expected: 'Not empty' },
+            { key: 'unit', column: 'F', rule: 'General Packaging unit (column F) is Pcs', expected: 'Pcs' },
+            { key: 'quantity', column: 'G', rule: 'General Packaging quantity (column G) is 1', expected: 1 }
+        ];
+
+        this.fileResults.forEach(fileResult => {
+            if (fileResult.error) {
+                records.push(sr.errorRecord(fileResult.fileName, 'ridestore', fileResult.error));
+                return;
+            }
 
-        const str = value.toString().trim().toLowerCase();
+            const base = { file: fileResult.fileName, sheet: fileResult.sheetName };
+
+            fileResult.cellResults.forEach(result => {
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('ridestore', result.label),
+                    rule: `${result.label} (${result.cell}) is ${result.expected}`,
+                    // Merged label/value pairs (A13-B13) are reported at the value cell
+                    cell: result.cell.split('-').pop(),
+                    expected: result.expected,
+                    actual: result.actual,
+                    status: result.isValid
+                }));
+            });
 
-        // If it's already a percentage string like "5%"
-        if (str.includes('%')) {
-            return str;
-        }
+            fileResult.sectionResults.forEach(section => {
+                const sectionRule = {
+                    ...base,
+                    ruleId: sr.ruleId('ridestore', 'wastage', section.label),
+                    rule: `${section.label} wastage (column H) is ${section.expectedValue}`,
+                    expected: section.expectedValue
+                };
 
-        // If it's a decimal like 0.05, convert to percentage
-        const num = parseFloat(str);
-        if (!isNaN(num)) {
-            if (num < 1) {
-                // Assume it's a decimal (0.05 = 5%)
-                return `${num * 100}%`;
-            } else {
-                // Assume it's already a percentage value (5 = 5%)
-                return `${num}%`;
-            }
-        }
+                if (!section.sectionFound) {
+                    records.push(sr.record({ ...sectionRule, actual: 'Section not found', status: 'INVALID' }));
+                    return;
+                }
+
+                records.push(...sr.sectionRecords(sectionRule, section.validCells, section.invalidCells));
+
+                [...section.validCells, ...section.invalidCells]
+                    .filter(cell => cell.gpDetails)
+                    .sort((a, b) => a.rowNumber - b.rowNumber)
+                    .forEach(cell => {
+                        gpChecks.forEach(check => {
+                            const detail = cell.gpDetails[check.key];
+                            records.push(sr.record({
+                                ...base,
+                                ruleId: sr.ruleId('ridestore', 'general-packaging', check.key),
+                                rule: check.rule,
+                                cell: `${check.column}${cell.rowNumber}`,
+                                expected: check.expected,
+                                actual: detail.value,
+                                status: detail.isValid
+                            }));
+                        });
+                    });
+            });
+        });
 
-        return str;
+        return records;
     }
 
     /**
@@ -652,8 +629,8 @@ class RideStoreProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createRideStoreConfig(this.fileResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createRideStoreConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 
     searchByFilename(searchTerm) {
@@ -699,17 +676,28 @@ class RideStoreProcessor {
 // Initialize the processor
 window.rideStoreProcessor = new RideStoreProcessor();
 
-// Auto-initialize when V17 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    const v17Tabs = document.querySelectorAll('[data-tab="v17"]');
-    v17Tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            window.rideStoreProcessor.initialize();
-        });
-    });
-
-    const v17TabContent = document.getElementById('tab-v17');
-    if (v17TabContent && v17TabContent.classList.contains('active')) {
-        window.rideStoreProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v17',
+    name: 'Ride Store',
+    shortName: 'RS',
+    processor: window.rideStoreProcessor,
+    loadingMessage: 'Ride Store validation',
+    editableRules: [
+        { path: 'validationRules.B13.expected', label: 'Supplier (B13)', format: 'text' },
+        { path: 'validationRules.B14.expected', label: 'Factory (B14)', format: 'text' },
+        { path: 'validationRules.B15.expected', label: 'Country of Origin (B15)', format: 'text' },
+        ...window.ruleOverrides.fromRules('sectionRules', window.rideStoreProcessor.sectionRules, { group: 'Wastage (Column H)' })
+    ],
+    formulaCells: [
+        { ruleId: 'ridestore.wastage', expects: 'value' },
+        { ruleId: 'ridestore.general-packaging.quantity', expects: 'value' },
+        { ruleId: 'ridestore.overhead', expects: 'value' },
+        { ruleId: 'ridestore.profit-percentage', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'A', text: 'FABRIC/Main Material' },
+        { column: 'A', text: 'TRIMS & ACCESSORIES' },
+        { column: 'A', text: 'LABELS & PACKAGING' }
+    ]
 });
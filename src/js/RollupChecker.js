@@ -0,0 +1,329 @@
+/**
+ * Roll-up Checker
+ * Arithmetic integrity of a Buyer CBD's cost lines: recomputes each line total from its quantity,
+ * wastage and unit price, and each section subtotal from the line totals above it, using the rows
+ * and sections the processors already locate (see SectionScanner.js).
+ *
+ * Layout (plain JSON, one per template):
+ * {
+ *   labelColumn: 'B',          // item name reported for each line
+ *   qtyColumn: 'D',            // usage / consumption
+ *   wastageColumn: 'E',        // optional - line total = qty × unit price × (1 + wastage)
+ *   percentUnit: 'fraction',   // optional - unit of bare wastage numbers, as in a rule engine rule (see RuleEngine.js);
+ *                              // cells formatted as a percentage are read as one whatever the unit
+ *   priceColumn: 'H',          // unit price
+ *   totalColumn: 'I',          // line total written in the sheet
+ *   subtotalColumn: 'I',       // subtotal on the section's end row (defaults to totalColumn)
+ *   subtotalLabelColumn: 'H',  // subtotal name on the end row (defaults to labelColumn)
+ *   tolerance: 0.005           // tolerance policy of both checks (see TolerancePolicy.js)
+ * }
+ *
+ * Lines missing a quantity, unit price or total are not recomputed (headers, notes, lump sums) but
+ * their totals still count towards the subtotal.
+ *
+ * Templates with a layout: Burton, Helly Hansen, FOX and Prana. The others (Mammut, 511, KUHL,
+ * On AG, Peak Performance, Ride Store, Haglofs and the rest) are only known by the columns their
+ * rules read - wastage, supplier, CMT prices - so their quantity, unit price and line total columns
+ * need confirming against a real CBD before a layout is added; a guessed column would report every
+ * line as wrong.
+ */
+
+class RollupChecker {
+    /**
+     * Check the line totals of rows a processor located (no subtotal)
+     * @param {Array} jsonData - rows from sheet_to_json with header: 1
+     * @param {Array} rowIndexes - 0-based rows holding cost lines
+     * @param {Object} layout - column layout
+     * @param {string} name - reported section name
+     * @returns {Object} - { name, lines, subtotal: null }
+     *                     lines: { rowIndex, rowNumber, label, cell, formula, expected, actual, difference, status }
+     */
+    checkRows(jsonData, rowIndexes, layout, name) {
+        return {
+            name: name,
+            lines: this.checkLines(jsonData, rowIndexes, layout),
+            subtotal: null
+        };
+    }
+
+    /**
+     * Check the lines and the subtotal of a section found by the section scanner
+     * The scan's start row is included, as some templates put the first item on the header row;
+     * sections without a start marker are checked from the top of the sheet.
+     * @returns {Object} - { name, startRow, endRow, lines, subtotal } (subtotal null when the section
+     *                     has no end row or the end row holds no number)
+     *                     subtotal: { rowIndex, rowNumber, label, cell, formula, lineCount, expected, actual, difference, status }
+     */
+    checkSection(jsonData, scan, layout) {
+        const result = {
+            name: scan.section.name,
+            startRow: scan.startRow,
+            endRow: scan.endRow,
+            lines: [],
+            subtotal: null
+        };
+
+        if (!scan.found) return result;
+
+        const first = scan.startRowIndex === -1 ? 0 : scan.startRowIndex;
+        const last = scan.endRowIndex === -1 ? jsonData.length : scan.endRowIndex;
+        const rowIndexes = [];
+        for (let i = first; i < last; i++) {
+            if (jsonData[i]) rowIndexes.push(i);
+        }
+
+        result.lines = this.checkLines(jsonData, rowIndexes, layout);
+        if (scan.endRowIndex !== -1) {
+            result.subtotal = this.checkSubtotal(jsonData, rowIndexes, scan.endRowIndex, layout);
+        }
+
+        return result;
+    }
+
+    checkLines(jsonData, rowIndexes, layout) {
+        return rowIndexes
+            .map(rowIndex => this.checkLine(jsonData[rowIndex], rowIndex, layout))
+            .filter(line => line !== null);
+    }
+
+    /**
+     * Recompute one line total; null when the row is not a complete cost line
+     */
+    checkLine(row, rowIndex, layout) {
+        if (!row) return null;
+
+        const engine = window.ruleEngine;
+        const parser = window.valueParser;
+        const qty = parser.toNumber(row[engine.toColumnIndex(layout.qtyColumn)]);
+        const price = parser.toNumber(row[engine.toColumnIndex(layout.priceColumn)]);
+        const total = parser.toNumber(row[engine.toColumnIndex(layout.totalColumn)]);
+        if (qty === null || price === null || total === null) return null;
+
+        let wastage = 0;
+        if (layout.wastageColumn) {
+            const column = engine.toColumnIndex(layout.wastageColumn);
+            const raw = row[column];
+            if (engine.toText(raw) !== '') {
+                wastage = parser.toPercent(raw, window.workbookReader.numberFormat(row, column), layout.percentUnit);
+                if (wastage === null) return null;
+            }
+        }
+
+        const expected = qty * price * (1 + wastage);
+        const comparison = window.tolerancePolicy.compare(total, expected, layout.tolerance);
+
+        return {
+            rowIndex: rowIndex,
+            rowNumber: rowIndex + 1,
+            label: this.cellText(row, layout.labelColumn) || `Row ${rowIndex + 1}`,
+            cell: this.address(rowIndex, layout.totalColumn),
+            formula: this.lineFormula(rowIndex, layout),
+            expected: this.round(expected),
+            actual: total,
+            difference: comparison.difference,
+            status: comparison.status
+        };
+    }
+
+    /**
+     * Compare the subtotal on a section's end row with the sum of the line totals above it
+     */
+    checkSubtotal(jsonData, rowIndexes, endRowIndex, layout) {
+        const engine = window.ruleEngine;
+        const parser = window.valueParser;
+        const column = layout.subtotalColumn || layout.totalColumn;
+        const actual = parser.toNumber(jsonData[endRowIndex][engine.toColumnIndex(column)]);
+        if (actual === null) return null;
+
+        const totalCol = engine.toColumnIndex(layout.totalColumn);
+        const summed = rowIndexes
+            .map(rowIndex => parser.toNumber(jsonData[rowIndex][totalCol]))
+            .filter(value => value !== null);
+        const expected = summed.reduce((sum, value) => sum + value, 0);
+        const comparison = window.tolerancePolicy.compare(actual, expected, layout.tolerance);
+
+        const range = rowIndexes.length > 0
+            ? `${this.address(rowIndexes[0], layout.totalColumn)}:${this.address(rowIndexes[rowIndexes.length - 1], layout.totalColumn)}`
+            : '';
+
+        return {
+            rowIndex: endRowIndex,
+            rowNumber: endRowIndex + 1,
+            label: this.cellText(jsonData[endRowIndex], layout.subtotalLabelColumn || layout.labelColumn),
+            cell: this.address(endRowIndex, column),
+            formula: `SUM(${range})`,
+            lineCount: summed.length,
+            expected: this.round(expected),
+            actual: actual,
+            difference: comparison.difference,
+            status: comparison.status
+        };
+    }
+
+    /**
+     * 'D12 × H12 × (1 + E12)' for a line's recomputation
+     */
+    lineFormula(rowIndex, layout) {
+        const formula = `${this.address(rowIndex, layout.qtyColumn)} × ${this.address(rowIndex, layout.priceColumn)}`;
+        return layout.wastageColumn
+            ? `${formula} × (1 + ${this.address(rowIndex, layout.wastageColumn)})`
+            : formula;
+    }
+
+    /**
+     * Readable rule of a layout for the rules panel: 'Column I = D × H × (1 + E)'
+     */
+    describe(layout) {
+        return `Column ${layout.totalColumn} = ${layout.qtyColumn} × ${layout.priceColumn}` +
+            (layout.wastageColumn ? ` × (1 + ${layout.wastageColumn})` : '');
+    }
+
+    /**
+     * Structured result records of checked sections (see StructuredResults.js)
+     * @param {Object} base - { file, sheet }
+     * @param {string} brand - rule id prefix
+     * @param {Array} sections - checkSection() / checkRows() results
+     * @param {Object} layout - layout the sections were checked with
+     */
+    toRecords(base, brand, sections, layout) {
+        const sr = window.structuredResults;
+        const tolerance = window.tolerancePolicy.describe(layout.tolerance);
+        const records = [];
+
+        sections.forEach(section => {
+            section.lines.forEach(line => {
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId(brand, 'rollup', section.name, 'line-total'),
+                    rule: `${line.label}: line total ${line.cell} = ${line.formula}`,
+                    cell: line.cell,
+                    expected: line.expected,
+                    tolerance: tolerance,
+                    actual: line.actual,
+                    status: line.status
+                }));
+            });
+
+            if (section.subtotal) {
+                const subtotal = section.subtotal;
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId(brand, 'rollup', section.name, 'subtotal'),
+                    rule: `${section.name} subtotal ${subtotal.cell} = ${subtotal.formula} (${subtotal.lineCount} line${subtotal.lineCount === 1 ? '' : 's'})`,
+                    cell: subtotal.cell,
+                    expected: subtotal.expected,
+                    tolerance: tolerance,
+                    actual: subtotal.actual,
+                    status: subtotal.status
+                }));
+            }
+        });
+
+        return records;
+    }
+
+    /**
+     * Is a record one of the roll-up checks (see toRecords)
+     */
+    isRollupRecord(record) {
+        return record.ruleId.split('.')[1] === 'rollup' && !window.formulaCheck.isFormulaRecord(record);
+    }
+
+    /**
+     * Rules panel item describing a template's roll-up checks
+     * @param {Object} layout - column layout
+     * @param {string} [subtotals] - where the subtotals are, e.g. 'SUBTOTAL row of the FABRIC section'
+     */
+    getPanelHTML(layout, subtotals) {
+        return `
+            <div class="burton-cost-item rollup-rules">
+                <div class="burton-item-line"><strong>Arithmetic Integrity</strong></div>
+                <div class="burton-item-line"><strong>Line total:</strong> ${this.describe(layout)}</div>
+                ${subtotals ? `<div class="burton-item-line"><strong>Subtotal:</strong> Column ${layout.subtotalColumn || layout.totalColumn} of the ${subtotals} = sum of the line totals</div>` : ''}
+                <div class="burton-item-line"><strong>Tolerance:</strong> ${window.tolerancePolicy.describe(layout.tolerance)}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Results block listing the roll-up discrepancies of a run, grouped by file
+     * Empty when the run has no roll-up checks
+     */
+    getResultsHTML(records) {
+        const rollups = records.filter(record => this.isRollupRecord(record));
+        if (rollups.length === 0) return '';
+
+        const failing = rollups.filter(record => record.status !== 'VALID');
+        const files = [...new Set(rollups.map(record => record.file))];
+
+        const fileBlocks = files.map(file => {
+            const fileRecords = failing.filter(record => record.file === file);
+            const checked = rollups.filter(record => record.file === file).length;
+
+            if (fileRecords.length === 0) {
+                return `
+                    <div class="rollup-file">
+                        <div class="rollup-file-name">${this.escape(file)}</div>
+                        <div class="rollup-ok">✓ All ${checked} roll-up check${checked === 1 ? '' : 's'} add up</div>
+                    </div>
+                `;
+            }
+
+            return `
+                <div class="rollup-file">
+                    <div class="rollup-file-name">${this.escape(file)}</div>
+                    <table class="results-table rollup-table">
+                        <thead>
+                            <tr class="header-labels-row"><th>Sheet</th><th>Cell</th><th>Check</th><th>Recomputed</th><th>In sheet</th><th>Status</th></tr>
+                        </thead>
+                        <tbody>
+                            ${fileRecords.map(record => `
+                                <tr class="rollup-${record.status.toLowerCase()}">
+                                    <td>${this.escape(record.sheet)}</td>
+                                    <td><strong>${record.cell}</strong></td>
+                                    <td>${this.escape(record.rule)}</td>
+                                    <td>${record.expected}</td>
+                                    <td>${record.actual}</td>
+                                    <td>${record.status}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <div class="rollup-summary">${checked - fileRecords.length} of ${checked} roll-up checks add up</div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="rollup-results">
+                <h3>Arithmetic Integrity</h3>
+                ${fileBlocks}
+            </div>
+        `;
+    }
+
+    address(rowIndex, column) {
+        const engine = window.ruleEngine;
+        return engine.address(rowIndex, engine.toColumnIndex(column));
+    }
+
+    cellText(row, column) {
+        if (!column) return '';
+        return window.sectionScanner.cellText(row, column);
+    }
+
+    round(number) {
+        return parseFloat(number.toFixed(6));
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize global instance (must load before the processor scripts)
+window.rollupChecker = new RollupChecker();
@@ -12,24 +12,27 @@
 
 class RossignolProcessor {
     constructor() {
+        // Anchored checks, run by the shared rule engine (see RuleEngine.js)
         this.validationRules = [
-            {
-                name: 'Vendor Name',
-                markerColumn: 3, // Column D (0-indexed)
-                marker: 'vendor name',
-                checkColumn: 4, // Column E
-                expected: 'Madison 88',
-                type: 'exact'
-            },
-            {
-                name: 'Currency',
-                markerColumn: 3, // Column D
-                marker: 'currency',
-                checkColumn: 4, // Column E
-                expected: 'USD',
-                type: 'exact'
-            }
+            { name: 'Vendor Name', markerColumn: 'D', marker: 'vendor name', valueColumn: 'E', comparator: 'exact', expected: 'Madison 88' },
+            { name: 'Currency', markerColumn: 'D', marker: 'currency', valueColumn: 'E', comparator: 'exact', expected: 'USD' }
         ];
+
+        this.factoryMarginRule = {
+            name: 'Factory Margin',
+            markerColumn: 'I',
+            marker: 'factory margin',
+            valueColumn: 'J',
+            comparator: 'range',
+            min: 0.40,
+            max: 0.70
+        };
+
+        // Tolerance policy of the column L wastage percentages (see TolerancePolicy.js), compared as fractions
+        this.tolerances = {
+            wastage: { absolute: 0.0001 }
+        };
+        this.fileResults = [];
     }
 
     async initialize() {
@@ -46,13 +49,13 @@ class RossignolProcessor {
                     <div class="burton-cost-item">
                         <div class="burton-item-line"><strong>Rossignol Validation Rules:</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Rule 1 - Vendor Name:</strong></div>
-                        <div class="burton-item-line">Find "VENDOR NAME" in Column D → Column E = <strong>Madison 88</strong></div>
+                        <div class="burton-item-line">Find "VENDOR NAME" in Column D → Column E = <strong>${this.validationRules[0].expected}</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Rule 2 - Currency:</strong></div>
-                        <div class="burton-item-line">Find "CURRENCY" in Column D → Column E = <strong>USD</strong></div>
+                        <div class="burton-item-line">Find "CURRENCY" in Column D → Column E = <strong>${this.validationRules[1].expected}</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Rule 3 - H2 Check:</strong></div>
                         <div class="burton-item-line">Cell H2 should be <strong>5% - 10%</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Rule 4 - Factory Margin:</strong></div>
-                        <div class="burton-item-line">Find "FACTORY MARGIN" in Column I → Column J = <strong>0.40 - 0.70</strong></div>
+                        <div class="burton-item-line">Find "FACTORY MARGIN" in Column I → Column J = <strong>${window.ruleEngine.describeExpected(this.factoryMarginRule, 2)}</strong></div>
                         <div class="burton-item-line" style="margin-top: 0.5rem;"><strong>Rule 5 - Material Category Rows:</strong></div>
                         <div class="burton-item-line">FABRIC → Column L = <strong>5%</strong></div>
                         <div class="burton-item-line">TRIM, Accessories, GRAPHIC, Labelling → Column L = <strong>3%</strong></div>
@@ -60,6 +63,9 @@ class RossignolProcessor {
                         <div class="burton-item-line">If Column D = "Generic Packaging" → G = <strong>m88</strong>, J = <strong>pc</strong>, L = <strong>1</strong></div>
                         <div class="burton-item-line">Otherwise → Column L = <strong>3%</strong></div>
                     </div>
+                    ${window.tolerancePolicy.getPanelHTML([
+                        { label: 'Column L wastage', tolerance: this.tolerances.wastage, percent: true }
+                    ])}
                 </div>
             </div>
         `;
@@ -91,35 +97,21 @@ class RossignolProcessor {
     }
 
     async processFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Process first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-
-                    const checks = this.validateSheet(jsonData);
-
-                    resolve({
-                        fileName: file.name,
-                        sheetName: firstSheetName,
-                        checks: checks,
-                        error: null
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Process first sheet
+        const firstSheetName = workbook.SheetNames[0];
+        const sheet = workbook.Sheets[firstSheetName];
+        const jsonData = window.workbookReader.toRows(sheet);
+
+        const checks = this.validateSheet(jsonData);
+
+        return {
+            fileName: file.name,
+            sheetName: firstSheetName,
+            checks: checks,
+            error: null
+        };
     }
 
     validateSheet(jsonData) {
@@ -127,36 +119,18 @@ class RossignolProcessor {
 
         // Validate standard rules (Column D → Column E)
         for (const rule of this.validationRules) {
-            const result = {
+            const evaluation = window.ruleEngine.evaluate(jsonData, rule);
+
+            results.push({
                 name: rule.name,
                 expected: rule.expected,
-                found: false,
-                rowNumber: -1,
-                actual: '',
-                isValid: false,
-                markerColumn: this.getColumnLetter(rule.markerColumn),
-                checkColumn: this.getColumnLetter(rule.checkColumn)
-            };
-
-            // Scan through all rows looking for the marker
-            for (let i = 0; i < jsonData.length; i++) {
-                const row = jsonData[i];
-                const markerCell = row[rule.markerColumn] ? String(row[rule.markerColumn]).trim() : '';
-                const markerCellLower = markerCell.toLowerCase();
-
-                if (markerCellLower === rule.marker.toLowerCase()) {
-                    result.found = true;
-                    result.rowNumber = i + 1;
-
-                    const actualValue = row[rule.checkColumn] ? String(row[rule.checkColumn]).trim() : '';
-                    result.actual = actualValue || 'Empty';
-
-                    result.isValid = actualValue.toLowerCase() === rule.expected.toLowerCase();
-                    break;
-                }
-            }
-
-            results.push(result);
+                found: evaluation.found,
+                rowNumber: evaluation.rowNumber,
+                actual: evaluation.found ? (evaluation.text || 'Empty') : '',
+                isValid: evaluation.isValid,
+                markerColumn: rule.markerColumn,
+                checkColumn: rule.valueColumn
+            });
         }
 
         // Validate H2 cell (5% - 10%)
@@ -211,18 +185,12 @@ class RossignolProcessor {
                 let isValid = false;
 
                 if (cellL !== undefined && cellL !== null) {
-                    let numValue = parseFloat(cellL);
+                    // "5%", 0.05 and 5 are all read as 0.05
+                    const fraction = window.valueParser.toPercent(cellL, window.workbookReader.numberFormat(row, 11));
 
-                    if (!isNaN(numValue)) {
-                        // If value is <= 1, it's a decimal (e.g., 0.05 for 5%)
-                        if (numValue <= 1) {
-                            actualValue = (numValue * 100).toFixed(0) + '%';
-                            isValid = Math.abs(numValue - expectedDecimal) < 0.0001;
-                        } else {
-                            // Already a percentage (e.g., 5 for 5%)
-                            actualValue = numValue.toFixed(0) + '%';
-                            isValid = Math.abs(numValue - (expectedDecimal * 100)) < 0.01;
-                        }
+                    if (fraction !== null) {
+                        actualValue = (fraction * 100).toFixed(0) + '%';
+                        isValid = window.tolerancePolicy.compare(fraction, expectedDecimal, this.tolerances.wastage).status === 'VALID';
                     } else {
                         actualValue = String(cellL).trim() || 'Empty';
                     }
@@ -302,8 +270,8 @@ class RossignolProcessor {
                     let isLValid = false;
                     let cellLValue = '';
                     if (cellL !== undefined && cellL !== null) {
-                        let numValue = parseFloat(cellL);
-                        if (!isNaN(numValue)) {
+                        const numValue = window.valueParser.toNumber(cellL);
+                        if (numValue !== null) {
                             cellLValue = numValue.toString();
                             isLValid = numValue === 1;
                         } else {
@@ -335,17 +303,11 @@ class RossignolProcessor {
                     let isLValid = false;
 
                     if (cellL !== undefined && cellL !== null) {
-                        let numValue = parseFloat(cellL);
-                        if (!isNaN(numValue)) {
-                            // If value is <= 1, it's a decimal (e.g., 0.03 for 3%)
-                            if (numValue <= 1) {
-                                cellLValue = (numValue * 100).toFixed(0) + '%';
-                                isLValid = Math.abs(numValue - 0.03) < 0.0001;
-                            } else {
-                                // Already a percentage (e.g., 3 for 3%)
-                                cellLValue = numValue.toFixed(0) + '%';
-                                isLValid = Math.abs(numValue - 3) < 0.01;
-                            }
+                        // "3%", 0.03 and 3 are all read as 0.03
+                        const fraction = window.valueParser.toPercent(cellL, window.workbookReader.numberFormat(row, 11));
+                        if (fraction !== null) {
+                            cellLValue = (fraction * 100).toFixed(0) + '%';
+                            isLValid = window.tolerancePolicy.compare(fraction, 0.03, this.tolerances.wastage).status === 'VALID';
                         } else {
                             cellLValue = String(cellL).trim() || 'Empty';
                         }
@@ -412,18 +374,12 @@ class RossignolProcessor {
             const cellValue = jsonData[1][7];
             if (cellValue !== undefined && cellValue !== null) {
                 result.found = true;
-                let numValue = parseFloat(cellValue);
+                // "5%", 0.05 and 5 are all read as 0.05
+                const fraction = window.valueParser.toPercent(cellValue, window.workbookReader.numberFormat(jsonData[1], 7));
 
-                if (!isNaN(numValue)) {
-                    // If value is <= 1, it's a decimal (e.g., 0.05 for 5%)
-                    if (numValue <= 1) {
-                        result.actual = (numValue * 100).toFixed(2) + '%';
-                        result.isValid = numValue >= 0.05 && numValue <= 0.10;
-                    } else {
-                        // Already a percentage (e.g., 5 for 5%)
-                        result.actual = numValue.toFixed(2) + '%';
-                        result.isValid = numValue >= 5 && numValue <= 10;
-                    }
+                if (fraction !== null) {
+                    result.actual = (fraction * 100).toFixed(2) + '%';
+                    result.isValid = fraction >= 0.05 - 1e-9 && fraction <= 0.10 + 1e-9;
                 } else {
                     result.actual = String(cellValue).trim() || 'Empty';
                     result.isValid = false;
@@ -439,59 +395,104 @@ class RossignolProcessor {
     }
 
     validateFactoryMargin(jsonData) {
-        const result = {
-            name: 'Factory Margin',
-            expected: '0.40 - 0.70',
-            found: false,
-            rowNumber: -1,
-            actual: '',
-            isValid: false,
-            markerColumn: 'I',
-            checkColumn: 'J'
+        const rule = this.factoryMarginRule;
+        const evaluation = window.ruleEngine.evaluate(jsonData, rule);
+
+        let actual = 'FACTORY MARGIN not found';
+        if (evaluation.found) {
+            actual = evaluation.value !== null ? evaluation.value.toFixed(2) : evaluation.text || 'Empty';
+        }
+
+        return {
+            name: rule.name,
+            expected: window.ruleEngine.describeExpected(rule, 2),
+            found: evaluation.found,
+            rowNumber: evaluation.rowNumber,
+            actual: actual,
+            isValid: evaluation.isValid,
+            markerColumn: rule.markerColumn,
+            checkColumn: rule.valueColumn
         };
+    }
 
-        // Scan column I (index 8) for "FACTORY MARGIN"
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            const cellI = row[8] ? String(row[8]).trim().toLowerCase() : '';
+    /**
+     * Results of the last run in the common structured schema (see StructuredResults.js)
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
 
-            if (cellI === 'factory margin') {
-                result.found = true;
-                result.rowNumber = i + 1;
+        const wastageTolerance = window.tolerancePolicy.describe(this.tolerances.wastage, { percent: true });
 
-                // Get column J value (index 9)
-                const cellJ = row[9];
-                if (cellJ !== undefined && cellJ !== null) {
-                    let numValue = parseFloat(cellJ);
+        this.fileResults.forEach(fileResult => {
+            if (fileResult.error) {
+                records.push(sr.errorRecord(fileResult.fileName, 'rossignol', fileResult.error));
+                return;
+            }
 
-                    if (!isNaN(numValue)) {
-                        result.actual = numValue.toFixed(2);
-                        result.isValid = numValue >= 0.40 && numValue <= 0.70;
-                    } else {
-                        result.actual = String(cellJ).trim() || 'Empty';
-                        result.isValid = false;
-                    }
-                } else {
-                    result.actual = 'Empty';
+            const base = { file: fileResult.fileName, sheet: fileResult.sheetName };
+
+            fileResult.checks.forEach(check => {
+                if (check.isFabricCombined) {
+                    check.fabricEntries.forEach(entry => {
+                        records.push(sr.record({
+                            ...base,
+                            ruleId: sr.ruleId('rossignol', check.categoryName, 'wastage'),
+                            rule: `${check.categoryName} rows (column A) have column L = ${check.expected}`,
+                            cell: `L${entry.rowNumber}`,
+                            expected: check.expected,
+                            tolerance: wastageTolerance,
+                            actual: entry.value,
+                            status: entry.isValid
+                        }));
+                    });
+                    return;
                 }
 
-                break;
-            }
-        }
+                if (check.isPackagingCombined) {
+                    check.packagingEntries.forEach(entry => {
+                        if (!entry.hasGenericPackaging) {
+                            records.push(sr.record({
+                                ...base,
+                                ruleId: sr.ruleId('rossignol', 'packaging', 'wastage'),
+                                rule: 'PACKAGING rows (column A) other than Generic Packaging have column L = 3%',
+                                cell: `L${entry.rowNumber}`,
+                                expected: '3%',
+                                tolerance: wastageTolerance,
+                                actual: entry.value,
+                                status: entry.isValid
+                            }));
+                            return;
+                        }
 
-        if (!result.found) {
-            result.actual = 'FACTORY MARGIN not found';
-        }
+                        entry.cellValidations.forEach(cellValidation => {
+                            records.push(sr.record({
+                                ...base,
+                                ruleId: sr.ruleId('rossignol', 'generic-packaging', cellValidation.column),
+                                rule: `Generic Packaging row has column ${cellValidation.column} = ${cellValidation.expected}`,
+                                cell: `${cellValidation.column}${entry.rowNumber}`,
+                                expected: cellValidation.expected,
+                                actual: cellValidation.value,
+                                status: cellValidation.isValid
+                            }));
+                        });
+                    });
+                    return;
+                }
 
-        return result;
-    }
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('rossignol', check.name),
+                    rule: `${check.name} (column ${check.markerColumn}) has column ${check.checkColumn} = ${check.expected}`,
+                    cell: check.rowNumber > 0 ? `${check.checkColumn}${check.rowNumber}` : '',
+                    expected: check.expected,
+                    actual: check.actual,
+                    status: check.isValid
+                }));
+            });
+        });
 
-    getColumnLetter(index) {
-        const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        if (index < 26) {
-            return letters[index];
-        }
-        return letters[Math.floor(index / 26) - 1] + letters[index % 26];
+        return records;
     }
 
     generateResultsHTML(results) {
@@ -626,10 +627,33 @@ class RossignolProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createRossignolConfig(this.fileResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createRossignolConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize processor
 window.rossignolProcessor = new RossignolProcessor();
+
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v23',
+    name: 'Rossignol',
+    shortName: 'RSG',
+    processor: window.rossignolProcessor,
+    loadingMessage: 'Rossignol validation',
+    editableRules: window.ruleOverrides.fromRules('validationRules', window.rossignolProcessor.validationRules)
+        .concat(window.ruleOverrides.fromRules('', { factoryMarginRule: window.rossignolProcessor.factoryMarginRule })),
+    loadingSubtext: 'Checking validation fields...',
+    formulaCells: [
+        { ruleId: 'rossignol.*.wastage', expects: 'value' },
+        { ruleId: 'rossignol.generic-packaging.l', expects: 'value' },
+        { ruleId: 'rossignol.h2-value', expects: 'value' },
+        { ruleId: 'rossignol.factory-margin', expects: 'value' }
+    ],
+    fingerprints: [
+        { column: 'D', text: 'VENDOR NAME' },
+        { column: 'I', text: 'FACTORY MARGIN' },
+        { column: 'D', text: 'CURRENCY' }
+    ]
+});
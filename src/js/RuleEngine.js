@@ -0,0 +1,241 @@
+/**
+ * Rule Engine
+ * Runs declarative "find a label in one column, check the value in another column" rules,
+ * the anchored check most processors need (Vendor → Madison 88, Overhead → 0.40, ...).
+ *
+ * Rule (plain JSON):
+ * {
+ *   id: 'fox.overhead',            // optional, used for structured result ids
+ *   name: 'OVERHEAD',
+ *   markerColumn: 'K',             // column letter or 0-based index
+ *   marker: 'overhead',            // label to find (string or list of alternatives)
+ *   match: 'exact',                // exact | contains | startsWith | regex (case-insensitive)
+ *   exclude: ['overhead'],         // optional - labels containing any of these are skipped
+ *   occurrence: 'first',           // first | last matching row
+ *   valueColumn: 'L',              // column letter or 0-based index
+ *   comparator: 'exact',           // exact | range | oneOf | present (any non-empty value)
+ *   expected: 0.40,                // exact: value, oneOf: list of values
+ *   min: 0.35, max: 0.45,          // range bounds (inclusive)
+ *   percent: false,                // '45%' and 45 are both read as 0.45 (implied by expected: '45%')
+ *   percentUnit: 'fraction',       // optional - unit of bare numbers in a percent rule: 'fraction' (0.45)
+ *                                  // or 'whole' (45); percent-formatted cells are always read as fractions
+ *   tolerance: 0.0001,             // numeric comparisons: absolute tolerance or a policy with decimals,
+ *                                  // relative and warning bands (see TolerancePolicy.js)
+ *   caseSensitive: false           // text comparisons ignore case unless set
+ * }
+ *
+ * Numeric comparison is used when the expected value (or min/max) is a number. A value in the
+ * tolerance policy's warning band gets status WARNING (isValid stays false).
+ */
+
+class RuleEngine {
+    /**
+     * Evaluate one rule against a sheet (array of rows from sheet_to_json with header: 1)
+     * @returns {Object} - { rule, found, rowIndex, rowNumber, markerCell, cell, raw, text, value, status, isValid, tolerance }
+     */
+    evaluate(jsonData, rule) {
+        const rowIndex = this.findRow(jsonData, rule);
+        const valueCol = this.toColumnIndex(rule.valueColumn);
+
+        if (rowIndex === -1) {
+            return {
+                rule: rule,
+                found: false,
+                rowIndex: -1,
+                rowNumber: -1,
+                markerCell: '',
+                cell: '',
+                raw: null,
+                text: '',
+                value: null,
+                status: 'INVALID',
+                isValid: false,
+                tolerance: this.describeTolerance(rule)
+            };
+        }
+
+        const raw = jsonData[rowIndex][valueCol];
+        const check = this.checkValue(raw, rule, window.workbookReader.numberFormat(jsonData[rowIndex], valueCol));
+
+        return {
+            rule: rule,
+            found: true,
+            rowIndex: rowIndex,
+            rowNumber: rowIndex + 1,
+            markerCell: this.address(rowIndex, this.toColumnIndex(rule.markerColumn)),
+            cell: this.address(rowIndex, valueCol),
+            raw: raw === undefined ? null : raw,
+            text: this.toText(raw),
+            value: check.value,
+            status: check.status,
+            isValid: check.isValid,
+            tolerance: this.describeTolerance(rule)
+        };
+    }
+
+    /**
+     * Evaluate a list of rules
+     */
+    evaluateAll(jsonData, rules) {
+        return rules.map(rule => this.evaluate(jsonData, rule));
+    }
+
+    /**
+     * 0-based index of the row whose marker column matches the rule, or -1
+     */
+    findRow(jsonData, rule) {
+        const markerCol = this.toColumnIndex(rule.markerColumn);
+        let matchIndex = -1;
+
+        for (let i = 0; i < jsonData.length; i++) {
+            const row = jsonData[i];
+            if (!row) continue;
+
+            if (this.matchesMarker(row[markerCol], rule)) {
+                if (rule.occurrence !== 'last') return i;
+                matchIndex = i;
+            }
+        }
+
+        return matchIndex;
+    }
+
+    matchesMarker(cellValue, rule) {
+        const label = this.toText(cellValue).toLowerCase();
+        if (!label) return false;
+
+        const excluded = (rule.exclude || []).some(word => label.includes(word.toLowerCase()));
+        if (excluded) return false;
+
+        const markers = Array.isArray(rule.marker) ? rule.marker : [rule.marker];
+
+        return markers.some(marker => {
+            const target = String(marker).trim().toLowerCase();
+            switch (rule.match || 'exact') {
+                case 'contains': return label.includes(target);
+                case 'startsWith': return label.startsWith(target);
+                case 'regex': return new RegExp(marker, 'i').test(label);
+                default: return label === target;
+            }
+        });
+    }
+
+    /**
+     * Compare a cell value with the rule's expectation
+     * @param {string} [numberFormat] - Number format of the cell, read by percent rules (see parseNumber)
+     * @returns {Object} - { value, status, isValid } where value is the parsed number or trimmed text
+     */
+    checkValue(raw, rule, numberFormat) {
+        const comparator = rule.comparator || 'exact';
+
+        if (comparator === 'present') {
+            const text = this.toText(raw);
+            return this.result(text, text !== '' ? 'VALID' : 'INVALID');
+        }
+
+        if (this.isNumericRule(rule)) {
+            const percent = rule.percent || this.isPercentRule(rule);
+            const value = this.parseNumber(raw, percent, numberFormat, rule.percentUnit);
+            if (value === null) return this.result(null, 'INVALID');
+
+            const policy = window.tolerancePolicy;
+            const number = expected => window.valueParser.toNumber(expected);
+            let status;
+
+            if (comparator === 'range') {
+                status = policy.range(value, number(rule.min), number(rule.max), rule.tolerance).status;
+            } else if (comparator === 'oneOf') {
+                const statuses = rule.expected.map(expected => policy.compare(value, number(expected), rule.tolerance).status);
+                status = ['VALID', 'WARNING'].find(best => statuses.includes(best)) || 'INVALID';
+            } else {
+                status = policy.compare(value, number(rule.expected), rule.tolerance).status;
+            }
+
+            return this.result(value, status);
+        }
+
+        const value = this.toText(raw);
+        const normalize = text => rule.caseSensitive ? String(text).trim() : String(text).trim().toLowerCase();
+        const expectedValues = comparator === 'oneOf' ? rule.expected : [rule.expected];
+        const matched = expectedValues.some(expected => normalize(value) === normalize(expected));
+
+        return this.result(value, matched ? 'VALID' : 'INVALID');
+    }
+
+    result(value, status) {
+        return { value: value, status: status, isValid: status === 'VALID' };
+    }
+
+    /**
+     * Readable tolerance policy of a numeric rule ('' for text and presence rules)
+     */
+    describeTolerance(rule) {
+        if (!this.isNumericRule(rule)) return '';
+        return window.tolerancePolicy.describe(rule.tolerance, { percent: rule.percent || this.isPercentRule(rule) });
+    }
+
+    isNumericRule(rule) {
+        if (rule.comparator === 'present') return false;
+        if (rule.comparator === 'range') return true;
+        if (rule.comparator === 'oneOf') return rule.expected.every(value => this.isNumericExpected(value));
+        return this.isNumericExpected(rule.expected);
+    }
+
+    /**
+     * Numbers and percentages written as text ('5%') are numeric expectations
+     */
+    isNumericExpected(value) {
+        return typeof value === 'number' || window.valueParser.parse(value).type === 'percent';
+    }
+
+    /**
+     * A rule that states its expectation as '5%' reads values as percentages without percent: true
+     */
+    isPercentRule(rule) {
+        const values = rule.comparator === 'range' ? [rule.min, rule.max]
+            : rule.comparator === 'oneOf' ? rule.expected : [rule.expected];
+        return values.some(value => window.valueParser.parse(value).type === 'percent');
+    }
+
+    /**
+     * Number from a cell value ('1,234.5', '$0.40', '45%'); null if it is not numeric
+     * With percent set, a percent-formatted cell is read as a fraction and bare numbers in the rule's
+     * percentUnit; without a unit, numbers above 1 are read as percentages (45 → 0.45) - see ValueParser.js
+     */
+    parseNumber(raw, percent, numberFormat, unit) {
+        return percent ? window.valueParser.toPercent(raw, numberFormat, unit) : window.valueParser.toNumber(raw, numberFormat);
+    }
+
+    toText(value) {
+        return value === undefined || value === null ? '' : String(value).trim();
+    }
+
+    /**
+     * Column letter ('L') or 0-based index to 0-based index
+     */
+    toColumnIndex(column) {
+        return typeof column === 'number' ? column : XLSX.utils.decode_col(String(column).toUpperCase());
+    }
+
+    address(rowIndex, colIndex) {
+        return XLSX.utils.encode_cell({ r: rowIndex, c: colIndex });
+    }
+
+    /**
+     * Expected value as shown to users: '0.40', '15% - 20%', 'A or B'
+     */
+    describeExpected(rule, decimals) {
+        const format = value => {
+            if (typeof value !== 'number') return String(value);
+            if (rule.percent) return `${parseFloat((value * 100).toFixed(4))}%`;
+            return decimals !== undefined ? value.toFixed(decimals) : String(value);
+        };
+
+        if (rule.comparator === 'range') return `${format(rule.min)} - ${format(rule.max)}`;
+        if (rule.comparator === 'oneOf') return rule.expected.map(format).join(' or ');
+        return format(rule.expected);
+    }
+}
+
+// Initialize global instance (must load before the processor scripts)
+window.ruleEngine = new RuleEngine();
@@ -0,0 +1,753 @@
+/**
+ * Rule Overrides
+ * Lets buyers change a brand's expected values (wastage %, overhead, CMT prices...) from the rules
+ * panel in its OB drop zone, without a code change. Overrides are kept in localStorage per processor
+ * and written straight into the processor's rule objects, so the validation code reads them as usual.
+ *
+ * Registry entries list what can be edited in `editableRules`:
+ * {
+ *   path: 'validationRules.wastage.expectedValue',   // dotted path from the processor instance
+ *   label: 'Wastage %',
+ *   group: 'Fabrics',                                // optional heading in the editor
+ *   format: 'percent',                               // percent (stored as a fraction) | number | text | list | boolean
+ *   display: 'validationRules.wastage.expectedDisplay', // optional text copy of the value to keep in sync
+ *   describe: value => `≤ ${value.toFixed(2)}`,      // optional formatter for that copy
+ *   tolerance: { decimals: 3 }                       // optional tolerance policy shown next to numeric values
+ * }
+ * fromRules() builds these for rule engine / section scanner rules, with the rules' tolerance policies.
+ *
+ * Season rule sets: buyers change their costing rules every season, so each processor can also keep
+ * versioned sets { season: 'FW25', effectiveFrom: '2025-06-01', values: { path: value } } next to its
+ * current rules. The tab's season selector picks the set a run uses (defaulting to the season or
+ * costing date found in the dropped Buyer CBDs, see SeasonDetector.js) and the editor edits that set.
+ */
+
+class RuleOverrides {
+    constructor() {
+        this.storagePrefix = 'ruleOverrides-';
+        this.setsPrefix = 'ruleSets-';
+        this.defaults = {};     // id -> { path: default value } for every editable path (and display path)
+        this.editing = {};      // id -> true while the editor is open
+        this.active = {};       // id -> season of the selected rule set ('' = current rules)
+        this.chosen = {};       // id -> true once the user picked a season by hand
+        this.detected = {};     // id -> season / date detection of the tab's Buyer CBDs
+    }
+
+    /**
+     * Editable entries for rule engine rules (an array or an object of rules under basePath)
+     * exact -> expected, range -> min and max, oneOf -> expected as a list; 'present' rules have no value
+     * @param {Object} [options] - { group, format } - format of numeric values, when not guessed from `percent`
+     */
+    fromRules(basePath, rules, options = {}) {
+        const descriptors = [];
+
+        Object.keys(rules).forEach(key => {
+            const rule = rules[key];
+            const path = basePath ? `${basePath}.${key}` : key;
+            const label = String(rule.name || rule.label || key).replace(/:$/, '');
+            const base = { group: options.group };
+
+            if (rule.comparator === 'range') {
+                const format = options.format || (rule.percent ? 'percent' : 'number');
+                const tolerance = rule.tolerance !== undefined ? rule.tolerance : null;
+                descriptors.push({ ...base, path: `${path}.min`, label: `${label} (min)`, format, tolerance });
+                descriptors.push({ ...base, path: `${path}.max`, label: `${label} (max)`, format, tolerance });
+            } else if (rule.comparator === 'oneOf') {
+                descriptors.push({ ...base, path: `${path}.expected`, label, format: 'list' });
+            } else if (rule.comparator !== 'present' && rule.expected !== undefined) {
+                const format = typeof rule.expected === 'number'
+                    ? (options.format || (rule.percent ? 'percent' : 'number'))
+                    : 'text';
+                const descriptor = { ...base, path: `${path}.expected`, label, format };
+                if (format !== 'text') {
+                    descriptor.tolerance = rule.tolerance !== undefined ? rule.tolerance : null;
+                }
+                if (rule.display !== undefined) {
+                    descriptor.display = `${path}.display`;
+                }
+                descriptors.push(descriptor);
+            }
+        });
+
+        return descriptors;
+    }
+
+    /**
+     * Remember the defaults of a registered entry and apply its saved overrides
+     * Called by the registry when a processor registers
+     */
+    apply(entry) {
+        if (!entry.editableRules || entry.editableRules.length === 0) return;
+
+        const defaults = {};
+        entry.editableRules.forEach(descriptor => {
+            defaults[descriptor.path] = this.clone(this.getValue(entry.processor, descriptor.path));
+            if (descriptor.display) {
+                defaults[descriptor.display] = this.getValue(entry.processor, descriptor.display);
+            }
+        });
+        this.defaults[entry.id] = defaults;
+
+        this.applyValues(entry, this.load(entry.id));
+    }
+
+    /**
+     * Write overrides (path -> value) into the processor; paths without one get their default back
+     */
+    applyValues(entry, overrides) {
+        const defaults = this.defaults[entry.id] || {};
+
+        entry.editableRules.forEach(descriptor => {
+            const overridden = Object.prototype.hasOwnProperty.call(overrides, descriptor.path);
+            const value = overridden ? overrides[descriptor.path] : defaults[descriptor.path];
+            this.setValue(entry.processor, descriptor.path, this.clone(value));
+
+            if (descriptor.display) {
+                const display = overridden
+                    ? (descriptor.describe ? descriptor.describe(value) : this.format(value, descriptor))
+                    : defaults[descriptor.display];
+                this.setValue(entry.processor, descriptor.display, display);
+            }
+        });
+    }
+
+    /**
+     * Saved overrides of a processor's selected rule set ({} when there are none or storage is unavailable)
+     */
+    load(id, season = this.active[id]) {
+        if (season) {
+            const set = this.getSet(id, season);
+            return set ? { ...set.values } : {};
+        }
+
+        try {
+            const saved = localStorage.getItem(this.storagePrefix + id);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error(`Could not read rule overrides for ${id}:`, error);
+            return {};
+        }
+    }
+
+    save(id, overrides, season = this.active[id]) {
+        if (season) {
+            const sets = this.loadSets(id);
+            const set = sets.find(s => s.season === season);
+            if (!set) return false;
+
+            set.values = overrides;
+            return this.saveSets(id, sets);
+        }
+
+        try {
+            if (Object.keys(overrides).length === 0) {
+                localStorage.removeItem(this.storagePrefix + id);
+            } else {
+                localStorage.setItem(this.storagePrefix + id, JSON.stringify(overrides));
+            }
+            return true;
+        } catch (error) {
+            console.error(`Could not save rule overrides for ${id}:`, error);
+            alert('Could not save the rule changes: ' + error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Save new values (path -> value) for an entry; values equal to their default drop the override
+     */
+    update(entry, values) {
+        const defaults = this.defaults[entry.id] || {};
+        const overrides = this.load(entry.id);
+
+        Object.keys(values).forEach(path => {
+            if (this.isEqual(values[path], defaults[path])) {
+                delete overrides[path];
+            } else {
+                overrides[path] = values[path];
+            }
+        });
+
+        if (!this.save(entry.id, overrides)) return false;
+        this.applyValues(entry, overrides);
+        return true;
+    }
+
+    /**
+     * Back to the default value of one rule, or of every rule of the entry
+     */
+    reset(entry, path) {
+        const overrides = this.load(entry.id);
+        if (path) {
+            delete overrides[path];
+        } else {
+            Object.keys(overrides).forEach(key => delete overrides[key]);
+        }
+
+        if (!this.save(entry.id, overrides)) return;
+        this.applyValues(entry, overrides);
+    }
+
+    /**
+     * Season rule sets of a processor, oldest first
+     */
+    loadSets(id) {
+        try {
+            const saved = localStorage.getItem(this.setsPrefix + id);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error(`Could not read season rule sets for ${id}:`, error);
+            return [];
+        }
+    }
+
+    saveSets(id, sets) {
+        sets.sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || '') || a.season.localeCompare(b.season));
+
+        try {
+            if (sets.length === 0) {
+                localStorage.removeItem(this.setsPrefix + id);
+            } else {
+                localStorage.setItem(this.setsPrefix + id, JSON.stringify(sets));
+            }
+            return true;
+        } catch (error) {
+            console.error(`Could not save season rule sets for ${id}:`, error);
+            alert('Could not save the season rule sets: ' + error.message);
+            return false;
+        }
+    }
+
+    getSet(id, season) {
+        return this.loadSets(id).find(set => set.season === season) || null;
+    }
+
+    /**
+     * Season names compare normalised ('Fall 2025' and 'FW25' are the same season)
+     */
+    seasonKey(name) {
+        const text = String(name || '').trim();
+        return window.seasonDetector.parseSeason(text) || text.toUpperCase();
+    }
+
+    /**
+     * Rule set for a Buyer CBD detection: the set of its season, or for a costing date
+     * the set with the latest effective-from date on or before it
+     */
+    pickSet(id, detection) {
+        const sets = this.loadSets(id);
+
+        if (detection.season) {
+            return sets.find(set => this.seasonKey(set.season) === detection.season) || null;
+        }
+
+        const effective = sets.filter(set => set.effectiveFrom && set.effectiveFrom <= detection.date);
+        return effective.length > 0 ? effective[effective.length - 1] : null;
+    }
+
+    /**
+     * Run a processor with a rule set: '' for the current rules, else a season
+     */
+    select(entry, season) {
+        this.active[entry.id] = season && this.getSet(entry.id, season) ? season : '';
+        this.applyValues(entry, this.load(entry.id));
+    }
+
+    /**
+     * Default the season from the tab's Buyer CBDs (unless the user already picked one)
+     * @param {Array} detections - SeasonDetector detections with the file name added
+     */
+    autoSelect(id, detections) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry || !entry.editableRules || entry.editableRules.length === 0) return;
+
+        const detection = detections.find(d => d.season) || detections.find(d => d.date) || null;
+        this.detected[id] = detection;
+
+        if (detection && !this.chosen[id]) {
+            const set = this.pickSet(id, detection);
+            const season = set ? set.season : '';
+            if (season !== (this.active[id] || '')) {
+                this.select(entry, season);
+                this.refresh(id);
+                return;
+            }
+        }
+        this.renderSeasonSelector(entry);
+    }
+
+    /**
+     * Rule version a run used, for the results header and exports (null without editable rules)
+     * @returns {Object|null} - { season, effectiveFrom, modified, label }
+     */
+    describeVersion(entry) {
+        if (!entry.editableRules || entry.editableRules.length === 0) return null;
+
+        const season = this.active[entry.id] || '';
+        const set = season ? this.getSet(entry.id, season) : null;
+        const modified = Object.keys(this.load(entry.id)).length;
+
+        let label;
+        if (set) {
+            label = set.effectiveFrom ? `${set.season} (effective ${set.effectiveFrom})` : set.season;
+        } else {
+            label = modified > 0 ? `Current rules (${modified} modified)` : 'Default rules';
+        }
+
+        return {
+            season: set ? set.season : null,
+            effectiveFrom: set ? set.effectiveFrom || null : null,
+            modified: modified,
+            label: label
+        };
+    }
+
+    isModified(id, path) {
+        return Object.prototype.hasOwnProperty.call(this.load(id), path);
+    }
+
+    getDefault(id, path) {
+        return (this.defaults[id] || {})[path];
+    }
+
+    /**
+     * Read / write a dotted path ('validationRules.items.0.expectedPrice') on a processor
+     */
+    getValue(target, path) {
+        return path.split('.').reduce((obj, key) => (obj === undefined || obj === null ? undefined : obj[key]), target);
+    }
+
+    setValue(target, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((obj, key) => (obj === undefined || obj === null ? undefined : obj[key]), target);
+
+        if (parent === undefined || parent === null) {
+            console.warn(`Rule path not found: ${path}`);
+            return;
+        }
+        parent[last] = value;
+    }
+
+    /**
+     * Value as shown to the user / in the editor input
+     */
+    format(value, descriptor) {
+        if (value === undefined || value === null) return '';
+
+        switch (descriptor.format) {
+            case 'percent':
+                return `${parseFloat((value * 100).toPrecision(12))}%`;
+            case 'list':
+                return Array.isArray(value) ? value.join(', ') : String(value);
+            case 'boolean':
+                return value ? 'TRUE' : 'FALSE';
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Parse an editor input back into a value
+     * @returns {Object} - { value } or { error }
+     */
+    parse(text, descriptor) {
+        const trimmed = String(text).trim();
+
+        switch (descriptor.format) {
+            case 'percent':
+            case 'number': {
+                const parsed = window.valueParser.parse(trimmed);
+                if (typeof parsed.value !== 'number') {
+                    return { error: `${descriptor.label} must be a number` };
+                }
+                if (descriptor.format === 'number') return { value: parsed.value };
+                // Percentages are entered as whole numbers (5 for 5%) unless written with a % sign
+                const fraction = parsed.type === 'percent' ? parsed.value : parsed.value / 100;
+                return { value: parseFloat(fraction.toPrecision(12)) };
+            }
+            case 'list': {
+                const items = trimmed.split(',').map(item => item.trim()).filter(item => item);
+                if (items.length === 0) {
+                    return { error: `${descriptor.label} needs at least one value` };
+                }
+                return { value: items };
+            }
+            case 'boolean':
+                return { value: trimmed.toUpperCase() === 'TRUE' };
+            default:
+                if (trimmed === '') {
+                    return { error: `${descriptor.label} cannot be empty` };
+                }
+                return { value: trimmed };
+        }
+    }
+
+    /**
+     * Parse an effective-from date input ('' for none)
+     * @returns {Object} - { value } or { error }
+     */
+    parseEffectiveFrom(text) {
+        const trimmed = String(text).trim();
+        if (trimmed === '') return { value: null };
+
+        const date = window.seasonDetector.parseDate(trimmed);
+        return date ? { value: date } : { error: 'Effective from must be a date (YYYY-MM-DD)' };
+    }
+
+    /**
+     * Editor input text: percentages without the % sign
+     */
+    inputValue(value, descriptor) {
+        const text = this.format(value, descriptor);
+        return descriptor.format === 'percent' ? text.replace('%', '') : text;
+    }
+
+    /**
+     * Readable tolerance policy of a numeric descriptor ('' when it states none)
+     */
+    describeTolerance(descriptor) {
+        if (!descriptor || !('tolerance' in descriptor)) return '';
+        return window.tolerancePolicy.describe(descriptor.tolerance, { percent: descriptor.format === 'percent' });
+    }
+
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Re-render a processor's rules panel (so it shows the current values) and its editor
+     */
+    refresh(id) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry) return;
+
+        if (typeof entry.processor.displayValidationRules === 'function') {
+            entry.processor.displayValidationRules();
+        }
+        this.render(entry);
+    }
+
+    /**
+     * Append the editor to the entry's rules panel (the OB drop zone, or the panel below the drop zones
+     * of tabs whose OB zone takes uploads)
+     * Closed: list of the modified values with a badge; open: an input per editable value;
+     * while a rules workbook import waits to be applied: its validation report (see RuleWorkbook.js)
+     */
+    render(entry) {
+        if (!entry.editableRules || entry.editableRules.length === 0) return;
+
+        const panel = document.getElementById(`rulesPanel-${entry.id}`) || document.getElementById(`obDropZone-${entry.id}`);
+        if (!panel) return;
+
+        const existing = document.getElementById(`ruleEditor-${entry.id}`);
+        if (existing) existing.remove();
+
+        const container = panel.querySelector('.burton-cost-items') || panel;
+        const editor = document.createElement('div');
+        editor.id = `ruleEditor-${entry.id}`;
+        editor.className = 'burton-cost-item rule-editor';
+        if (window.ruleWorkbook && window.ruleWorkbook.pending[entry.id]) {
+            editor.innerHTML = window.ruleWorkbook.getReportHTML(entry);
+        } else {
+            editor.innerHTML = this.editing[entry.id] ? this.getEditorHTML(entry) : this.getSummaryHTML(entry);
+        }
+        container.appendChild(editor);
+
+        this.renderSeasonSelector(entry);
+    }
+
+    /**
+     * Rule version selector above the tab's Generate button
+     */
+    renderSeasonSelector(entry) {
+        if (!entry.editableRules || entry.editableRules.length === 0) return;
+
+        const container = document.getElementById(`seasonSelector-${entry.id}`);
+        if (!container) return;
+
+        const active = this.active[entry.id] || '';
+        const options = this.loadSets(entry.id).map(set => `
+            <option value="${this.escape(set.season)}"${set.season === active ? ' selected' : ''}>
+                ${this.escape(set.season)}${set.effectiveFrom ? ` (from ${set.effectiveFrom})` : ''}
+            </option>
+        `).join('');
+
+        let note = '';
+        const detection = this.detected[entry.id];
+        if (detection) {
+            const set = this.pickSet(entry.id, detection);
+            const found = `${detection.season ? 'Season' : 'Costing date'} ${window.seasonDetector.describe(detection)} in ${detection.file}`;
+            note = set ? `${found} uses ${set.season}` : `${found} - no matching rule set`;
+        }
+
+        container.innerHTML = `
+            <label for="seasonSelect-${entry.id}">Rule version</label>
+            <select id="seasonSelect-${entry.id}" onchange="window.ruleOverrides.selectSeason('${entry.id}', this.value)">
+                <option value=""${active ? '' : ' selected'}>Current rules</option>
+                ${options}
+            </select>
+            <button class="rule-editor-btn secondary" onclick="window.ruleOverrides.addSeason('${entry.id}')">New Season</button>
+            ${active ? `<button class="rule-editor-btn secondary" onclick="window.ruleOverrides.deleteSeason('${entry.id}')">Delete ${this.escape(active)}</button>` : ''}
+            ${note ? `<span class="season-detected">${this.escape(note)}</span>` : ''}
+        `;
+    }
+
+    getSummaryHTML(entry) {
+        const modified = entry.editableRules.filter(descriptor => this.isModified(entry.id, descriptor.path));
+
+        return `
+            <div class="rule-editor-header">
+                <strong>Expected Values</strong>
+                ${this.active[entry.id] ? `<span class="rule-season-badge">${this.escape(this.active[entry.id])}</span>` : ''}
+                ${modified.length > 0 ? `<span class="rule-modified-badge">${modified.length} modified</span>` : ''}
+                <span class="rule-editor-header-actions">
+                    <button class="rule-editor-btn" onclick="window.ruleOverrides.open('${entry.id}')">Edit Rules</button>
+                    ${window.ruleWorkbook ? window.ruleWorkbook.getButtonsHTML(entry.id) : ''}
+                </span>
+            </div>
+            ${modified.map(descriptor => `
+                <div class="burton-item-line">
+                    ${descriptor.group ? `${this.escape(descriptor.group)} - ` : ''}${this.escape(descriptor.label)}:
+                    <strong>${this.escape(this.format(this.getValue(entry.processor, descriptor.path), descriptor))}</strong>
+                    <span class="rule-modified-badge" title="Default: ${this.escape(this.format(this.getDefault(entry.id, descriptor.path), descriptor))}">Modified</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    getEditorHTML(entry) {
+        let group = null;
+        let rows = '';
+
+        entry.editableRules.forEach((descriptor, index) => {
+            if (descriptor.group && descriptor.group !== group) {
+                group = descriptor.group;
+                rows += `<div class="rule-editor-group">${this.escape(group)}</div>`;
+            }
+
+            const value = this.getValue(entry.processor, descriptor.path);
+            const modified = this.isModified(entry.id, descriptor.path);
+            const defaultText = this.format(this.getDefault(entry.id, descriptor.path), descriptor);
+
+            rows += `
+                <div class="rule-editor-row">
+                    <label for="ruleInput-${entry.id}-${index}">${this.escape(descriptor.label)}</label>
+                    <span class="rule-editor-input">
+                        ${this.getInputHTML(entry.id, index, value, descriptor)}
+                        ${descriptor.format === 'percent' ? '%' : ''}
+                    </span>
+                    <span class="rule-editor-default">Default: ${this.escape(defaultText)}</span>
+                    ${'tolerance' in descriptor ? `<span class="rule-editor-tolerance">Tolerance: ${this.escape(this.describeTolerance(descriptor))}</span>` : ''}
+                    ${modified ? `
+                        <span class="rule-modified-badge">Modified</span>
+                        <button class="rule-editor-reset" title="Reset to default"
+                            onclick="window.ruleOverrides.resetRule('${entry.id}', ${index})">Reset</button>
+                    ` : ''}
+                </div>
+            `;
+        });
+
+        const season = this.active[entry.id];
+        const set = season ? this.getSet(entry.id, season) : null;
+
+        return `
+            <div class="rule-editor-header">
+                <strong>Edit Expected Values</strong>
+                ${season ? `<span class="rule-season-badge">${this.escape(season)}</span>` : ''}
+            </div>
+            ${set ? `
+                <div class="rule-editor-row">
+                    <label for="ruleEffective-${entry.id}">Effective from</label>
+                    <span class="rule-editor-input">
+                        <input type="text" id="ruleEffective-${entry.id}" value="${this.escape(set.effectiveFrom || '')}" placeholder="YYYY-MM-DD">
+                    </span>
+                </div>
+            ` : ''}
+            ${rows}
+            <div class="rule-editor-actions">
+                <button class="rule-editor-btn" onclick="window.ruleOverrides.saveEditor('${entry.id}')">Save</button>
+                <button class="rule-editor-btn secondary" onclick="window.ruleOverrides.close('${entry.id}')">Cancel</button>
+                <button class="rule-editor-btn secondary" onclick="window.ruleOverrides.resetAll('${entry.id}')">Reset All to Defaults</button>
+            </div>
+        `;
+    }
+
+    getInputHTML(id, index, value, descriptor) {
+        const inputId = `ruleInput-${id}-${index}`;
+
+        if (descriptor.format === 'boolean') {
+            return `
+                <select id="${inputId}">
+                    <option value="TRUE"${value ? ' selected' : ''}>TRUE</option>
+                    <option value="FALSE"${value ? '' : ' selected'}>FALSE</option>
+                </select>
+            `;
+        }
+
+        return `<input type="text" id="${inputId}" value="${this.escape(this.inputValue(value, descriptor))}">`;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Editor button handlers
+     */
+    open(id) {
+        this.editing[id] = true;
+        this.refresh(id);
+    }
+
+    close(id) {
+        delete this.editing[id];
+        this.refresh(id);
+    }
+
+    saveEditor(id) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry) return;
+
+        const values = {};
+        const errors = [];
+        entry.editableRules.forEach((descriptor, index) => {
+            const input = document.getElementById(`ruleInput-${id}-${index}`);
+            if (!input) return;
+
+            const result = this.parse(input.value, descriptor);
+            if (result.error) {
+                errors.push(result.error);
+            } else {
+                values[descriptor.path] = result.value;
+            }
+        });
+
+        const season = this.active[id];
+        const effectiveInput = season ? document.getElementById(`ruleEffective-${id}`) : null;
+        const effective = effectiveInput ? this.parseEffectiveFrom(effectiveInput.value) : null;
+        if (effective && effective.error) {
+            errors.push(effective.error);
+        }
+
+        if (errors.length > 0) {
+            alert('Please fix the following values:\n\n' + errors.join('\n'));
+            return;
+        }
+
+        if (effective) {
+            const sets = this.loadSets(id);
+            const set = sets.find(s => s.season === season);
+            if (set) {
+                set.effectiveFrom = effective.value;
+                if (!this.saveSets(id, sets)) return;
+            }
+        }
+
+        if (this.update(entry, values)) {
+            this.close(id);
+        }
+    }
+
+    resetRule(id, index) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry || !entry.editableRules[index]) return;
+
+        this.reset(entry, entry.editableRules[index].path);
+        this.refresh(id);
+    }
+
+    resetAll(id) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry) return;
+
+        if (!confirm(`Reset all ${entry.name} expected values to their defaults?`)) return;
+
+        this.reset(entry);
+        this.close(id);
+    }
+
+    /**
+     * Season selector handlers
+     */
+    selectSeason(id, season) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry) return;
+
+        this.chosen[id] = true;
+        this.select(entry, season);
+        this.refresh(id);
+    }
+
+    /**
+     * New season rule set, starting as a copy of the selected rules
+     */
+    addSeason(id) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry) return;
+
+        const detection = this.detected[id];
+        const name = prompt(
+            `Season of the new ${entry.name} rule set (e.g. FW25, SS26).\n` +
+            'It starts as a copy of the rules selected now.',
+            detection && detection.season ? detection.season : ''
+        );
+        if (name === null) return;
+
+        const season = this.seasonKey(name);
+        if (!season) {
+            alert('Please enter a season.');
+            return;
+        }
+
+        const sets = this.loadSets(id);
+        if (sets.some(set => this.seasonKey(set.season) === season)) {
+            alert(`There is already a ${season} rule set for ${entry.name}.`);
+            return;
+        }
+
+        const dateText = prompt(
+            `Effective from date of ${season} (YYYY-MM-DD, optional).\n` +
+            'Buyer CBDs without a season cell but with a costing date on or after it use this set.',
+            ''
+        );
+        if (dateText === null) return;
+
+        const effective = this.parseEffectiveFrom(dateText);
+        if (effective.error) {
+            alert(effective.error);
+            return;
+        }
+
+        sets.push({ season: season, effectiveFrom: effective.value, values: this.load(id) });
+        if (!this.saveSets(id, sets)) return;
+
+        this.chosen[id] = true;
+        this.select(entry, season);
+        this.refresh(id);
+    }
+
+    deleteSeason(id) {
+        const entry = window.processorRegistry.get(id);
+        const season = this.active[id];
+        if (!entry || !season) return;
+
+        if (!confirm(`Delete the ${season} rule set for ${entry.name}?`)) return;
+
+        if (!this.saveSets(id, this.loadSets(id).filter(set => set.season !== season))) return;
+
+        this.select(entry, '');
+        this.refresh(id);
+    }
+}
+
+// Initialize global instance (must load before the registry)
+window.ruleOverrides = new RuleOverrides();
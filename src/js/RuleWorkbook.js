@@ -0,0 +1,401 @@
+/**
+ * Rule Workbook
+ * Exports a processor's editable expected values (see RuleOverrides.js) to an .xlsx so costing
+ * managers can maintain them in Excel, and imports the edited workbook back.
+ *
+ * "Rules" sheet, one row per rule:
+ *   Key | Group | Rule | Format | Expected | Min | Max | Default | Tolerance
+ * Range rules fill Min and Max, every other rule fills Expected; Key identifies the rule and
+ * Default and Tolerance (the rule's tolerance policy, see TolerancePolicy.js) are for reference only.
+ * An "Info" sheet records the brand and rule version exported.
+ *
+ * Percent rules are read as in the rules panel: a percent-formatted cell as it shows (5%), any other
+ * number or text as a whole-number percentage (5 is 5%) unless written with a % sign.
+ *
+ * Imports are validated first (unknown columns or keys, non-numeric values, min > max...) and the
+ * report is shown in the rules panel; only the valid rows are applied, to the selected rule version.
+ */
+
+class RuleWorkbook {
+    constructor() {
+        this.columns = ['Key', 'Group', 'Rule', 'Format', 'Expected', 'Min', 'Max', 'Default', 'Tolerance'];
+        this.pending = {};      // id -> validation report of an import waiting to be applied
+    }
+
+    /**
+     * One row per rule: range rules pair their min and max descriptors
+     * @returns {Array} - [{ key, group, label, format, expected, min, max }] (descriptors)
+     */
+    getRows(entry) {
+        const rows = [];
+        const ranges = {};
+
+        entry.editableRules.forEach(descriptor => {
+            const range = descriptor.path.match(/^(.*)\.(min|max)$/);
+            if (!range) {
+                rows.push({ key: descriptor.path, group: descriptor.group, label: descriptor.label, format: descriptor.format, expected: descriptor });
+                return;
+            }
+
+            if (!ranges[range[1]]) {
+                ranges[range[1]] = {
+                    key: range[1],
+                    group: descriptor.group,
+                    label: descriptor.label.replace(/\s*\((min|max)\)$/, ''),
+                    format: descriptor.format
+                };
+                rows.push(ranges[range[1]]);
+            }
+            ranges[range[1]][range[2]] = descriptor;
+        });
+
+        return rows;
+    }
+
+    /**
+     * Download a processor's rules (selected rule version) as .xlsx
+     */
+    exportRules(id) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry || !entry.editableRules || entry.editableRules.length === 0) return;
+
+        const ro = window.ruleOverrides;
+        const version = ro.describeVersion(entry);
+
+        const rows = this.getRows(entry);
+        const aoa = [this.columns];
+        rows.forEach(row => {
+            const value = descriptor => descriptor ? this.toCellValue(ro.getValue(entry.processor, descriptor.path), descriptor) : '';
+            const defaults = [row.expected, row.min, row.max]
+                .filter(descriptor => descriptor)
+                .map(descriptor => ro.format(ro.getDefault(id, descriptor.path), descriptor));
+
+            aoa.push([
+                row.key,
+                row.group || '',
+                row.label,
+                row.format,
+                value(row.expected),
+                value(row.min),
+                value(row.max),
+                defaults.join(' - '),
+                ro.describeTolerance(row.expected || row.min || row.max)
+            ]);
+        });
+
+        const sheet = XLSX.utils.aoa_to_sheet(aoa);
+        sheet['!cols'] = [{ wch: 40 }, { wch: 24 }, { wch: 36 }, { wch: 10 }, { wch: 28 }, { wch: 10 }, { wch: 10 }, { wch: 28 }, { wch: 44 }];
+
+        // Percentages keep their precision (0.012%) instead of Excel's default 0%
+        rows.forEach((row, index) => {
+            if (row.format !== 'percent') return;
+            ['E', 'F', 'G'].forEach(column => {
+                const cell = sheet[`${column}${index + 2}`];
+                if (cell && typeof cell.v === 'number') {
+                    cell.z = this.percentFormat(cell.v);
+                }
+            });
+        });
+
+        const info = XLSX.utils.aoa_to_sheet([
+            ['Brand ID', entry.id],
+            ['Brand', entry.name],
+            ['Rule version', version.label],
+            ['Exported', new Date().toLocaleString()]
+        ]);
+        info['!cols'] = [{ wch: 14 }, { wch: 40 }];
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, 'Rules');
+        XLSX.utils.book_append_sheet(workbook, info, 'Info');
+
+        const timestamp = new Date().toISOString().slice(0, 10);
+        const season = version.season ? `_${version.season}` : '';
+        XLSX.writeFile(workbook, `${entry.shortName || entry.id}_Rules${season}_${timestamp}.xlsx`);
+    }
+
+    /**
+     * Cell value written for a rule value
+     */
+    toCellValue(value, descriptor) {
+        if (value === undefined || value === null) return '';
+        if (descriptor.format === 'list') return Array.isArray(value) ? value.join(', ') : String(value);
+        if (descriptor.format === 'boolean') return Boolean(value);
+        return value;
+    }
+
+    percentFormat(value) {
+        const decimals = (String(parseFloat((value * 100).toPrecision(12))).split('.')[1] || '').length;
+        return decimals > 0 ? `0.${'0'.repeat(decimals)}%` : '0%';
+    }
+
+    /**
+     * Read an edited rules workbook and show its validation report in the rules panel
+     */
+    async importRules(id, input) {
+        const entry = window.processorRegistry.get(id);
+        const file = input.files && input.files[0];
+        input.value = '';
+        if (!entry || !file) return;
+
+        try {
+            const workbook = await window.workbookReader.read(file);
+            this.pending[id] = this.validate(entry, workbook, file.name);
+        } catch (error) {
+            console.error(`Error importing rules for ${entry.name}:`, error);
+            alert(`Could not read ${file.name}: ${error.message}`);
+            return;
+        }
+
+        window.ruleOverrides.close(id);
+    }
+
+    /**
+     * Check an imported workbook against the processor's editable rules
+     * @returns {Object} - { fileName, fatal, errors: [{ row, message }], changes, values, checked }
+     */
+    validate(entry, workbook, fileName) {
+        const ro = window.ruleOverrides;
+        const report = { fileName, fatal: null, errors: [], changes: [], values: {}, checked: 0 };
+
+        const infoSheet = workbook.Sheets['Info'];
+        if (infoSheet) {
+            const info = XLSX.utils.sheet_to_json(infoSheet, { header: 1, defval: '' });
+            const brandRow = info.find(row => String(row[0]).trim().toLowerCase() === 'brand id');
+            if (brandRow && String(brandRow[1]).trim() && String(brandRow[1]).trim() !== entry.id) {
+                report.fatal = `This workbook holds the rules of another brand (${brandRow[1]}), not ${entry.name}.`;
+                return report;
+            }
+        }
+
+        const sheetName = workbook.SheetNames.find(name => name.trim().toLowerCase() === 'rules') || workbook.SheetNames[0];
+        const data = window.workbookReader.toRows(workbook.Sheets[sheetName], { defval: '' });
+        const header = (data[0] || []).map(cell => String(cell).trim());
+
+        const columnIndex = {};
+        header.forEach((name, index) => {
+            if (!name) return;
+            const column = this.columns.find(known => known.toLowerCase() === name.toLowerCase());
+            if (column) {
+                columnIndex[column] = index;
+            } else {
+                report.errors.push({ row: 1, message: `Unknown column "${name}" - ignored` });
+            }
+        });
+
+        if (columnIndex.Key === undefined) {
+            report.fatal = `Sheet "${sheetName}" has no Key column. Export the rules first and edit that workbook.`;
+            return report;
+        }
+        if (columnIndex.Expected === undefined && columnIndex.Min === undefined && columnIndex.Max === undefined) {
+            report.fatal = `Sheet "${sheetName}" has no Expected, Min or Max column.`;
+            return report;
+        }
+
+        const rowsByKey = {};
+        this.getRows(entry).forEach(row => {
+            rowsByKey[row.key] = row;
+        });
+
+        const seen = new Set();
+        const cell = (row, column) => columnIndex[column] === undefined ? '' : row[columnIndex[column]];
+        const isBlank = value => value === '' || value === null || value === undefined;
+
+        data.slice(1).forEach((row, index) => {
+            const rowNumber = index + 2;
+            if (!row || row.every(isBlank)) return;
+
+            const key = String(cell(row, 'Key')).trim();
+            const rule = rowsByKey[key];
+            if (!key) {
+                report.errors.push({ row: rowNumber, message: 'Key is empty' });
+                return;
+            }
+            if (!rule) {
+                report.errors.push({ row: rowNumber, message: `Unknown rule key "${key}"` });
+                return;
+            }
+            if (seen.has(key)) {
+                report.errors.push({ row: rowNumber, message: `${rule.label} is listed more than once` });
+                return;
+            }
+            seen.add(key);
+
+            const values = {};
+            const errors = [];
+            const read = (descriptor, column) => {
+                const numberFormat = window.workbookReader.numberFormat(row, columnIndex[column]);
+                const result = this.parseCell(cell(row, column), descriptor, `${rule.label} ${column}`, numberFormat);
+                if (result.error) {
+                    errors.push(result.error);
+                } else {
+                    values[descriptor.path] = result.value;
+                }
+            };
+
+            if (rule.expected) {
+                if (!isBlank(cell(row, 'Min')) || !isBlank(cell(row, 'Max'))) {
+                    errors.push(`${rule.label} has no min / max - use the Expected column`);
+                }
+                read(rule.expected, 'Expected');
+            } else {
+                if (!isBlank(cell(row, 'Expected'))) {
+                    errors.push(`${rule.label} is a range - use the Min and Max columns`);
+                }
+                if (rule.min) read(rule.min, 'Min');
+                if (rule.max) read(rule.max, 'Max');
+
+                const min = rule.min && values[rule.min.path];
+                const max = rule.max && values[rule.max.path];
+                if (typeof min === 'number' && typeof max === 'number' && min > max) {
+                    errors.push(`${rule.label} Min (${ro.format(min, rule.min)}) is greater than Max (${ro.format(max, rule.max)})`);
+                }
+            }
+
+            if (errors.length > 0) {
+                errors.forEach(message => report.errors.push({ row: rowNumber, message }));
+                return;
+            }
+
+            report.checked++;
+            Object.keys(values).forEach(path => {
+                const descriptor = rule.expected || (rule.min && rule.min.path === path ? rule.min : rule.max);
+                const current = ro.getValue(entry.processor, path);
+                report.values[path] = values[path];
+
+                if (!ro.isEqual(current, values[path])) {
+                    report.changes.push({
+                        row: rowNumber,
+                        label: descriptor.label,
+                        group: descriptor.group,
+                        from: ro.format(current, descriptor),
+                        to: ro.format(values[path], descriptor)
+                    });
+                }
+            });
+        });
+
+        return report;
+    }
+
+    /**
+     * Parse one imported cell: numbers and booleans typed in Excel are taken as they are, except in
+     * percent rules, where only percent-formatted cells hold fractions (5% is 0.05, a plain 5 is 5% too);
+     * text goes through the editor's parser (so '5%' and '5' are both 5% for a percent rule)
+     * @param {string} [numberFormat] - Number format of the cell ('0.00%')
+     * @returns {Object} - { value } or { error }
+     */
+    parseCell(value, descriptor, label, numberFormat) {
+        if (value === '' || value === null || value === undefined) {
+            return { error: `${label} is empty` };
+        }
+
+        const ro = window.ruleOverrides;
+        const numeric = descriptor.format === 'percent' || descriptor.format === 'number';
+
+        if (numeric) {
+            if (typeof value === 'number') {
+                // Excel stores 5% as 0.05; unformatted numbers are whole percentages, as in the editor
+                const number = descriptor.format === 'percent'
+                    ? window.valueParser.toPercent(value, numberFormat, 'whole')
+                    : value;
+                return { value: parseFloat(number.toPrecision(12)) };
+            }
+
+            if (window.valueParser.toNumber(value) === null) {
+                return { error: `${label} "${value}" is not a number` };
+            }
+        }
+
+        if (descriptor.format === 'boolean') {
+            if (typeof value === 'boolean') return { value };
+
+            const text = String(value).trim().toUpperCase();
+            if (!['TRUE', 'FALSE', 'YES', 'NO'].includes(text)) {
+                return { error: `${label} "${value}" must be TRUE or FALSE` };
+            }
+            return { value: text === 'TRUE' || text === 'YES' };
+        }
+
+        const result = ro.parse(String(value), descriptor);
+        return result.error ? { error: `${label}: ${result.error}` } : result;
+    }
+
+    /**
+     * Apply the valid rows of a pending import to the selected rule version
+     */
+    applyImport(id) {
+        const entry = window.processorRegistry.get(id);
+        const report = this.pending[id];
+        if (!entry || !report) return;
+
+        if (!window.ruleOverrides.update(entry, report.values)) return;
+
+        delete this.pending[id];
+        window.ruleOverrides.refresh(id);
+        console.log(`Imported ${report.changes.length} rule change(s) for ${entry.name} from ${report.fileName}`);
+    }
+
+    cancelImport(id) {
+        delete this.pending[id];
+        window.ruleOverrides.refresh(id);
+    }
+
+    /**
+     * Validation report shown in the rules panel in place of the editor
+     */
+    getReportHTML(entry) {
+        const ro = window.ruleOverrides;
+        const report = this.pending[entry.id];
+        const version = ro.describeVersion(entry);
+        const canApply = !report.fatal && report.changes.length > 0;
+
+        let body;
+        if (report.fatal) {
+            body = `<div class="burton-item-line rule-import-error">${ro.escape(report.fatal)}</div>`;
+        } else {
+            body = `
+                <div class="burton-item-line">
+                    ${report.checked} valid row(s), <strong>${report.changes.length} change(s)</strong>,
+                    ${report.errors.length} problem(s) - applies to <strong>${ro.escape(version.label)}</strong>
+                </div>
+                ${report.changes.map(change => `
+                    <div class="burton-item-line">
+                        Row ${change.row}: ${change.group ? `${ro.escape(change.group)} - ` : ''}${ro.escape(change.label)}:
+                        ${ro.escape(change.from)} → <strong>${ro.escape(change.to)}</strong>
+                    </div>
+                `).join('')}
+                ${report.errors.length > 0 ? `<div class="rule-editor-group">Skipped</div>` : ''}
+                ${report.errors.map(error => `
+                    <div class="burton-item-line rule-import-error">Row ${error.row}: ${ro.escape(error.message)}</div>
+                `).join('')}
+            `;
+        }
+
+        return `
+            <div class="rule-editor-header">
+                <strong>Import ${ro.escape(report.fileName)}</strong>
+            </div>
+            ${body}
+            <div class="rule-editor-actions">
+                ${canApply ? `<button class="rule-editor-btn" onclick="window.ruleWorkbook.applyImport('${entry.id}')">Apply ${report.changes.length} Change(s)</button>` : ''}
+                <button class="rule-editor-btn secondary" onclick="window.ruleWorkbook.cancelImport('${entry.id}')">${canApply ? 'Cancel' : 'Close'}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Export / Import buttons (with the hidden file input) for the rules panel header
+     */
+    getButtonsHTML(id) {
+        return `
+            <button class="rule-editor-btn secondary" onclick="window.ruleWorkbook.exportRules('${id}')">Export</button>
+            <button class="rule-editor-btn secondary" onclick="document.getElementById('ruleImportInput-${id}').click()">Import</button>
+            <input type="file" id="ruleImportInput-${id}" accept=".xlsx,.xls" hidden
+                onchange="window.ruleWorkbook.importRules('${id}', this)">
+        `;
+    }
+}
+
+// Initialize global instance
+window.ruleWorkbook = new RuleWorkbook();
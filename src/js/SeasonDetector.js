@@ -0,0 +1,152 @@
+/**
+ * Season Detector
+ * Finds the season (FW25, SS26...) or costing date a Buyer CBD was made for, so the tab can
+ * pick the matching season rule set (see RuleOverrides.js) before the file is validated.
+ *
+ * Looks for a label cell ("Season", "Season:", "Costing Date"...) and reads the value next to it,
+ * or after the colon in the same cell ("Season: SS26"). A season wins over a date.
+ * Brand detection runs it on the same parse when a Buyer CBD is dropped (see BrandDetector.js).
+ * Season codes are normalised to FW/SS/HO + two-digit year: 'F25', 'AW25', 'Fall 2025' -> 'FW25'.
+ */
+
+class SeasonDetector {
+    constructor() {
+        this.maxRows = 60;      // Season / date cells sit in the header block
+        this.maxOffset = 4;     // Columns to the right of a label searched for its value
+
+        this.seasonLabel = /^(buy(ing)?\s+)?season\b/i;
+        this.dateLabel = /\bdate\b/i;
+        this.otherDates = /deliver|ship|ex[-\s]?fact|due|etd|eta\b|expir|valid/i;
+
+        this.prefixes = {
+            FW: 'FW', AW: 'FW', FA: 'FW', F: 'FW', W: 'FW', FALL: 'FW', AUTUMN: 'FW', WINTER: 'FW',
+            SS: 'SS', SP: 'SS', SU: 'SS', S: 'SS', SPRING: 'SS', SUMMER: 'SS',
+            HO: 'HO', HOLIDAY: 'HO'
+        };
+    }
+
+    /**
+     * Season or date cell of a parsed workbook
+     * @returns {Object|null} - { season, date, sheet, cell, text }; date is 'YYYY-MM-DD'
+     */
+    detect(workbook) {
+        let dateFound = null;
+
+        for (const sheetName of workbook.SheetNames) {
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' })
+                .slice(0, this.maxRows);
+
+            for (let r = 0; r < rows.length; r++) {
+                const row = rows[r] || [];
+                for (let c = 0; c < row.length; c++) {
+                    const label = String(row[c]).trim();
+                    if (!label || label.length > 40) continue;
+
+                    if (this.seasonLabel.test(label)) {
+                        const found = this.findValue(row, r, c, value => this.parseSeason(value));
+                        if (found) {
+                            return { season: found.parsed, date: null, sheet: sheetName, cell: found.cell, text: found.text };
+                        }
+                    } else if (!dateFound && this.dateLabel.test(label) && !this.otherDates.test(label)) {
+                        const found = this.findValue(row, r, c, value => this.parseDate(value));
+                        if (found) {
+                            dateFound = { season: null, date: found.parsed, sheet: sheetName, cell: found.cell, text: found.text };
+                        }
+                    }
+                }
+            }
+        }
+
+        return dateFound;
+    }
+
+    /**
+     * Value of a label: after its colon in the same cell, else the first cell to its right that parses
+     */
+    findValue(row, r, c, parse) {
+        const label = String(row[c]);
+        const colon = label.indexOf(':');
+        if (colon !== -1) {
+            const inline = label.slice(colon + 1).trim();
+            const parsed = inline ? parse(inline) : null;
+            if (parsed) return { parsed, cell: XLSX.utils.encode_cell({ r, c }), text: inline };
+        }
+
+        for (let offset = 1; offset <= this.maxOffset && c + offset < row.length; offset++) {
+            const value = row[c + offset];
+            if (value === '' || value === null || value === undefined) continue;
+
+            const parsed = parse(value);
+            if (parsed) return { parsed, cell: XLSX.utils.encode_cell({ r, c: c + offset }), text: String(value).trim() };
+            break;
+        }
+
+        return null;
+    }
+
+    /**
+     * Normalise a season name: 'FW25', 'F25', 'AW 2025', "Fall '25", 'SS26', 'Spring/Summer 2026'
+     * @returns {string|null} - e.g. 'FW25'
+     */
+    parseSeason(value) {
+        const text = String(value).trim().toUpperCase()
+            .replace(/SPRING\s*\/\s*SUMMER|SPRING\s+SUMMER/, 'SS')
+            .replace(/(FALL|AUTUMN)\s*\/\s*WINTER|(FALL|AUTUMN)\s+WINTER/, 'FW');
+
+        const match = text.match(/\b(FW|AW|FA|SS|SP|SU|HO|FALL|AUTUMN|WINTER|SPRING|SUMMER|HOLIDAY|F|S|W)\s*[-'’]?\s*(\d{4}|\d{2})\b/);
+        if (!match) return null;
+
+        return this.prefixes[match[1]] + match[2].slice(-2);
+    }
+
+    /**
+     * Date cell value (Excel serial, Date or text) as 'YYYY-MM-DD'
+     */
+    parseDate(value) {
+        if (value instanceof Date) {
+            return isNaN(value) ? null : value.toISOString().slice(0, 10);
+        }
+
+        if (typeof value === 'number') {
+            // Plausible Excel serials only (2000 - 2099)
+            if (value < 36526 || value > 73051) return null;
+            const parts = XLSX.SSF.parse_date_code(value);
+            return parts ? this.toISODate(parts.y, parts.m, parts.d) : null;
+        }
+
+        const text = String(value).trim();
+        let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+        if (match) return this.toISODate(+match[1], +match[2], +match[3]);
+
+        // Day first, as the factories write it (15/03/2025, 15.03.25)
+        match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/);
+        if (match) {
+            const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+            return this.toISODate(year, +match[2], +match[1]);
+        }
+
+        // 15-Mar-2025, Mar 15 2025...
+        if (/[a-z]{3}/i.test(text) && /\d{4}/.test(text)) {
+            const parsed = new Date(text.replace(/-/g, ' '));
+            if (!isNaN(parsed)) return this.toISODate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+        }
+
+        return null;
+    }
+
+    toISODate(year, month, day) {
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Short text for a detection: 'FW25 (Sheet1!C4)'
+     */
+    describe(detection) {
+        const value = detection.season || detection.date;
+        return `${value} (${detection.sheet}!${detection.cell})`;
+    }
+}
+
+// Initialize global instance (must load before the brand detector)
+window.seasonDetector = new SeasonDetector();
@@ -0,0 +1,275 @@
+/**
+ * Section Scanner
+ * Runs declarative "walk the rows from a section header to its subtotal and check a column" rules,
+ * e.g. every wastage cell between "FABRICS" and "TOTAL FABRIC COST" must be 5%.
+ * Marker matching and value checks are shared with the rule engine (see RuleEngine.js).
+ *
+ * Section (plain JSON):
+ * {
+ *   name: 'Fabrics',
+ *   start: { column: 'A', marker: 'fabrics', match: 'exact' },     // optional - without it the scan starts at `from`
+ *   includeStart: false,                                          // check the start row itself
+ *   end: { column: 'H', marker: 'subtotal', match: 'contains' },   // first matching row after the start closes the section
+ *   requireEnd: false,                                            // a section without its end row counts as not found
+ *   labelColumn: 'A',                                             // item name reported for each row (column or list of columns)
+ *   valueColumn: 'G',                                             // value checked on every row, with comparator/expected/min/max/
+ *   comparator: 'exact', expected: 0.05, percent: true,           // percent/percentUnit/tolerance as in a rule engine rule
+ *   skipBlank: 'value',                                           // value: skip rows with an empty value cell | row: only rows where label and value are empty
+ *   skipNonNumeric: false,                                        // skip rows whose value is not a number (notes, headers)
+ *   skipRows: [{ column: 'B', marker: 'sewing thread', match: 'contains' }],
+ *   overrides: [{                                                 // per-item rules, matched like markers
+ *       name: 'Sewing Thread', column: 'B', marker: 'sewing thread', match: 'contains',
+ *       skipValue: true,                                          // leave the section value check to `checks`
+ *       expected: 0.03,                                           // or replace the expectation for this row
+ *       checks: [{ name: 'Unit Price', valueColumn: 'J', comparator: 'exact', expected: 0.00949 }]
+ *   }]
+ * }
+ *
+ * Rows hidden in the workbook are skipped when the user excludes them (see WorkbookHygiene.js);
+ * section bounds are still found on every row.
+ *
+ * Marker specs take the rule engine's marker options (marker, match, exclude); `column` may be a
+ * list of columns whose text is joined with a space ('A. FABRICS' split over columns A and B).
+ */
+
+class SectionScanner {
+    /**
+     * Scan the first occurrence of a section
+     * @param {Array} jsonData - rows from sheet_to_json with header: 1
+     * @param {Object} section - section definition
+     * @param {number} from - 0-based row to start looking for the section
+     * @returns {Object} - { section, found, startRowIndex, endRowIndex, startRow, endRow, rows, overrideRows, isValid }
+     *                     rows: { rowIndex, rowNumber, label, cell, raw, text, value, expected, status, isValid, tolerance, override }
+     *                     overrideRows: { override, rowIndex, rowNumber, label, checks, isValid }
+     */
+    scan(jsonData, section, from = 0) {
+        const bounds = this.findBounds(jsonData, section, from);
+
+        if (!bounds.found) {
+            return {
+                section: section,
+                found: false,
+                startRowIndex: -1,
+                endRowIndex: -1,
+                startRow: -1,
+                endRow: -1,
+                rows: [],
+                overrideRows: [],
+                isValid: false
+            };
+        }
+
+        const rows = [];
+        const overrideRows = [];
+        let first = from;
+        if (bounds.startRowIndex !== -1) {
+            first = section.includeStart ? bounds.startRowIndex : bounds.startRowIndex + 1;
+        }
+        const last = bounds.endRowIndex === -1 ? jsonData.length : bounds.endRowIndex;
+
+        for (let i = first; i < last; i++) {
+            const row = jsonData[i];
+            if (!row || window.workbookHygiene.skipsRow(jsonData, i)) continue;
+
+            if ((section.skipRows || []).some(spec => this.matches(row, spec))) continue;
+
+            const override = (section.overrides || []).find(spec => this.matches(row, spec)) || null;
+            if (override && override.checks) {
+                overrideRows.push(this.checkOverride(row, i, section, override));
+            }
+            if (override && override.skipValue) continue;
+
+            const result = this.checkRow(row, i, section, override);
+            if (result) rows.push(result);
+        }
+
+        return {
+            section: section,
+            found: true,
+            startRowIndex: bounds.startRowIndex,
+            endRowIndex: bounds.endRowIndex,
+            startRow: bounds.startRowIndex === -1 ? -1 : bounds.startRowIndex + 1,
+            endRow: bounds.endRowIndex === -1 ? -1 : bounds.endRowIndex + 1,
+            rows: rows,
+            overrideRows: overrideRows,
+            isValid: rows.every(r => r.isValid) && overrideRows.every(r => r.isValid)
+        };
+    }
+
+    /**
+     * Scan every occurrence of a section, each search resuming at the previous end row
+     */
+    scanAll(jsonData, section) {
+        const results = [];
+        let from = 0;
+
+        while (from < jsonData.length) {
+            const result = this.scan(jsonData, section, from);
+            if (!result.found) break;
+
+            results.push(result);
+            if (result.endRowIndex === -1) break;
+            from = Math.max(result.endRowIndex, result.startRowIndex + 1);
+        }
+
+        return results;
+    }
+
+    /**
+     * Scan sections that follow each other in the sheet; each one is looked for after the previous
+     * section's end row so a repeated header cannot pull an earlier block into a later section
+     */
+    scanInOrder(jsonData, sections) {
+        let from = 0;
+
+        return sections.map(section => {
+            const result = this.scan(jsonData, section, from);
+            if (result.found && result.endRowIndex !== -1) {
+                from = result.endRowIndex + 1;
+            }
+            return result;
+        });
+    }
+
+    /**
+     * 0-based start and end rows of a section (-1 when there is no start marker / no end row)
+     */
+    findBounds(jsonData, section, from) {
+        let startRowIndex = -1;
+
+        if (section.start) {
+            for (let i = from; i < jsonData.length; i++) {
+                if (jsonData[i] && this.matches(jsonData[i], section.start)) {
+                    startRowIndex = i;
+                    break;
+                }
+            }
+            if (startRowIndex === -1) return { found: false };
+        }
+
+        let endRowIndex = -1;
+        if (section.end) {
+            const searchFrom = startRowIndex === -1 ? from : startRowIndex + 1;
+            for (let i = searchFrom; i < jsonData.length; i++) {
+                if (jsonData[i] && this.matches(jsonData[i], section.end)) {
+                    endRowIndex = i;
+                    break;
+                }
+            }
+        }
+
+        if (endRowIndex === -1 && (section.requireEnd || !section.start)) {
+            return { found: false };
+        }
+
+        return { found: true, startRowIndex, endRowIndex };
+    }
+
+    /**
+     * Check the section value on one row; null when the row is skipped
+     */
+    checkRow(row, rowIndex, section, override) {
+        const engine = window.ruleEngine;
+        const valueCol = engine.toColumnIndex(section.valueColumn);
+        const raw = row[valueCol];
+        const text = engine.toText(raw);
+        const label = this.cellText(row, section.labelColumn || 'A');
+
+        if (section.skipBlank === 'row') {
+            if (!text && !label) return null;
+        } else if (!text) {
+            return null;
+        }
+
+        const rule = override ? { ...section, ...this.valueOverrides(override) } : section;
+        const check = engine.checkValue(raw, rule, window.workbookReader.numberFormat(row, valueCol));
+
+        if (section.skipNonNumeric && engine.isNumericRule(rule) && check.value === null && text) {
+            return null;
+        }
+
+        return {
+            rowIndex: rowIndex,
+            rowNumber: rowIndex + 1,
+            label: label,
+            cell: engine.address(rowIndex, valueCol),
+            raw: raw === undefined ? null : raw,
+            text: text,
+            value: check.value,
+            expected: rule.comparator === 'range' ? { min: rule.min, max: rule.max } : rule.expected,
+            status: check.status,
+            isValid: check.isValid,
+            tolerance: engine.describeTolerance(rule),
+            override: override
+        };
+    }
+
+    /**
+     * Run an override's extra column checks on its row
+     */
+    checkOverride(row, rowIndex, section, override) {
+        const engine = window.ruleEngine;
+
+        const checks = override.checks.map(check => {
+            const valueCol = engine.toColumnIndex(check.valueColumn);
+            const raw = row[valueCol];
+            const result = engine.checkValue(raw, check, window.workbookReader.numberFormat(row, valueCol));
+
+            return {
+                name: check.name,
+                rule: check,
+                cell: engine.address(rowIndex, valueCol),
+                raw: raw === undefined ? null : raw,
+                text: engine.toText(raw),
+                value: result.value,
+                status: result.status,
+                isValid: result.isValid,
+                tolerance: engine.describeTolerance(check)
+            };
+        });
+
+        return {
+            override: override,
+            rowIndex: rowIndex,
+            rowNumber: rowIndex + 1,
+            label: this.cellText(row, override.column),
+            checks: checks,
+            isValid: checks.every(c => c.isValid)
+        };
+    }
+
+    /**
+     * Value rule fields an override replaces (everything but its own matching options)
+     */
+    valueOverrides(override) {
+        const fields = ['comparator', 'expected', 'min', 'max', 'percent', 'percentUnit', 'tolerance', 'caseSensitive'];
+        const result = {};
+        fields.forEach(field => {
+            if (override[field] !== undefined) result[field] = override[field];
+        });
+        return result;
+    }
+
+    /**
+     * Does a row match a marker spec ({ column, marker, match, exclude })
+     */
+    matches(row, spec) {
+        return window.ruleEngine.matchesMarker(this.cellText(row, spec.column), spec);
+    }
+
+    /**
+     * Trimmed text of a cell, or of several cells joined with a space
+     */
+    cellText(row, column) {
+        const engine = window.ruleEngine;
+        const columns = Array.isArray(column) ? column : [column];
+
+        return columns
+            .map(col => engine.toText(row[engine.toColumnIndex(col)]))
+            .join(' ')
+            .trim();
+    }
+}
+
+// Initialize global instance (must load before the processor scripts)
+window.sectionScanner = new SectionScanner();
@@ -0,0 +1,136 @@
+/**
+ * Sheet Selection
+ * Which sheet of an uploaded Buyer CBD gets validated. Each brand has a default (sheetStrategy on its
+ * registry entry): the first sheet, the last sheet, every sheet, or a sheet found by name. Multi-colorway
+ * CBDs keep one sheet per colorway, so every upload gets a picker in the file list to validate another
+ * sheet, or all of them.
+ *
+ * Picks are kept per File object for the session. A picked sheet reaches the processor as a sheet
+ * file (see WorkbookReader.sheetFile): its workbook holds only that sheet, so the processor's own
+ * first / last / every sheet logic lands on it. "All sheets" runs one sheet file per sheet, named
+ * "file.xlsx › Sheet", so the results are grouped by sheet.
+ *
+ * sheetStrategy: 'first' (default), 'last', 'all' or { name: 'Blank Cost Sheet' }
+ */
+
+class SheetSelection {
+    constructor() {
+        this.allSheets = '*';
+        this.choices = new WeakMap();   // File → sheet name or '*'
+    }
+
+    get(file) {
+        return this.choices.get(file) || '';
+    }
+
+    /**
+     * Pick a sheet for an upload ('' for the brand default, '*' for all sheets)
+     */
+    set(file, choice) {
+        if (choice) {
+            this.choices.set(file, choice);
+        } else {
+            this.choices.delete(file);
+        }
+    }
+
+    /**
+     * Sheets a brand validates by default
+     * @returns {Array} - sheet names; empty when a sheet looked up by name is missing
+     */
+    defaultSheets(entry, sheetNames) {
+        const strategy = entry.sheetStrategy || 'first';
+
+        if (strategy === 'all') return sheetNames.slice();
+        if (strategy === 'last') return sheetNames.slice(-1);
+        if (strategy.name) {
+            const wanted = strategy.name.trim().toLowerCase();
+            return sheetNames.filter(name => name.trim().toLowerCase() === wanted).slice(0, 1);
+        }
+        return sheetNames.slice(0, 1);
+    }
+
+    /**
+     * Label of the brand default option: 'Cost Sheet (brand default)'
+     */
+    describeDefault(entry, sheetNames) {
+        if (entry.routesByBrand) return 'Template default';
+
+        const strategy = entry.sheetStrategy || 'first';
+        if (strategy === 'all') return 'All sheets (brand default)';
+
+        const sheets = this.defaultSheets(entry, sheetNames);
+        if (sheets.length === 0) return `${strategy.name} (brand default - not in this file)`;
+        return `${sheets[0]} (brand default)`;
+    }
+
+    /**
+     * Sheet picker of an upload; nothing is rendered for single-sheet workbooks
+     * @param {HTMLElement} container - file item content the picker is appended to
+     * @param {Object} entry - registry entry of the tab
+     * @param {File} file - uploaded Buyer CBD
+     * @param {Array} sheetNames - sheets of the workbook
+     */
+    renderPicker(container, entry, file, sheetNames) {
+        if (!sheetNames || sheetNames.length < 2) return;
+
+        const defaults = entry.routesByBrand ? [] : this.defaultSheets(entry, sheetNames);
+        const byDefault = (entry.sheetStrategy || 'first') === 'all' && !entry.routesByBrand;
+
+        const select = document.createElement('select');
+        select.className = 'file-item-sheet';
+        select.title = 'Sheet to validate';
+        select.add(new Option(this.describeDefault(entry, sheetNames), ''));
+
+        sheetNames
+            .filter(name => byDefault || !defaults.includes(name))
+            .forEach(name => select.add(new Option(name, name)));
+        if (!byDefault) {
+            select.add(new Option('All sheets', this.allSheets));
+        }
+
+        select.value = this.get(file);
+        select.addEventListener('click', e => e.stopPropagation());
+        select.addEventListener('change', () => this.set(file, select.value));
+
+        container.appendChild(select);
+    }
+
+    /**
+     * Files to hand to a processor: uploads on their default as they are, picked sheets as sheet files
+     * @returns {Promise<Array>}
+     */
+    async expand(files) {
+        const reader = window.workbookReader;
+        const expanded = [];
+
+        for (const file of files) {
+            const choice = this.get(file);
+
+            if (!choice) {
+                expanded.push(file);
+            } else if (choice !== this.allSheets) {
+                expanded.push(reader.sheetFile(file, choice));
+            } else {
+                let workbook;
+                try {
+                    workbook = await reader.read(file);
+                } catch (error) {
+                    if (reader.isCancelError(error)) throw error;
+                    // The processor reports the unreadable file itself
+                    expanded.push(file);
+                    continue;
+                }
+
+                workbook.SheetNames.forEach(sheetName => {
+                    expanded.push(reader.sheetFile(file, sheetName, `${file.name} › ${sheetName}`));
+                });
+            }
+        }
+
+        return expanded;
+    }
+}
+
+// Initialize global instance (used by the file lists and the registry)
+window.sheetSelection = new SheetSelection();
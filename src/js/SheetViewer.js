@@ -0,0 +1,334 @@
+/**
+ * Sheet Viewer
+ * Cell provenance for the results: every cell address (H37) or row reference (Row 14) a result shows
+ * becomes a link that opens a read-only grid of the uploaded sheet, rendered from the workbook the
+ * run parsed, scrolled to the cell with the rules checked there shown alongside.
+ *
+ * Links are found in the rendered results rather than built by each processor: an address becomes a
+ * link when a result record of the run (see StructuredResults.js) points at it. The file (and sheet,
+ * for processors that validate several) is the one named by the nearest results block around it.
+ *
+ * Besides the cell, the viewer highlights its section range: the rows spanned by the other cells
+ * checked under the same rule id (e.g. FOX's FABRIC / UPPER / SHELL wastage cells).
+ */
+
+class SheetViewer {
+    constructor() {
+        this.maxRows = 1000;        // Rows rendered below the focused cell's block
+        this.maxColumns = 52;       // Columns A:AZ
+        this.overlay = null;
+        this.cellPattern = /\b(?:Row\s+(\d+)|([A-Z]{1,3}[1-9]\d{0,6}))\b/g;
+    }
+
+    /**
+     * Keep the parsed workbooks of a run for the viewer (read from the batch cache)
+     * @returns {Promise<Map>} - file name → workbook
+     */
+    async collect(files) {
+        const workbooks = new Map();
+
+        for (const file of files || []) {
+            try {
+                workbooks.set(file.name, await window.workbookReader.read(file));
+            } catch (error) {
+                if (window.workbookReader.isCancelError(error)) throw error;
+                // Unreadable files have no cells to show
+            }
+        }
+
+        return workbooks;
+    }
+
+    /**
+     * Turn the cell and row references in a tab's rendered results into viewer links
+     */
+    linkResults(container, entry) {
+        const records = (entry.results || []).filter(record => record.cell && record.sheet);
+        if (records.length === 0 || !entry.workbooks) return;
+
+        const fileNames = [...new Set(records.map(record => record.file))];
+        const texts = new WeakMap();
+        const textOf = element => {
+            if (!texts.has(element)) texts.set(element, element.textContent);
+            return texts.get(element);
+        };
+
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement.closest('a, button, select, script, style, .cell-link, .export-actions')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            const text = node.nodeValue;
+            this.cellPattern.lastIndex = 0;
+            if (!this.cellPattern.test(text)) return;
+
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            let linked = false;
+
+            text.replace(this.cellPattern, (match, row, cell, offset) => {
+                const target = this.resolve(node.parentElement, records, fileNames, row ? { row: parseInt(row, 10) } : { cell }, textOf);
+                if (!target) return match;
+
+                fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+                fragment.appendChild(this.createLink(match, entry.id, target));
+                last = offset + match.length;
+                linked = true;
+                return match;
+            });
+
+            if (!linked) return;
+            fragment.appendChild(document.createTextNode(text.slice(last)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+    }
+
+    /**
+     * File, sheet and cell a reference points at, or null when no record of the run is there
+     */
+    resolve(element, records, fileNames, ref, textOf) {
+        const at = record => ref.cell
+            ? record.cell === ref.cell
+            : XLSX.utils.decode_cell(record.cell).r + 1 === ref.row;
+
+        const matching = records.filter(at);
+        if (matching.length === 0) return null;
+
+        const file = this.nearest(element, [...new Set(matching.map(record => record.file))], fileNames, textOf);
+        if (!file) return null;
+
+        const inFile = matching.filter(record => record.file === file);
+        const sheets = [...new Set(inFile.map(record => record.sheet))];
+        const sheet = this.nearest(element, sheets, sheets, textOf) || sheets[0];
+
+        return {
+            file: file,
+            sheet: sheet,
+            cell: ref.cell || inFile.find(record => record.sheet === sheet).cell,
+            row: ref.row || null
+        };
+    }
+
+    /**
+     * The candidate named by the closest ancestor that names exactly one of `names`
+     * (a single candidate needs no naming; null when the block names another)
+     */
+    nearest(element, candidates, names, textOf) {
+        const longestFirst = names.slice().sort((a, b) => b.length - a.length);
+
+        for (let node = element; node; node = node.parentElement) {
+            const text = textOf(node);
+            const named = [];
+            longestFirst.forEach(name => {
+                if (text.includes(name) && !named.some(other => other.includes(name))) named.push(name);
+            });
+
+            if (named.length === 1) return candidates.includes(named[0]) ? named[0] : null;
+            if (named.length > 1) break;
+        }
+
+        return candidates.length === 1 ? candidates[0] : null;
+    }
+
+    createLink(text, id, target) {
+        const link = document.createElement('span');
+        link.className = 'cell-link';
+        link.textContent = text;
+        link.dataset.file = target.file;
+        link.dataset.sheet = target.sheet;
+        link.dataset.cell = target.cell;
+        link.title = `Show ${target.row ? `row ${target.row}` : target.cell} in ${target.sheet}`;
+        link.onclick = (e) => {
+            e.stopPropagation();
+            this.open(id, target.file, target.sheet, target.cell, target.row);
+        };
+        return link;
+    }
+
+    /**
+     * Show a cell (or a row) of a file from a tab's last run
+     */
+    open(id, fileName, sheetName, cell, row = null) {
+        const entry = window.processorRegistry.get(id);
+        const workbook = entry && entry.workbooks ? entry.workbooks.get(fileName) : null;
+        const sheet = workbook ? workbook.Sheets[sheetName] : null;
+
+        if (!sheet) {
+            alert(`${fileName} is no longer loaded. Please generate results again.`);
+            return;
+        }
+
+        const focus = XLSX.utils.decode_cell(cell);
+        const records = entry.results.filter(record => record.file === fileName && record.sheet === sheetName && record.cell);
+        const checked = records.filter(record => row
+            ? XLSX.utils.decode_cell(record.cell).r === focus.r
+            : record.cell === cell);
+        const section = this.sectionOf(checked, records);
+
+        this.show(`
+            <div class="sheet-viewer-header">
+                <div class="sheet-viewer-title">${this.escape(fileName)} › ${this.escape(sheetName)} › <strong>${row ? `Row ${row}` : cell}</strong></div>
+                <button class="sheet-viewer-close" title="Close" onclick="window.sheetViewer.close()">✕</button>
+            </div>
+            <div class="sheet-viewer-body">
+                <div class="sheet-viewer-grid">${this.renderGrid(sheet, focus, row !== null, section)}</div>
+                <div class="sheet-viewer-rules">${this.renderRules(checked, section)}</div>
+            </div>
+        `);
+
+        const target = this.overlay.querySelector('.sheet-viewer-focus');
+        if (target && typeof target.scrollIntoView === 'function') {
+            target.scrollIntoView({ block: 'center', inline: 'center' });
+        }
+    }
+
+    /**
+     * Rows and cells checked under the same rule id as the focused cell (null for single-cell rules)
+     */
+    sectionOf(checked, records) {
+        const primary = checked.find(record => !window.formulaCheck.isFormulaRecord(record));
+        if (!primary) return null;
+
+        const cells = records
+            .filter(record => record.ruleId === primary.ruleId)
+            .map(record => record.cell);
+        if (cells.length < 2) return null;
+
+        const rows = cells.map(address => XLSX.utils.decode_cell(address).r);
+        const first = Math.min(...rows);
+        const last = Math.max(...rows);
+        return {
+            cells: new Set(cells),
+            first: first,
+            last: last,
+            range: `${cells.find(address => XLSX.utils.decode_cell(address).r === first)}:${cells.find(address => XLSX.utils.decode_cell(address).r === last)}`
+        };
+    }
+
+    /**
+     * Read-only grid of a sheet's used range, merged cells spanned, hidden rows and columns dimmed
+     */
+    renderGrid(sheet, focus, wholeRow, section) {
+        const used = XLSX.utils.decode_range(sheet['!ref'] || 'A1');
+        const lastRow = Math.min(used.e.r, Math.max(focus.r, section ? section.last : 0) + this.maxRows);
+        const lastCol = Math.min(Math.max(used.e.c, focus.c), this.maxColumns - 1);
+
+        const spans = new Map();
+        const covered = new Set();
+        (sheet['!merges'] || []).forEach(merge => {
+            spans.set(`${merge.s.r},${merge.s.c}`, { rows: merge.e.r - merge.s.r + 1, cols: merge.e.c - merge.s.c + 1 });
+            for (let r = merge.s.r; r <= merge.e.r; r++) {
+                for (let c = merge.s.c; c <= merge.e.c; c++) {
+                    if (r !== merge.s.r || c !== merge.s.c) covered.add(`${r},${c}`);
+                }
+            }
+        });
+
+        const hiddenRow = r => !!(sheet['!rows'] && sheet['!rows'][r] && sheet['!rows'][r].hidden);
+        const hiddenCol = c => !!(sheet['!cols'] && sheet['!cols'][c] && sheet['!cols'][c].hidden);
+
+        let header = '<th class="sheet-viewer-corner"></th>';
+        for (let c = 0; c <= lastCol; c++) {
+            header += `<th class="${hiddenCol(c) ? 'sheet-viewer-hidden' : ''}">${XLSX.utils.encode_col(c)}</th>`;
+        }
+
+        let body = '';
+        for (let r = 0; r <= lastRow; r++) {
+            const inSection = section && r >= section.first && r <= section.last;
+            const rowClasses = [
+                hiddenRow(r) ? 'sheet-viewer-hidden' : '',
+                inSection ? 'sheet-viewer-section' : '',
+                wholeRow && r === focus.r ? 'sheet-viewer-row' : ''
+            ].filter(Boolean).join(' ');
+
+            body += `<tr class="${rowClasses}"><th>${r + 1}</th>`;
+            for (let c = 0; c <= lastCol; c++) {
+                const key = `${r},${c}`;
+                if (covered.has(key)) continue;
+
+                const address = XLSX.utils.encode_cell({ r, c });
+                const cell = sheet[address];
+                const span = spans.get(key);
+                const classes = [
+                    hiddenCol(c) ? 'sheet-viewer-hidden' : '',
+                    section && section.cells.has(address) ? 'sheet-viewer-checked' : '',
+                    r === focus.r && c === focus.c ? 'sheet-viewer-focus' : ''
+                ].filter(Boolean).join(' ');
+
+                body += `<td class="${classes}"${span ? ` rowspan="${span.rows}" colspan="${span.cols}"` : ''}${cell && cell.f ? ` title="=${this.escape(cell.f)}"` : ''}>${cell ? this.escape(this.cellText(cell)) : ''}</td>`;
+            }
+            body += '</tr>';
+        }
+
+        return `<table class="sheet-viewer-table"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+
+    /**
+     * Rules checked at the focused cell or row, and the section range
+     */
+    renderRules(checked, section) {
+        const items = checked.map(record => `
+            <div class="sheet-viewer-rule">
+                <div><span class="sheet-viewer-status ${record.status.toLowerCase()}">${record.status}</span> <strong>${record.cell}</strong></div>
+                <div class="sheet-viewer-rule-text">${this.escape(record.rule)}</div>
+                <div><strong>Expected:</strong> ${this.escape(this.valueText(record.expected))}</div>
+                <div><strong>Found:</strong> ${this.escape(this.valueText(record.actual))}</div>
+                ${record.tolerance ? `<div><strong>Tolerance:</strong> ${this.escape(record.tolerance)}</div>` : ''}
+            </div>
+        `).join('');
+
+        const range = section
+            ? `<div class="sheet-viewer-range"><strong>Section range:</strong> ${section.range} (${section.cells.size} checked cells under the same rule)</div>`
+            : '';
+
+        return `<h4>Rules checked here</h4>${items}${range}`;
+    }
+
+    cellText(cell) {
+        if (cell.w !== undefined) return cell.w;
+        return cell.v === undefined ? '' : String(cell.v);
+    }
+
+    valueText(value) {
+        return value === null || value === undefined ? '-' : String(value);
+    }
+
+    show(html) {
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'sheet-viewer-overlay';
+            this.overlay.addEventListener('click', (e) => {
+                if (e.target === this.overlay) this.close();
+            });
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.close();
+            });
+            document.body.appendChild(this.overlay);
+        }
+
+        this.overlay.innerHTML = `<div class="sheet-viewer">${html}</div>`;
+        this.overlay.classList.add('open');
+    }
+
+    close() {
+        if (this.overlay) {
+            this.overlay.classList.remove('open');
+            this.overlay.innerHTML = '';
+        }
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize global instance (run by the registry and main.js after each processor run)
+window.sheetViewer = new SheetViewer();
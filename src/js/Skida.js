@@ -13,6 +13,19 @@ class SkidaProcessor {
     constructor() {
         this.csvData = [];
         this.validationItems = [];
+
+        // Skida_CostBreakdown.csv layout (see ReferenceCSV.js)
+        this.referenceLoad = null;
+        this.referenceSchema = {
+            file: 'Skida_CostBreakdown.csv',
+            key: ['category', 'description'],
+            columns: [
+                { key: 'category', name: 'Category', type: 'text' },
+                { key: 'description', name: 'Description', type: 'text' },
+                { key: 'unitCost', name: 'Unit Cost', type: 'currency', min: 0 },
+                { key: 'quantity', name: 'Quantity', type: 'number', min: 0 }
+            ]
+        };
     }
 
     async initialize() {
@@ -22,8 +35,8 @@ class SkidaProcessor {
 
     async loadCSVData() {
         try {
-            const response = await fetch('assets/data/Skida_Costbreakdown.csv');
-            const csvText = await response.text();
+            // Uploaded replacement if there is one, else assets/data/Skida_CostBreakdown.csv
+            const csvText = await window.referenceCSV.getText(this.referenceSchema);
             this.parseCSV(csvText);
             console.log('Skida CSV data loaded:', this.validationItems);
         } catch (error) {
@@ -31,52 +44,24 @@ class SkidaProcessor {
         }
     }
 
-    parseCSV(csvText) {
-        const lines = csvText.trim().split('\n');
-        this.validationItems = [];
-
-        for (const line of lines) {
-            if (!line.trim()) continue;
-
-            // Parse CSV line (handling potential commas in values)
-            const values = this.parseCSVLine(line);
-
-            if (values.length >= 4) {
-                const category = values[0].trim();
-                const description = values[1].trim();
-                const unitCost = values[2].trim();
-                const quantity = values[3].trim();
-
-                this.validationItems.push({
-                    category: category,
-                    description: description,
-                    unitCost: unitCost,
-                    quantity: quantity,
-                    // For "Other" category, we need to check Column B for the specific type
-                    matchKey: category === 'Other' ? description : category
-                });
-            }
-        }
+    /**
+     * Parse reference CSV text and display it in the OB drop zone
+     */
+    loadReference(csvText) {
+        this.parseCSV(csvText);
+        this.displayValidationRules();
     }
 
-    parseCSVLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current);
-        return values;
+    parseCSV(csvText) {
+        this.referenceLoad = window.referenceCSV.parse(csvText, this.referenceSchema);
+        this.validationItems = this.referenceLoad.rows.map(row => ({
+            category: row.category,
+            description: row.description,
+            unitCost: row.unitCost,
+            quantity: row.quantity,
+            // For "Other" category, we need to check Column B for the specific type
+            matchKey: row.category === 'Other' ? row.description : row.category
+        }));
     }
 
     displayValidationRules() {
@@ -86,6 +71,7 @@ class SkidaProcessor {
         let html = `
             <div class="burton-cost-container">
                 <div class="burton-cost-items">
+                    ${window.referenceCSV.getPanelHTML('v11', this.referenceLoad)}
         `;
 
         // Display each item from the CSV
@@ -132,31 +118,19 @@ class SkidaProcessor {
     }
 
     async processFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-                    const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-                    const jsonData = XLSX.utils.sheet_to_json(firstSheet, { header: 1 });
-
-                    const validationResults = this.validateData(jsonData);
-
-                    resolve({
-                        fileName: file.name,
-                        items: validationResults,
-                        error: null
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
+        const jsonData = window.workbookReader.toRows(firstSheet);
+
+        const validationResults = this.validateData(jsonData);
+
+        return {
+            fileName: file.name,
+            sheetName: workbook.SheetNames[0],
+            items: validationResults,
+            error: null
+        };
     }
 
     validateData(jsonData) {
@@ -273,14 +247,12 @@ class SkidaProcessor {
         // Normalize values for comparison
         const normalizeValue = (val) => {
             if (val === '-') return '-';
-            // Remove $ and whitespace, convert to lowercase
-            let normalized = String(val).replace(/\$/g, '').trim().toLowerCase();
-            // Try to parse as number for numeric comparison
-            const num = parseFloat(normalized);
-            if (!isNaN(num)) {
+            // Numbers ($2.35, 2.35) compare to 2 decimals, text ignores case
+            const num = window.valueParser.toNumber(val);
+            if (num !== null) {
                 return num.toFixed(2);
             }
-            return normalized;
+            return String(val).trim().toLowerCase();
         };
 
         const normalizedActual = normalizeValue(actualStr);
@@ -298,6 +270,54 @@ class SkidaProcessor {
         };
     }
 
+    /**
+     * Results in the common structured schema (see StructuredResults.js)
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+
+        (this.fileResults || []).forEach(fileResult => {
+            if (fileResult.error) {
+                records.push(sr.errorRecord(fileResult.fileName, 'skida', fileResult.error));
+                return;
+            }
+
+            const base = { file: fileResult.fileName, sheet: fileResult.sheetName };
+
+            fileResult.items.forEach(item => {
+                const { category, description } = item.validationItem;
+                const itemName = category === 'Other' ? `${category} - ${description}` : category;
+
+                if (!item.found) {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('skida', itemName),
+                        rule: `${itemName} is listed (column A)`,
+                        expected: 'Listed',
+                        actual: 'Not found',
+                        status: 'INVALID'
+                    }));
+                    return;
+                }
+
+                item.checks.forEach(check => {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('skida', itemName, check.label),
+                        rule: `${itemName} ${check.label} matches the Skida cost breakdown`,
+                        cell: check.cellAddress,
+                        expected: check.expected,
+                        actual: check.actual,
+                        status: check.isValid
+                    }));
+                });
+            });
+        });
+
+        return records;
+    }
+
     generateResultsHTML(results) {
         let html = '';
 
@@ -417,78 +437,6 @@ class SkidaProcessor {
         return html;
     }
 
-    exportToExcel(fileName, items) {
-        // Parse items if it's a string
-        if (typeof items === 'string') {
-            items = JSON.parse(items);
-        }
-
-        const exportData = [];
-
-        // Add header row
-        exportData.push(['Category', 'Description', 'Expected Unit Cost', 'Actual Unit Cost', 'Unit Cost Status', 'Expected Quantity', 'Actual Quantity', 'Quantity Status', 'Overall Status']);
-
-        for (const item of items) {
-            const displayName = item.validationItem.category === 'Other'
-                ? `Other - ${item.validationItem.description}`
-                : item.validationItem.category;
-
-            if (!item.found) {
-                exportData.push([
-                    displayName,
-                    item.validationItem.description,
-                    item.validationItem.unitCost,
-                    'Not Found',
-                    'N/A',
-                    item.validationItem.quantity,
-                    'Not Found',
-                    'N/A',
-                    'Not Found'
-                ]);
-            } else {
-                const unitCostCheck = item.checks.find(c => c.label === 'Unit Cost');
-                const quantityCheck = item.checks.find(c => c.label === 'Quantity');
-
-                exportData.push([
-                    displayName,
-                    item.actualDescription || item.validationItem.description,
-                    item.validationItem.unitCost,
-                    unitCostCheck ? unitCostCheck.actual : '-',
-                    unitCostCheck ? (unitCostCheck.isValid ? 'Valid' : 'Invalid') : 'N/A',
-                    item.validationItem.quantity,
-                    quantityCheck ? quantityCheck.actual : '-',
-                    quantityCheck ? (quantityCheck.isValid ? 'Valid' : 'Invalid') : 'N/A',
-                    item.isValid ? 'Valid' : 'Invalid'
-                ]);
-            }
-        }
-
-        // Create workbook and worksheet
-        const wb = XLSX.utils.book_new();
-        const ws = XLSX.utils.aoa_to_sheet(exportData);
-
-        // Set column widths
-        ws['!cols'] = [
-            { wch: 20 }, // Category
-            { wch: 40 }, // Description
-            { wch: 18 }, // Expected Unit Cost
-            { wch: 18 }, // Actual Unit Cost
-            { wch: 15 }, // Unit Cost Status
-            { wch: 18 }, // Expected Quantity
-            { wch: 18 }, // Actual Quantity
-            { wch: 15 }, // Quantity Status
-            { wch: 15 }  // Overall Status
-        ];
-
-        XLSX.utils.book_append_sheet(wb, ws, 'Skida Validation');
-
-        // Generate filename
-        const exportFileName = `Skida_Validation_${fileName.replace(/\.[^/.]+$/, '')}_${new Date().toISOString().slice(0, 10)}.xlsx`;
-
-        // Download
-        XLSX.writeFile(wb, exportFileName);
-    }
-
     /**
      * Export results to PDF using the unified Export.js module
      */
@@ -504,10 +452,24 @@ class SkidaProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createSkidaConfig(this.fileResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createSkidaConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize processor
 window.skidaProcessor = new SkidaProcessor();
+
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v11',
+    name: 'Skida',
+    shortName: 'SKD',
+    processor: window.skidaProcessor,
+    loadingMessage: 'Skida validation',
+    fingerprints: [
+        { column: 'A', text: 'Cut & Sew' },
+        { column: 'A', text: 'Thread', exact: true },
+        { column: 'A', text: 'Other', exact: true }
+    ]
+});
@@ -0,0 +1,233 @@
+/**
+ * Structured Results
+ * Common result schema every processor emits alongside its results HTML, so results can be
+ * downloaded as JSON (and summarised by the Inbox) without scraping the rendered tables
+ *
+ * Record: { file, sheet, ruleId, rule, cell, expected, tolerance, actual, status, severity }
+ * - ruleId:   stable dotted id, e.g. 'burton.sewing-thread.unit-price'
+ * - rule:     human-readable rule description
+ * - cell:     A1 address of the checked value in the Buyer CBD ('' when not tied to a cell)
+ * - tolerance: readable tolerance policy of a numeric check ('' otherwise, see TolerancePolicy.js)
+ * - status:   VALID, WARNING or INVALID; WAIVED for failures with a current waiver (see Waivers.js)
+ * - severity: info, warning or error (derived from status unless given); formula for WARNING records of
+ *             the formula check (see FormulaCheck.js); waived for waived records
+ * Waived records also carry waiver: { reason, author, expires, originalStatus }.
+ *
+ * Processors implement getStructuredResults() returning an array of records built with
+ * record(); the registry stores them on the entry after each run.
+ */
+
+class StructuredResults {
+    constructor() {
+        this.schemaVersion = 1;
+    }
+
+    /**
+     * Build a record in the common schema
+     */
+    record(fields) {
+        const status = this.normalizeStatus(fields.status);
+
+        return {
+            file: fields.file || '',
+            sheet: fields.sheet || '',
+            ruleId: fields.ruleId || '',
+            rule: fields.rule || '',
+            cell: fields.cell || '',
+            expected: this.normalizeValue(fields.expected),
+            tolerance: fields.tolerance || '',
+            actual: this.normalizeValue(fields.actual),
+            status: status,
+            severity: fields.severity || this.getSeverity(status)
+        };
+    }
+
+    /**
+     * Map the status words and flags processors use onto VALID / WARNING / INVALID
+     */
+    normalizeStatus(status) {
+        if (status === true) return 'VALID';
+        if (status === false || status === undefined || status === null) return 'INVALID';
+
+        const value = String(status).trim().toUpperCase();
+        if (['VALID', 'PASS', 'OK', 'MATCH', 'FOUND'].includes(value)) return 'VALID';
+        if (['WARNING', 'WARN'].includes(value)) return 'WARNING';
+        if (value === 'WAIVED') return 'WAIVED';
+        return 'INVALID';
+    }
+
+    getSeverity(status) {
+        switch (status) {
+            case 'VALID': return 'info';
+            case 'WARNING': return 'warning';
+            case 'WAIVED': return 'waived';
+            default: return 'error';
+        }
+    }
+
+    normalizeValue(value) {
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'number' || typeof value === 'boolean') return value;
+        return String(value).trim();
+    }
+
+    /**
+     * A1 address from 0-based row and column indexes (column may be a letter)
+     */
+    cellAddress(rowIndex, col) {
+        if (rowIndex === undefined || rowIndex === null || rowIndex < 0) return '';
+        const colIndex = typeof col === 'string' ? XLSX.utils.decode_col(col) : col;
+        if (colIndex === undefined || colIndex === null || colIndex < 0) return '';
+        return XLSX.utils.encode_cell({ r: rowIndex, c: colIndex });
+    }
+
+    /**
+     * Records for a section scan that splits checked cells into valid and invalid lists
+     * Cells carry { cellAddress (or cell), value }; records come out in row order
+     */
+    sectionRecords(base, validCells, invalidCells) {
+        const cells = [
+            ...validCells.map(cell => ({ ...cell, status: 'VALID' })),
+            ...invalidCells.map(cell => ({ ...cell, status: 'INVALID' }))
+        ].map(cell => ({ ...cell, address: cell.cellAddress || cell.cell }))
+            .sort((a, b) => XLSX.utils.decode_cell(a.address).r - XLSX.utils.decode_cell(b.address).r);
+
+        return cells.map(cell => this.record({
+            ...base,
+            cell: cell.address,
+            actual: cell.value,
+            status: cell.status
+        }));
+    }
+
+    /**
+     * Record for a file that could not be read or validated at all
+     */
+    errorRecord(file, brand, message) {
+        return this.record({
+            file: file,
+            ruleId: this.ruleId(brand, 'file'),
+            rule: 'File can be read and validated',
+            expected: 'Readable Buyer CBD',
+            actual: message,
+            status: 'INVALID'
+        });
+    }
+
+    /**
+     * Build a dotted rule id from readable parts: ('burton', 'Sewing Thread', 'unitPrice')
+     * → 'burton.sewing-thread.unitprice'
+     */
+    ruleId(...parts) {
+        return parts
+            .filter(part => part !== undefined && part !== null && part !== '')
+            .map(part => String(part).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''))
+            .join('.');
+    }
+
+    /**
+     * Worst status of a set of records (waived failures pass)
+     */
+    getOverallStatus(records) {
+        if (records.some(r => r.status === 'INVALID')) return 'INVALID';
+        if (records.some(r => r.status === 'WARNING')) return 'WARNING';
+        return 'VALID';
+    }
+
+    /**
+     * Per-file counts, in first-seen file order (formula warnings are also counted as warnings)
+     * @returns {Array} - [{ file, total, valid, warning, invalid, formula, waived, status }]
+     */
+    summarize(records) {
+        const files = new Map();
+
+        records.forEach(record => {
+            if (!files.has(record.file)) {
+                files.set(record.file, []);
+            }
+            files.get(record.file).push(record);
+        });
+
+        return Array.from(files.entries()).map(([file, fileRecords]) => ({
+            file: file,
+            total: fileRecords.length,
+            valid: fileRecords.filter(r => r.status === 'VALID').length,
+            warning: fileRecords.filter(r => r.status === 'WARNING').length,
+            invalid: fileRecords.filter(r => r.status === 'INVALID').length,
+            formula: fileRecords.filter(r => r.severity === 'formula').length,
+            waived: fileRecords.filter(r => r.status === 'WAIVED').length,
+            status: this.getOverallStatus(fileRecords)
+        }));
+    }
+
+    /**
+     * Collect a processor's records after a run
+     */
+    collect(entry) {
+        const processor = entry.processor;
+        if (!processor || typeof processor.getStructuredResults !== 'function') return [];
+
+        try {
+            return processor.getStructuredResults() || [];
+        } catch (error) {
+            console.error(`Error building structured results for ${entry.name}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * JSON document for a tab's last run
+     */
+    buildDocument(entry) {
+        const records = entry.results || [];
+
+        return {
+            schemaVersion: this.schemaVersion,
+            brand: { id: entry.id, name: entry.name },
+            ruleVersion: entry.ruleVersion || null,
+            generatedAt: new Date().toISOString(),
+            summary: this.summarize(records),
+            results: records
+        };
+    }
+
+    /**
+     * Download a tab's last results as JSON
+     */
+    download(id) {
+        const entry = window.processorRegistry.get(id);
+        if (!entry || !entry.results || entry.results.length === 0) {
+            alert('No results to download. Please generate results first.');
+            return;
+        }
+
+        const json = JSON.stringify(this.buildDocument(entry), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const timestamp = new Date().toISOString().slice(0, 10);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${entry.shortName || entry.id}_Validation_Results_${timestamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        console.log(`Downloaded ${entry.results.length} ${entry.name} result record(s) as JSON`);
+    }
+
+    /**
+     * "Download JSON" button placed next to a tab's Export button
+     */
+    getDownloadButtonHTML(id) {
+        return `
+            <button onclick="window.structuredResults.download('${id}')" class="export-btn json-export-btn">
+                Download JSON
+            </button>
+        `;
+    }
+}
+
+// Initialize global instance (must load before the processor scripts)
+window.structuredResults = new StructuredResults();
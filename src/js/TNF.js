@@ -4,10 +4,62 @@
  */
 
 class ExcelV1Processor {
+    constructor() {
+        this.results = [];
+
+        // Tolerance policies of the BCBD checks (see TolerancePolicy.js)
+        // Percentages compare as fractions; SMVs are truncated to 3 decimals before comparing
+        this.tolerances = {
+            percentage: { absolute: 0.001 },
+            number: { absolute: 0.01 },
+            smv: { decimals: 3, truncate: true, warnAbsolute: 0.01 }
+        };
+
+        // Fixed BCBD cells and their expected values (editable, see RuleOverrides.js)
+        // Percentages are fractions: K8 holds 0.5 or 50 for 50%
+        this.cellRules = {
+            averageEfficiency: { name: 'Average Efficiency %', cell: 'K8', comparator: 'exact', expected: 0.50, percent: true, tolerance: this.tolerances.percentage },
+            hourlyWages: { name: 'Hourly Wages with Fringes', cell: 'K9', comparator: 'exact', expected: 1.750, tolerance: this.tolerances.number },
+            overheadCost: { name: 'Overhead Cost Ratio to Direct Labor', cell: 'K11', comparator: 'exact', expected: 0.70, percent: true, tolerance: this.tolerances.percentage },
+            factoryProfit: { name: 'Factory Profit %', cell: 'R5', comparator: 'exact', expected: 0.10, percent: true, tolerance: this.tolerances.percentage }
+        };
+    }
+
+    initialize() {
+        this.displayValidationRules();
+    }
+
+    /**
+     * Rules panel below the drop zones (the OB drop zone takes the OB uploads)
+     */
+    displayValidationRules() {
+        const panel = document.getElementById('rulesPanel-v1');
+        if (!panel) return;
+
+        panel.innerHTML = `
+            <div class="burton-cost-container">
+                <div class="burton-cost-items">
+                    <div class="burton-cost-item">
+                        <div class="burton-item-line"><strong>BCBD Cell Checks:</strong></div>
+                        ${Object.values(this.cellRules).map(rule => `
+                            <div class="burton-item-line">${rule.cell} ${rule.name}: <strong>${this.describeExpected(rule)}</strong></div>
+                        `).join('')}
+                    </div>
+                    ${window.tolerancePolicy.getPanelHTML([
+                        { label: 'Percentages (K8, K11, R5)', tolerance: this.tolerances.percentage, percent: true },
+                        { label: 'Hourly Wages (K9)', tolerance: this.tolerances.number },
+                        { label: 'Standard Minute Value vs OB Total SMV', tolerance: this.tolerances.smv }
+                    ])}
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Process all files and generate results
      */
     async processFiles(obFiles, bcbdFiles) {
+        this.results = [];
 
         try {
             // Extract all product IDs and cell values from BCBD files
@@ -18,6 +70,7 @@ class ExcelV1Processor {
                     products.push({
                         id: productData.productID,
                         fileName: file.name,
+                        sheetName: productData.sheetName,
                         cellValues: productData.cellValues
                     });
                 }
@@ -27,15 +80,21 @@ class ExcelV1Processor {
                 return this.generateErrorHTML('Could not find any product IDs in the BCBD files');
             }
 
-            // Search each product in all OB files
+            // Index each OB workbook once, then look every product up in the indexes
+            const obIndexes = [];
+            for (const obFile of obFiles) {
+                obIndexes.push({ file: obFile, index: await this.buildOBIndex(obFile) });
+            }
+
             const allResults = [];
             for (const product of products) {
-                for (const obFile of obFiles) {
-                    const searchResults = await this.searchProductInWorkbook(obFile, product.id);
+                for (const { file: obFile, index } of obIndexes) {
+                    const searchResults = this.searchProductInIndex(index, product.id);
                     allResults.push({
                         tnfFileName: obFile.name,
                         productID: product.id,
                         productFileName: product.fileName,
+                        productSheetName: product.sheetName,
                         found: searchResults.foundLocations.length > 0,
                         locations: searchResults.foundLocations,
                         cellValues: product.cellValues
@@ -43,6 +102,7 @@ class ExcelV1Processor {
                 }
             }
 
+            this.results = allResults;
             return this.generateResultsHTML(allResults);
 
         } catch (error) {
@@ -54,199 +114,323 @@ class ExcelV1Processor {
      * Extract Product ID and cell values from BCBD file
      */
     async extractProductData(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get first sheet
-                    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-                    const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-
-                    let productID = null;
-
-                    // First, try to extract from cell E14 (common location for Product ID)
-                    if (worksheet['E14']) {
-                        const e14Value = String(worksheet['E14'].v).trim();
-                        const e14Match = e14Value.match(/^([A-Z]{1,2}\d[A-Z0-9]{3,8})/);
-                        if (e14Match) {
-                            productID = e14Match[1];
-                        }
-                    }
+        const workbook = await window.workbookReader.read(file);
 
-                    // If not found in E14, try to extract from filename
-                    if (!productID) {
-                        const fileName = file.name.replace(/\.[^/.]+$/, '');
-                        const fileNameMatch = fileName.match(/^([A-Z]{1,2}\d[A-Z0-9]{3,8})/);
-                        if (fileNameMatch) {
-                            productID = fileNameMatch[1];
-                        }
-                    }
+        try {
+            // Get first sheet
+            const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+            const jsonData = window.workbookReader.toRows(worksheet, { defval: '' });
+
+            let productID = null;
+
+            // First, try to extract from cell E14 (common location for Product ID)
+            if (worksheet['E14']) {
+                const e14Value = String(worksheet['E14'].v).trim();
+                const e14Match = e14Value.match(/^([A-Z]{1,2}\d[A-Z0-9]{3,8})/);
+                if (e14Match) {
+                    productID = e14Match[1];
+                }
+            }
 
-                    // If still not found, search for "Style #" or similar pattern in the sheet
-                    if (!productID) {
-                        for (let i = 0; i < Math.min(50, jsonData.length); i++) {
-                            const row = jsonData[i];
-                            for (let j = 0; j < row.length; j++) {
-                                const cellValue = String(row[j]).trim();
-
-                                // Look for "Style #" or "Style No." label
-                                if ((cellValue.toLowerCase().includes('style') && cellValue.includes('#')) ||
-                                    cellValue.toLowerCase().includes('style no')) {
-                                    if (j + 1 < row.length && row[j + 1]) {
-                                        const nextCell = String(row[j + 1]).trim();
-                                        const match = nextCell.match(/^([A-Z]{1,2}\d[A-Z0-9]{3,8})/);
-                                        if (match) {
-                                            productID = match[1];
-                                            break;
-                                        }
-                                    }
-                                }
+            // If not found in E14, try to extract from filename
+            if (!productID) {
+                const fileName = file.name.replace(/\.[^/.]+$/, '');
+                const fileNameMatch = fileName.match(/^([A-Z]{1,2}\d[A-Z0-9]{3,8})/);
+                if (fileNameMatch) {
+                    productID = fileNameMatch[1];
+                }
+            }
 
-                                // Also check if cell matches pattern directly
-                                if (/^[A-Z]{1,2}\d[A-Z0-9]{3,8}/.test(cellValue)) {
-                                    const match = cellValue.match(/^([A-Z]{1,2}\d[A-Z0-9]{3,8})/);
-                                    if (match) {
-                                        productID = match[1];
-                                    }
+            // If still not found, search for "Style #" or similar pattern in the sheet
+            if (!productID) {
+                for (let i = 0; i < Math.min(50, jsonData.length); i++) {
+                    const row = jsonData[i];
+                    for (let j = 0; j < row.length; j++) {
+                        const cellValue = String(row[j]).trim();
+
+                        // Look for "Style #" or "Style No." label
+                        if ((cellValue.toLowerCase().includes('style') && cellValue.includes('#')) ||
+                            cellValue.toLowerCase().includes('style no')) {
+                            if (j + 1 < row.length && row[j + 1]) {
+                                const nextCell = String(row[j + 1]).trim();
+                                const match = nextCell.match(/^([A-Z]{1,2}\d[A-Z0-9]{3,8})/);
+                                if (match) {
+                                    productID = match[1];
+                                    break;
                                 }
                             }
-                            if (productID) break;
                         }
-                    }
 
-                    // Now extract cell values from specific cells in the BCBD file
-                    const cellValues = {
-                        standardMinuteValue: null,
-                        averageEfficiency: null,
-                        hourlyWages: null,
-                        overheadCost: null,
-                        factoryProfit: null
-                    };
-
-                    // Helper function to extract numeric value from cell
-                    const extractValue = (cellRef) => {
-                        if (!worksheet[cellRef]) return null;
-
-                        let value = worksheet[cellRef].v;
-                        if (typeof value === 'number') return value;
-
-                        if (typeof value === 'string') {
-                            let cleaned = value.replace(/[$,\s]/g, '');
-                            let percentMatch = cleaned.match(/([\d.]+)%/);
-                            if (percentMatch) return parseFloat(percentMatch[1]);
-                            let numberMatch = cleaned.match(/([\d.]+)/);
-                            if (numberMatch) return parseFloat(numberMatch[1]);
+                        // Also check if cell matches pattern directly
+                        if (/^[A-Z]{1,2}\d[A-Z0-9]{3,8}/.test(cellValue)) {
+                            const match = cellValue.match(/^([A-Z]{1,2}\d[A-Z0-9]{3,8})/);
+                            if (match) {
+                                productID = match[1];
+                            }
                         }
-                        return null;
-                    };
-
-                    // Extract values from specific cells in the BCBD file
-                    cellValues.standardMinuteValue = extractValue('K7');
-                    cellValues.averageEfficiency = extractValue('K8');
-                    cellValues.hourlyWages = extractValue('K9');
-                    cellValues.overheadCost = extractValue('K11');
-                    cellValues.factoryProfit = extractValue('R5');
-
-                    resolve({ productID, cellValues });
-                } catch (error) {
-                    reject(new Error(`Failed to parse BCBD file: ${error.message}`));
+                    }
+                    if (productID) break;
                 }
+            }
+
+            // Now extract cell values from specific cells in the BCBD file
+            const cellValues = { standardMinuteValue: null };
+
+            // Helper function to extract numeric value from cell (percentages as fractions)
+            const extractValue = (cellRef) => {
+                if (!worksheet[cellRef]) return null;
+                return window.valueParser.toNumber(worksheet[cellRef]);
             };
 
-            reader.onerror = () => {
-                reject(new Error('Failed to read BCBD file'));
+            // Extract values from specific cells in the BCBD file
+            cellValues.standardMinuteValue = extractValue('K7');
+            Object.entries(this.cellRules).forEach(([key, rule]) => {
+                cellValues[key] = extractValue(rule.cell);
+            });
+
+            return { productID, sheetName: workbook.SheetNames[0], cellValues };
+        } catch (error) {
+            throw new Error(`Failed to parse BCBD file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Index an OB workbook: distinct cell text → occurrences (sheet, cell, row, col), and each
+     * alphanumeric token of a cell text ("NF0A5ABC - Jacket" → NF0A5ABC, Jacket) → the texts holding it
+     * Each OB workbook is parsed and scanned once, however many products are searched
+     */
+    async buildOBIndex(file) {
+        const workbook = await window.workbookReader.read(file);
+
+        try {
+            const index = {
+                texts: new Map(),
+                tokens: new Map(),
+                sheets: {},
+                smvByRow: new Map()
             };
 
-            reader.readAsArrayBuffer(file);
+            workbook.SheetNames.forEach((sheetName) => {
+                const worksheet = workbook.Sheets[sheetName];
+                const jsonData = window.workbookReader.toRows(worksheet, { defval: '' });
+                index.sheets[sheetName] = { worksheet, jsonData };
+
+                for (let rowIndex = 0; rowIndex < jsonData.length; rowIndex++) {
+                    const row = jsonData[rowIndex];
+                    for (let colIndex = 0; colIndex < row.length; colIndex++) {
+                        const cellValue = String(row[colIndex]).trim();
+                        if (cellValue === '') continue;
+
+                        if (!index.texts.has(cellValue)) {
+                            index.texts.set(cellValue, []);
+                            cellValue.split(/[^A-Za-z0-9]+/).forEach(token => {
+                                if (!token) return;
+                                if (!index.tokens.has(token)) {
+                                    index.tokens.set(token, new Set());
+                                }
+                                index.tokens.get(token).add(cellValue);
+                            });
+                        }
+                        index.texts.get(cellValue).push({ sheet: sheetName, rowIndex, colIndex });
+                    }
+                }
+            });
+
+            return index;
+        } catch (error) {
+            throw new Error(`Failed to search workbook: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find every occurrence of a product ID in an OB index, with its Total SMV
+     * Cells match when they contain the product ID (e.g. "NF0A5ABC - Jacket", "NF0A5ABCJK3"), in sheet/row/column order
+     * An alphanumeric ID can only sit inside one token of a text, so only the distinct tokens are scanned
+     */
+    searchProductInIndex(index, productID) {
+        const matches = new Set();
+        if (/^[A-Za-z0-9]+$/.test(productID)) {
+            index.tokens.forEach((texts, token) => {
+                if (token.includes(productID)) texts.forEach(text => matches.add(text));
+            });
+        } else {
+            index.texts.forEach((cells, cellValue) => {
+                if (cellValue.includes(productID)) matches.add(cellValue);
+            });
+        }
+
+        const occurrences = [];
+        matches.forEach(cellValue => {
+            index.texts.get(cellValue).forEach(cell => occurrences.push({ ...cell, value: cellValue }));
         });
+
+        const sheetOrder = Object.keys(index.sheets);
+        occurrences.sort((a, b) =>
+            sheetOrder.indexOf(a.sheet) - sheetOrder.indexOf(b.sheet) ||
+            a.rowIndex - b.rowIndex ||
+            a.colIndex - b.colIndex
+        );
+
+        const foundLocations = occurrences.map(occurrence => ({
+            sheet: occurrence.sheet,
+            cell: XLSX.utils.encode_cell({ r: occurrence.rowIndex, c: occurrence.colIndex }),
+            row: occurrence.rowIndex + 1,
+            col: occurrence.colIndex + 1,
+            value: occurrence.value,
+            smv: this.findTotalSMV(index, occurrence.sheet, occurrence.rowIndex)
+        }));
+
+        return { foundLocations };
     }
 
     /**
-     * Search for product ID across all sheets in the OB workbook and find Total SMV
+     * Find the SMV for a product occurrence: the first "Total SMV" label within the next 20 rows,
+     * then the first positive number up to 4 cells to its right. Cached per sheet row.
      */
-    async searchProductInWorkbook(file, productID) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    let foundLocations = [];
-
-                    // Search through each sheet for the product ID and its Total SMV
-                    workbook.SheetNames.forEach((sheetName) => {
-                        const worksheet = workbook.Sheets[sheetName];
-                        const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-
-                        // Search for product ID in this sheet
-                        for (let rowIndex = 0; rowIndex < jsonData.length; rowIndex++) {
-                            const row = jsonData[rowIndex];
-                            for (let colIndex = 0; colIndex < row.length; colIndex++) {
-                                const cellValue = String(row[colIndex]).trim();
-
-                                // Check if cell contains the product ID
-                                if (cellValue === productID || cellValue.includes(productID)) {
-                                    const cellAddress = XLSX.utils.encode_cell({ r: rowIndex, c: colIndex });
-
-                                    // Find the SMV value for THIS specific occurrence
-                                    let smvForThisOccurrence = null;
-
-                                    // Search in the next 20 rows for "Total SMV"
-                                    for (let searchRow = rowIndex; searchRow < Math.min(rowIndex + 20, jsonData.length); searchRow++) {
-                                        const searchRowData = jsonData[searchRow];
-                                        for (let searchCol = 0; searchCol < searchRowData.length; searchCol++) {
-                                            const searchCellValue = String(searchRowData[searchCol]).trim().toLowerCase();
-
-                                            // Look for "Total SMV" label
-                                            if (searchCellValue.includes('total smv')) {
-                                                // Check the next few cells in the same row for the numeric value
-                                                for (let valueCol = searchCol + 1; valueCol < Math.min(searchCol + 5, searchRowData.length); valueCol++) {
-                                                    const smvCellRef = XLSX.utils.encode_cell({ r: searchRow, c: valueCol });
-                                                    if (worksheet[smvCellRef]) {
-                                                        let smvValue = worksheet[smvCellRef].v;
-                                                        if (typeof smvValue === 'number' && smvValue > 0) {
-                                                            smvForThisOccurrence = smvValue;
-                                                            break;
-                                                        }
-                                                    }
-                                                }
-                                                if (smvForThisOccurrence !== null) break;
-                                            }
-                                        }
-                                        if (smvForThisOccurrence !== null) break;
-                                    }
-
-                                    foundLocations.push({
-                                        sheet: sheetName,
-                                        cell: cellAddress,
-                                        row: rowIndex + 1,
-                                        col: colIndex + 1,
-                                        value: cellValue,
-                                        smv: smvForThisOccurrence
-                                    });
-                                }
+    findTotalSMV(index, sheetName, rowIndex) {
+        const cacheKey = `${sheetName}!${rowIndex}`;
+        if (index.smvByRow.has(cacheKey)) {
+            return index.smvByRow.get(cacheKey);
+        }
+
+        const { worksheet, jsonData } = index.sheets[sheetName];
+        let smvForThisOccurrence = null;
+
+        for (let searchRow = rowIndex; searchRow < Math.min(rowIndex + 20, jsonData.length); searchRow++) {
+            const searchRowData = jsonData[searchRow];
+            for (let searchCol = 0; searchCol < searchRowData.length; searchCol++) {
+                const searchCellValue = String(searchRowData[searchCol]).trim().toLowerCase();
+
+                // Look for "Total SMV" label
+                if (searchCellValue.includes('total smv')) {
+                    // Check the next few cells in the same row for the numeric value
+                    for (let valueCol = searchCol + 1; valueCol < Math.min(searchCol + 5, searchRowData.length); valueCol++) {
+                        const smvCellRef = XLSX.utils.encode_cell({ r: searchRow, c: valueCol });
+                        if (worksheet[smvCellRef]) {
+                            let smvValue = worksheet[smvCellRef].v;
+                            if (typeof smvValue === 'number' && smvValue > 0) {
+                                smvForThisOccurrence = smvValue;
+                                break;
                             }
                         }
-                    });
-
-                    resolve({ foundLocations });
-                } catch (error) {
-                    reject(new Error(`Failed to search workbook: ${error.message}`));
+                    }
+                    if (smvForThisOccurrence !== null) break;
                 }
-            };
+            }
+            if (smvForThisOccurrence !== null) break;
+        }
 
-            reader.onerror = () => {
-                reject(new Error('Failed to read OB file'));
-            };
+        index.smvByRow.set(cacheKey, smvForThisOccurrence);
+        return smvForThisOccurrence;
+    }
+
+    /**
+     * Check a BCBD cell value against its cell rule
+     * Percentages may be stored as fractions (0.5) or whole numbers (50)
+     */
+    checkCellValue(value, rule) {
+        const policy = window.tolerancePolicy;
+
+        if (rule.percent) {
+            const fraction = window.valueParser.toPercent(value);
+            const numValue = fraction !== null ? parseFloat((fraction * 100).toPrecision(12)) : NaN;
+            return { numValue, isValid: policy.compare(fraction, rule.expected, rule.tolerance).status === 'VALID' };
+        }
+
+        const number = window.valueParser.toNumber(value);
+        const numValue = number !== null ? number : NaN;
+        return { numValue, isValid: policy.compare(number, rule.expected, rule.tolerance).status === 'VALID' };
+    }
+
+    /**
+     * Expected value of a cell rule as shown: '50%' or '1.750'
+     */
+    describeExpected(rule) {
+        return rule.percent ? `${parseFloat((rule.expected * 100).toPrecision(12))}%` : rule.expected.toFixed(3);
+    }
+
+    /**
+     * Compare the BCBD Standard Minute Value with the OB Total SMV (truncated to 3 decimals)
+     * Returns VALID when equal, WARNING within 0.01, INVALID otherwise (see this.tolerances.smv)
+     */
+    compareSMV(productSMV, tnfSMV) {
+        const truncateToThreeDecimals = (num) => Math.floor(num * 1000) / 1000;
+
+        const truncatedProduct = truncateToThreeDecimals(productSMV);
+        const truncatedTNF = truncateToThreeDecimals(tnfSMV);
+
+        const difference = truncateToThreeDecimals(truncatedProduct - truncatedTNF);
+        const { status } = window.tolerancePolicy.compare(productSMV, tnfSMV, this.tolerances.smv);
 
-            reader.readAsArrayBuffer(file);
+        return { difference, status };
+    }
+
+    /**
+     * Results in the common structured schema (see StructuredResults.js)
+     * One OB match record per product, an SMV record per OB occurrence, and the fixed cell checks
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+        const products = new Map();
+
+        (this.results || []).forEach(result => {
+            if (!products.has(result.productFileName)) {
+                products.set(result.productFileName, []);
+            }
+            products.get(result.productFileName).push(result);
+        });
+
+        products.forEach((productResults, fileName) => {
+            const first = productResults[0];
+            const base = { file: fileName, sheet: first.productSheetName };
+            const locations = productResults.flatMap(result =>
+                result.locations.map(location => ({ ...location, obFileName: result.tnfFileName }))
+            );
+
+            records.push(sr.record({
+                ...base,
+                ruleId: 'tnf.ob-match',
+                rule: `Style ${first.productID} is listed in an OB file`,
+                expected: 'Listed',
+                actual: locations.length > 0
+                    ? locations.map(l => `${l.obFileName} ${l.sheet}!${l.cell}`).join(', ')
+                    : 'Not found',
+                status: locations.length > 0
+            }));
+
+            locations.forEach(location => {
+                const productSMV = first.cellValues.standardMinuteValue;
+                const hasBoth = productSMV !== null && location.smv !== null;
+                records.push(sr.record({
+                    ...base,
+                    ruleId: 'tnf.standard-minute-value',
+                    rule: `Standard Minute Value matches OB Total SMV (${location.obFileName} ${location.sheet}!${location.cell})`,
+                    cell: 'K7',
+                    expected: location.smv,
+                    tolerance: window.tolerancePolicy.describe(this.tolerances.smv),
+                    actual: productSMV,
+                    status: hasBoth ? this.compareSMV(productSMV, location.smv).status : 'INVALID'
+                }));
+            });
+
+            Object.entries(this.cellRules).forEach(([key, rule]) => {
+                const value = first.cellValues[key];
+                const isValid = value !== null && value !== undefined && this.checkCellValue(value, rule).isValid;
+                records.push(sr.record({
+                    ...base,
+                    ruleId: sr.ruleId('tnf', rule.name),
+                    rule: `${rule.name} is ${this.describeExpected(rule)}`,
+                    cell: rule.cell,
+                    expected: rule.expected,
+                    tolerance: window.tolerancePolicy.describe(rule.tolerance, { percent: rule.percent }),
+                    actual: value,
+                    status: isValid
+                }));
+            });
         });
+
+        return records;
     }
 
     /**
@@ -362,37 +546,15 @@ class ExcelV1Processor {
         `;
 
         // Helper function to format and validate cell values
-        const formatCellValue = (value, expectedValue, type) => {
+        const formatCellValue = (value, rule) => {
+            const expectedDisplay = this.describeExpected(rule);
             if (value === null || value === undefined) {
-                if (type === 'percentage') {
-                    return `<span style="color: #991b1b; font-weight: 600;">Cell Empty</span><br><span style="font-size: 0.85em; color: #849bba;">Expected: ${expectedValue}%</span>`;
-                } else {
-                    return `<span style="color: #991b1b; font-weight: 600;">Cell Empty</span><br><span style="font-size: 0.85em; color: #849bba;">Expected: ${expectedValue.toFixed(3)}</span>`;
-                }
-            }
-
-            let numValue = parseFloat(value);
-            let displayValue;
-            let isValid;
-
-            if (type === 'percentage') {
-                if (typeof value === 'string') {
-                    numValue = parseFloat(value.replace('%', ''));
-                }
-
-                if (numValue < 1) {
-                    numValue = numValue * 100;
-                }
-
-                displayValue = numValue.toFixed(1) + '%';
-                isValid = Math.abs(numValue - expectedValue) < 0.1;
-            } else {
-                displayValue = numValue.toFixed(3);
-                isValid = Math.abs(numValue - expectedValue) < 0.01;
+                return `<span style="color: #991b1b; font-weight: 600;">Cell Empty</span><br><span style="font-size: 0.85em; color: #849bba;">Expected: ${expectedDisplay}</span>`;
             }
 
+            const { numValue, isValid } = this.checkCellValue(value, rule);
+            const displayValue = rule.percent ? numValue.toFixed(1) + '%' : numValue.toFixed(3);
             const color = isValid ? '#065f46' : '#991b1b';
-            const expectedDisplay = type === 'percentage' ? `${expectedValue}%` : expectedValue.toFixed(3);
 
             if (isValid) {
                 return `<span style="color: ${color}; font-weight: 600;">${displayValue}</span>`;
@@ -420,23 +582,19 @@ class ExcelV1Processor {
             };
 
             if (productSMV === null || productSMV === undefined) {
-                return `<span style="color: #991b1b; font-weight: 600;">Product: Empty</span>`;
+                return `<span data-smv="EMPTY" style="color: #991b1b; font-weight: 600;">Product: Empty</span>`;
             }
             if (tnfSMV === null || tnfSMV === undefined) {
                 const formattedProduct = formatThreeDecimals(productSMV);
-                return `<span style="color: #991b1b; font-weight: 600;">TNF: Empty</span><br><span style="font-size: 0.85em; color: #849bba;">Product: ${formattedProduct}</span>`;
+                return `<span data-smv="EMPTY" style="color: #991b1b; font-weight: 600;">TNF: Empty</span><br><span style="font-size: 0.85em; color: #849bba;">Product: ${formattedProduct}</span>`;
             }
 
-            const truncatedProduct = truncateToThreeDecimals(productSMV);
-            const truncatedTNF = truncateToThreeDecimals(tnfSMV);
-
-            const difference = truncateToThreeDecimals(truncatedProduct - truncatedTNF);
-            const absDifference = Math.abs(difference);
+            const { difference, status } = this.compareSMV(productSMV, tnfSMV);
 
             let color;
-            if (absDifference < 0.001) {
+            if (status === 'VALID') {
                 color = '#065f46';
-            } else if (absDifference <= 0.01) {
+            } else if (status === 'WARNING') {
                 color = '#d97706';
             } else {
                 color = '#991b1b';
@@ -447,10 +605,10 @@ class ExcelV1Processor {
             const formattedTNF = formatThreeDecimals(tnfSMV);
             const formattedDiff = formatThreeDecimals(Math.abs(difference));
 
-            if (absDifference < 0.001) {
-                return `<span style="color: ${color}; font-weight: 600;">${formattedProduct}</span>`;
+            if (status === 'VALID') {
+                return `<span data-smv="${status}" style="color: ${color}; font-weight: 600;">${formattedProduct}</span>`;
             } else {
-                return `<span style="color: ${color}; font-weight: 600;">BCBD: ${formattedProduct}</span><br><span style="font-size: 0.85em; color: #849bba;">OB Total SMV: ${formattedTNF} (${diffSign}${formattedDiff})</span>`;
+                return `<span data-smv="${status}" style="color: ${color}; font-weight: 600;">BCBD: ${formattedProduct}</span><br><span style="font-size: 0.85em; color: #849bba;">OB Total SMV: ${formattedTNF} (${diffSign}${formattedDiff})</span>`;
             }
         };
 
@@ -480,10 +638,10 @@ class ExcelV1Processor {
                                 </span>
                             </td>
                             <td style="padding: 0.875rem 1rem;">${formatSMVComparison(result.cellValues.standardMinuteValue, location.smv)}</td>
-                            <td style="padding: 0.875rem 1rem;">${formatCellValue(result.cellValues.averageEfficiency, 50, 'percentage')}</td>
-                            <td style="padding: 0.875rem 1rem;">${formatCellValue(result.cellValues.hourlyWages, 1.750, 'number')}</td>
-                            <td style="padding: 0.875rem 1rem;">${formatCellValue(result.cellValues.overheadCost, 70, 'percentage')}</td>
-                            <td style="padding: 0.875rem 1rem;">${formatCellValue(result.cellValues.factoryProfit, 10, 'percentage')}</td>
+                            <td style="padding: 0.875rem 1rem;">${formatCellValue(result.cellValues.averageEfficiency, this.cellRules.averageEfficiency)}</td>
+                            <td style="padding: 0.875rem 1rem;">${formatCellValue(result.cellValues.hourlyWages, this.cellRules.hourlyWages)}</td>
+                            <td style="padding: 0.875rem 1rem;">${formatCellValue(result.cellValues.overheadCost, this.cellRules.overheadCost)}</td>
+                            <td style="padding: 0.875rem 1rem;">${formatCellValue(result.cellValues.factoryProfit, this.cellRules.factoryProfit)}</td>
                         </tr>
                     `;
                 });
@@ -570,7 +728,8 @@ class ExcelV1Processor {
             alert('PDF export module not available. Please refresh the page.');
             return;
         }
-        await window.pdfExporter.exportToPDF(window.pdfExporter.createTNFConfig());
+        const layout = window.pdfExporter.createTNFConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 
     /**
@@ -608,21 +767,13 @@ class ExcelV1Processor {
                 if (filterValue === 'not-found' && !cellText.includes('✗ NOT FOUND')) return false;
             }
 
-            // Column 3: Standard Minute Value
+            // Column 3: Standard Minute Value - status of the SMV tolerance policy (see compareSMV)
             if (columnIndex === '3' && cellText !== '-') {
-                if (filterValue === 'exact' && (cellText.includes('BCBD:') || cellText.includes('Empty'))) return false;
-                if (filterValue === 'close') {
-                    if (!cellText.includes('BCBD:')) return false;
-                    const diffMatch = cellText.match(/\([\+\-]([\d.]+)\)/);
-                    if (diffMatch && parseFloat(diffMatch[1]) > 0.01) return false;
-                }
-                if (filterValue === 'mismatch') {
-                    if (!cellText.includes('Empty') && !cellText.includes('BCBD:')) return false;
-                    if (cellText.includes('BCBD:')) {
-                        const diffMatch = cellText.match(/\([\+\-]([\d.]+)\)/);
-                        if (diffMatch && parseFloat(diffMatch[1]) <= 0.01) return false;
-                    }
-                }
+                const smv = cell.querySelector('[data-smv]');
+                const smvStatus = smv ? smv.dataset.smv : '';
+                if (filterValue === 'exact' && smvStatus !== 'VALID') return false;
+                if (filterValue === 'close' && smvStatus !== 'WARNING') return false;
+                if (filterValue === 'mismatch' && smvStatus !== 'INVALID' && smvStatus !== 'EMPTY') return false;
             }
 
             // Columns 4-7: Valid/Invalid filters
@@ -693,4 +844,23 @@ class ExcelV1Processor {
 }
 
 // Initialize the processor
-window.excelV1Processor = new ExcelV1Processor();
\ No newline at end of file
+window.excelV1Processor = new ExcelV1Processor();
+
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v1',
+    name: 'The North Face',
+    shortName: 'TNF',
+    processor: window.excelV1Processor,
+    requiresOBFiles: true,
+    editableRules: window.ruleOverrides.fromRules('cellRules', window.excelV1Processor.cellRules),
+    formulaCells: [
+        { ruleId: 'tnf.average-efficiency', expects: 'value' },
+        { ruleId: 'tnf.hourly-wages-with-fringes', expects: 'value' },
+        { ruleId: 'tnf.overhead-cost-ratio-to-direct-labor', expects: 'value' },
+        { ruleId: 'tnf.factory-profit', expects: 'value' }
+    ],
+    fingerprints: [
+        { cell: 'E14', pattern: /^[A-Z]{1,2}\d[A-Z0-9]{3,8}/, sheet: 'first' }
+    ]
+});
@@ -0,0 +1,153 @@
+/**
+ * Tolerance Policy
+ * How close a numeric value has to be to its expected value, stated on the rule instead of as an
+ * epsilon inside each processor, so the rules panel and the exports can show why 0.0549 passed
+ * and 0.0548 failed.
+ *
+ * Policy (plain JSON, every field optional):
+ * {
+ *   decimals: 3,            // round the value and the expectation to 3 decimals before comparing
+ *   truncate: true,         // ... cutting the extra decimals off instead of rounding
+ *   absolute: 0.0001,       // VALID when |value - expected| ≤ 0.0001
+ *   relative: 0.01,         // ... or when the difference is within 1% of the expected value
+ *   warnAbsolute: 0.001,    // WARNING band outside the VALID band; INVALID beyond it
+ *   warnRelative: 0.05
+ * }
+ * A plain number is an absolute tolerance (tolerance: 0.0001). No policy means an exact match,
+ * allowing only for floating point noise.
+ */
+
+class TolerancePolicy {
+    constructor() {
+        this.noise = window.valueParser.defaultTolerance;
+    }
+
+    /**
+     * Policy object of a rule's tolerance (number, policy or undefined)
+     */
+    normalize(tolerance) {
+        if (tolerance === undefined || tolerance === null) return {};
+        if (typeof tolerance === 'number') return { absolute: tolerance };
+        return tolerance;
+    }
+
+    /**
+     * Compare a value with its expectation
+     * @returns {Object} - { status: VALID | WARNING | INVALID, difference }
+     */
+    compare(value, expected, tolerance) {
+        if (value === null || expected === null || isNaN(value) || isNaN(expected)) {
+            return { status: 'INVALID', difference: null };
+        }
+
+        const policy = this.normalize(tolerance);
+        const difference = Math.abs(this.round(value, policy) - this.round(expected, policy));
+
+        return { status: this.classify(difference, expected, policy), difference: difference };
+    }
+
+    /**
+     * Check a value against inclusive bounds; values outside are measured from the nearest bound
+     */
+    range(value, min, max, tolerance) {
+        if (value === null || isNaN(value)) {
+            return { status: 'INVALID', difference: null };
+        }
+
+        const policy = this.normalize(tolerance);
+        const rounded = this.round(value, policy);
+        const low = min === null ? -Infinity : this.round(min, policy);
+        const high = max === null ? Infinity : this.round(max, policy);
+
+        if (rounded >= low && rounded <= high) {
+            return { status: 'VALID', difference: 0 };
+        }
+
+        const bound = rounded < low ? low : high;
+        const difference = Math.abs(rounded - bound);
+        return { status: this.classify(difference, bound, policy), difference: difference };
+    }
+
+    /**
+     * VALID, WARNING or INVALID for a difference from the expected value
+     */
+    classify(difference, expected, policy) {
+        if (this.within(difference, expected, policy.absolute, policy.relative)) return 'VALID';
+        if (this.within(difference, expected, policy.warnAbsolute, policy.warnRelative)) return 'WARNING';
+        return 'INVALID';
+    }
+
+    within(difference, expected, absolute, relative) {
+        const allowed = Math.max(absolute || 0, relative ? Math.abs(expected) * relative : 0);
+        return difference <= allowed + this.noise;
+    }
+
+    round(number, policy) {
+        if (policy.decimals === undefined) return number;
+        if (policy.truncate) {
+            const factor = Math.pow(10, policy.decimals);
+            return Math.floor(number * factor) / factor;
+        }
+        return parseFloat(number.toFixed(policy.decimals));
+    }
+
+    hasWarnBand(tolerance) {
+        const policy = this.normalize(tolerance);
+        return policy.warnAbsolute !== undefined || policy.warnRelative !== undefined;
+    }
+
+    /**
+     * Readable policy for the rules panel and exports:
+     * 'Rounded to 3 decimals, exact; warning within ±0.001', '±0.0001', '±1% of expected', 'Exact'
+     */
+    describe(tolerance, options = {}) {
+        const policy = this.normalize(tolerance);
+        const parts = [];
+
+        if (policy.decimals !== undefined) {
+            parts.push(`${policy.truncate ? 'Truncated' : 'Rounded'} to ${policy.decimals} decimal${policy.decimals === 1 ? '' : 's'}`);
+        }
+        parts.push(this.describeBand(policy.absolute, policy.relative, options) || 'exact');
+
+        let text = parts.join(', ');
+        if (this.hasWarnBand(policy)) {
+            text += `; warning within ${this.describeBand(policy.warnAbsolute, policy.warnRelative, options)}`;
+        }
+
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * '±0.0001', '±1% of expected' or both; percent rules show absolute bands in points ('±0.5 pts')
+     */
+    describeBand(absolute, relative, options = {}) {
+        const bands = [];
+        if (absolute) {
+            bands.push(options.percent
+                ? `±${parseFloat((absolute * 100).toPrecision(6))} pts`
+                : `±${parseFloat(absolute.toPrecision(6))}`);
+        }
+        if (relative) {
+            bands.push(`±${parseFloat((relative * 100).toPrecision(6))}% of expected`);
+        }
+        return bands.join(' or ');
+    }
+
+    /**
+     * Rules panel item listing the tolerance policies of a processor's numeric checks
+     * @param {Array} items - [{ label, tolerance, percent }]
+     */
+    getPanelHTML(items, title = 'Tolerances') {
+        return `
+            <div class="burton-cost-item tolerance-policies">
+                <div class="burton-item-line"><strong>${title}</strong></div>
+                ${items.map(item => `
+                    <div class="burton-item-line"><strong>${item.label}:</strong> ${this.describe(item.tolerance, { percent: item.percent })}</div>
+                `).join('')}
+            </div>
+        `;
+    }
+}
+
+// Initialize global instance (must load before the rule engine and the processors)
+window.tolerancePolicy = new TolerancePolicy();
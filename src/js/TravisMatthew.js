@@ -7,6 +7,20 @@ class TravisMatthewProcessor {
     constructor() {
         this.travisMatthewCostData = null;
         this.bcbdResults = [];
+
+        // TravisMatthew_CostBreakdown.csv layout (see ReferenceCSV.js)
+        this.referenceLoad = null;
+        this.referenceSchema = {
+            file: 'TravisMatthew_CostBreakdown.csv',
+            key: ['label'],
+            columns: [
+                { key: 'label', name: 'Label', type: 'text' },
+                { key: 'value', name: 'Value', type: 'text' }
+            ]
+        };
+
+        // Tolerance policy of SHIPPING/DUTY/OVERHEAD/PROFIT (see TolerancePolicy.js)
+        this.tolerance = 0.001;
     }
 
     /**
@@ -14,17 +28,9 @@ class TravisMatthewProcessor {
      */
     async initialize() {
         try {
-            // Fetch the TravisMatthew_CostBreakdown.csv file from assets/data folder
-            const response = await fetch('assets/data/TravisMatthew_CostBreakdown.csv');
-            if (!response.ok) {
-                throw new Error('Failed to load TravisMatthew_CostBreakdown.csv');
-            }
-
-            const csvText = await response.text();
-            this.travisMatthewCostData = this.parseCSV(csvText);
-
-            // Display the loaded data in the OB drop zone
-            this.displayTravisMatthewCostData();
+            // Uploaded replacement if there is one, else assets/data/TravisMatthew_CostBreakdown.csv
+            const csvText = await window.referenceCSV.getText(this.referenceSchema);
+            this.loadReference(csvText);
 
             console.log('Travis Matthew Cost Breakdown loaded successfully:', this.travisMatthewCostData);
         } catch (error) {
@@ -33,26 +39,22 @@ class TravisMatthewProcessor {
         }
     }
 
+    /**
+     * Parse reference CSV text and display it in the OB drop zone
+     */
+    loadReference(csvText) {
+        this.travisMatthewCostData = this.parseCSV(csvText);
+        this.displayTravisMatthewCostData();
+    }
+
     /**
      * Parse CSV text into array of objects
+     * Format: Label, Value
+     * Rows that do not match the schema are left out and listed in the OB drop zone
      */
     parseCSV(csvText) {
-        const lines = csvText.trim().split('\n');
-        const data = [];
-
-        lines.forEach(line => {
-            // Split by comma
-            const values = line.split(',').map(val => val.trim());
-
-            if (values.length >= 2) {
-                data.push({
-                    label: values[0] || '',
-                    value: values[1] || ''
-                });
-            }
-        });
-
-        return data;
+        this.referenceLoad = window.referenceCSV.parse(csvText, this.referenceSchema);
+        return this.referenceLoad.rows;
     }
 
     /**
@@ -68,6 +70,10 @@ class TravisMatthewProcessor {
                 <div class="burton-cost-header">
                 </div>
                 <div class="burton-cost-items">
+                    ${window.referenceCSV.getPanelHTML('v14', this.referenceLoad)}
+                    ${window.tolerancePolicy.getPanelHTML([
+                        { label: 'SHIPPING/DUTY/OVERHEAD/PROFIT', tolerance: this.tolerance }
+                    ])}
         `;
 
         // Display each line from the CSV
@@ -129,6 +135,7 @@ class TravisMatthewProcessor {
                 const comparisonResults = this.compareWithOB(buyerData);
                 this.bcbdResults.push({
                     fileName: file.name,
+                    sheetName: buyerData.sheetName,
                     results: comparisonResults
                 });
             }
@@ -145,30 +152,17 @@ class TravisMatthewProcessor {
      * Parse Buyer CBD Excel file
      */
     async parseBuyerCBDFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get the last sheet (usually contains the latest data)
-                    const lastSheetName = workbook.SheetNames[workbook.SheetNames.length - 1];
-                    const sheet = workbook.Sheets[lastSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-                    // Extract the data for validation
-                    const extractedData = this.extractBuyerData(jsonData);
-                    resolve(extractedData);
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        // Get the last sheet (usually contains the latest data)
+        const lastSheetName = workbook.SheetNames[workbook.SheetNames.length - 1];
+        const sheet = workbook.Sheets[lastSheetName];
+        const jsonData = window.workbookReader.toRows(sheet, { defval: '' });
+
+        // Extract the data for validation
+        const extractedData = this.extractBuyerData(jsonData);
+        extractedData.sheetName = lastSheetName;
+        return extractedData;
     }
 
     /**
@@ -273,6 +267,7 @@ class TravisMatthewProcessor {
                 buyerValue: buyerItem.value,
                 status: 'FOUND',
                 location: `Row ${buyerItem.row}, Column ${buyerItem.column}`,
+                cell: `${buyerItem.column}${buyerItem.row}`,
                 isValid: isValid
             });
         }
@@ -280,6 +275,32 @@ class TravisMatthewProcessor {
         return results;
     }
 
+    /**
+     * Results in the common structured schema (see StructuredResults.js)
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+
+        this.bcbdResults.forEach(fileResult => {
+            fileResult.results.forEach(item => {
+                records.push(sr.record({
+                    file: fileResult.fileName,
+                    sheet: fileResult.sheetName,
+                    ruleId: sr.ruleId('travismatthew', item.label),
+                    rule: `${item.label} matches the Travis Matthew cost breakdown`,
+                    cell: item.cell,
+                    expected: item.obValue,
+                    tolerance: item.label.toUpperCase() === 'SHIPPING/DUTY/OVERHEAD/PROFIT' ? window.tolerancePolicy.describe(this.tolerance) : '',
+                    actual: item.status === 'FOUND' ? item.buyerValue : 'Not found',
+                    status: item.isValid
+                }));
+            });
+        });
+
+        return records;
+    }
+
     /**
      * Compare two values
      */
@@ -290,12 +311,11 @@ class TravisMatthewProcessor {
 
         // For numeric values (like SHIPPING/DUTY/OVERHEAD/PROFIT), compare as numbers
         if (label === 'SHIPPING/DUTY/OVERHEAD/PROFIT') {
-            const obNum = parseFloat(obValue);
-            const buyerNum = parseFloat(buyerValue);
+            const obNum = window.valueParser.toNumber(obValue);
+            const buyerNum = window.valueParser.toNumber(buyerValue);
 
-            if (!isNaN(obNum) && !isNaN(buyerNum)) {
-                // Compare with 2 decimal precision
-                return Math.abs(obNum - buyerNum) < 0.001;
+            if (obNum !== null && buyerNum !== null) {
+                return window.tolerancePolicy.compare(buyerNum, obNum, this.tolerance).status === 'VALID';
             }
         }
 
@@ -442,8 +462,8 @@ class TravisMatthewProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createTravisMatthewConfig(this.bcbdResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createTravisMatthewConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 
     /**
@@ -500,21 +520,19 @@ class TravisMatthewProcessor {
 // Initialize the processor
 window.travisMatthewProcessor = new TravisMatthewProcessor();
 
-// Auto-load Travis Matthew Cost Breakdown when V14 tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-    // Add click listener to ALL elements with data-tab="v14" (both tab buttons and menu items)
-    const v14Tabs = document.querySelectorAll('[data-tab="v14"]');
-    v14Tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            if (!window.travisMatthewProcessor.travisMatthewCostData) {
-                window.travisMatthewProcessor.initialize();
-            }
-        });
-    });
-
-    // If V14 tab is already active on load, initialize immediately
-    const v14TabContent = document.getElementById('tab-v14');
-    if (v14TabContent && v14TabContent.classList.contains('active')) {
-        window.travisMatthewProcessor.initialize();
-    }
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v14',
+    name: 'Travis Matthew',
+    shortName: 'TM',
+    processor: window.travisMatthewProcessor,
+    sheetStrategy: 'last',
+    obPanel: 'reference',
+    loadingMessage: 'Travis Matthew validation',
+    initializeOn: 'activate',
+    isInitialized: (processor) => !!processor.travisMatthewCostData,
+    fingerprints: [
+        { column: 'A', text: 'SHIPPING/DUTY/OVERHEAD/PROFIT', sheet: 'last', weight: 2 },
+        { column: 'A', text: 'PORT OF EXPORT', sheet: 'last' }
+    ]
 });
@@ -0,0 +1,154 @@
+/**
+ * Value Parser
+ * One reading of the numbers found in Buyer CBDs, OB files and reference CSVs, so every tab
+ * interprets "5%", 0.05, 5, "0,05" and "$0.055" the same way.
+ *
+ * parse() returns a typed value with the format it was written in:
+ * {
+ *   type: 'number' | 'percent' | 'currency' | 'text' | 'empty',
+ *   value: 0.05,            // number for number / percent (as a fraction) / currency, trimmed text otherwise
+ *   format: 'percent-text', // number | number-text | decimal-comma | percent-cell | percent-text |
+ *                           // currency-text | text | empty
+ *   text: '5%'              // trimmed source text
+ * }
+ *
+ * Percent rules: toPercent() reads "5%" and a percent-formatted cell holding 0.05 as 0.05. A bare number
+ * is read in the unit it is given: 'fraction' (0.05) or 'whole' (5). Without a unit, bare numbers above 1
+ * are taken as whole-number percentages, so a bare 1 reads as 100% - rules that can hold 1% should
+ * declare their unit or read the cell's number format.
+ */
+
+class ValueParser {
+    constructor() {
+        this.number = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+        this.grouped = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/;   // 1,234.5 - thousands separators
+        this.decimalComma = /^[-+]?\d+,\d+$/;                // 0,05 - European decimal comma
+        this.currency = /^([-+]?)\s*(?:US\$|USD|[$€£¥])\s*|\s*(?:USD|[$€£¥])$/gi;
+
+        // Covers floating point noise when no tolerance is given
+        this.defaultTolerance = 1e-9;
+    }
+
+    /**
+     * Typed value of a raw cell value
+     * @param {*} raw - Cell value (number, string, Date...) or a SheetJS cell object ({ v, z, w })
+     * @param {string} [numberFormat] - Cell number format ('0%', '0.00%'); marks numbers as percentages
+     */
+    parse(raw, numberFormat) {
+        if (raw && typeof raw === 'object' && !(raw instanceof Date) && 'v' in raw) {
+            return this.parse(raw.v, numberFormat !== undefined ? numberFormat : raw.z);
+        }
+
+        if (raw === undefined || raw === null) {
+            return { type: 'empty', value: null, format: 'empty', text: '' };
+        }
+
+        if (typeof raw === 'number') {
+            if (isNaN(raw)) return { type: 'text', value: String(raw), format: 'text', text: String(raw) };
+            const isPercent = typeof numberFormat === 'string' && numberFormat.includes('%');
+            return {
+                type: isPercent ? 'percent' : 'number',
+                value: raw,
+                format: isPercent ? 'percent-cell' : 'number',
+                text: String(raw)
+            };
+        }
+
+        const text = String(raw).trim();
+        if (text === '') {
+            return { type: 'empty', value: null, format: 'empty', text: '' };
+        }
+
+        // 5% / 5.00 % / 0,5%
+        if (text.endsWith('%')) {
+            const number = this.readNumber(text.slice(0, -1).trim());
+            if (number !== null) {
+                return { type: 'percent', value: number / 100, format: 'percent-text', text };
+            }
+        }
+
+        // $0.055 / USD 1.20 / 1.20 €
+        const withoutCurrency = text.replace(this.currency, '$1').trim();
+        if (withoutCurrency !== text) {
+            const number = this.readNumber(withoutCurrency);
+            if (number !== null) {
+                return { type: 'currency', value: number, format: 'currency-text', text };
+            }
+        }
+
+        if (this.decimalComma.test(text) && !this.grouped.test(text)) {
+            return { type: 'number', value: parseFloat(text.replace(',', '.')), format: 'decimal-comma', text };
+        }
+
+        const number = this.readNumber(text);
+        if (number !== null) {
+            return { type: 'number', value: number, format: 'number-text', text };
+        }
+
+        return { type: 'text', value: text, format: 'text', text };
+    }
+
+    /**
+     * Number of a plain numeric string ('0.05', '1,234.5', '0,05'); null otherwise
+     */
+    readNumber(text) {
+        const compact = text.replace(/\s/g, '');
+        if (this.number.test(compact)) return parseFloat(compact);
+        if (this.grouped.test(compact)) return parseFloat(compact.replace(/,/g, ''));
+        if (this.decimalComma.test(compact)) return parseFloat(compact.replace(',', '.'));
+        return null;
+    }
+
+    /**
+     * Number of a value: percentages as fractions ("5%" → 0.05), currency without its symbol; null if not numeric
+     */
+    toNumber(raw, numberFormat) {
+        const parsed = this.parse(raw, numberFormat);
+        return typeof parsed.value === 'number' ? parsed.value : null;
+    }
+
+    /**
+     * Value read as a percentage, as a fraction: "5%", 0.05 and 5 all give 0.05; null if not numeric
+     * @param {string} [numberFormat] - Cell number format; a percent format reads the cell as a fraction
+     * @param {string} [unit] - Unit of bare numbers: 'fraction' or 'whole' (guessed from the size when omitted)
+     */
+    toPercent(raw, numberFormat, unit) {
+        const parsed = this.parse(raw, numberFormat);
+        if (typeof parsed.value !== 'number') return null;
+        if (parsed.type === 'percent') return parsed.value;
+        if (unit === 'fraction') return parsed.value;
+        if (unit === 'whole') return parsed.value / 100;
+        return parsed.value > 1 ? parsed.value / 100 : parsed.value;
+    }
+
+    /**
+     * Whether a value matches an expectation written once in any form ('5%', 0.05, '$0.40', 'USD')
+     * Percent expectations accept every percent representation (see toPercent), numbers compare numerically,
+     * anything else compares as case-insensitive text
+     */
+    matches(raw, expected, tolerance = this.defaultTolerance) {
+        const target = this.parse(expected);
+
+        if (target.type === 'percent') {
+            const value = this.toPercent(raw);
+            return value !== null && Math.abs(value - target.value) <= tolerance;
+        }
+
+        if (target.type === 'number' || target.type === 'currency') {
+            const value = this.toNumber(raw);
+            return value !== null && Math.abs(value - target.value) <= tolerance;
+        }
+
+        return this.parse(raw).text.toLowerCase() === target.text.toLowerCase();
+    }
+
+    /**
+     * Fraction as a percentage for display: 0.05 → '5%', 0.0015 → '0.15%'
+     */
+    formatPercent(fraction, maxDecimals = 4) {
+        return `${parseFloat((fraction * 100).toFixed(maxDecimals))}%`;
+    }
+}
+
+// Initialize global instance (must load before the rule engine and the processors)
+window.valueParser = new ValueParser();
@@ -23,6 +23,21 @@ class VuoriProcessor {
             supplierCost: 18,   // Column S (index 18)
             wastage: 22         // Column W (index 22)
         };
+
+        // Vuori_CostBreakdown.csv layout (see ReferenceCSV.js); '-' marks an unused cell
+        this.referenceLoad = null;
+        this.referenceSchema = {
+            file: 'Vuori_CostBreakdown.csv',
+            key: ['materialDesc', 'materialCode', 'materialSubtype'],
+            columns: [
+                { key: 'materialDesc', name: 'Material Desc', type: 'text' },
+                { key: 'materialCode', name: 'Material Code', type: 'text' },
+                { key: 'materialSubtype', name: 'Material Subtype', type: 'text' },
+                { key: 'construction', name: 'Construction', type: 'text' },
+                { key: 'supplierCost', name: 'Supplier Cost', type: 'currency', min: 0, optional: true },
+                { key: 'wastage', name: 'Wastage', type: 'percent', min: 0, max: 1 }
+            ]
+        };
     }
 
     async initialize() {
@@ -32,8 +47,8 @@ class VuoriProcessor {
 
     async loadCSVData() {
         try {
-            const response = await fetch('assets/data/Vuori_CostBreakdown.csv');
-            const csvText = await response.text();
+            // Uploaded replacement if there is one, else assets/data/Vuori_CostBreakdown.csv
+            const csvText = await window.referenceCSV.getText(this.referenceSchema);
             this.parseCSV(csvText);
             console.log('Vuori CSV data loaded:', this.validationItems);
         } catch (error) {
@@ -41,54 +56,24 @@ class VuoriProcessor {
         }
     }
 
-    parseCSV(csvText) {
-        const lines = csvText.trim().split('\n');
-        this.validationItems = [];
-
-        for (const line of lines) {
-            if (!line.trim()) continue;
-
-            // Parse CSV line (handling potential commas in values)
-            const values = this.parseCSVLine(line);
-
-            if (values.length >= 6) {
-                const materialDesc = values[0].trim();
-                const materialCode = values[1].trim();
-                const materialSubtype = values[2].trim();
-                const construction = values[3].trim();
-                const supplierCost = values[4].trim();
-                const wastage = values[5].trim();
-
-                this.validationItems.push({
-                    materialDesc: materialDesc,
-                    materialCode: materialCode,
-                    materialSubtype: materialSubtype,
-                    construction: construction,
-                    supplierCost: supplierCost,
-                    wastage: wastage
-                });
-            }
-        }
+    /**
+     * Parse reference CSV text and display it in the OB drop zone
+     */
+    loadReference(csvText) {
+        this.parseCSV(csvText);
+        this.displayValidationRules();
     }
 
-    parseCSVLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current);
-        return values;
+    parseCSV(csvText) {
+        this.referenceLoad = window.referenceCSV.parse(csvText, this.referenceSchema);
+        this.validationItems = this.referenceLoad.rows.map(row => ({
+            materialDesc: row.materialDesc,
+            materialCode: row.materialCode,
+            materialSubtype: row.materialSubtype,
+            construction: row.construction,
+            supplierCost: row.supplierCost,
+            wastage: row.wastage
+        }));
     }
 
     displayValidationRules() {
@@ -98,6 +83,7 @@ class VuoriProcessor {
         let html = `
             <div class="burton-cost-container">
                 <div class="burton-cost-items">
+                    ${window.referenceCSV.getPanelHTML('v12', this.referenceLoad)}
         `;
 
         // Display each item from the CSV
@@ -146,31 +132,19 @@ class VuoriProcessor {
     }
 
     async processFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-                    const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-                    const jsonData = XLSX.utils.sheet_to_json(firstSheet, { header: 1 });
-
-                    const validationResults = this.validateData(jsonData);
-
-                    resolve({
-                        fileName: file.name,
-                        items: validationResults,
-                        error: null
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const workbook = await window.workbookReader.read(file);
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
+        const jsonData = window.workbookReader.toRows(firstSheet);
+
+        const validationResults = this.validateData(jsonData);
+
+        return {
+            fileName: file.name,
+            sheetName: workbook.SheetNames[0],
+            items: validationResults,
+            error: null
+        };
     }
 
     validateData(jsonData) {
@@ -319,26 +293,25 @@ class VuoriProcessor {
         }
 
         // Handle percentage conversion for Wastage column
-        // Excel stores 5% as 0.05, so multiply by 100 for display and comparison
-        if (label === 'Wastage' && expectedStr.includes('%')) {
-            const actualNum = parseFloat(actualStr);
-            if (!isNaN(actualNum) && actualNum < 1) {
+        // Excel stores 5% as 0.05, so multiply by 100 for display
+        const isPercent = label === 'Wastage' && window.valueParser.parse(expectedStr).type === 'percent';
+        if (isPercent) {
+            const parsed = window.valueParser.parse(actualStr);
+            if (parsed.type === 'number' && parsed.value < 1) {
                 // Convert decimal to percentage (0.05 -> 5.00%)
-                actualStr = (actualNum * 100).toFixed(2) + '%';
+                actualStr = (parsed.value * 100).toFixed(2) + '%';
             }
         }
 
-        // Normalize values for comparison
+        // Normalize values for comparison: percentages (5.00%, 0.05, 5) by their percentage,
+        // other numbers ($0.030) to 3 decimals, text ignoring case
         const normalizeValue = (val) => {
             if (val === '-') return '-';
-            // Remove $, %, and whitespace, convert to lowercase
-            let normalized = String(val).replace(/[$%]/g, '').trim().toLowerCase();
-            // Try to parse as number for numeric comparison
-            const num = parseFloat(normalized);
-            if (!isNaN(num)) {
-                return num.toFixed(3);
+            const num = isPercent ? window.valueParser.toPercent(val) : window.valueParser.toNumber(val);
+            if (num !== null) {
+                return (isPercent ? num * 100 : num).toFixed(3);
             }
-            return normalized;
+            return String(val).trim().toLowerCase();
         };
 
         const normalizedActual = normalizeValue(actualStr);
@@ -355,6 +328,55 @@ class VuoriProcessor {
         };
     }
 
+    /**
+     * Results in the common structured schema (see StructuredResults.js)
+     * Columns with no expected value ('-') are not checked and left out
+     */
+    getStructuredResults() {
+        const sr = window.structuredResults;
+        const records = [];
+
+        (this.fileResults || []).forEach(fileResult => {
+            if (fileResult.error) {
+                records.push(sr.errorRecord(fileResult.fileName, 'vuori', fileResult.error));
+                return;
+            }
+
+            const base = { file: fileResult.fileName, sheet: fileResult.sheetName };
+
+            fileResult.items.forEach(item => {
+                const { materialSubtype, materialCode } = item.validationItem;
+                const itemName = materialCode !== '-' ? `${materialSubtype} (${materialCode})` : materialSubtype;
+
+                if (!item.found) {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('vuori', itemName),
+                        rule: `${itemName} is listed (column F)`,
+                        expected: 'Listed',
+                        actual: 'Not found',
+                        status: 'INVALID'
+                    }));
+                    return;
+                }
+
+                item.checks.filter(check => !check.skipped).forEach(check => {
+                    records.push(sr.record({
+                        ...base,
+                        ruleId: sr.ruleId('vuori', itemName, check.label),
+                        rule: `${itemName} ${check.label} matches the Vuori cost breakdown`,
+                        cell: check.cellAddress,
+                        expected: check.expected,
+                        actual: check.actual,
+                        status: check.isValid
+                    }));
+                });
+            });
+        });
+
+        return records;
+    }
+
     generateResultsHTML(results) {
         let html = '';
 
@@ -487,82 +509,6 @@ class VuoriProcessor {
         return html;
     }
 
-    exportToExcel(fileName, items) {
-        // Parse items if it's a string
-        if (typeof items === 'string') {
-            items = JSON.parse(items);
-        }
-
-        const exportData = [];
-
-        // Add header row
-        exportData.push([
-            'Expected Material Desc (D)', 'Actual Material Desc', 'Status',
-            'Expected Material Code (E)', 'Actual Material Code', 'Status',
-            'Expected Material Subtype (F)', 'Actual Material Subtype', 'Status',
-            'Expected Construction (G)', 'Actual Construction', 'Status',
-            'Expected Supplier Cost (S)', 'Actual Supplier Cost', 'Status',
-            'Expected Wastage (W)', 'Actual Wastage', 'Status',
-            'Overall Status'
-        ]);
-
-        for (const item of items) {
-            const getCheckByLabel = (label) => item.checks?.find(c => c.label === label);
-
-            if (!item.found) {
-                exportData.push([
-                    item.validationItem.materialDesc, 'Not Found', 'N/A',
-                    item.validationItem.materialCode, 'Not Found', 'N/A',
-                    item.validationItem.materialSubtype, 'Not Found', 'N/A',
-                    item.validationItem.construction, 'Not Found', 'N/A',
-                    item.validationItem.supplierCost, 'Not Found', 'N/A',
-                    item.validationItem.wastage, 'Not Found', 'N/A',
-                    'Not Found'
-                ]);
-            } else {
-                const materialDescCheck = getCheckByLabel('Material Desc');
-                const materialCodeCheck = getCheckByLabel('Material Code');
-                const materialSubtypeCheck = getCheckByLabel('Material Subtype');
-                const constructionCheck = getCheckByLabel('Construction');
-                const supplierCostCheck = getCheckByLabel('Supplier Cost');
-                const wastageCheck = getCheckByLabel('Wastage');
-
-                exportData.push([
-                    item.validationItem.materialDesc, materialDescCheck?.actual || '-', materialDescCheck?.isValid ? 'Valid' : 'Invalid',
-                    item.validationItem.materialCode, materialCodeCheck?.actual || '-', materialCodeCheck?.isValid ? 'Valid' : 'Invalid',
-                    item.validationItem.materialSubtype, materialSubtypeCheck?.actual || '-', materialSubtypeCheck?.isValid ? 'Valid' : 'Invalid',
-                    item.validationItem.construction, constructionCheck?.actual || '-', constructionCheck?.isValid ? 'Valid' : 'Invalid',
-                    item.validationItem.supplierCost, supplierCostCheck?.actual || '-', supplierCostCheck?.isValid ? 'Valid' : 'Invalid',
-                    item.validationItem.wastage, wastageCheck?.actual || '-', wastageCheck?.isValid ? 'Valid' : 'Invalid',
-                    item.isValid ? 'Valid' : 'Invalid'
-                ]);
-            }
-        }
-
-        // Create workbook and worksheet
-        const wb = XLSX.utils.book_new();
-        const ws = XLSX.utils.aoa_to_sheet(exportData);
-
-        // Set column widths
-        ws['!cols'] = [
-            { wch: 22 }, { wch: 20 }, { wch: 10 }, // Material Desc
-            { wch: 22 }, { wch: 18 }, { wch: 10 }, // Material Code
-            { wch: 24 }, { wch: 20 }, { wch: 10 }, // Material Subtype
-            { wch: 22 }, { wch: 18 }, { wch: 10 }, // Construction
-            { wch: 22 }, { wch: 18 }, { wch: 10 }, // Supplier Cost
-            { wch: 20 }, { wch: 15 }, { wch: 10 }, // Wastage
-            { wch: 15 }  // Overall Status
-        ];
-
-        XLSX.utils.book_append_sheet(wb, ws, 'Vuori Validation');
-
-        // Generate filename
-        const exportFileName = `Vuori_Validation_${fileName.replace(/\.[^/.]+$/, '')}_${new Date().toISOString().slice(0, 10)}.xlsx`;
-
-        // Download
-        XLSX.writeFile(wb, exportFileName);
-    }
-
     /**
      * Export results to PDF using the unified Export.js module
      */
@@ -578,10 +524,24 @@ class VuoriProcessor {
             return;
         }
 
-        const config = window.pdfExporter.createVuoriConfig(this.fileResults);
-        await window.pdfExporter.exportMultiFileToPDF(config);
+        const layout = window.pdfExporter.createVuoriConfig();
+        await window.pdfExporter.exportResultsToPDF(layout, this.getStructuredResults(), this);
     }
 }
 
 // Initialize processor
 window.vuoriProcessor = new VuoriProcessor();
+
+// Register with the processor registry
+window.processorRegistry.register({
+    id: 'v12',
+    name: 'Vuori',
+    shortName: 'VRI',
+    processor: window.vuoriProcessor,
+    loadingMessage: 'Vuori validation',
+    fingerprints: [
+        { column: 'F', text: 'Woven Label', exact: true },
+        { column: 'F', text: 'Care Label', exact: true },
+        { column: 'F', text: 'UPC Sticker', exact: true }
+    ]
+});
@@ -0,0 +1,379 @@
+/**
+ * Waivers
+ * Approved exceptions to a rule: a buyer-agreed 6% wastage on one Mammut style, an ODLO overhead
+ * outside 10-15% signed off by email. A failing result can be waived with a reason, an author and an
+ * optional expiry date; until it expires the result shows as WAIVED in the results, the PDF and Excel
+ * exports and the summary counts, with its justification next to it.
+ *
+ * Waivers are kept in localStorage per processor, keyed by file name (which carries the style),
+ * rule id and cell:
+ *   { file, ruleId, cell, reason, author, expires: '2026-12-31' or '', created }
+ *
+ * They are applied after every run (see Registry.js): a waived record keeps its values and gets
+ * status WAIVED, severity 'waived' and waiver: { reason, author, expires, originalStatus }.
+ */
+
+class Waivers {
+    constructor() {
+        this.storagePrefix = 'waivers-';
+        this.authorKey = 'waivers-author';
+    }
+
+    /**
+     * Saved waivers of a processor ([] when there are none or storage is unavailable)
+     */
+    load(id) {
+        try {
+            const saved = localStorage.getItem(this.storagePrefix + id);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error(`Could not read waivers for ${id}:`, error);
+            return [];
+        }
+    }
+
+    saveAll(id, waivers) {
+        try {
+            if (waivers.length === 0) {
+                localStorage.removeItem(this.storagePrefix + id);
+            } else {
+                localStorage.setItem(this.storagePrefix + id, JSON.stringify(waivers));
+            }
+            return true;
+        } catch (error) {
+            console.error(`Could not save waivers for ${id}:`, error);
+            alert('Could not save the waiver. Browser storage may be full or disabled.');
+            return false;
+        }
+    }
+
+    matches(waiver, record) {
+        return waiver.file === record.file && waiver.ruleId === record.ruleId && waiver.cell === record.cell;
+    }
+
+    /**
+     * Is a waiver past its expiry date (it still applies on the expiry date itself)
+     */
+    isExpired(waiver, today = this.today()) {
+        return !!waiver.expires && waiver.expires < today;
+    }
+
+    today() {
+        const now = new Date();
+        const pad = number => String(number).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    /**
+     * Mark the failing records of a run that have a current waiver
+     */
+    apply(entry) {
+        const waivers = this.load(entry.id).filter(waiver => !this.isExpired(waiver));
+        if (waivers.length === 0) return;
+
+        entry.results = entry.results.map(record => {
+            if (record.status === 'VALID') return record;
+
+            const waiver = waivers.find(candidate => this.matches(candidate, record));
+            if (!waiver) return record;
+
+            return {
+                ...record,
+                status: 'WAIVED',
+                severity: 'waived',
+                waiver: {
+                    reason: waiver.reason,
+                    author: waiver.author,
+                    expires: waiver.expires,
+                    originalStatus: record.status
+                }
+            };
+        });
+    }
+
+    isWaived(record) {
+        return record.status === 'WAIVED';
+    }
+
+    /**
+     * 'Buyer agreed 6% - J. Smith, until 2026-12-31'
+     */
+    describe(waiver) {
+        return `${waiver.reason} - ${waiver.author}${waiver.expires ? `, until ${waiver.expires}` : ''}`;
+    }
+
+    /**
+     * Results block listing the run's failing rows, each with a Waive or Remove action
+     * Empty when every check passed
+     */
+    getResultsHTML(entry) {
+        const rows = (entry.results || [])
+            .map((record, index) => ({ record, index }))
+            .filter(({ record }) => record.status !== 'VALID');
+        if (rows.length === 0) return '';
+
+        const waived = rows.filter(({ record }) => this.isWaived(record)).length;
+        const expired = this.load(entry.id).filter(waiver => this.isExpired(waiver));
+
+        return `
+            <div class="waiver-results">
+                <h3>Waivers</h3>
+                <div class="waiver-summary">${rows.length - waived} open failure${rows.length - waived === 1 ? '' : 's'}, ${waived} waived</div>
+                <table class="results-table waiver-table">
+                    <thead>
+                        <tr class="header-labels-row"><th>File</th><th>Sheet</th><th>Cell</th><th>Check</th><th>Found</th><th>Status</th><th>Waiver</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(({ record, index }) => `
+                            <tr class="waiver-${record.status.toLowerCase()}">
+                                <td>${this.escape(record.file)}</td>
+                                <td>${this.escape(record.sheet)}</td>
+                                <td><strong>${record.cell}</strong></td>
+                                <td>${this.escape(record.rule)}</td>
+                                <td>${this.escape(record.actual === null ? '-' : record.actual)}</td>
+                                <td>${record.status}</td>
+                                <td id="waiver-${entry.id}-${index}">${this.getActionHTML(entry.id, record, index, expired)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    getActionHTML(id, record, index, expired) {
+        if (this.isWaived(record)) {
+            return `
+                <div class="waiver-reason">${this.escape(this.describe(record.waiver))}</div>
+                <button class="waiver-btn" onclick="window.waivers.remove('${id}', ${index})">Remove</button>
+            `;
+        }
+
+        const lapsed = expired.find(waiver => this.matches(waiver, record));
+        return `
+            ${lapsed ? `<div class="waiver-expired">Waiver expired on ${lapsed.expires}</div>` : ''}
+            <button class="waiver-btn" onclick="window.waivers.edit('${id}', ${index})">Waive</button>
+        `;
+    }
+
+    /**
+     * Swap a row's Waive button for the waiver form
+     */
+    edit(id, index) {
+        const cell = document.getElementById(`waiver-${id}-${index}`);
+        if (!cell) return;
+
+        const prefix = `waiver-${id}-${index}`;
+        cell.innerHTML = `
+            <div class="waiver-form">
+                <input type="text" id="${prefix}-reason" placeholder="Reason (e.g. buyer approved by email)">
+                <input type="text" id="${prefix}-author" placeholder="Your name">
+                <label>Expires <input type="date" id="${prefix}-expires"></label>
+                <div>
+                    <button class="waiver-btn" onclick="window.waivers.save('${id}', ${index})">Save</button>
+                    <button class="waiver-btn secondary" onclick="window.waivers.cancel('${id}', ${index})">Cancel</button>
+                </div>
+            </div>
+        `;
+        cell.querySelector(`#${prefix}-author`).value = this.loadAuthor();
+        cell.querySelector(`#${prefix}-reason`).focus();
+    }
+
+    cancel(id, index) {
+        const entry = window.processorRegistry.get(id);
+        const cell = document.getElementById(`waiver-${id}-${index}`);
+        if (!entry || !cell) return;
+
+        const expired = this.load(id).filter(waiver => this.isExpired(waiver));
+        cell.innerHTML = this.getActionHTML(id, entry.results[index], index, expired);
+    }
+
+    /**
+     * Save the waiver of a result row from its form and re-run the tab
+     */
+    save(id, index) {
+        const entry = window.processorRegistry.get(id);
+        const record = entry && entry.results[index];
+        if (!record) return;
+
+        const prefix = `waiver-${id}-${index}`;
+        const reason = document.getElementById(`${prefix}-reason`).value.trim();
+        const author = document.getElementById(`${prefix}-author`).value.trim();
+        const expires = document.getElementById(`${prefix}-expires`).value;
+
+        if (!reason || !author) {
+            alert('Please enter a reason and your name for the waiver.');
+            return;
+        }
+        if (expires && this.isExpired({ expires })) {
+            alert('The expiry date is in the past.');
+            return;
+        }
+
+        const waivers = this.load(id).filter(waiver => !this.matches(waiver, record));
+        waivers.push({
+            file: record.file,
+            ruleId: record.ruleId,
+            cell: record.cell,
+            reason: reason,
+            author: author,
+            expires: expires,
+            created: new Date().toISOString()
+        });
+
+        this.saveAuthor(author);
+        if (this.saveAll(id, waivers)) {
+            handleGenerateResults(id);
+        }
+    }
+
+    /**
+     * Remove the waiver of a result row and re-run the tab
+     */
+    remove(id, index) {
+        const entry = window.processorRegistry.get(id);
+        const record = entry && entry.results[index];
+        if (!record || !confirm(`Remove the waiver on ${record.cell || record.ruleId} (${record.file})?`)) return;
+
+        if (this.saveAll(id, this.load(id).filter(waiver => !this.matches(waiver, record)))) {
+            handleGenerateResults(id);
+        }
+    }
+
+    loadAuthor() {
+        try {
+            return localStorage.getItem(this.authorKey) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    saveAuthor(author) {
+        try {
+            localStorage.setItem(this.authorKey, author);
+        } catch (error) {
+            console.error('Could not save the waiver author:', error);
+        }
+    }
+
+    /**
+     * Show the run's waivers in the processor's own results: each file summary box gets the counts with
+     * waivers (see StructuredResults.summarize), and each result row whose cells are waived is badged
+     * and its INVALID / WARNING wording replaced. A row that also shows a cell with an open failure is
+     * left as it is.
+     */
+    markResults(container, entry) {
+        const records = entry.results || [];
+        if (!records.some(record => this.isWaived(record))) return;
+
+        const supplementary = '.waiver-results, .rollup-results, .formula-results';
+        const files = [...new Set(records.map(record => record.file))];
+
+        container.querySelectorAll('.file-summary-box').forEach(box => {
+            if (box.closest(supplementary)) return;
+            const file = this.namedFile(box, files);
+            const summary = file && window.structuredResults.summarize(records.filter(record => record.file === file))[0];
+            if (!summary || summary.waived === 0) return;
+
+            box.insertAdjacentHTML('beforeend', `
+                <br><strong>With waivers:</strong> ${summary.valid + summary.waived} out of ${summary.total} checks pass
+                (${summary.waived} waived, ${summary.invalid} failed${summary.warning ? `, ${summary.warning} warning${summary.warning === 1 ? '' : 's'}` : ''})
+            `);
+        });
+
+        container.querySelectorAll('.results-table tbody tr').forEach(row => {
+            if (row.closest(supplementary)) return;
+
+            const rowRecords = this.rowRecords(row, records, files);
+            if (rowRecords.some(record => record.status === 'INVALID' || record.status === 'WARNING')) return;
+
+            const waived = rowRecords.filter(record => this.isWaived(record));
+            if (waived.length === 0) return;
+
+            row.classList.add('waived-row');
+            this.replaceStatusText(row);
+
+            const badge = document.createElement('span');
+            badge.className = 'waiver-badge';
+            badge.textContent = 'Waived';
+            badge.title = waived.map(record => this.describe(record.waiver)).join('\n');
+
+            const waivedLink = [...row.querySelectorAll('.cell-link')]
+                .find(link => waived.some(record => record.cell === link.dataset.cell && record.file === link.dataset.file));
+            if (waivedLink) {
+                waivedLink.after(badge);
+            } else {
+                row.cells[0].appendChild(badge);
+            }
+        });
+    }
+
+    /**
+     * Records a processor result row points at: its viewer links (see SheetViewer.js), and the cell
+     * addresses it shows without a link, in the file of the results block around it
+     */
+    rowRecords(row, records, files) {
+        const found = new Set();
+
+        row.querySelectorAll('.cell-link').forEach(link => {
+            records
+                .filter(record => record.file === link.dataset.file && record.sheet === link.dataset.sheet && record.cell === link.dataset.cell)
+                .forEach(record => found.add(record));
+        });
+
+        const group = row.closest('.file-result-group');
+        const file = files.length === 1 ? files[0] : this.namedFile(group && group.querySelector('.file-summary-box'), files);
+        if (file) {
+            const cells = new Set();
+            const pattern = new RegExp(window.sheetViewer.cellPattern.source, 'g');
+            const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                for (const match of walker.currentNode.nodeValue.matchAll(pattern)) {
+                    if (match[2]) cells.add(match[2]);
+                }
+            }
+            records
+                .filter(record => record.file === file && cells.has(record.cell))
+                .forEach(record => found.add(record));
+        }
+
+        return [...found];
+    }
+
+    /**
+     * The file a summary box names ('File: style.xlsx'), longest name first so 'a.xlsx' does not claim 'aa.xlsx'
+     */
+    namedFile(box, files) {
+        if (!box) return null;
+        const text = box.textContent;
+        return files.slice().sort((a, b) => b.length - a.length).find(file => text.includes(file)) || null;
+    }
+
+    /**
+     * Reword the row's INVALID / WARNING status text as WAIVED (processors colour it inline)
+     */
+    replaceStatusText(row) {
+        const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            const text = node.nodeValue.trim();
+            if (text !== 'INVALID' && text !== 'WARNING') return;
+
+            node.nodeValue = node.nodeValue.replace(text, 'WAIVED');
+            node.parentElement.style.color = '#075985';
+        });
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize global instance (run by the registry after each processor run)
+window.waivers = new Waivers();
@@ -0,0 +1,529 @@
+/**
+ * Workbook Annotator
+ * Writes the status fills and notes of a run into a copy of an uploaded Buyer CBD without re-saving
+ * the workbook: the .xlsx / .xlsm package is opened as a zip (SheetJS's CFB) and only the styles part,
+ * the worksheets holding checked cells and their comments and VML drawing parts (with their
+ * relationships and content types) are changed. Charts, images, pivot tables, VBA and every other
+ * part are copied as they are, so the annotated copy can go back to the vendor.
+ *
+ * Each checked cell gets a copy of its own cell format with a solid fill; a cell with a note gets it
+ * as a legacy comment, appended to the comment the cell already has.
+ *
+ * annotations: [{ sheet: 'Cost Sheet', cell: 'E12', fill: 'FFFEE2E2', note: 'INVALID: expected 5%...' }]
+ */
+
+class WorkbookAnnotator {
+    constructor() {
+        this.ns = {
+            main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+            r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+            rels: 'http://schemas.openxmlformats.org/package/2006/relationships',
+            types: 'http://schemas.openxmlformats.org/package/2006/content-types',
+            xml: 'http://www.w3.org/XML/1998/namespace'
+        };
+        this.relTypes = {
+            officeDocument: `${this.ns.r}/officeDocument`,
+            styles: `${this.ns.r}/styles`,
+            comments: `${this.ns.r}/comments`,
+            vmlDrawing: `${this.ns.r}/vmlDrawing`
+        };
+        this.contentTypes = {
+            styles: 'application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml',
+            comments: 'application/vnd.openxmlformats-officedocument.spreadsheetml.comments+xml',
+            vml: 'application/vnd.openxmlformats-officedocument.vmlDrawing'
+        };
+        this.declaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n';
+        this.author = 'Costing Validation';
+
+        // Worksheet children that come after <legacyDrawing> (CT_Worksheet sequence)
+        this.afterLegacyDrawing = ['legacyDrawingHF', 'drawingHF', 'picture', 'oleObjects', 'controls', 'webPublishItems', 'tableParts', 'extLst'];
+    }
+
+    /**
+     * Annotated copy of an uploaded workbook
+     * @param {ArrayBuffer} data - the upload (.xlsx or .xlsm)
+     * @param {Array} annotations - [{ sheet, cell, fill, note }]
+     * @returns {Uint8Array} - the package with the annotated parts replaced
+     */
+    annotate(data, annotations) {
+        const pkg = {
+            zip: XLSX.CFB.read(new Uint8Array(data), { type: 'array' }),
+            parts: new Map(),       // path → parsed XML Document or VML text
+            changed: new Set()      // paths of the parts to write back
+        };
+
+        const workbookPath = this.getRelationships(pkg, '').find(rel => rel.type === this.relTypes.officeDocument);
+        if (!workbookPath) {
+            throw new Error('Not an Excel workbook package');
+        }
+
+        const sheets = this.getSheetPaths(pkg, workbookPath.target);
+        const styles = this.getStyles(pkg, workbookPath.target);
+
+        const bySheet = new Map();
+        annotations.forEach(annotation => {
+            const path = sheets.get(annotation.sheet);
+            if (!path) return;
+            if (!bySheet.has(path)) bySheet.set(path, []);
+            bySheet.get(path).push(annotation);
+        });
+
+        bySheet.forEach((sheetAnnotations, path) => {
+            const sheet = this.getXML(pkg, path);
+            if (!sheet || sheet.getElementsByTagNameNS(this.ns.main, 'sheetData').length === 0) return;
+
+            sheetAnnotations.forEach(annotation => {
+                const cell = this.getCell(sheet, annotation.cell);
+                const style = parseInt(cell.getAttribute('s') || '0', 10);
+                cell.setAttribute('s', this.fillStyle(styles, style, annotation.fill));
+            });
+            pkg.changed.add(path);
+
+            const notes = sheetAnnotations.filter(annotation => annotation.note);
+            if (notes.length > 0) {
+                this.addNotes(pkg, path, sheet, notes);
+            }
+        });
+
+        if (styles.formats.size > 0) {
+            pkg.changed.add(styles.path);
+        }
+
+        pkg.changed.forEach(path => {
+            const part = pkg.parts.get(path);
+            const text = typeof part === 'string'
+                ? part
+                : this.declaration + new XMLSerializer().serializeToString(part).replace(/^<\?xml[^>]*\?>\s*/, '');
+            XLSX.CFB.utils.cfb_add(pkg.zip, `/${path}`, new TextEncoder().encode(text));
+        });
+
+        return XLSX.CFB.write(pkg.zip, { fileType: 'zip', type: 'array', compression: true });
+    }
+
+    // ---- Package parts ----
+
+    readText(pkg, path) {
+        const entry = XLSX.CFB.find(pkg.zip, `/${path}`);
+        return entry && entry.content ? new TextDecoder('utf-8').decode(new Uint8Array(entry.content)) : null;
+    }
+
+    /**
+     * Parsed XML part, kept for the rest of the annotation (written back once marked in pkg.changed); null if missing
+     */
+    getXML(pkg, path) {
+        if (!pkg.parts.has(path)) {
+            const text = this.readText(pkg, path);
+            if (text === null) return null;
+            pkg.parts.set(path, new DOMParser().parseFromString(text, 'application/xml'));
+        }
+        return pkg.parts.get(path);
+    }
+
+    createXML(pkg, path, text) {
+        pkg.parts.set(path, new DOMParser().parseFromString(text, 'application/xml'));
+        pkg.changed.add(path);
+        return pkg.parts.get(path);
+    }
+
+    /**
+     * Element in the document's root namespace (with the root's prefix, if it uses one)
+     */
+    createElement(doc, name) {
+        const root = doc.documentElement;
+        return doc.createElementNS(root.namespaceURI, root.prefix ? `${root.prefix}:${name}` : name);
+    }
+
+    relsPath(partPath) {
+        const slash = partPath.lastIndexOf('/');
+        return `${partPath.slice(0, slash + 1)}_rels/${partPath.slice(slash + 1)}.rels`;
+    }
+
+    /**
+     * Package path of a relationship target ('worksheets/sheet1.xml' from 'xl/workbook.xml')
+     */
+    resolve(partPath, target) {
+        if (target.startsWith('/')) return target.slice(1);
+
+        const parts = partPath.split('/').slice(0, -1);
+        target.split('/').forEach(segment => {
+            if (segment === '..') parts.pop();
+            else if (segment !== '.') parts.push(segment);
+        });
+        return parts.join('/');
+    }
+
+    /**
+     * Relationships of a part ('' for the package) - [{ id, type, target (package path) }]
+     */
+    getRelationships(pkg, partPath) {
+        const doc = this.getXML(pkg, partPath ? this.relsPath(partPath) : '_rels/.rels');
+        if (!doc) return [];
+
+        return [...doc.getElementsByTagNameNS(this.ns.rels, 'Relationship')]
+            .filter(rel => rel.getAttribute('TargetMode') !== 'External')
+            .map(rel => ({
+                id: rel.getAttribute('Id'),
+                type: rel.getAttribute('Type'),
+                target: this.resolve(partPath, rel.getAttribute('Target'))
+            }));
+    }
+
+    /**
+     * Add a relationship to a part, creating its .rels part if needed
+     * @returns {string} - the new relationship id
+     */
+    addRelationship(pkg, partPath, type, targetPath) {
+        const path = this.relsPath(partPath);
+        const doc = this.getXML(pkg, path) ||
+            this.createXML(pkg, path, `<Relationships xmlns="${this.ns.rels}"/>`);
+
+        const ids = new Set([...doc.getElementsByTagNameNS(this.ns.rels, 'Relationship')].map(rel => rel.getAttribute('Id')));
+        let number = ids.size + 1;
+        while (ids.has(`rId${number}`)) number++;
+
+        const partDir = partPath.split('/').slice(0, -1);
+        const targetParts = targetPath.split('/');
+        let common = 0;
+        while (common < partDir.length && partDir[common] === targetParts[common]) common++;
+        const target = [...partDir.slice(common).map(() => '..'), ...targetParts.slice(common)].join('/');
+
+        const rel = doc.createElementNS(this.ns.rels, 'Relationship');
+        rel.setAttribute('Id', `rId${number}`);
+        rel.setAttribute('Type', type);
+        rel.setAttribute('Target', target);
+        doc.documentElement.appendChild(rel);
+        pkg.changed.add(path);
+        return `rId${number}`;
+    }
+
+    addContentType(pkg, partPath, contentType) {
+        const doc = this.getXML(pkg, '[Content_Types].xml');
+        const override = doc.createElementNS(this.ns.types, 'Override');
+        override.setAttribute('PartName', `/${partPath}`);
+        override.setAttribute('ContentType', contentType);
+        doc.documentElement.appendChild(override);
+        pkg.changed.add('[Content_Types].xml');
+    }
+
+    addDefaultContentType(pkg, extension, contentType) {
+        const doc = this.getXML(pkg, '[Content_Types].xml');
+        const known = [...doc.getElementsByTagNameNS(this.ns.types, 'Default')]
+            .some(type => (type.getAttribute('Extension') || '').toLowerCase() === extension);
+        if (known) return;
+
+        const type = doc.createElementNS(this.ns.types, 'Default');
+        type.setAttribute('Extension', extension);
+        type.setAttribute('ContentType', contentType);
+        doc.documentElement.insertBefore(type, doc.documentElement.firstChild);
+        pkg.changed.add('[Content_Types].xml');
+    }
+
+    /**
+     * Free package path: 'xl/comments3.xml' when comments1 and 2 exist
+     */
+    freePath(pkg, prefix, extension) {
+        let number = 1;
+        while (XLSX.CFB.find(pkg.zip, `/${prefix}${number}.${extension}`) || pkg.parts.has(`${prefix}${number}.${extension}`)) number++;
+        return `${prefix}${number}.${extension}`;
+    }
+
+    /**
+     * Sheet name → worksheet part path
+     */
+    getSheetPaths(pkg, workbookPath) {
+        const workbook = this.getXML(pkg, workbookPath);
+        const rels = this.getRelationships(pkg, workbookPath);
+        const paths = new Map();
+
+        [...workbook.getElementsByTagNameNS(this.ns.main, 'sheet')].forEach(sheet => {
+            const rel = rels.find(candidate => candidate.id === sheet.getAttributeNS(this.ns.r, 'id'));
+            if (rel) paths.set(sheet.getAttribute('name'), rel.target);
+        });
+        return paths;
+    }
+
+    // ---- Fills ----
+
+    /**
+     * Styles part of the workbook, with the fill formats made so far
+     */
+    getStyles(pkg, workbookPath) {
+        const rel = this.getRelationships(pkg, workbookPath).find(candidate => candidate.type === this.relTypes.styles);
+        let path = rel && rel.target;
+        let doc = path && this.getXML(pkg, path);
+
+        if (!doc) {
+            path = this.resolve(workbookPath, 'styles.xml');
+            doc = this.createXML(pkg, path, `<styleSheet xmlns="${this.ns.main}">` +
+                '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/></cellXfs>' +
+                '</styleSheet>');
+            this.addRelationship(pkg, workbookPath, this.relTypes.styles, path);
+            this.addContentType(pkg, path, this.contentTypes.styles);
+        }
+
+        return { path, doc, fills: new Map(), formats: new Map() };
+    }
+
+    /**
+     * Index of a cell format like `style` with a solid `argb` fill, added on first use
+     */
+    fillStyle(styles, style, argb) {
+        const key = `${style}|${argb}`;
+        if (styles.formats.has(key)) return styles.formats.get(key);
+
+        const doc = styles.doc;
+        const cellXfs = this.child(doc.documentElement, 'cellXfs');
+        const formats = [...cellXfs.getElementsByTagNameNS(this.ns.main, 'xf')];
+        const format = (formats[style] || formats[0]).cloneNode(true);
+
+        format.setAttribute('fillId', this.fillId(styles, argb));
+        format.setAttribute('applyFill', '1');
+        cellXfs.appendChild(format);
+        cellXfs.setAttribute('count', formats.length + 1);
+
+        styles.formats.set(key, String(formats.length));
+        return String(formats.length);
+    }
+
+    fillId(styles, argb) {
+        if (styles.fills.has(argb)) return styles.fills.get(argb);
+
+        const doc = styles.doc;
+        let fills = this.child(doc.documentElement, 'fills');
+        if (!fills) {
+            fills = this.createElement(doc, 'fills');
+            doc.documentElement.insertBefore(fills, this.child(doc.documentElement, 'borders'));
+        }
+
+        const fill = this.createElement(doc, 'fill');
+        const pattern = this.createElement(doc, 'patternFill');
+        const foreground = this.createElement(doc, 'fgColor');
+        const background = this.createElement(doc, 'bgColor');
+        pattern.setAttribute('patternType', 'solid');
+        foreground.setAttribute('rgb', argb);
+        background.setAttribute('indexed', '64');
+        pattern.appendChild(foreground);
+        pattern.appendChild(background);
+        fill.appendChild(pattern);
+
+        const count = fills.getElementsByTagNameNS(this.ns.main, 'fill').length;
+        fills.appendChild(fill);
+        fills.setAttribute('count', count + 1);
+
+        styles.fills.set(argb, String(count));
+        return String(count);
+    }
+
+    child(element, name) {
+        return [...element.childNodes].find(node => node.nodeType === 1 && node.localName === name) || null;
+    }
+
+    // ---- Cells ----
+
+    /**
+     * The <c> element of a cell, inserted (in row and column order) when the sheet has none
+     */
+    getCell(sheet, address) {
+        const { r, c } = XLSX.utils.decode_cell(address);
+        const sheetData = sheet.getElementsByTagNameNS(this.ns.main, 'sheetData')[0];
+
+        let row = null;
+        let nextRow = null;
+        let rowNumber = 0;
+        for (const candidate of sheetData.getElementsByTagNameNS(this.ns.main, 'row')) {
+            rowNumber = candidate.hasAttribute('r') ? parseInt(candidate.getAttribute('r'), 10) : rowNumber + 1;
+            if (rowNumber === r + 1) row = candidate;
+            if (rowNumber > r + 1) {
+                nextRow = candidate;
+                break;
+            }
+        }
+        if (!row) {
+            row = this.createElement(sheet, 'row');
+            row.setAttribute('r', r + 1);
+            sheetData.insertBefore(row, nextRow);
+        }
+
+        let nextCell = null;
+        let column = -1;
+        for (const candidate of row.getElementsByTagNameNS(this.ns.main, 'c')) {
+            column = candidate.hasAttribute('r') ? XLSX.utils.decode_cell(candidate.getAttribute('r')).c : column + 1;
+            if (column === c) return candidate;
+            if (column > c) {
+                nextCell = candidate;
+                break;
+            }
+        }
+
+        const cell = this.createElement(sheet, 'c');
+        cell.setAttribute('r', address);
+        row.insertBefore(cell, nextCell);
+        return cell;
+    }
+
+    // ---- Notes ----
+
+    /**
+     * Write notes into the sheet's comments part and its VML drawing, creating both if needed
+     */
+    addNotes(pkg, sheetPath, sheet, notes) {
+        const rels = this.getRelationships(pkg, sheetPath);
+
+        const commentsRel = rels.find(rel => rel.type === this.relTypes.comments);
+        let commentsPath = commentsRel && commentsRel.target;
+        let comments = commentsPath && this.getXML(pkg, commentsPath);
+        if (!comments) {
+            commentsPath = this.freePath(pkg, 'xl/comments', 'xml');
+            comments = this.createXML(pkg, commentsPath, `<comments xmlns="${this.ns.main}"><authors/><commentList/></comments>`);
+            this.addRelationship(pkg, sheetPath, this.relTypes.comments, commentsPath);
+            this.addContentType(pkg, commentsPath, this.contentTypes.comments);
+        }
+        pkg.changed.add(commentsPath);
+
+        const vmlPath = this.getVMLPath(pkg, sheetPath, sheet, rels);
+        let authorId = null;
+        const commentList = this.child(comments.documentElement, 'commentList');
+        const existing = new Map([...commentList.getElementsByTagNameNS(this.ns.main, 'comment')]
+            .map(comment => [comment.getAttribute('ref'), comment]));
+
+        const shapes = [];
+        notes.forEach(note => {
+            const comment = existing.get(note.cell);
+            if (comment) {
+                const text = this.child(comment, 'text') || comment.appendChild(this.createElement(comments, 'text'));
+                text.appendChild(this.createRun(comments, `\n\n${note.note}`));
+                return;
+            }
+
+            const created = this.createElement(comments, 'comment');
+            const text = this.createElement(comments, 'text');
+            created.setAttribute('ref', note.cell);
+            if (authorId === null) authorId = this.getAuthorId(comments);
+            created.setAttribute('authorId', authorId);
+            text.appendChild(this.createRun(comments, note.note));
+            created.appendChild(text);
+            commentList.appendChild(created);
+            shapes.push(XLSX.utils.decode_cell(note.cell));
+        });
+
+        if (shapes.length > 0) {
+            this.addShapes(pkg, vmlPath, shapes);
+        }
+    }
+
+    createRun(doc, value) {
+        const run = this.createElement(doc, 'r');
+        const text = this.createElement(doc, 't');
+        text.setAttributeNS(this.ns.xml, 'xml:space', 'preserve');
+        text.textContent = value;
+        run.appendChild(text);
+        return run;
+    }
+
+    getAuthorId(comments) {
+        const root = comments.documentElement;
+        let authors = this.child(root, 'authors');
+        if (!authors) {
+            authors = this.createElement(comments, 'authors');
+            root.insertBefore(authors, root.firstChild);
+        }
+
+        const names = [...authors.getElementsByTagNameNS(this.ns.main, 'author')].map(author => author.textContent);
+        if (names.includes(this.author)) return String(names.indexOf(this.author));
+
+        const author = this.createElement(comments, 'author');
+        author.textContent = this.author;
+        authors.appendChild(author);
+        return String(names.length);
+    }
+
+    /**
+     * VML drawing the sheet's comment shapes live in; a new one gets a <legacyDrawing> in the sheet
+     */
+    getVMLPath(pkg, sheetPath, sheet, rels) {
+        const legacyDrawing = sheet.getElementsByTagNameNS(this.ns.main, 'legacyDrawing')[0];
+        const existing = legacyDrawing && rels.find(rel => rel.id === legacyDrawing.getAttributeNS(this.ns.r, 'id'));
+        if (existing && this.readText(pkg, existing.target) !== null) return existing.target;
+
+        const path = this.freePath(pkg, 'xl/drawings/vmlDrawing', 'vml');
+        const block = this.nextShapeBlock(pkg);
+        pkg.parts.set(path, [
+            '<xml xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:x="urn:schemas-microsoft-com:office:excel">',
+            ` <o:shapelayout v:ext="edit"><o:idmap v:ext="edit" data="${block}"/></o:shapelayout>`,
+            this.shapeType(),
+            '</xml>'
+        ].join('\r\n'));
+        pkg.changed.add(path);
+        this.addDefaultContentType(pkg, 'vml', this.contentTypes.vml);
+
+        const id = this.addRelationship(pkg, sheetPath, this.relTypes.vmlDrawing, path);
+        if (legacyDrawing) {
+            legacyDrawing.setAttributeNS(this.ns.r, 'r:id', id);
+        } else {
+            const element = this.createElement(sheet, 'legacyDrawing');
+            element.setAttributeNS(this.ns.r, 'r:id', id);
+            const root = sheet.documentElement;
+            const next = [...root.childNodes].find(node => node.nodeType === 1 && this.afterLegacyDrawing.includes(node.localName));
+            root.insertBefore(element, next || null);
+        }
+        return path;
+    }
+
+    /**
+     * Shape id block (o:idmap) no other VML drawing of the package uses
+     */
+    nextShapeBlock(pkg) {
+        const paths = new Set([
+            ...pkg.zip.FullPaths.map(path => path.replace(/^[^/]*\//, '')),
+            ...pkg.parts.keys()
+        ]);
+
+        let block = 0;
+        paths.forEach(path => {
+            if (!/\.vml$/i.test(path)) return;
+            const vml = pkg.parts.has(path) ? pkg.parts.get(path) : this.readText(pkg, path) || '';
+            (vml.match(/data="[\d,]+"/g) || []).forEach(data => {
+                data.match(/\d+/g).forEach(number => block = Math.max(block, parseInt(number, 10)));
+            });
+        });
+        return block + 1;
+    }
+
+    shapeType() {
+        return ' <v:shapetype id="_x0000_t202" coordsize="21600,21600" o:spt="202" path="m,l,21600r21600,l21600,xe">' +
+            '<v:stroke joinstyle="miter"/><v:path gradientshapeok="t" o:connecttype="rect"/></v:shapetype>';
+    }
+
+    /**
+     * Hidden note shapes for cells ({ r, c }), added to the VML text as it is (legacy VML is not always well-formed XML)
+     */
+    addShapes(pkg, vmlPath, cells) {
+        let vml = pkg.parts.has(vmlPath) ? pkg.parts.get(vmlPath) : this.readText(pkg, vmlPath);
+        if (!vml.includes('_x0000_t202')) {
+            vml = vml.replace(/<\/xml>\s*$/, `${this.shapeType()}\r\n</xml>`);
+        }
+
+        const block = parseInt((vml.match(/data="(\d+)"/) || [0, 1])[1], 10);
+        let id = Math.max(block * 1024, ...(vml.match(/_x0000_s\d+/g) || []).map(shape => parseInt(shape.slice(8), 10)));
+
+        const shapes = cells.map(({ r, c }) => {
+            id++;
+            return ` <v:shape id="_x0000_s${id}" type="#_x0000_t202" style="position:absolute;margin-left:59.25pt;margin-top:1.5pt;width:216pt;height:96pt;z-index:${id};visibility:hidden" fillcolor="#ffffe1" o:insetmode="auto">` +
+                '<v:fill color2="#ffffe1"/><v:shadow on="t" color="black" obscured="t"/><v:path o:connecttype="none"/>' +
+                '<v:textbox style="mso-direction-alt:auto"><div style="text-align:left"></div></v:textbox>' +
+                '<x:ClientData ObjectType="Note"><x:MoveWithCells/><x:SizeWithCells/>' +
+                `<x:Anchor>${c + 1}, 15, ${r}, 2, ${c + 5}, 15, ${r + 6}, 2</x:Anchor>` +
+                `<x:AutoFill>False</x:AutoFill><x:Row>${r}</x:Row><x:Column>${c}</x:Column></x:ClientData></v:shape>`;
+        });
+
+        pkg.changed.add(vmlPath);
+        pkg.parts.set(vmlPath, vml.replace(/<\/xml>\s*$/, `${shapes.join('\r\n')}\r\n</xml>`));
+    }
+}
+
+// Initialize global instance (used by the annotated CBD export)
+window.workbookAnnotator = new WorkbookAnnotator();
@@ -0,0 +1,224 @@
+/**
+ * Workbook Hygiene
+ * Finds what a vendor hid in a Buyer CBD: hidden sheets (an original cost sheet hidden behind a
+ * duplicate), and hidden rows and columns (old trims) inside the sheets a processor validated.
+ * Processors pick their sheet by position or by name and never look at visibility, so a run can
+ * validate a sheet nobody sees, or pass a section whose hidden rows still count.
+ *
+ * The inspection runs after a processor, on the parsed workbooks the batch already holds (see
+ * WorkbookReader.js), and is listed in a panel above the results. The sheets a processor read are
+ * the ones its result records point at; files without records are inspected sheet by sheet.
+ *
+ * Whether hidden rows are included in section scans (see SectionScanner.js) is a user setting
+ * kept in localStorage; by default they are, as Excel's own totals include them. Processors that
+ * walk their rows themselves never skip them, so the setting is only offered for runs whose
+ * section scans met a hidden row.
+ */
+
+class WorkbookHygiene {
+    constructor() {
+        this.storageKey = 'workbookHygiene-includeHiddenRows';
+        this.includeHiddenRows = this.loadSetting();
+        this.scannedHiddenRows = false;     // did a section scan of the current run meet a hidden row
+    }
+
+    loadSetting() {
+        try {
+            return localStorage.getItem(this.storageKey) !== 'false';
+        } catch (error) {
+            console.error('Could not read the hidden rows setting:', error);
+            return true;
+        }
+    }
+
+    /**
+     * Include or skip hidden rows in section scans and re-run the tab's results
+     */
+    setIncludeHiddenRows(include, id) {
+        this.includeHiddenRows = include;
+        try {
+            localStorage.setItem(this.storageKey, String(include));
+        } catch (error) {
+            console.error('Could not save the hidden rows setting:', error);
+        }
+
+        if (id && typeof handleGenerateResults === 'function') {
+            handleGenerateResults(id);
+        }
+    }
+
+    /**
+     * Called by the registry before each processor run
+     */
+    beginRun() {
+        this.scannedHiddenRows = false;
+    }
+
+    /**
+     * Should a section scan skip row `index` of rows read with workbookReader.toRows()
+     */
+    skipsRow(rows, index) {
+        if (!window.workbookReader.isHiddenRow(rows, index)) return false;
+        this.scannedHiddenRows = true;
+        return !this.includeHiddenRows;
+    }
+
+    /**
+     * Hidden sheets, rows and columns of a tab's last run
+     * @param {Object} entry - registry entry with results and files of the run
+     * @returns {Promise<Array>} - one report per file with findings:
+     *   { file, hiddenSheets: [{ name, state, validated }], sheets: [{ name, hiddenRows, hiddenColumns, hiddenCells }] }
+     *   hiddenRows: [5, 6, 12] (1-based), hiddenColumns: ['D'], hiddenCells: [{ cell, rule }]
+     */
+    async inspect(entry) {
+        const reports = [];
+
+        for (const file of entry.files || []) {
+            let workbook;
+            try {
+                workbook = await window.workbookReader.read(file);
+            } catch (error) {
+                console.error(`Error reading ${file.name} for the hygiene check:`, error);
+                continue;
+            }
+
+            const records = (entry.results || []).filter(record => record.file === file.name && record.sheet);
+            const report = this.inspectWorkbook(workbook, file.name, records);
+            if (report) reports.push(report);
+        }
+
+        return reports;
+    }
+
+    /**
+     * Report of one workbook, or null when nothing in it is hidden
+     */
+    inspectWorkbook(workbook, fileName, records) {
+        const validated = [...new Set(records.map(record => record.sheet))]
+            .filter(name => workbook.Sheets[name]);
+        const sheetNames = validated.length > 0 ? validated : workbook.SheetNames;
+
+        const hiddenSheets = workbook.SheetNames
+            .map((name, index) => ({ name, state: this.sheetState(workbook, index) }))
+            .filter(sheet => sheet.state !== 'visible')
+            .map(sheet => ({ ...sheet, validated: validated.includes(sheet.name) }));
+
+        const sheets = sheetNames
+            .map(name => this.inspectSheet(workbook.Sheets[name], name, records.filter(record => record.sheet === name)))
+            .filter(sheet => sheet.hiddenRows.length > 0 || sheet.hiddenColumns.length > 0);
+
+        if (hiddenSheets.length === 0 && sheets.length === 0) return null;
+
+        return { file: fileName, hiddenSheets, sheets };
+    }
+
+    /**
+     * 'visible', 'hidden' or 'very hidden' (only unhidden from VBA)
+     */
+    sheetState(workbook, index) {
+        const props = workbook.Workbook && workbook.Workbook.Sheets && workbook.Workbook.Sheets[index];
+        if (!props || !props.Hidden) return 'visible';
+        return props.Hidden === 2 ? 'very hidden' : 'hidden';
+    }
+
+    /**
+     * Hidden rows and columns inside a sheet's used range, and the checked cells that sit in them
+     */
+    inspectSheet(sheet, name, records) {
+        const result = { name, hiddenRows: [], hiddenColumns: [], hiddenCells: [] };
+        if (!sheet || !sheet['!ref']) return result;
+
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        const rowHidden = r => !!(sheet['!rows'] && sheet['!rows'][r] && sheet['!rows'][r].hidden);
+        const colHidden = c => !!(sheet['!cols'] && sheet['!cols'][c] && sheet['!cols'][c].hidden);
+
+        for (let r = range.s.r; r <= range.e.r; r++) {
+            if (rowHidden(r)) result.hiddenRows.push(r + 1);
+        }
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            if (colHidden(c)) result.hiddenColumns.push(XLSX.utils.encode_col(c));
+        }
+
+        const seen = new Set();
+        records.forEach(record => {
+            if (!record.cell || seen.has(record.cell)) return;
+            const address = XLSX.utils.decode_cell(record.cell);
+            if (isNaN(address.r) || isNaN(address.c)) return;
+
+            if (rowHidden(address.r) || colHidden(address.c)) {
+                seen.add(record.cell);
+                result.hiddenCells.push({ cell: record.cell, rule: record.rule });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * '5-7, 12' for rows [5, 6, 7, 12]
+     */
+    formatRows(rows) {
+        const spans = [];
+        rows.forEach(row => {
+            const last = spans[spans.length - 1];
+            if (last && row === last[1] + 1) {
+                last[1] = row;
+            } else {
+                spans.push([row, row]);
+            }
+        });
+        return spans.map(([from, to]) => from === to ? `${from}` : `${from}-${to}`).join(', ');
+    }
+
+    /**
+     * Panel listing a run's hygiene findings, with the hidden rows setting when the run's section scans met hidden rows
+     * Empty when nothing in the run's workbooks is hidden
+     */
+    getPanelHTML(entry) {
+        const reports = entry.hygiene || [];
+        if (reports.length === 0) return '';
+
+        return `
+            <div class="hygiene-panel">
+                <h3>Workbook Hygiene</h3>
+                ${reports.map(report => `
+                    <div class="hygiene-file">
+                        <div class="hygiene-file-name">${this.escape(report.file)}</div>
+                        <ul class="hygiene-list">
+                            ${report.hiddenSheets.map(sheet => `
+                                <li${sheet.validated ? ' class="hygiene-alert"' : ''}>
+                                    Sheet <strong>${this.escape(sheet.name)}</strong> is ${sheet.state}${sheet.validated ? ' - and it is the sheet that was validated' : ''}
+                                </li>
+                            `).join('')}
+                            ${report.sheets.map(sheet => `
+                                ${sheet.hiddenRows.length > 0 ? `<li><strong>${this.escape(sheet.name)}</strong>: hidden row${sheet.hiddenRows.length === 1 ? '' : 's'} ${this.formatRows(sheet.hiddenRows)}</li>` : ''}
+                                ${sheet.hiddenColumns.length > 0 ? `<li><strong>${this.escape(sheet.name)}</strong>: hidden column${sheet.hiddenColumns.length === 1 ? '' : 's'} ${sheet.hiddenColumns.join(', ')}</li>` : ''}
+                                ${sheet.hiddenCells.map(cell => `
+                                    <li class="hygiene-alert"><strong>${this.escape(sheet.name)}!${cell.cell}</strong> is checked but hidden - ${this.escape(cell.rule)}</li>
+                                `).join('')}
+                            `).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+                ${entry.scannedHiddenRows ? `
+                    <label class="hygiene-setting">
+                        <input type="checkbox" ${this.includeHiddenRows ? 'checked' : ''}
+                               onchange="window.workbookHygiene.setIncludeHiddenRows(this.checked, '${entry.id}')">
+                        Include hidden rows in section scans
+                    </label>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize global instance (must load before the section scanner runs; run by the registry after each processor run)
+window.workbookHygiene = new WorkbookHygiene();
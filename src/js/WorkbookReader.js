@@ -0,0 +1,400 @@
+/**
+ * Workbook Reader
+ * Shared entry point for reading uploaded Excel files - every processor calls read(file)
+ * instead of running FileReader + XLSX.read itself.
+ *
+ * Parsing runs in a pool of Web Workers (js/WorkbookWorker.js) so big multi-sheet CBDs
+ * don't freeze the page. If workers are unavailable (file:// pages, or SheetJS fails to load
+ * inside the worker), it falls back to parsing on the main thread.
+ *
+ * During a batch (Generate Results) each file is parsed once and shared between
+ * processors, progress is reported per file, and the batch can be cancelled.
+ *
+ * Workbooks keep formulas (cell.f), number formats (cell.z) and row / column visibility (!rows, !cols),
+ * and rows read with toRows() remember which of them are hidden (see WorkbookHygiene.js) and the
+ * cells they came from (see numberFormat()).
+ *
+ * A sheet file (see sheetFile()) stands for one sheet of an upload: reading it returns the upload's
+ * workbook narrowed to that sheet (see SheetSelection.js).
+ */
+
+class WorkbookReader {
+    constructor() {
+        this.workerUrl = 'js/WorkbookWorker.js';
+        this.xlsxUrl = 'js/vendor/xlsx.full.min.js';
+        this.poolSize = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+        this.workersEnabled = typeof Worker !== 'undefined';
+        this.workers = [];          // [{ worker, task }]
+        this.queue = [];            // Tasks waiting for a free worker
+        this.nextTaskId = 1;
+        this.listeners = [];
+        this.batch = null;
+
+        // cellStyles is needed for the hidden flags of !rows and !cols
+        this.readOptions = { type: 'array', cellStyles: true };
+        this.hiddenRows = new WeakMap();    // rows array from toRows() → Set of hidden row indexes
+        this.rowSources = new WeakMap();    // row from toRows() → { sheet, r, c } of its first cell
+        this.sheetViews = new WeakMap();    // sheet file → { source, sheetName }
+    }
+
+    /**
+     * Read and parse a workbook
+     * @returns {Promise<Object>} - SheetJS workbook
+     */
+    read(file) {
+        const view = this.sheetViews.get(file);
+        if (view) {
+            return this.read(view.source).then(workbook => this.narrow(workbook, view.sheetName));
+        }
+
+        const batch = this.batch;
+
+        if (batch) {
+            if (batch.cancelled) {
+                return Promise.reject(this.createCancelError());
+            }
+            if (batch.workbooks.has(file)) {
+                return batch.workbooks.get(file);
+            }
+        }
+
+        const promise = this.parse(file);
+
+        if (batch) {
+            batch.workbooks.set(file, promise);
+            // A cancelled read must not stay cached for the next batch
+            promise.catch(() => batch.workbooks.delete(file));
+        }
+
+        return promise;
+    }
+
+    /**
+     * File standing for one sheet of an uploaded workbook - processors that take the first, the last
+     * or every sheet all validate that sheet. The upload is parsed once however many sheet files it has.
+     * @param {File} source - uploaded workbook
+     * @param {string} sheetName - sheet to validate
+     * @param {string} [name] - file name shown in the results (defaults to the upload's)
+     */
+    sheetFile(source, sheetName, name = source.name) {
+        const file = new File([source], name, { type: source.type, lastModified: source.lastModified });
+        this.sheetViews.set(file, { source, sheetName });
+        return file;
+    }
+
+    /**
+     * Upload a file was made from: the source of a sheet file, otherwise the file itself
+     */
+    sourceOf(file) {
+        const view = this.sheetViews.get(file);
+        return view ? view.source : file;
+    }
+
+    /**
+     * Workbook showing only one sheet; pickedSheet names it for processors that look sheets up by name
+     */
+    narrow(workbook, sheetName) {
+        const index = workbook.SheetNames.indexOf(sheetName);
+        if (index === -1) {
+            throw new Error(`Sheet "${sheetName}" not found`);
+        }
+
+        const props = workbook.Workbook || {};
+        return {
+            ...workbook,
+            SheetNames: [sheetName],
+            Workbook: { ...props, Sheets: props.Sheets ? [props.Sheets[index]] : undefined },
+            pickedSheet: sheetName
+        };
+    }
+
+    /**
+     * Start a batch - files are queued straight away so the pool parses them in parallel
+     * while processors work through them one at a time
+     */
+    beginBatch(files = []) {
+        this.batch = {
+            cancelled: false,
+            workbooks: new Map()
+        };
+
+        files.forEach(file => {
+            this.read(file).catch(() => {
+                // Errors are reported to the processor that reads the file
+            });
+        });
+
+        return this.batch;
+    }
+
+    endBatch() {
+        this.batch = null;
+    }
+
+    /**
+     * Cancel the current batch - pending parses are aborted and the workers are stopped
+     */
+    cancel() {
+        if (!this.batch || this.batch.cancelled) return;
+
+        this.batch.cancelled = true;
+
+        const pending = [...this.queue, ...this.workers.map(w => w.task).filter(task => task)];
+        this.queue = [];
+        this.terminateWorkers();
+
+        pending.forEach(task => {
+            task.reject(this.createCancelError());
+            this.emit(task.file, 'cancelled');
+        });
+
+        console.log('Workbook batch cancelled');
+    }
+
+    createCancelError() {
+        const error = new Error('Validation cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    isCancelError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    /**
+     * Subscribe to per-file progress: listener(file, status, detail)
+     * Status is one of queued, parsing, parsed, failed, cancelled
+     * @returns {Function} - Unsubscribe function
+     */
+    onProgress(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    emit(file, status, detail) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(file, status, detail);
+            } catch (error) {
+                console.error('Error in workbook progress listener:', error);
+            }
+        });
+    }
+
+    parse(file) {
+        return new Promise((resolve, reject) => {
+            const task = {
+                id: this.nextTaskId++,
+                file: file,
+                resolve: resolve,
+                reject: reject
+            };
+
+            this.emit(file, 'queued');
+
+            this.readBuffer(file).then(buffer => {
+                if (this.batch && this.batch.cancelled) {
+                    reject(this.createCancelError());
+                    return;
+                }
+                task.buffer = buffer;
+                this.queue.push(task);
+                this.dispatch();
+            }).catch(error => {
+                this.emit(file, 'failed', error.message);
+                reject(error);
+            });
+        });
+    }
+
+    readBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Hand queued tasks to idle workers, creating workers up to the pool size
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            if (!this.workersEnabled) {
+                this.parseOnMainThread(this.queue.shift());
+                continue;
+            }
+
+            let slot = this.workers.find(w => !w.task);
+            if (!slot && this.workers.length < this.poolSize) {
+                slot = this.createWorker();
+                if (!slot) continue; // Workers unavailable - parse on the main thread
+            }
+            if (!slot) return;
+
+            const task = this.queue.shift();
+            slot.task = task;
+            this.emit(task.file, 'parsing');
+            slot.worker.postMessage({
+                id: task.id,
+                buffer: task.buffer,
+                options: this.readOptions,
+                xlsxUrl: this.getXLSXUrl()
+            }, [task.buffer]);
+        }
+    }
+
+    createWorker() {
+        let worker;
+        try {
+            worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('Workbook workers unavailable, parsing on the main thread:', error.message);
+            this.workersEnabled = false;
+            return null;
+        }
+
+        const slot = { worker: worker, task: null };
+
+        worker.onmessage = (e) => {
+            const task = slot.task;
+            slot.task = null;
+            if (!task || task.id !== e.data.id) return;
+
+            if (e.data.loadFailed) {
+                // The worker could not load SheetJS - use the main thread from now on
+                console.warn('Workbook worker could not load SheetJS, parsing on the main thread');
+                this.disableWorkers(task);
+                return;
+            }
+
+            if (e.data.error) {
+                this.emit(task.file, 'failed', e.data.error);
+                task.reject(new Error(e.data.error));
+            } else {
+                this.emit(task.file, 'parsed');
+                task.resolve(e.data.workbook);
+            }
+            this.dispatch();
+        };
+
+        worker.onerror = (e) => {
+            e.preventDefault();
+            console.warn('Workbook worker failed, parsing on the main thread:', e.message);
+            const task = slot.task;
+            slot.task = null;
+            this.disableWorkers(task);
+        };
+
+        this.workers.push(slot);
+        return slot;
+    }
+
+    /**
+     * Stop using workers - in-flight tasks (whose buffers were transferred) are re-read
+     */
+    disableWorkers(failedTask) {
+        this.workersEnabled = false;
+
+        const inFlight = this.workers.map(w => w.task).filter(task => task);
+        if (failedTask) inFlight.unshift(failedTask);
+        this.terminateWorkers();
+
+        inFlight.forEach(task => {
+            this.readBuffer(task.file).then(buffer => {
+                task.buffer = buffer;
+                this.parseOnMainThread(task);
+            }).catch(error => task.reject(error));
+        });
+
+        this.dispatch();
+    }
+
+    terminateWorkers() {
+        this.workers.forEach(w => w.worker.terminate());
+        this.workers = [];
+    }
+
+    parseOnMainThread(task) {
+        this.emit(task.file, 'parsing');
+
+        // Let the progress list repaint before the blocking parse
+        setTimeout(() => {
+            if (this.batch && this.batch.cancelled) {
+                task.reject(this.createCancelError());
+                return;
+            }
+            try {
+                const workbook = XLSX.read(new Uint8Array(task.buffer), this.readOptions);
+                this.emit(task.file, 'parsed');
+                task.resolve(workbook);
+            } catch (error) {
+                this.emit(task.file, 'failed', error.message);
+                task.reject(error);
+            }
+        }, 0);
+    }
+
+    /**
+     * Rows of a sheet (sheet_to_json with header: 1 and the given options), remembering which are hidden
+     * @param {Object} sheet - SheetJS worksheet
+     * @param {Object} [options] - extra sheet_to_json options, e.g. { defval: '' }
+     * @returns {Array} - rows; row i is sheet row i + 1 when the sheet's range starts at row 1
+     */
+    toRows(sheet, options = {}) {
+        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, ...options });
+        const hidden = new Set();
+
+        if (sheet['!ref'] && sheet['!rows']) {
+            const firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r;
+            sheet['!rows'].forEach((row, r) => {
+                if (row && row.hidden && r >= firstRow) hidden.add(r - firstRow);
+            });
+        }
+
+        this.hiddenRows.set(rows, hidden);
+
+        // Rows only map back to sheet rows when none are dropped or re-based
+        if (sheet['!ref'] && options.blankrows !== false && options.range === undefined) {
+            const start = XLSX.utils.decode_range(sheet['!ref']).s;
+            rows.forEach((row, index) => {
+                if (row) this.rowSources.set(row, { sheet, r: start.r + index, c: start.c });
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Number format ('0%', '0.00') of the cell at `column` (0-based index into the row) of a row read
+     * with toRows(); undefined when the cell has none or the row was not read with toRows()
+     */
+    numberFormat(row, column) {
+        const source = row && this.rowSources.get(row);
+        if (!source) return undefined;
+
+        const cell = source.sheet[XLSX.utils.encode_cell({ r: source.r, c: source.c + column })];
+        return cell ? cell.z : undefined;
+    }
+
+    /**
+     * Is row `index` of rows read with toRows() hidden in the workbook
+     */
+    isHiddenRow(rows, index) {
+        const hidden = this.hiddenRows.get(rows);
+        return !!hidden && hidden.has(index);
+    }
+
+    /**
+     * Workers load the same SheetJS build as the page
+     */
+    getXLSXUrl() {
+        return new URL(this.xlsxUrl, document.baseURI).href;
+    }
+}
+
+// Initialize global reader instance (must load before the processor scripts)
+window.workbookReader = new WorkbookReader();
@@ -0,0 +1,30 @@
+/**
+ * Workbook Worker
+ * Parses uploaded workbooks off the main thread for WorkbookReader
+ *
+ * Message in:  { id, buffer, options, xlsxUrl } - options are the XLSX.read options
+ * Message out: { id, workbook } or { id, error, loadFailed }
+ */
+
+let xlsxLoaded = false;
+
+self.onmessage = (e) => {
+    const { id, buffer, options, xlsxUrl } = e.data;
+
+    if (!xlsxLoaded) {
+        try {
+            importScripts(xlsxUrl);
+            xlsxLoaded = true;
+        } catch (error) {
+            self.postMessage({ id: id, error: error.message, loadFailed: true });
+            return;
+        }
+    }
+
+    try {
+        const workbook = XLSX.read(new Uint8Array(buffer), options);
+        self.postMessage({ id: id, workbook: workbook });
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message });
+    }
+};
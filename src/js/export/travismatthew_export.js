@@ -1,60 +1,17 @@
 /**
- * Create Travis Matthew (V14) export configuration
- * @param {Array} fileResults - Array of file results from Travis Matthew processor
- * @returns {Object} - Configuration object for Travis Matthew export
+ * Create Travis Matthew (V14) PDF layout
+ * @returns {Object} - Layout for Travis Matthew export
  */
-function createTravisMatthewConfig(fileResults) {
+function createTravisMatthewConfig() {
     return {
         title: 'Travis Matthew Cost Breakdown Comparison - V14',
-        fileResults: fileResults.map(fileResult => {
-            const totalItems = fileResult.results.length;
-            const validItems = fileResult.results.filter(r => r.isValid).length;
-
-            // Build cell statuses for coloring
-            const cellStatuses = fileResult.results.map(item => {
-                return [
-                    'normal', // Field name
-                    item.isValid ? 'valid' : 'invalid', // BCBD Value
-                    item.isValid ? 'valid' : 'invalid' // Status
-                ];
-            });
-
-            return {
-                fileName: fileResult.fileName,
-                summary: `Summary: ${validItems} out of ${totalItems} items match the OB file`,
-                results: fileResult.results,
-                cellStatuses: cellStatuses
-            };
-        }),
         filenamePrefix: 'TravisMatthewCostBreakdown_V14',
-        columnWidths: [60, 120, 50],
-        headers: ['Field', 'BCBD Value', 'Status'],
-        colorRules: {
-            // Generic color rules for Travis Matthew
-        },
-        extractRowData: (fileResult) => {
-            const rows = [];
-            for (const item of fileResult.results) {
-                const statusIcon = item.isValid ? '✓' : '✗';
-                const statusText = item.isValid ? 'VALID' : 'INVALID';
-
-                // Format BCBD value for PDF
-                let bcbdValue = '';
-                if (item.buyerValue === null || item.buyerValue === '') {
-                    bcbdValue = `Not Found (Expected: ${item.obValue})`;
-                } else if (item.isValid) {
-                    bcbdValue = item.buyerValue;
-                } else {
-                    bcbdValue = `${item.buyerValue} (Expected: ${item.obValue})`;
-                }
-
-                rows.push([
-                    item.label,
-                    bcbdValue,
-                    `${statusIcon} ${statusText}`
-                ]);
-            }
-            return rows;
-        }
+        columns: [
+            { header: 'Field', field: 'rule', width: 120 },
+            { header: 'Cell', field: 'cell', width: 20 },
+            { header: 'OB Value', field: 'expected', width: 55 },
+            { header: 'BCBD Value', field: 'actual', width: 55 },
+            { header: 'Status', field: 'status', width: 27 }
+        ]
     };
 }
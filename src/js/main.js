@@ -22,9 +22,13 @@ class ExcelFileHandler {
     }
 
     attachEventListeners() {
-        // For V2-V24, don't setup OB drop zone (Cost Breakdown is auto-loaded from CSV or validation rules)
-        if (this.version !== 'v2' && this.version !== 'v3' && this.version !== 'v4' && this.version !== 'v5' && this.version !== 'v6' && this.version !== 'v7' && this.version !== 'v8' && this.version !== 'v9' && this.version !== 'v10' && this.version !== 'v11' && this.version !== 'v12' && this.version !== 'v13' && this.version !== 'v14' && this.version !== 'v15' && this.version !== 'v16' && this.version !== 'v17' && this.version !== 'v18' && this.version !== 'v19' && this.version !== 'v20' && this.version !== 'v21' && this.version !== 'v22' && this.version !== 'v23' && this.version !== 'v24') {
+        // Only processors that take OB files get a live OB drop zone
+        // (the others auto-load a reference CSV or display validation rules there)
+        const entry = window.processorRegistry.get(this.version);
+        if (entry && (entry.requiresOBFiles || entry.acceptsOBFiles)) {
             this.setupDropZone(this.obDropZone, this.obFileInput, 'ob');
+        } else if (entry && entry.processor.referenceSchema) {
+            this.setupReferenceDropZone(this.obDropZone);
         }
         this.setupDropZone(this.bcbdDropZone, this.bcbdFileInput, 'bcbd');
 
@@ -41,6 +45,27 @@ class ExcelFileHandler {
         fileInput.addEventListener('change', (e) => this.handleFileSelect(e, type));
     }
 
+    /**
+     * Reference panels take a dropped replacement CSV / XLSX (see ReferenceCSV.js)
+     */
+    setupReferenceDropZone(dropZone) {
+        dropZone.addEventListener('dragover', (e) => this.handleDragOver(e, dropZone));
+        dropZone.addEventListener('dragleave', (e) => this.handleDragLeave(e, dropZone));
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            dropZone.classList.remove('drag-over');
+
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+            if (!this.isValidFileType(file)) {
+                alert(`Invalid file type: ${file.name}. Please select .xlsx, .xls, or .csv files.`);
+                return;
+            }
+            window.referenceCSV.upload(this.version, file);
+        });
+    }
+
     handleDragOver(e, dropZone) {
         e.preventDefault();
         e.stopPropagation();
@@ -95,6 +120,8 @@ class ExcelFileHandler {
         const files = type === 'ob' ? this.obFiles : this.bcbdFiles;
         const dropZone = type === 'ob' ? this.obDropZone : this.bcbdDropZone;
 
+        if (!fileList) return;
+
         fileList.innerHTML = '';
 
         files.forEach((file, index) => {
@@ -103,6 +130,29 @@ class ExcelFileHandler {
         });
 
         dropZone.classList.toggle('has-file', files.length > 0);
+
+        if (type === 'bcbd') {
+            this.detectSeason();
+        }
+    }
+
+    /**
+     * Default the tab's rule version from the season / costing date cells of its Buyer CBDs
+     */
+    detectSeason() {
+        const entry = window.processorRegistry.get(this.version);
+        if (!window.brandDetector || !entry || !entry.editableRules || entry.editableRules.length === 0) return;
+
+        const files = this.bcbdFiles.slice();
+        Promise.all(files.map(file => window.brandDetector.detectFile(file))).then(detections => {
+            // Files changed while they were being read - the newer call decides
+            if (files.length !== this.bcbdFiles.length || files.some((file, i) => file !== this.bcbdFiles[i])) return;
+
+            const seasons = detections
+                .filter(detection => detection.season)
+                .map(detection => ({ ...detection.season, file: detection.fileName }));
+            window.ruleOverrides.autoSelect(this.version, seasons);
+        });
     }
 
     createFileItem(file, type, index) {
@@ -124,6 +174,20 @@ class ExcelFileHandler {
         fileContent.appendChild(fileIcon);
         fileContent.appendChild(fileName);
 
+        // Show which brand the workbook fingerprints as, and which of its sheets gets validated
+        if (type === 'bcbd' && window.brandDetector) {
+            const brandTag = document.createElement('span');
+            brandTag.className = 'file-item-brand';
+            fileContent.appendChild(brandTag);
+            window.brandDetector.detectFile(file).then(detection => {
+                this.renderBrandTag(brandTag, detection);
+                const entry = window.processorRegistry.get(this.version);
+                if (entry) {
+                    window.sheetSelection.renderPicker(fileContent, entry, file, detection.sheetNames);
+                }
+            });
+        }
+
         const removeBtn = document.createElement('button');
         removeBtn.className = 'file-item-remove';
         removeBtn.textContent = 'Remove';
@@ -138,6 +202,32 @@ class ExcelFileHandler {
         return fileItem;
     }
 
+    renderBrandTag(brandTag, detection) {
+        const detector = window.brandDetector;
+        if (detection.error) return;
+
+        if (!detection.best) {
+            brandTag.textContent = 'Unrecognised';
+            brandTag.classList.add('unknown');
+            brandTag.title = 'No brand template matched this workbook';
+            return;
+        }
+
+        const best = detection.best;
+        const confidence = detector.formatConfidence(best.confidence);
+        const entry = window.processorRegistry.get(this.version);
+        if (best.id === this.version || (entry && entry.routesByBrand)) {
+            brandTag.textContent = `${best.name} ${confidence}`;
+            brandTag.classList.add('match');
+        } else {
+            brandTag.textContent = `Looks like ${best.name} ${confidence}`;
+            brandTag.classList.add('mismatch');
+        }
+        brandTag.title = detection.matches
+            .map(match => `${match.name}: ${detector.formatConfidence(match.confidence)} (${match.matched.join(', ')})`)
+            .join('\n');
+    }
+
     removeFile(type, index) {
         if (type === 'ob') {
             this.obFiles.splice(index, 1);
@@ -149,6 +239,14 @@ class ExcelFileHandler {
         console.log(`File removed from ${this.version.toUpperCase()} - ${type.toUpperCase()}`);
     }
 
+    /**
+     * Remove specific BCBD File objects (e.g. after they were moved to another tab)
+     */
+    removeBCBDFiles(files) {
+        this.bcbdFiles = this.bcbdFiles.filter(file => !files.includes(file));
+        this.updateFileList('bcbd');
+    }
+
     isValidFileType(file) {
         const validTypes = [
             'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
@@ -178,13 +276,234 @@ class ExcelFileHandler {
     reset() {
         this.obFiles = [];
         this.bcbdFiles = [];
-        this.obFileInput.value = '';
+        if (this.obFileInput) this.obFileInput.value = '';
         this.bcbdFileInput.value = '';
         this.updateFileList('ob');
         this.updateFileList('bcbd');
     }
 }
 
+// Brand Tab Rendering
+class BrandTabRenderer {
+    constructor(registry) {
+        this.registry = registry;
+        this.menuContainer = document.querySelector('.menu-items-container');
+        this.tabsContainer = document.querySelector('.tabs');
+        this.contentContainer = document.querySelector('.main-content .container');
+    }
+
+    /**
+     * Generate menu items, tab buttons and tab contents for every registered processor
+     * The first registered processor starts as the active tab
+     */
+    render() {
+        const entries = this.registry.getAll();
+
+        entries.forEach((entry, index) => {
+            const isActive = index === 0;
+
+            if (this.menuContainer) {
+                this.menuContainer.insertAdjacentHTML('beforeend', this.createMenuItemHTML(entry));
+            }
+            if (this.tabsContainer) {
+                this.tabsContainer.insertAdjacentHTML('beforeend', this.createTabButtonHTML(entry, isActive));
+            }
+            if (this.contentContainer) {
+                this.contentContainer.insertAdjacentHTML('beforeend', this.createTabContentHTML(entry, isActive));
+            }
+        });
+
+        return entries.length > 0 ? entries[0].id : null;
+    }
+
+    createMenuItemHTML(entry) {
+        return `
+            <button class="menu-item" data-tab="${entry.id}">
+                <span class="menu-item-text">${entry.name}</span>
+            </button>
+        `;
+    }
+
+    createTabButtonHTML(entry, isActive) {
+        return `<button class="tab-btn${isActive ? ' active' : ''}" data-tab="${entry.id}" data-short="${entry.shortName}" data-full="${entry.name}">${entry.shortName}</button>`;
+    }
+
+    createTabContentHTML(entry, isActive) {
+        const id = entry.id;
+
+        return `
+            <!-- Tab Content ${id.toUpperCase()} (${entry.name}) -->
+            <div class="tab-content${isActive ? ' active' : ''}" id="tab-${id}">
+                <div class="upload-section">
+                    <div id="obDropZone-${id}" class="drop-zone">
+                        ${this.createOBPanelHTML(entry)}
+                    </div>
+
+                    <div id="bcbdDropZone-${id}" class="drop-zone">
+                        <div class="drop-zone-content">
+                            <h2 class="drop-title">Drag & Drop Files Here</h2>
+                            <p class="drop-subtitle">or click to browse</p>
+                            <p class="file-label">Buyer CBD File/s</p>
+                            <input type="file" id="bcbdFileInput-${id}" accept=".xlsx,.xls,.csv" multiple hidden>
+                            <button class="browse-btn">Browse Files</button>
+                            <div class="file-list" id="bcbdFileList-${id}"></div>
+                        </div>
+                    </div>
+                </div>
+
+                ${this.hasRulesPanel(entry) ? `<div class="rules-panel" id="rulesPanel-${id}"></div>` : ''}
+
+                <div class="generate-section">
+                    ${entry.editableRules && entry.editableRules.length > 0 ? `<div class="season-selector" id="seasonSelector-${id}"></div>` : ''}
+                    <button class="generate-btn" data-version="${id}">Generate Results</button>
+                </div>
+
+                <div class="results-section">
+                    <h2 class="results-title">Results</h2>
+                    <div class="results-content" id="results-${id}"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Processors whose OB drop zone takes uploads show their rules in a panel below the drop zones
+     */
+    hasRulesPanel(entry) {
+        return entry.obPanel === 'upload' && typeof entry.processor.displayValidationRules === 'function';
+    }
+
+    /**
+     * OB drop zone content depends on how the processor gets its reference data
+     */
+    createOBPanelHTML(entry) {
+        const id = entry.id;
+
+        if (entry.obPanel === 'upload') {
+            return `
+                <div class="drop-zone-content">
+                    <h2 class="drop-title">Drag & Drop Files Here</h2>
+                    <p class="drop-subtitle">or click to browse</p>
+                    <p class="file-label">${entry.obLabel}</p>
+                    <input type="file" id="obFileInput-${id}" accept=".xlsx,.xls,.csv" multiple hidden>
+                    <button class="browse-btn">Browse Files</button>
+                    <div class="file-list" id="obFileList-${id}"></div>
+                </div>
+            `;
+        }
+
+        if (entry.obPanel === 'reference') {
+            return `
+                <div class="drop-zone-content">
+                    <h2 class="drop-title">${entry.name} Cost Breakdown</h2>
+                    <p class="drop-subtitle">Auto-loaded from CSV</p>
+                    <p class="file-label">OB Data</p>
+                </div>
+            `;
+        }
+
+        // 'rules' - populated by the processor's displayValidationRules()
+        return '';
+    }
+}
+
+// Batch Progress
+class BatchProgress {
+    constructor(container, files, loadingText, loadingSubtext) {
+        this.container = container;
+        this.files = files;
+        this.statuses = files.map(() => 'queued');
+        this.statusLabels = {
+            queued: 'Waiting',
+            parsing: 'Parsing...',
+            parsed: 'Parsed',
+            failed: 'Failed',
+            cancelled: 'Cancelled'
+        };
+        this.render(loadingText, loadingSubtext);
+    }
+
+    render(loadingText, loadingSubtext) {
+        const items = this.files.map((file, index) => `
+            <div class="progress-item" data-index="${index}">
+                <span class="progress-item-name" title="${file.name}">${file.name}</span>
+                <span class="progress-item-status queued">${this.statusLabels.queued}</span>
+            </div>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="loading-container">
+                <p class="loading-text">${loadingText}</p>
+                <p class="loading-subtext">${loadingSubtext}</p>
+                <p class="progress-count"></p>
+                <div class="progress-list">${items}</div>
+                <button class="cancel-btn">Cancel</button>
+            </div>
+        `;
+
+        this.countElement = this.container.querySelector('.progress-count');
+        this.cancelButton = this.container.querySelector('.cancel-btn');
+        this.cancelButton.addEventListener('click', () => {
+            this.cancelButton.disabled = true;
+            this.cancelButton.textContent = 'Cancelling...';
+            window.workbookReader.cancel();
+        });
+
+        this.updateCount();
+    }
+
+    /**
+     * Update one file's row - the same file can appear twice (OB and BCBD), so update every row
+     */
+    update(file, status, detail) {
+        this.files.forEach((f, index) => {
+            if (f !== file) return;
+
+            this.statuses[index] = status;
+            const item = this.container.querySelector(`.progress-item[data-index="${index}"] .progress-item-status`);
+            if (!item) return;
+
+            item.className = `progress-item-status ${status}`;
+            item.textContent = this.statusLabels[status] || status;
+            item.title = detail || '';
+        });
+
+        this.updateCount();
+    }
+
+    updateCount() {
+        if (!this.countElement) return;
+
+        const parsed = this.statuses.filter(status => status === 'parsed').length;
+        const failed = this.statuses.filter(status => status === 'failed').length;
+        this.countElement.textContent = `${parsed} of ${this.files.length} file(s) parsed` +
+            (failed > 0 ? `, ${failed} failed` : '');
+    }
+
+    getCancelledHTML() {
+        const parsed = this.statuses.filter(status => status === 'parsed').length;
+        return `
+            <div style="text-align: center; padding: 40px; color: #849bba;">
+                <p style="font-size: 1.3em; margin-bottom: 10px;">Validation cancelled</p>
+                <p>${parsed} of ${this.files.length} file(s) were parsed before cancelling. Click Generate Results to run again.</p>
+            </div>
+        `;
+    }
+
+    getErrorHTML(errorMessage) {
+        return `
+            <div style="background: #fee; border-left: 4px solid #dc3545; padding: 1.5rem; border-radius: 8px;">
+                <p style="color: #dc3545; font-weight: 600; margin-bottom: 0.5rem;">
+                    Error Processing Files
+                </p>
+                <p style="color: #721c24; font-size: 0.95rem;">
+                    ${errorMessage}
+                </p>
+            </div>
+        `;
+    }
+}
+
 // Tab Management
 class TabManager {
     constructor() {
@@ -287,13 +606,17 @@ class TabManager {
             window.menuManager.updateActiveMenuItem(tabId);
         }
 
+        // Lazily initialize processors that load their reference data on first use
+        window.processorRegistry.activate(tabId);
+
         console.log(`Switched to ${tabId.toUpperCase()}`);
     }
 }
 
 // Menu Manager
 class MenuManager {
-    constructor() {
+    constructor(initialTab = 'v1') {
+        this.initialTab = initialTab;
         this.menuToggle = document.getElementById('menuToggle');
         this.menuDropdown = document.getElementById('menuDropdown');
         this.menuItems = document.querySelectorAll('.menu-item');
@@ -350,7 +673,7 @@ class MenuManager {
         });
 
         // Set initial active state
-        this.updateActiveMenuItem('v1');
+        this.updateActiveMenuItem(this.initialTab);
     }
 
     filterTemplates(searchTerm) {
@@ -489,34 +812,19 @@ class DarkModeManager {
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    window.menuManager = new MenuManager();
+    // Tabs, menu items and drop zones must exist before the managers below look them up
+    const registry = window.processorRegistry;
+    const initialTab = new BrandTabRenderer(registry).render();
+
+    window.menuManager = new MenuManager(initialTab);
     window.darkModeManager = new DarkModeManager();
     window.tabManager = new TabManager();
     window.logoEasterEgg = new LogoEasterEgg();
-    window.excelHandlerV1 = new ExcelFileHandler('v1');
-    window.excelHandlerV2 = new ExcelFileHandler('v2');
-    window.excelHandlerV3 = new ExcelFileHandler('v3');
-    window.excelHandlerV4 = new ExcelFileHandler('v4');
-    window.excelHandlerV5 = new ExcelFileHandler('v5');
-    window.excelHandlerV6 = new ExcelFileHandler('v6');
-    window.excelHandlerV7 = new ExcelFileHandler('v7');
-    window.excelHandlerV8 = new ExcelFileHandler('v8');
-    window.excelHandlerV9 = new ExcelFileHandler('v9');
-    window.excelHandlerV10 = new ExcelFileHandler('v10');
-    window.excelHandlerV11 = new ExcelFileHandler('v11');
-    window.excelHandlerV12 = new ExcelFileHandler('v12');
-    window.excelHandlerV13 = new ExcelFileHandler('v13');
-    window.excelHandlerV14 = new ExcelFileHandler('v14');
-    window.excelHandlerV15 = new ExcelFileHandler('v15');
-    window.excelHandlerV16 = new ExcelFileHandler('v16');
-    window.excelHandlerV17 = new ExcelFileHandler('v17');
-    window.excelHandlerV18 = new ExcelFileHandler('v18');
-    window.excelHandlerV19 = new ExcelFileHandler('v19');
-    window.excelHandlerV20 = new ExcelFileHandler('v20');
-    window.excelHandlerV21 = new ExcelFileHandler('v21');
-    window.excelHandlerV22 = new ExcelFileHandler('v22');
-    window.excelHandlerV23 = new ExcelFileHandler('v23');
-    window.excelHandlerV24 = new ExcelFileHandler('v24');
+
+    registry.getAll().forEach(entry => {
+        window[`excelHandler${entry.id.toUpperCase()}`] = new ExcelFileHandler(entry.id);
+        window.ruleOverrides.renderSeasonSelector(entry);
+    });
 
     document.querySelectorAll('.generate-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -525,783 +833,210 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
-    // Initialize LLBEAN processor when page loads
-    if (window.llbeanProcessor) {
-        window.llbeanProcessor.initialize();
-    }
-
-    // Initialize Mammut processor when page loads
-    if (window.mammutProcessor) {
-        window.mammutProcessor.initialize();
-    }
-
-    // Initialize Outdoor Research processor when page loads
-    if (window.outdoorResearchProcessor) {
-        window.outdoorResearchProcessor.initialize();
-    }
-
-    // Initialize Peak Performance processor when page loads
-    if (window.peakPerformanceProcessor) {
-        window.peakPerformanceProcessor.initialize();
-    }
-
-    // Initialize Skida processor when page loads
-    if (window.skidaProcessor) {
-        window.skidaProcessor.initialize();
-    }
-
-    // Initialize Vuori processor when page loads
-    if (window.vuoriProcessor) {
-        window.vuoriProcessor.initialize();
-    }
-
-    // Initialize Prana processor when page loads
-    if (window.pranaProcessor) {
-        window.pranaProcessor.initialize();
-    }
-
-    // Initialize Jack Wolfskin processor when page loads
-    if (window.jackWolfskinProcessor) {
-        window.jackWolfskinProcessor.initialize();
-    }
-
-    // Initialize 511 processor when page loads
-    if (window.processor511) {
-        window.processor511.initialize();
-    }
-
-    // Initialize Ride Store processor when page loads
-    if (window.rideStoreProcessor) {
-        window.rideStoreProcessor.initialize();
-    }
-
-    // Initialize Foot Asylum processor when page loads
-    if (window.footAsylumProcessor) {
-        window.footAsylumProcessor.initialize();
-    }
-
-    // Initialize KUHL processor when page loads
-    if (window.kuhlProcessor) {
-        window.kuhlProcessor.initialize();
-    }
-
-    // Initialize FOX processor when page loads
-    if (window.foxProcessor) {
-        window.foxProcessor.initialize();
-    }
-
-    // Initialize Haglofs processor when page loads
-    if (window.haglofsProcessor) {
-        window.haglofsProcessor.initialize();
-    }
+    // Initialize processors that display their validation rules on page load
+    registry.initializeOnLoad(initialTab);
 
-    // Initialize ODLO processor when page loads
-    if (window.odloProcessor) {
-        window.odloProcessor.initialize();
-    }
+    console.log(`Costing Validation initialized with ${registry.getAll().length} versions`);
 
-    // Initialize Rossignol processor when page loads
-    if (window.rossignolProcessor) {
-        window.rossignolProcessor.initialize();
-    }
+    registerServiceWorker();
+});
 
-    // Initialize Cotopaxi processor when page loads
-    if (window.cotopaxiProcessor) {
-        window.cotopaxiProcessor.initialize();
-    }
+/**
+ * Cache the app, libraries and reference data so it keeps working offline (see sw.js)
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
 
-    console.log('Costing Validation initialized with 24 versions');
-});
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => console.log('Service worker registered:', registration.scope))
+        .catch(error => console.warn('Service worker registration failed:', error));
+}
 
 async function handleGenerateResults(version) {
+    const entry = window.processorRegistry.get(version);
     const handler = window[`excelHandler${version.toUpperCase()}`];
     const resultsContent = document.getElementById(`results-${version}`);
 
-    // Special handling for V2 - only needs BCBD files (Burton)
-    if (version === 'v2') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Burton Cost Breakdown...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.excelV2Processor) {
-            const results = await window.excelV2Processor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
-    }
-
-    // Special handling for V3 - only needs BCBD files (Columbia)
-    if (version === 'v3') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Columbia Cost Breakdown...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.columbiaProcessor) {
-            const results = await window.columbiaProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
+    if (!entry || !handler) {
+        console.error(`No processor registered for ${version.toUpperCase()}`);
         return;
     }
 
-    // Special handling for V4 - only needs BCBD files (Helly Hansen)
-    if (version === 'v4') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Helly Hansen Cost Breakdown...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.hellyHansenProcessor) {
-            const results = await window.hellyHansenProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
-    }
-
-    // Special handling for V5 - only needs BCBD files (Fjall Raven)
-    if (version === 'v5') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Fjall Raven Cost Breakdown...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.fjallRavenProcessor) {
-            const results = await window.fjallRavenProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
-    }
-
-    // Special handling for V6 - only needs BCBD files (LLBEAN)
-    if (version === 'v6') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with LLBEAN validation...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.llbeanProcessor) {
-            const results = await window.llbeanProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
-    }
-
-    // Special handling for V7 - only needs BCBD files (Mammut)
-    if (version === 'v7') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Mammut validation...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.mammutProcessor) {
-            const results = await window.mammutProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
-    }
-
-    // Special handling for V8 - only needs BCBD files (Outdoor Research)
-    if (version === 'v8') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Outdoor Research validation...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.outdoorResearchProcessor) {
-            const results = await window.outdoorResearchProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
-    }
-
-    // Special handling for V9 - only needs BCBD files (On AG)
-    if (version === 'v9') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with On AG validation...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.onAGProcessor) {
-            const results = await window.onAGProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
-    }
-
-    // Special handling for V10 - only needs BCBD files (Peak Performance)
-    if (version === 'v10') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Peak Performance validation...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.peakPerformanceProcessor) {
-            const results = await window.peakPerformanceProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
-    }
-
-    // Special handling for V11 - only needs BCBD files (Skida)
-    if (version === 'v11') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Skida validation...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.skidaProcessor) {
-            const results = await window.skidaProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
-    }
-
-    // Special handling for V12 - only needs BCBD files (Vuori)
-    if (version === 'v12') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Vuori validation...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.vuoriProcessor) {
-            const results = await window.vuoriProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
-    }
-
-    // Special handling for V13 - only needs BCBD files (Prana)
-    if (version === 'v13') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Prana validation...</p>
-                <p class="loading-subtext">Scanning all sheets for Fabrics section...</p>
-            </div>
-        `;
-
-        if (window.pranaProcessor) {
-            const results = await window.pranaProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
-    }
-
-    // Special handling for V14 - only needs BCBD files (Travis Matthew)
-    if (version === 'v14') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Travis Matthew validation...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.travisMatthewProcessor) {
-            const results = await window.travisMatthewProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
-    }
-
-    // Special handling for V15 - only needs BCBD files (Jack Wolfskin)
-    if (version === 'v15') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Jack Wolfskin validation...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
+    const obFiles = handler.getOBFiles();
+    const bcbdFiles = handler.getBCBDFiles();
 
-        if (window.jackWolfskinProcessor) {
-            const results = await window.jackWolfskinProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
+    if (entry.requiresOBFiles && !handler.areBothFilesLoaded()) {
+        alert('Please upload both OB and BCBD files before generating results.');
         return;
     }
 
-    // Special handling for V16 - only needs BCBD files (511)
-    if (version === 'v16') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with 511 validation...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.processor511) {
-            const results = await window.processor511.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
+    if (bcbdFiles.length === 0) {
+        alert('Please upload Buyer CBD files before generating results.');
         return;
     }
 
-    // Special handling for V17 - only needs BCBD files (Ride Store)
-    if (version === 'v17') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
+    // Warn before running files that fingerprint as another brand's template
+    if (window.brandDetector && !entry.routesByBrand) {
+        const mismatches = await window.brandDetector.findMismatches(version, bcbdFiles);
+        if (mismatches.length > 0 && confirmBrandSwitch(entry, mismatches)) {
+            moveFilesToDetectedBrands(handler, mismatches);
             return;
         }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Ride Store validation...</p>
-                <p class="loading-subtext">Please wait while we scan the files...</p>
-            </div>
-        `;
-
-        if (window.rideStoreProcessor) {
-            const results = await window.rideStoreProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
     }
 
-    // Special handling for V18 - only needs BCBD files (Foot Asylum)
-    if (version === 'v18') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Foot Asylum validation...</p>
-                <p class="loading-subtext">Scanning Fabrics section...</p>
-            </div>
-        `;
-
-        if (window.footAsylumProcessor) {
-            const results = await window.footAsylumProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
+    console.log(`Generating results for ${version.toUpperCase()}...`);
+    if (entry.requiresOBFiles) {
+        console.log('OB Files:', obFiles);
     }
+    console.log('BCBD Files:', bcbdFiles);
 
-    // Special handling for V19 - only needs BCBD files (KUHL)
-    if (version === 'v19') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with KUHL validation...</p>
-                <p class="loading-subtext">Scanning for Fabric/Yarn rows...</p>
-            </div>
-        `;
-
-        if (window.kuhlProcessor) {
-            const results = await window.kuhlProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
+    const loadingText = entry.requiresOBFiles
+        ? `Processing ${obFiles.length} OB file(s) and ${bcbdFiles.length} BCBD file(s)...`
+        : `Processing ${bcbdFiles.length} BCBD file(s) with ${entry.loadingMessage || entry.name}...`;
+
+    // Show a live per-file progress list while the worker pool parses the batch
+    const takesOBFiles = entry.requiresOBFiles || entry.acceptsOBFiles;
+    const batchFiles = takesOBFiles ? [...obFiles, ...bcbdFiles] : bcbdFiles;
+    const reader = window.workbookReader;
+    const progress = new BatchProgress(resultsContent, batchFiles, loadingText, entry.loadingSubtext);
+    const stopProgress = reader.onProgress((file, status, detail) => progress.update(file, status, detail));
+    const batch = reader.beginBatch(batchFiles);
+
+    let results;
+    try {
+        results = await window.processorRegistry.process(version, obFiles, bcbdFiles);
+    } catch (error) {
+        console.error(`Error generating results for ${version.toUpperCase()}:`, error);
+        results = progress.getErrorHTML(error.message);
+    } finally {
+        stopProgress();
+        reader.endBatch();
+    }
+
+    resultsContent.innerHTML = batch.cancelled ? progress.getCancelledHTML() : results;
+    if (!batch.cancelled) {
+        addRuleVersionNote(resultsContent, entry);
+        addHygienePanel(resultsContent, entry);
+        addResultsActions(resultsContent, entry);
+        addRollupResults(resultsContent, entry);
+        addFormulaResults(resultsContent, entry);
+        addWaiverResults(resultsContent, entry);
+        window.sheetViewer.linkResults(resultsContent, entry);
+        window.waivers.markResults(resultsContent, entry);
     }
+}
 
-    // Special handling for V20 - only needs BCBD files (FOX)
-    if (version === 'v20') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with FOX validation...</p>
-                <p class="loading-subtext">Scanning for validation fields...</p>
-            </div>
-        `;
+/**
+ * State which rule version (season rule set or current rules) the results were checked against
+ */
+function addRuleVersionNote(resultsContent, entry) {
+    if (!entry.ruleVersion || !entry.results || entry.results.length === 0) return;
+
+    const note = document.createElement('div');
+    note.className = 'rule-version-note';
+    note.innerHTML = `Rules applied: <strong></strong>`;
+    note.querySelector('strong').textContent = entry.ruleVersion.label;
+    resultsContent.prepend(note);
+}
 
-        if (window.foxProcessor) {
-            const results = await window.foxProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
+/**
+ * List hidden sheets, rows and columns of the run's workbooks (see WorkbookHygiene.js) above the results
+ */
+function addHygienePanel(resultsContent, entry) {
+    const html = window.workbookHygiene.getPanelHTML(entry);
+    if (html) {
+        resultsContent.insertAdjacentHTML('afterbegin', html);
     }
+}
 
-    // Special handling for V21 - only needs BCBD files (Haglofs)
-    if (version === 'v21') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Haglofs validation...</p>
-                <p class="loading-subtext">Scanning for validation fields...</p>
-            </div>
-        `;
-
-        if (window.haglofsProcessor) {
-            const results = await window.haglofsProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
+/**
+ * List the line total and subtotal discrepancies found by the roll-up checks (see RollupChecker.js)
+ * under the processor's own results
+ */
+function addRollupResults(resultsContent, entry) {
+    const html = window.rollupChecker.getResultsHTML(entry.results || []);
+    if (html) {
+        resultsContent.insertAdjacentHTML('beforeend', html);
     }
+}
 
-    // Special handling for V22 - only needs BCBD files (ODLO)
-    if (version === 'v22') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with ODLO validation...</p>
-                <p class="loading-subtext">Checking Category and Garment Maker fields...</p>
-            </div>
-        `;
-
-        if (window.odloProcessor) {
-            const results = await window.odloProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
+/**
+ * List the cells the formula check flagged (see FormulaCheck.js) under the processor's own results
+ */
+function addFormulaResults(resultsContent, entry) {
+    const html = window.formulaCheck.getResultsHTML(entry.results || []);
+    if (html) {
+        resultsContent.insertAdjacentHTML('beforeend', html);
     }
+}
 
-    // Special handling for V23 - only needs BCBD files (Rossignol)
-    if (version === 'v23') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
-
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Rossignol validation...</p>
-                <p class="loading-subtext">Checking validation fields...</p>
-            </div>
-        `;
-
-        if (window.rossignolProcessor) {
-            const results = await window.rossignolProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
-        }
-        return;
+/**
+ * List the run's failing rows with their waivers (see Waivers.js) under the processor's own results
+ */
+function addWaiverResults(resultsContent, entry) {
+    const html = window.waivers.getResultsHTML(entry);
+    if (html) {
+        resultsContent.insertAdjacentHTML('beforeend', html);
     }
+}
 
-    // Special handling for V24 - only needs BCBD files (Cotopaxi)
-    if (version === 'v24') {
-        const bcbdFiles = handler.getBCBDFiles();
-
-        if (bcbdFiles.length === 0) {
-            alert('Please upload Buyer CBD files before generating results.');
-            return;
-        }
-
-        console.log(`Generating results for ${version.toUpperCase()}...`);
-        console.log('BCBD Files:', bcbdFiles);
+/**
+ * Put "Export to Excel" and "Download JSON" buttons next to the tab's Export button
+ * once structured results exist (processors that render their own actions are left alone)
+ */
+function addResultsActions(resultsContent, entry) {
+    if (!entry.results || entry.results.length === 0) return;
+    if (resultsContent.querySelector('.export-actions')) return;
+
+    const exportBtn = resultsContent.querySelector('.export-btn');
+    if (!exportBtn) return;
+
+    const actions = document.createElement('div');
+    actions.className = 'export-actions';
+    exportBtn.replaceWith(actions);
+    actions.appendChild(exportBtn);
+    actions.insertAdjacentHTML('beforeend', window.excelExporter.getExportButtonHTML(entry.id));
+    actions.insertAdjacentHTML('beforeend', window.structuredResults.getDownloadButtonHTML(entry.id));
+}
 
-        // Show loading state with animation
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${bcbdFiles.length} BCBD file(s) with Cotopaxi validation...</p>
-                <p class="loading-subtext">Checking validation fields...</p>
-            </div>
-        `;
+/**
+ * Ask whether mismatched files should move to the tab of the brand they were detected as
+ * @returns {boolean} - true to move them, false to run the current template anyway
+ */
+function confirmBrandSwitch(entry, mismatches) {
+    const detector = window.brandDetector;
+    const lines = mismatches.map(m =>
+        `• ${m.file.name} → ${m.target.name} (${detector.formatConfidence(m.target.confidence)} match)`
+    );
+
+    return confirm(
+        `${mismatches.length} file(s) look like a different brand template than ${entry.name}:\n\n` +
+        `${lines.join('\n')}\n\n` +
+        `Click OK to move them to the matching tab, or Cancel to run ${entry.name} anyway.`
+    );
+}
 
-        if (window.cotopaxiProcessor) {
-            const results = await window.cotopaxiProcessor.processFiles(bcbdFiles);
-            resultsContent.innerHTML = results;
+/**
+ * Move mismatched files to the handlers of their detected brands and open the first one
+ */
+function moveFilesToDetectedBrands(handler, mismatches) {
+    mismatches.forEach(m => {
+        const targetHandler = window[`excelHandler${m.target.id.toUpperCase()}`];
+        if (targetHandler) {
+            targetHandler.processFiles([m.file], 'bcbd');
         }
-        return;
-    }
-
-    // Standard handling for V1
-    if (!handler.areBothFilesLoaded()) {
-        alert('Please upload both OB and BCBD files before generating results.');
-        return;
-    }
-
-    const obFiles = handler.getOBFiles();
-    const bcbdFiles = handler.getBCBDFiles();
+    });
 
-    console.log(`Generating results for ${version.toUpperCase()}...`);
-    console.log('OB Files:', obFiles);
-    console.log('BCBD Files:', bcbdFiles);
+    handler.removeBCBDFiles(mismatches.map(m => m.file));
 
-    // Show loading state with animation
-    resultsContent.innerHTML = `
-        <div class="loading-container">
-            <div class="loader"></div>
-            <p class="loading-text">Processing ${obFiles.length} OB file(s) and ${bcbdFiles.length} BCBD file(s)...</p>
-            <p class="loading-subtext">Please wait while we scan the files...</p>
-        </div>
-    `;
-
-    // Process based on version
-    if (version === 'v1' && window.excelV1Processor) {
-        const results = await window.excelV1Processor.processFiles(obFiles, bcbdFiles);
-        resultsContent.innerHTML = results;
-    } else {
-        // Placeholder for V3
-        resultsContent.innerHTML = `
-            <div class="loading-container">
-                <div class="loader"></div>
-                <p class="loading-text">Processing ${obFiles.length} OB file(s) and ${bcbdFiles.length} BCBD file(s)...</p>
-                <p class="loading-subtext">Template-specific processing logic for ${version.toUpperCase()} will be implemented here.</p>
-            </div>
-        `;
+    if (window.tabManager) {
+        window.tabManager.switchTab(mismatches[0].target.id);
     }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { ExcelFileHandler, TabManager };
+    module.exports = { ExcelFileHandler, TabManager, BrandTabRenderer, BatchProgress };
 }
 
 class LogoEasterEgg {
@@ -0,0 +1,213 @@
+/**
+ * Service Worker
+ * Makes the app work offline (factory floor / travel laptops):
+ * - Precaches the app shell, the bundled libraries, images and the reference CSVs on install
+ * - App files: served from the cache, refreshed in the background so the next load is current
+ * - Reference CSVs and the page itself: network first, falling back to the cached copy
+ * - Other origins (web fonts): cache first
+ *
+ * Add new scripts loaded by index.html (or lazily, like the export libraries) to APP_SHELL.
+ * Bump CACHE_VERSION when files are removed or renamed so stale copies are dropped.
+ */
+
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = `costing-validation-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+
+    // Styles and images
+    'assets/styles/main.css',
+    'assets/styles/darkmode.css',
+    'assets/styles/burton.css',
+    'assets/images/M88LOGO.png',
+    'assets/images/icon-192.png',
+    'assets/images/icon-512.png',
+
+    // Bundled libraries (jsPDF / autoTable and ExcelJS are loaded at export time)
+    'js/vendor/xlsx.full.min.js',
+    'js/vendor/jspdf.umd.min.js',
+    'js/vendor/jspdf.plugin.autotable.min.js',
+    'js/vendor/exceljs.min.js',
+
+    // PDF export layouts
+    'js/export/tnf_export.js',
+    'js/export/burton_export.js',
+    'js/export/columbia_export.js',
+    'js/export/hellyhansen_export.js',
+    'js/export/fjallraven_export.js',
+    'js/export/llbean_export.js',
+    'js/export/mammut_export.js',
+    'js/export/outdoorresearch_export.js',
+    'js/export/onag_export.js',
+    'js/export/peakperformance_export.js',
+    'js/export/skida_export.js',
+    'js/export/vuori_export.js',
+    'js/export/prana_export.js',
+    'js/export/travismatthew_export.js',
+    'js/export/jackwolfskin_export.js',
+    'js/export/511_export.js',
+    'js/export/ridestore_export.js',
+    'js/export/footasylum_export.js',
+    'js/export/kuhl_export.js',
+    'js/export/fox_export.js',
+    'js/export/haglofs_export.js',
+    'js/export/odlo_export.js',
+    'js/export/rossignol_export.js',
+    'js/export/cotopaxi_export.js',
+
+    // Core modules
+    'js/Export.js',
+    'js/ExcelExport.js',
+    'js/WorkbookAnnotator.js',
+    'js/WorkbookReader.js',
+    'js/WorkbookWorker.js',
+    'js/StructuredResults.js',
+    'js/ValueParser.js',
+    'js/TolerancePolicy.js',
+    'js/RuleEngine.js',
+    'js/SectionScanner.js',
+    'js/RollupChecker.js',
+    'js/FormulaCheck.js',
+    'js/WorkbookHygiene.js',
+    'js/SheetSelection.js',
+    'js/SheetViewer.js',
+    'js/Waivers.js',
+    'js/SeasonDetector.js',
+    'js/RuleOverrides.js',
+    'js/RuleWorkbook.js',
+    'js/ReferenceCSV.js',
+    'js/Registry.js',
+    'js/BrandDetector.js',
+    'js/main.js',
+
+    // Template processors
+    'js/Inbox.js',
+    'js/TNF.js',
+    'js/Burton.js',
+    'js/Columbia.js',
+    'js/HellyHansen.js',
+    'js/FjallRaven.js',
+    'js/LLBEAN.js',
+    'js/Mammut.js',
+    'js/Outdoor.js',
+    'js/OnAG.js',
+    'js/PeakPerformance.js',
+    'js/Skida.js',
+    'js/Vuori.js',
+    'js/Prana.js',
+    'js/TravisMatthew.js',
+    'js/JackWolfskin.js',
+    'js/511.js',
+    'js/RideStore.js',
+    'js/FootAsylum.js',
+    'js/Kuhl.js',
+    'js/FOX.js',
+    'js/Haglofs.js',
+    'js/ODLO.js',
+    'js/Rossignol.js',
+    'js/Cotopaxi.js',
+
+    // Reference data
+    'assets/data/Burton_CostBreakdown.csv',
+    'assets/data/Columbia_CostBreakdown.csv',
+    'assets/data/FjallRaven_CostBreakdown.csv',
+    'assets/data/HellyHansen_CostBreakdown.csv',
+    'assets/data/PeakPerformance.csv',
+    'assets/data/Skida_CostBreakdown.csv',
+    'assets/data/TravisMatthew_CostBreakdown.csv',
+    'assets/data/Vuori_CostBreakdown.csv'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys().then(keys => Promise.all(
+            keys
+                .filter(key => key.startsWith('costing-validation-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))
+        )).then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, 'index.html'));
+    } else if (url.origin !== self.location.origin) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.pathname.includes('/assets/data/')) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+/**
+ * Fresh copy when online (kept for next time), cached copy when offline
+ */
+async function networkFirst(request, fallbackUrl) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Cached copy straight away; a fresh copy is fetched in the background for next time
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Cached copy if there is one; otherwise fetch and cache it (e.g. web fonts)
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}